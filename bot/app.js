@@ -1,9 +1,9 @@
 const express = require('express');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const dotenv = require('dotenv');
 const multer = require('multer');
 const sharp = require('sharp');
+const llmService = require('../services/llm/llmService');
 
 // Import your existing alert services
 const noaaWeatherService = require('./services/alertServices/noaaWeatherService');
@@ -17,9 +17,6 @@ const app = express();
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 const SAFETY_PROMPT = `You are an emergency medical assistant. Analyze the image and provide:
 1. Injury assessment
 2. Immediate first-aid steps
@@ -41,20 +38,6 @@ app.post('/analyze-image', upload.single('image'), async (req, res) => {
             .resize(800, 800, { fit: 'inside' })
             .toBuffer();
 
-        // Convert to base64
-        const imageBase64 = imageBuffer.toString('base64');
-
-        // Get Gemini vision model
-        const model = genAI.getGenerativeModel({ model: 'gemini-pro-vision' });
-
-        // Prepare image part
-        const imagePart = {
-            inlineData: {
-                data: imageBase64,
-                mimeType: 'image/jpeg'
-            }
-        };
-
         // Get local alerts
         const city = req.body.city || 'Default City';
         const [weatherAlerts, earthquakes, disasters, currentWeather] = await Promise.all([
@@ -76,11 +59,14 @@ app.post('/analyze-image', upload.single('image'), async (req, res) => {
         `;
 
         // Generate response
-        const result = await model.generateContent([contextPrompt, imagePart]);
-        const response = await result.response;
+        const result = await llmService.generate({
+            task: 'vision',
+            prompt: contextPrompt,
+            images: [{ data: imageBuffer, mimeType: 'image/jpeg' }]
+        });
 
         res.json({
-            response: response.text(),
+            response: result.text,
             alerts: {
                 weather: weatherAlerts,
                 earthquakes,
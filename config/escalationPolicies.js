@@ -0,0 +1,60 @@
+require('dotenv').config();
+
+/*
+ * Escalation ladders for alerts a user has not acknowledged.
+ *
+ * Policies are looked up by disaster type, then severity; `default` covers
+ * types without their own entry, and a severity with no ladder never
+ * escalates. Each step runs `afterMinutes` after the alert was first sent
+ * over the socket:
+ *   fcm               - push notification to the user's devices
+ *   sms               - SMS to the user's phone
+ *   emergencyContacts - SMS to the user's personal emergency contacts
+ *
+ * ESCALATION_POLICIES (JSON in the same shape) replaces entries per type.
+ */
+const defaultPolicies = {
+  default: {
+    critical: [
+      { channel: 'fcm', afterMinutes: 2 },
+      { channel: 'sms', afterMinutes: 5 },
+      { channel: 'emergencyContacts', afterMinutes: 15 }
+    ]
+  },
+  earthquake: {
+    critical: [
+      { channel: 'fcm', afterMinutes: 1 },
+      { channel: 'sms', afterMinutes: 3 },
+      { channel: 'emergencyContacts', afterMinutes: 10 }
+    ]
+  },
+  tsunami: {
+    critical: [
+      { channel: 'fcm', afterMinutes: 1 },
+      { channel: 'sms', afterMinutes: 2 },
+      { channel: 'emergencyContacts', afterMinutes: 5 }
+    ],
+    high: [
+      { channel: 'fcm', afterMinutes: 3 },
+      { channel: 'sms', afterMinutes: 10 }
+    ]
+  },
+  flood: {
+    critical: [
+      { channel: 'fcm', afterMinutes: 5 },
+      { channel: 'sms', afterMinutes: 15 },
+      { channel: 'emergencyContacts', afterMinutes: 30 }
+    ]
+  }
+};
+
+let overrides = {};
+if (process.env.ESCALATION_POLICIES) {
+  try {
+    overrides = JSON.parse(process.env.ESCALATION_POLICIES);
+  } catch (error) {
+    console.error('❌ Invalid ESCALATION_POLICIES JSON, using the default policies:', error.message);
+  }
+}
+
+module.exports = { ...defaultPolicies, ...overrides };
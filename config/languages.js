@@ -0,0 +1,160 @@
+/**
+ * Languages SafeEscape can deliver alerts, chatbot answers and voice in.
+ * Each entry has the BCP-47 code used by Speech-to-Text and the
+ * Text-to-Speech voices for it, and the Unicode block of its script so a
+ * message can be matched to a language without a model call. Hindi and
+ * Marathi share Devanagari; detection picks the listed one first unless the
+ * user's own language says otherwise.
+ */
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    nativeName: 'English',
+    speechCode: 'en-IN',
+    voices: { FEMALE: 'en-IN-Neural2-A', MALE: 'en-IN-Neural2-B' },
+    script: /[A-Za-z]/g
+  },
+  hi: {
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    speechCode: 'hi-IN',
+    voices: { FEMALE: 'hi-IN-Neural2-A', MALE: 'hi-IN-Neural2-B' },
+    script: /[\u0900-\u097F]/g
+  },
+  mr: {
+    name: 'Marathi',
+    nativeName: 'मराठी',
+    speechCode: 'mr-IN',
+    voices: { FEMALE: 'mr-IN-Wavenet-A', MALE: 'mr-IN-Wavenet-B' },
+    script: /[\u0900-\u097F]/g
+  },
+  bn: {
+    name: 'Bengali',
+    nativeName: 'বাংলা',
+    speechCode: 'bn-IN',
+    voices: { FEMALE: 'bn-IN-Wavenet-A', MALE: 'bn-IN-Wavenet-B' },
+    script: /[\u0980-\u09FF]/g
+  },
+  ta: {
+    name: 'Tamil',
+    nativeName: 'தமிழ்',
+    speechCode: 'ta-IN',
+    voices: { FEMALE: 'ta-IN-Wavenet-A', MALE: 'ta-IN-Wavenet-B' },
+    script: /[\u0B80-\u0BFF]/g
+  },
+  te: {
+    name: 'Telugu',
+    nativeName: 'తెలుగు',
+    speechCode: 'te-IN',
+    voices: { FEMALE: 'te-IN-Standard-A', MALE: 'te-IN-Standard-B' },
+    script: /[\u0C00-\u0C7F]/g
+  },
+  gu: {
+    name: 'Gujarati',
+    nativeName: 'ગુજરાતી',
+    speechCode: 'gu-IN',
+    voices: { FEMALE: 'gu-IN-Wavenet-A', MALE: 'gu-IN-Wavenet-B' },
+    script: /[\u0A80-\u0AFF]/g
+  },
+  kn: {
+    name: 'Kannada',
+    nativeName: 'ಕನ್ನಡ',
+    speechCode: 'kn-IN',
+    voices: { FEMALE: 'kn-IN-Wavenet-A', MALE: 'kn-IN-Wavenet-B' },
+    script: /[\u0C80-\u0CFF]/g
+  },
+  ml: {
+    name: 'Malayalam',
+    nativeName: 'മലയാളം',
+    speechCode: 'ml-IN',
+    voices: { FEMALE: 'ml-IN-Wavenet-A', MALE: 'ml-IN-Wavenet-B' },
+    script: /[\u0D00-\u0D7F]/g
+  },
+  pa: {
+    name: 'Punjabi',
+    nativeName: 'ਪੰਜਾਬੀ',
+    speechCode: 'pa-IN',
+    voices: { FEMALE: 'pa-IN-Wavenet-A', MALE: 'pa-IN-Wavenet-B' },
+    script: /[\u0A00-\u0A7F]/g
+  }
+};
+
+// Language of users who have not picked one, and of alerts as they are written
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Normalize a language code ("hi", "hi-IN", "HI_in") to a supported language
+ * @param {string} value - Language or locale code
+ * @returns {string|null} Key in LANGUAGES, or null when unsupported
+ */
+const resolveLanguage = (value) => {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[code] ? code : null;
+};
+
+/**
+ * Check that a value names a supported language
+ * @param {string} value - Language or locale code
+ * @returns {boolean} True when supported
+ */
+const isSupportedLanguage = (value) => resolveLanguage(value) !== null;
+
+/**
+ * Guess the language of a text from its script. Romanized text counts as
+ * English; for scripts shared by several languages the hint wins.
+ * @param {string} text - Text
+ * @param {string} hint - Language the writer is likely to use (e.g. their preferred language)
+ * @returns {string} Language code (the hint, or the default, when the text has no letters)
+ */
+const detectLanguage = (text, hint = null) => {
+  const preferred = resolveLanguage(hint);
+  let best = null;
+  let bestCount = 0;
+
+  for (const [code, language] of Object.entries(LANGUAGES)) {
+    const count = (String(text || '').match(language.script) || []).length;
+    // Ties go to the preferred language, then to the one listed first
+    if (count > bestCount || (count > 0 && count === bestCount && code === preferred)) {
+      best = code;
+      bestCount = count;
+    }
+  }
+
+  return best || preferred || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Speech settings for a language
+ * @param {string} value - Language or locale code; unsupported values get the default language
+ * @param {string} gender - FEMALE or MALE
+ * @returns {Object} { language, languageCode, voiceName, ssmlGender }
+ */
+const getVoice = (value, gender = 'FEMALE') => {
+  const language = resolveLanguage(value) || DEFAULT_LANGUAGE;
+  const ssmlGender = gender === 'MALE' ? 'MALE' : 'FEMALE';
+  const { speechCode, voices } = LANGUAGES[language];
+
+  return { language, languageCode: speechCode, voiceName: voices[ssmlGender], ssmlGender };
+};
+
+/**
+ * Supported languages for clients (profile pickers)
+ * @returns {Array} [{ code, name, nativeName, speechCode }]
+ */
+const listLanguages = () => Object.entries(LANGUAGES).map(([code, language]) => ({
+  code,
+  name: language.name,
+  nativeName: language.nativeName,
+  speechCode: language.speechCode
+}));
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  isSupportedLanguage,
+  detectLanguage,
+  getVoice,
+  listLanguages
+};
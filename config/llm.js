@@ -0,0 +1,47 @@
+/**
+ * Generation settings for each kind of model call. Every AI feature names
+ * its task when calling services/llm, so temperatures and output limits
+ * live here instead of in each client. The model itself comes from
+ * LLM_MODEL (LLM_VISION_MODEL for requests with images).
+ */
+// Gemini's default thresholds block first-aid answers (bleeding, burns) as
+// dangerous content; only clearly harmful answers are blocked. Ignored by
+// non-Gemini backends.
+const ASSISTANT_SAFETY_SETTINGS = [
+  { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_ONLY_HIGH' }
+];
+
+const LLM_TASKS = {
+  // Emergency assistant conversations
+  chat: { temperature: 0.3, maxOutputTokens: 2048, safetySettings: ASSISTANT_SAFETY_SETTINGS },
+  // Disaster risk prediction
+  prediction: { temperature: 0.2, maxOutputTokens: 1024 },
+  // Choosing between evacuation routes
+  evacuation: { temperature: 0.2, maxOutputTokens: 1024 },
+  // Free-form image analysis
+  vision: { temperature: 0.1, maxOutputTokens: 1024 },
+  // Structured damage assessment of report photos
+  damageAssessment: { temperature: 0.1, maxOutputTokens: 512 },
+  // Translating alerts and canned answers into users' languages
+  translation: { temperature: 0, maxOutputTokens: 2048 }
+};
+
+// Used when a caller does not name a task
+const DEFAULT_TASK = 'chat';
+
+// Model used by each backend when LLM_MODEL is not set
+const DEFAULT_MODELS = {
+  vertex: 'gemini-1.5-pro',
+  gemini: 'gemini-1.5-flash',
+  openai: 'gpt-4o-mini',
+  fake: 'fake-model'
+};
+
+module.exports = {
+  LLM_TASKS,
+  DEFAULT_TASK,
+  DEFAULT_MODELS
+};
@@ -0,0 +1,35 @@
+/**
+ * User roles and the groups of roles allowed to perform privileged actions.
+ * Admins pass every role check (see middleware/auth/authorize.js).
+ */
+const ROLES = {
+  CITIZEN: 'citizen',
+  RESPONDER: 'responder',
+  DISPATCHER: 'dispatcher',
+  ADMIN: 'admin'
+};
+
+// Role given to every newly registered user; others are granted by an admin
+const DEFAULT_ROLE = ROLES.CITIZEN;
+
+const ROLE_GROUPS = {
+  // Create, change or cancel alerts and trigger mass notifications
+  broadcasters: [ROLES.DISPATCHER, ROLES.ADMIN],
+  // Work incoming reports and follow up with affected users
+  responders: [ROLES.RESPONDER, ROLES.DISPATCHER, ROLES.ADMIN],
+  admins: [ROLES.ADMIN]
+};
+
+/**
+ * Check that a value is a known role
+ * @param {string} role - Role name
+ * @returns {boolean} True for a known role
+ */
+const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_GROUPS,
+  isValidRole
+};
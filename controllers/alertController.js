@@ -1,18 +1,19 @@
-const Alert = require('../models/Alert');
 const pushNotificationService = require('../services/notificationServices/pushNotifications/pushNotification');
 const smsService = require('../services/notificationServices/smsServices/smsService');
 const pubSubService = require('../services/pubsub/pubSubService');
 const alertService = require('../services/alerts/alertService');
+const capService = require('../services/alerts/capService');
+const deliveryReceiptService = require('../services/alerts/deliveryReceiptService');
 class AlertController {
   async createAlert(req, res) {
     try {
       const alertData = req.body;
       
       // Validate request
-      if (!alertData.title || !alertData.message || !alertData.location) {
+      if (!alertData.title || !alertData.message || (!alertData.location && !alertData.geometry)) {
         return res.status(400).json({
           success: false,
-          error: 'Missing required fields: title, message, location'
+          error: 'Missing required fields: title, message, location or geometry'
         });
       }
       
@@ -28,7 +29,7 @@ class AlertController {
       });
     } catch (error) {
       console.error('Error creating alert:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         error: error.message
       });
@@ -37,15 +38,110 @@ class AlertController {
 
   async getActiveAlerts(req, res) {
     try {
-      const alerts = await Alert.find()
-        .sort({ timestamp: -1 })
-        .limit(10);
+      const alerts = await alertService.getActiveAlerts(req.query.limit ? parseInt(req.query.limit, 10) : 10);
       res.json(alerts);
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   }
 
+  async updateAlert(req, res) {
+    try {
+      const alert = await alertService.updateAlert(req.params.id, req.body);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          alert: alert,
+          message: `Alert updated to version ${alert.version}`
+        }
+      });
+    } catch (error) {
+      console.error('Error updating alert:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async cancelAlert(req, res) {
+    try {
+      const alert = await alertService.cancelAlert(req.params.id, req.body && req.body.reason);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          alert: alert,
+          message: 'Alert cancelled successfully'
+        }
+      });
+    } catch (error) {
+      console.error('Error cancelling alert:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async supersedeAlert(req, res) {
+    try {
+      const alertId = await alertService.supersedeAlert(req.params.id, req.body || {});
+      
+      res.status(201).json({
+        success: true,
+        data: {
+          alertId: alertId,
+          supersedes: req.params.id,
+          message: 'Alert superseded successfully'
+        }
+      });
+    } catch (error) {
+      console.error('Error superseding alert:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async acknowledgeAlert(req, res) {
+    try {
+      // The receipt belongs to the signed-in user, never to a userId in the body
+      const { channel } = req.body || {};
+      const receipt = await deliveryReceiptService.acknowledge(req.params.id, req.user.userId, channel || 'fcm');
+      
+      res.status(200).json({
+        success: true,
+        data: receipt
+      });
+    } catch (error) {
+      console.error('Error acknowledging alert:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async getUnacknowledged(req, res) {
+    try {
+      const report = await deliveryReceiptService.getUnacknowledged(req.params.id);
+      
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error fetching unacknowledged users:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   async generateWarning(req, res) {
     try {
       const { location } = req.body;
@@ -111,7 +207,7 @@ class AlertController {
       });
     } catch (error) {
       console.error('Error creating evacuation notice:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         error: error.message
       });
@@ -123,10 +219,10 @@ class AlertController {
       const { alert, area } = req.body;
       
       // Validate request
-      if (!alert || !area || !area.center || !area.radius) {
+      if (!alert || !area || (!area.geometry && (!area.center || !area.radius))) {
         return res.status(400).json({
           success: false,
-          error: 'Missing required fields: alert, area (center, radius)'
+          error: 'Missing required fields: alert, area (geometry, or center and radius)'
         });
       }
       
@@ -142,7 +238,54 @@ class AlertController {
       });
     } catch (error) {
       console.error('Error notifying users:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async ingestCapAlert(req, res) {
+    try {
+      const alertId = await alertService.ingestCapAlert(req.body);
+      
+      res.status(201).json({
+        success: true,
+        data: {
+          alertId: alertId,
+          message: 'CAP alert ingested successfully'
+        }
+      });
+    } catch (error) {
+      console.error('Error ingesting CAP alert:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        problems: error.problems
+      });
+    }
+  }
+
+  async exportCapAlert(req, res) {
+    try {
+      const cap = await alertService.getCapAlert(req.params.id);
+      
+      if (!cap) {
+        return res.status(404).json({
+          success: false,
+          error: `Alert ${req.params.id} not found`
+        });
+      }
+      
+      // XML is the canonical CAP encoding; JSON on request
+      if (req.query.format === 'json' || (req.accepts([capService.CAP_CONTENT_TYPE, 'xml', 'json']) === 'json')) {
+        return res.json(capService.toJson(cap));
+      }
+      
+      res.type(capService.CAP_CONTENT_TYPE).send(capService.toXml(cap));
+    } catch (error) {
+      console.error('Error exporting CAP alert:', error);
+      res.status(error.statusCode || 500).json({
         success: false,
         error: error.message
       });
@@ -1,23 +1,28 @@
 const express = require("express");
 const router = express.Router();
 const geminiService = require("../services/ai gemini/geminiService");
+const authMiddleware = require("../middleware/auth/auth");
+
+// Sessions belong to the signed-in user
+router.use(authMiddleware);
 
 /**
  * Initialize a new chat session
  */
 router.post("/chat/start", async (req, res) => {
   try {
-    const { emergencyType, location } = req.body;
-    const result = await geminiService.startChat(emergencyType, location);
+    const { emergencyType, location, language } = req.body;
+    const result = await geminiService.startChat(emergencyType, location, req.user.userId, language);
     
     return res.status(200).json({
       success: true,
       sessionId: result.sessionId,
-      message: result.message
+      message: result.message,
+      language: result.language
     });
   } catch (error) {
     console.error("Error starting chat session:", error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: "Failed to start emergency chat session"
     });
@@ -38,15 +43,16 @@ router.post("/chat/message", async (req, res) => {
       });
     }
 
-    const result = await geminiService.sendMessage(sessionId, message);
+    const result = await geminiService.sendMessage(sessionId, message, req.user.userId);
     
     return res.status(200).json({
       success: true,
-      response: result.response
+      response: result.response,
+      language: result.language
     });
   } catch (error) {
     console.error("Error in chat message:", error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || "Failed to process message"
     });
@@ -56,17 +62,17 @@ router.post("/chat/message", async (req, res) => {
 /**
  * Get chat history for a session
  */
-router.get("/chat/:sessionId/history", (req, res) => {
+router.get("/chat/:sessionId/history", async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const history = geminiService.getSessionHistory(sessionId);
+    const history = await geminiService.getSessionHistory(sessionId, req.user.userId);
     
     return res.status(200).json({
       success: true,
       history
     });
   } catch (error) {
-    return res.status(404).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || "Chat session not found"
     });
@@ -76,17 +82,17 @@ router.get("/chat/:sessionId/history", (req, res) => {
 /**
  * End a chat session
  */
-router.post("/chat/:sessionId/end", (req, res) => {
+router.post("/chat/:sessionId/end", async (req, res) => {
   try {
     const { sessionId } = req.params;
-    geminiService.endSession(sessionId);
+    await geminiService.endSession(sessionId, req.user.userId);
     
     return res.status(200).json({
       success: true,
       message: "Chat session ended"
     });
   } catch (error) {
-    return res.status(404).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || "Chat session not found"
     });
@@ -1,15 +1,30 @@
 const DisasterReport = require("../models/DisasterReport");
+const reportModerationService = require("../services/reports/reportModerationService");
+const reportMediaService = require("../services/reports/reportMediaService");
+const damageAssessmentService = require("../services/reports/damageAssessmentService");
+const multer = require("multer");
+
+// Evidence uploads are held in memory; reportMediaService re-encodes them before storage
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: parseInt(process.env.REPORT_MEDIA_MAX_FILE_MB || '25', 10) * 1024 * 1024,
+        files: 5
+    }
+}).array('media');
 
 exports.addDisasterReport = async (req, res) => {
     try {
+        // Signed-in reporters build reputation; anonymous reports are accepted but weigh less
         const reportData = req.body;
-        const newReport = await DisasterReport.create(reportData);
+        const { report, cluster } = await reportModerationService.submitReport(reportData, req.user ? req.user.userId : null);
         res.status(201).json({
             success: true,
-            data: newReport
+            data: report,
+            cluster: cluster
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
             error: error.message
         });
@@ -59,4 +74,129 @@ exports.updateDisasterReport = async (req, res) => {
             error: error.message
         });
     }
-}; 
\ No newline at end of file
+};
+
+exports.verifyDisasterReport = async (req, res) => {
+    try {
+        const result = await reportModerationService.verifyReport(req.params.id, req.user.userId, req.body && req.body.note);
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+exports.rejectDisasterReport = async (req, res) => {
+    try {
+        const reason = req.body && req.body.reason;
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                error: 'A rejection reason is required'
+            });
+        }
+
+        const result = await reportModerationService.rejectReport(req.params.id, req.user.userId, reason);
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+exports.getReportClusters = async (req, res) => {
+    try {
+        const { status, limit } = req.query;
+        const clusters = await reportModerationService.getClusters(status || 'open', limit ? parseInt(limit, 10) : undefined);
+        res.status(200).json({
+            success: true,
+            data: clusters
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+exports.getReportCluster = async (req, res) => {
+    try {
+        const cluster = await reportModerationService.getCluster(req.params.id);
+        res.status(200).json({
+            success: true,
+            data: cluster
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+exports.getReporterReputation = async (req, res) => {
+    try {
+        const reputation = await reportModerationService.getReputation(req.params.userId);
+        res.status(200).json({
+            success: true,
+            data: reputation
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+exports.uploadReportMedia = [
+    (req, res, next) => {
+        mediaUpload(req, res, (error) => {
+            if (!error) return next();
+            res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                success: false,
+                error: error.message
+            });
+        });
+    },
+    async (req, res) => {
+        try {
+            const media = await reportMediaService.attachMedia(req.params.id, req.files, req.user || null);
+            res.status(201).json({
+                success: true,
+                data: media
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+];
+
+exports.assessDisasterReport = async (req, res) => {
+    try {
+        const assessment = await damageAssessmentService.assessReport(req.params.id);
+        res.status(200).json({
+            success: true,
+            data: assessment
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
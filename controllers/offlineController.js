@@ -0,0 +1,55 @@
+const alertPackService = require('../services/offline/alertPackService');
+const packSigner = require('../services/offline/packSigner');
+
+const offlineController = {
+  /**
+   * Signed offline pack for an area, or only the sections changed since ?since=
+   * Signed-in users also get their emergency contacts and preferred language.
+   */
+  async getPack(req, res) {
+    try {
+      const { lat, lng, disasterType, language, since } = req.query;
+      const { pack, signature } = await alertPackService.getPack({
+        lat,
+        lng,
+        disasterType,
+        language,
+        since,
+        userId: req.user ? req.user.userId : null
+      });
+
+      // Personal contacts must not be cached by shared proxies
+      res.set('Cache-Control', 'private, no-store');
+      return res.status(200).json({
+        success: true,
+        data: { pack, signature }
+      });
+    } catch (error) {
+      console.error('Error building offline pack:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Public key for verifying offline pack signatures
+   */
+  getSigningKey(req, res) {
+    try {
+      return res.status(200).json({
+        success: true,
+        data: packSigner.getPublicKey()
+      });
+    } catch (error) {
+      console.error('Error reading offline pack signing key:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = offlineController;
@@ -195,6 +195,7 @@ exports.getComprehensiveRiskReport = async (req, res) => {
       locationName: `${location.city}, ${location.state}`,
       timestamp: new Date().toISOString(),
       overallRiskLevel: prediction.overallRiskLevel,
+      predictionSource: prediction.source,
       highestRisks: prediction.risks
         .filter(risk => ['high', 'extreme'].includes(risk.riskLevel.toLowerCase()))
         .map(risk => risk.disasterType),
@@ -0,0 +1,233 @@
+const checkInService = require('../services/safety/checkInService');
+const familyService = require('../services/safety/familyService');
+const sosService = require('../services/safety/sosService');
+
+const safetyController = {
+  /**
+   * Mark the signed-in user safe or needing help and notify their emergency contacts
+   * @route POST /api/safety/check-in
+   */
+  async checkIn(req, res) {
+    try {
+      const { status, location, message, alertId } = req.body || {};
+      const result = await checkInService.checkIn(req.user.userId, {
+        status,
+        channel: 'app',
+        location,
+        message,
+        alertId
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error recording check-in:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Last check-in and location of the signed-in user's linked family members
+   * @route GET /api/safety/family
+   */
+  async getFamilyBoard(req, res) {
+    try {
+      const board = await checkInService.getFamilyBoard(req.user.userId);
+
+      // Family locations must not be cached by shared proxies
+      res.set('Cache-Control', 'private, no-store');
+      return res.status(200).json({
+        success: true,
+        data: board
+      });
+    } catch (error) {
+      console.error('Error building family status board:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Create an invite for someone to become the signed-in user's linked family
+   * @route POST /api/safety/family/invites
+   */
+  async createFamilyInvite(req, res) {
+    try {
+      const invite = await familyService.createInvite(req.user.userId);
+
+      res.set('Cache-Control', 'private, no-store');
+      return res.status(201).json({
+        success: true,
+        data: invite
+      });
+    } catch (error) {
+      console.error('Error creating family invite:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Accept a family invite as the signed-in user
+   * @route POST /api/safety/family/invites/:token/accept
+   */
+  async acceptFamilyInvite(req, res) {
+    try {
+      const member = await familyService.acceptInvite(req.user.userId, req.params.token);
+
+      return res.status(200).json({
+        success: true,
+        data: member
+      });
+    } catch (error) {
+      console.error('Error accepting family invite:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Unlink a family member from the signed-in user (on both sides)
+   * @route DELETE /api/safety/family/:userId
+   */
+  async removeFamilyMember(req, res) {
+    try {
+      const removed = await familyService.removeMember(req.user.userId, req.params.userId);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not a linked family member'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: { userId: req.params.userId, removed }
+      });
+    } catch (error) {
+      console.error('Error removing family member:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Start an SOS (or get back the one already running) for the signed-in user
+   * @route POST /api/safety/sos
+   */
+  async startSos(req, res) {
+    try {
+      const { location, message } = req.body || {};
+      const result = await sosService.start(req.user.userId, { location, message, channel: 'app' });
+
+      return res.status(result.resumed ? 200 : 201).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error starting SOS:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Open SOS sessions (responders)
+   * @route GET /api/safety/sos
+   */
+  async listSos(req, res) {
+    try {
+      const sessions = await sosService.listActive();
+      return res.status(200).json({
+        success: true,
+        count: sessions.length,
+        data: sessions
+      });
+    } catch (error) {
+      console.error('Error listing SOS sessions:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * An SOS session with its full track (its user or responders)
+   * @route GET /api/safety/sos/:id
+   */
+  async getSos(req, res) {
+    try {
+      const session = await sosService.getSession(req.params.id, req.user);
+      return res.status(200).json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      console.error('Error fetching SOS session:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Close an SOS (its user or a responder)
+   * @route POST /api/safety/sos/:id/close
+   */
+  async closeSos(req, res) {
+    try {
+      const session = await sosService.close(req.params.id, req.user, (req.body || {}).reason);
+      return res.status(200).json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      console.error('Error closing SOS:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Live position behind an SOS tracking link; no account needed
+   * @route GET /api/safety/sos/track/:token
+   */
+  async getSosTracking(req, res) {
+    try {
+      const tracking = await sosService.getTracking(req.params.token);
+
+      res.set('Cache-Control', 'no-store');
+      return res.status(200).json({
+        success: true,
+        data: tracking
+      });
+    } catch (error) {
+      console.error('Error fetching SOS tracking:', error.message);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = safetyController;
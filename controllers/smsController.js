@@ -0,0 +1,64 @@
+const smsCommandService = require('../services/notificationServices/smsServices/smsCommandService');
+
+/**
+ * Escape text for an XML element
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const smsController = {
+  /**
+   * Inbound SMS webhook. Twilio-style form posts (From, Body) are answered
+   * with TwiML so the gateway sends the reply; JSON posts ({ from, text })
+   * get the reply as JSON.
+   */
+  async receiveSms(req, res) {
+    const body = req.body || {};
+    const from = body.From || body.from;
+    const text = body.Body !== undefined ? body.Body : body.text;
+
+    if (!from) {
+      return res.status(400).json({ success: false, error: 'Sender number (From) is required' });
+    }
+
+    try {
+      const result = await smsCommandService.handleMessage({ from, text, channel: 'sms' });
+
+      if (req.is('application/json')) {
+        return res.status(200).json({ success: true, data: result });
+      }
+      return res.type('text/xml').send(
+        `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escapeXml(result.reply)}</Message></Response>`
+      );
+    } catch (error) {
+      console.error('Error handling inbound SMS:', error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  },
+
+  /**
+   * USSD gateway callback ({ sessionId, phoneNumber, text }); replies with
+   * plain "CON ..." to show another screen or "END ..." to close the session
+   */
+  async receiveUssd(req, res) {
+    const { sessionId, phoneNumber, text } = req.body || {};
+
+    if (!sessionId || !phoneNumber) {
+      return res.status(400).type('text/plain').send('END Invalid request');
+    }
+
+    try {
+      const screen = await smsCommandService.handleUssd({ sessionId, phoneNumber, text });
+      return res.status(200).type('text/plain').send(screen);
+    } catch (error) {
+      console.error('Error handling USSD request:', error);
+      return res.status(200).type('text/plain').send('END Sorry, something went wrong. In danger, call 112.');
+    }
+  }
+};
+
+module.exports = smsController;
@@ -1,4 +1,6 @@
 const userService = require('../services/userService');
+const authService = require('../services/authService');
+const { listLanguages } = require('../config/languages');
 
 const userController = {
     /**
@@ -14,6 +16,61 @@ const userController = {
         }
     },
 
+    /**
+     * Logs in and issues an access token and a refresh token
+     * @route POST /api/users/login
+     */
+    async login(req, res) {
+        try {
+            const { email, password } = req.body;
+            const session = await authService.login(email, password);
+            res.status(200).json({ message: 'Login successful', ...session });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Exchanges a refresh token for new tokens
+     * @route POST /api/users/refresh
+     */
+    async refresh(req, res) {
+        try {
+            const tokens = await authService.refresh(req.body.refreshToken);
+            res.status(200).json({ message: 'Token refreshed', ...tokens });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Revokes a refresh token ({ everywhere: true } ends every session)
+     * @route POST /api/users/logout
+     */
+    async logout(req, res) {
+        try {
+            const { refreshToken, everywhere } = req.body;
+            const sessions = await authService.logout(refreshToken, everywhere === true);
+            res.status(200).json({ message: 'Logged out successfully', sessions });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+        }
+    },
+
+    /**
+     * Changes a user's role (admin only)
+     * @route PUT /api/users/:id/role
+     */
+    async setRole(req, res) {
+        try {
+            const userId = req.params.id;
+            await userService.setUserRole(userId, req.body.role);
+            res.status(200).json({ message: 'Role updated successfully' });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    },
+
     /**
      * Updates user profile
      * @route PUT /api/users/:id
@@ -28,6 +85,20 @@ const userController = {
         }
     },
 
+    /**
+     * Changes the user's password after checking the current one
+     * @route PUT /api/users/:id/password
+     */
+    async changePassword(req, res) {
+        try {
+            const { currentPassword, newPassword } = req.body;
+            const sessions = await userService.changePassword(req.params.id, currentPassword, newPassword);
+            res.status(200).json({ message: 'Password changed successfully; please log in again', sessions });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({ error: error.message });
+        }
+    },
+
     /**
      * Adds an FCM token for push notifications
      * @route POST /api/users/:id/fcm
@@ -58,6 +129,14 @@ const userController = {
         }
     },
 
+    /**
+     * Lists the languages a user can pick as preferredLanguage
+     * @route GET /api/users/languages
+     */
+    async getLanguages(req, res) {
+        res.status(200).json({ languages: listLanguages() });
+    },
+
     /**
      * Gets user by ID (including emergency contacts)
      * @route GET /api/users/:id
@@ -69,7 +148,8 @@ const userController = {
             if (!user) {
                 return res.status(404).json({ error: 'User not found' });
             }
-            res.status(200).json(user);
+            const { password, ...profile } = user;
+            res.status(200).json(profile);
         } catch (error) {
             res.status(400).json({ error: error.message });
         }
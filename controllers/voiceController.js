@@ -5,7 +5,18 @@
 
 const voiceService = require('../services/voice/voiceService');
 const geminiService = require('../services/ai gemini/geminiService');
+const userService = require('../services/userService');
 const logger = require('../utils/logging/logger');
+const { resolveLanguage } = require('../config/languages');
+
+/**
+ * Language a voice request is spoken in: the one the client names, else the user's preferredLanguage
+ * @param {Object} req - Express request object
+ * @returns {Promise<string>} Language code
+ */
+async function getRequestLanguage(req) {
+  return resolveLanguage(req.body.language) || userService.getPreferredLanguage(req.user ? req.user.userId : null);
+}
 
 /**
  * Process audio input and return a text response from the AI assistant
@@ -20,16 +31,17 @@ async function processVoiceInput(req, res) {
       return res.status(400).json({ error: 'No audio data provided' });
     }
 
+    const language = await getRequestLanguage(req);
     logger.info('Received voice input request', {
       contentType: req.headers['content-type'],
-      audioConfig: audioConfig
+      audioConfig: audioConfig,
+      language
     });
 
     // Convert speech to text - ensure audioConfig is properly passed
-    const transcribedText = await voiceService.speechToText(audio, audioConfig || {
-      encoding: 'LINEAR16',
-      sampleRateHertz: 48000,
-      languageCode: 'en-US'
+    const transcribedText = await voiceService.speechToText(audio, {
+      language,
+      ...(audioConfig || { encoding: 'LINEAR16', sampleRateHertz: 48000 })
     });
     
     if (!transcribedText || transcribedText.trim() === '') {
@@ -39,10 +51,10 @@ async function processVoiceInput(req, res) {
     logger.info('Successfully transcribed voice input', { 
       text: transcribedText.substring(0, 100) + (transcribedText.length > 100 ? '...' : '')
     });    // Process with Gemini AI - start a new chat session for this voice request
-    const { sessionId, message } = await geminiService.startChat("voice_query");
+    const { sessionId, message } = await geminiService.startChat("voice_query", "unknown", req.user ? req.user.userId : null, language);
     
-    // Send the transcribed text to get a response
-    const { response } = await geminiService.sendMessage(sessionId, transcribedText);
+    // Send the transcribed text to get a response, in the language it was spoken in
+    const { response, language: replyLanguage } = await geminiService.sendMessage(sessionId, transcribedText, req.user ? req.user.userId : null);
     
     logger.info('Received AI response for voice query', {
       responseLength: response.length
@@ -50,7 +62,8 @@ async function processVoiceInput(req, res) {
     res.status(200).json({
       success: true,
       transcribedText,
-      aiResponse: response
+      aiResponse: response,
+      language: replyLanguage
     });
   } catch (error) {
     logger.error('Error processing voice input:', error);
@@ -71,13 +84,13 @@ async function processVoiceConversation(req, res) {
       return res.status(400).json({ error: 'No audio data provided' });
     }
 
-    logger.info('Received voice conversation request');
+    const language = await getRequestLanguage(req);
+    logger.info('Received voice conversation request', { language });
 
     // Convert speech to text - ensure audioConfig is properly passed
-    const transcribedText = await voiceService.speechToText(audio, audioConfig || {
-      encoding: 'LINEAR16',
-      sampleRateHertz: 48000,
-      languageCode: 'en-US'
+    const transcribedText = await voiceService.speechToText(audio, {
+      language,
+      ...(audioConfig || { encoding: 'LINEAR16', sampleRateHertz: 48000 })
     });
     
     if (!transcribedText || transcribedText.trim() === '') {
@@ -85,13 +98,13 @@ async function processVoiceConversation(req, res) {
     }
 
     // Process with Gemini AI - start a new chat session for each voice request
-    const { sessionId, message } = await geminiService.startChat("voice_query");
+    const { sessionId, message } = await geminiService.startChat("voice_query", "unknown", req.user ? req.user.userId : null, language);
     
-    // Send the transcribed text to get a response
-    const { response } = await geminiService.sendMessage(sessionId, transcribedText);
+    // Send the transcribed text to get a response, in the language it was spoken in
+    const { response, language: replyLanguage } = await geminiService.sendMessage(sessionId, transcribedText, req.user ? req.user.userId : null);
     
-    // Convert AI text response back to speech
-    const audioResponseBase64 = await voiceService.textToSpeechAudio(response, voiceConfig);
+    // Convert AI text response back to speech with a voice for that language
+    const audioResponseBase64 = await voiceService.textToSpeechAudio(response, { language: replyLanguage, ...voiceConfig });
     const audioResponse = Buffer.from(audioResponseBase64, 'base64');
       
     logger.info('Successfully processed voice conversation', {
@@ -135,7 +148,7 @@ async function handleStreamingVoice(req, res) {
  */
 async function textToSpeech(req, res) {
   try {
-    const { text, voiceConfig } = req.body;
+    const { text, voiceConfig, language } = req.body;
     
     if (!text) {
       return res.status(400).json({ error: 'No text provided' });
@@ -145,8 +158,8 @@ async function textToSpeech(req, res) {
       textLength: text.length
     });
 
-    // Convert text to speech
-    const audioResponseBase64 = await voiceService.textToSpeechAudio(text, voiceConfig);
+    // Convert text to speech; without a language the voice matches the text's script
+    const audioResponseBase64 = await voiceService.textToSpeechAudio(text, { language: resolveLanguage(language) || undefined, ...voiceConfig });
     const audioResponse = Buffer.from(audioResponseBase64, 'base64');
     
     logger.info('Successfully converted text to speech', {
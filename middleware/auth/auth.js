@@ -1,5 +1,22 @@
 const jwt = require('jsonwebtoken');
 
+/**
+ * Verify an access token issued by authService
+ * @param {string} token - JWT access token
+ * @returns {Object} Token claims with userId (= sub) and role
+ */
+const verifyAccessToken = (token) => {
+  if (!process.env.JWT_SECRET) {
+    const error = new Error('Authentication is not configured');
+    error.statusCode = 500;
+    throw error;
+  }
+
+  // Only access tokens are accepted here; refresh tokens are opaque and never reach this check
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  return { ...decoded, userId: decoded.sub };
+};
+
 const authMiddleware = (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
@@ -8,12 +25,27 @@ const authMiddleware = (req, res, next) => {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    req.user = verifyAccessToken(token);
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    res.status(401).json({ message });
   }
 };
 
-module.exports = authMiddleware; 
\ No newline at end of file
+/**
+ * Like authMiddleware, but lets requests without a token through with no req.user
+ * (a token that is present must still be valid)
+ */
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  authMiddleware(req, res, next);
+};
+
+authMiddleware.verifyAccessToken = verifyAccessToken;
+authMiddleware.optionalAuth = optionalAuth;
+
+module.exports = authMiddleware;
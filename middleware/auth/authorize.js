@@ -0,0 +1,28 @@
+const authMiddleware = require('./auth');
+const { ROLES } = require('../../config/roles');
+
+/**
+ * Require an authenticated user with one of the given roles (admins always pass).
+ * Runs the JWT check itself, so it can be used on a route on its own.
+ * @param {...string} roles - Allowed roles, or a role group array from config/roles
+ * @returns {Function} Express middleware
+ */
+const authorize = (...roles) => {
+  const allowed = roles.flat();
+
+  return (req, res, next) => {
+    const checkRole = () => {
+      const role = req.user && req.user.role;
+      if (role !== ROLES.ADMIN && !allowed.includes(role)) {
+        return res.status(403).json({ message: 'You do not have permission to perform this action' });
+      }
+      next();
+    };
+
+    // Already authenticated earlier in the chain
+    if (req.user) return checkRole();
+    authMiddleware(req, res, checkRole);
+  };
+};
+
+module.exports = authorize;
@@ -0,0 +1,20 @@
+const authMiddleware = require('./auth');
+const { ROLES } = require('../../config/roles');
+
+/**
+ * Require the authenticated user to be the user the route is about (:id),
+ * or an admin. Runs the JWT check itself, like authorize.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const authorizeSelf = (req, res, next) => {
+  authMiddleware(req, res, () => {
+    if (req.user.userId !== req.params.id && req.user.role !== ROLES.ADMIN) {
+      return res.status(403).json({ message: 'You do not have permission to perform this action' });
+    }
+    next();
+  });
+};
+
+module.exports = authorizeSelf;
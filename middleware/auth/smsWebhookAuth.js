@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+/*
+ * Verification of inbound SMS and USSD webhooks.
+ *
+ * A request is accepted when it carries a valid Twilio signature
+ * (X-Twilio-Signature, keyed with TWILIO_AUTH_TOKEN) or the shared secret
+ * SMS_WEBHOOK_SECRET (X-Webhook-Secret header or ?secret=), for USSD and
+ * other gateways that do not sign requests. Twilio signs the public URL it
+ * called; set SMS_WEBHOOK_BASE_URL (e.g. https://api.example.org) when the
+ * server sits behind a proxy that changes the host or protocol. With neither
+ * setting every request is refused, unless NODE_ENV=development or
+ * SMS_WEBHOOK_ALLOW_UNVERIFIED=true explicitly allows unverified calls.
+ */
+
+let warnedUnverified = false;
+
+/**
+ * Twilio request signature: HMAC-SHA1 of the URL followed by each POST
+ * parameter name and value, sorted by name
+ * @param {string} authToken - Twilio auth token
+ * @param {string} url - Full URL Twilio called, including the query string
+ * @param {Object} params - POST parameters
+ * @returns {string} Base64 signature
+ */
+const twilioSignature = (authToken, url, params = {}) => {
+  const payload = Object.keys(params).sort().reduce((data, key) => data + key + params[key], url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(payload, 'utf-8')).digest('base64');
+};
+
+/**
+ * Constant-time string comparison
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True when equal
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Whether unverified calls may be accepted when no verification is configured
+ * @returns {boolean} True in development or with the explicit opt-in
+ */
+const allowsUnverified = () =>
+  process.env.NODE_ENV === 'development' || process.env.SMS_WEBHOOK_ALLOW_UNVERIFIED === 'true';
+
+/**
+ * Express middleware that refuses unverified webhook calls with 403
+ */
+const verifySmsWebhook = (req, res, next) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const secret = process.env.SMS_WEBHOOK_SECRET;
+
+  if (!authToken && !secret) {
+    if (!allowsUnverified()) {
+      console.warn(`Inbound SMS webhook refused from ${req.ip}: neither TWILIO_AUTH_TOKEN nor SMS_WEBHOOK_SECRET is set`);
+      return res.status(403).json({ success: false, error: 'Webhook verification is not configured' });
+    }
+    if (!warnedUnverified) {
+      console.warn('⚠️ Neither TWILIO_AUTH_TOKEN nor SMS_WEBHOOK_SECRET is set; inbound SMS webhooks are not verified');
+      warnedUnverified = true;
+    }
+    return next();
+  }
+
+  const signature = req.get('x-twilio-signature');
+  if (authToken && signature) {
+    const baseUrl = process.env.SMS_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const expected = twilioSignature(authToken, `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`, req.body || {});
+    if (safeEqual(signature, expected)) return next();
+  }
+
+  const provided = req.get('x-webhook-secret') || (req.query && req.query.secret);
+  if (secret && provided && safeEqual(provided, secret)) return next();
+
+  console.warn(`Inbound SMS webhook refused from ${req.ip}: missing or invalid signature`);
+  return res.status(403).json({ success: false, error: 'Invalid webhook signature' });
+};
+
+module.exports = {
+  verifySmsWebhook,
+  twilioSignature
+};
@@ -0,0 +1,103 @@
+const { verifyAccessToken } = require('./auth');
+const { ROLES, ROLE_GROUPS } = require('../../config/roles');
+
+/*
+ * Handshake authentication for Socket.IO and the /voice/stream WebSocket.
+ *
+ * Clients send the access token from POST /api/users/login as
+ * io(url, { auth: { token } }), an "Authorization: Bearer" header, or a
+ * ?token= query parameter (browsers cannot set WebSocket headers). A bad or
+ * expired token is always refused. Connections without a token are refused
+ * too unless SOCKET_AUTH_REQUIRED=false, in which case they are anonymous:
+ * they receive public broadcasts but cannot register or broadcast.
+ */
+
+/**
+ * Whether connections must carry a token
+ * @returns {boolean} False only when SOCKET_AUTH_REQUIRED=false
+ */
+const isAuthRequired = () => process.env.SOCKET_AUTH_REQUIRED !== 'false';
+
+/**
+ * Find the access token in a handshake
+ * @param {Object} auth - Socket.IO handshake auth payload
+ * @param {Object} headers - Request headers
+ * @param {Object} query - Query parameters
+ * @returns {string|null} Token
+ */
+const extractToken = (auth, headers, query) => {
+  if (auth && auth.token) return auth.token;
+
+  const header = headers && headers.authorization;
+  if (header && header.startsWith('Bearer ')) return header.slice(7);
+
+  return (query && query.token) || null;
+};
+
+/**
+ * Resolve the user behind a handshake
+ * @param {string|null} token - Access token
+ * @returns {Object|null} { userId, role, email }, or null for an allowed anonymous connection
+ */
+const authenticate = (token) => {
+  if (!token) {
+    if (isAuthRequired()) throw new Error('Authentication required');
+    return null;
+  }
+
+  try {
+    const { userId, role, email } = verifyAccessToken(token);
+    return { userId, role: role || ROLES.CITIZEN, email };
+  } catch (error) {
+    // Configuration errors keep their message
+    if (error.statusCode) throw error;
+    throw new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+};
+
+/**
+ * Socket.IO middleware: binds socket.user to the verified user (null when anonymous)
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} next - Continue or fail the handshake
+ */
+const socketAuthMiddleware = (socket, next) => {
+  try {
+    const { auth, headers, query } = socket.handshake;
+    socket.user = authenticate(extractToken(auth, headers, query));
+    next();
+  } catch (error) {
+    console.warn(`Socket ${socket.id} refused: ${error.message}`);
+    const refusal = new Error(error.message);
+    refusal.data = { code: 'unauthorized' };
+    next(refusal);
+  }
+};
+
+/**
+ * ws verifyClient hook: rejects the upgrade with 401 and attaches request.user
+ * @param {Object} info - { req } from ws
+ * @param {Function} callback - (allowed, code, message)
+ */
+const verifyWebSocketClient = (info, callback) => {
+  try {
+    const url = new URL(info.req.url, 'http://localhost');
+    info.req.user = authenticate(extractToken(null, info.req.headers, Object.fromEntries(url.searchParams)));
+    callback(true);
+  } catch (error) {
+    console.warn(`WebSocket connection refused: ${error.message}`);
+    callback(false, 401, error.message);
+  }
+};
+
+/**
+ * Whether a socket may originate broadcasts (responders and above)
+ * @param {Object} socket - Socket.IO socket
+ * @returns {boolean} True if allowed
+ */
+const canBroadcast = (socket) => Boolean(socket.user) && ROLE_GROUPS.responders.includes(socket.user.role);
+
+module.exports = {
+  socketAuthMiddleware,
+  verifyWebSocketClient,
+  canBroadcast
+};
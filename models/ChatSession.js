@@ -0,0 +1,204 @@
+const firebase = require('../config/firebase-config');
+
+// Chat sessions with their messages in a `messages` subcollection, ordered by `seq`.
+// `expiresAt` is a Timestamp so a Firestore TTL policy can be set on it.
+
+const sessions = () => firebase.db.collection('chatSessions');
+
+/**
+ * Firestore Timestamp for a Date
+ * @param {Date} date - Date
+ * @returns {Object} Timestamp
+ */
+const toTimestamp = (date) => firebase.admin.firestore.Timestamp.fromDate(date);
+
+/**
+ * Convert a session document to a plain object with ISO dates
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object} Session
+ */
+function toSession(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: data.createdAt && data.createdAt.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+    lastActivity: data.lastActivity && data.lastActivity.toDate ? data.lastActivity.toDate().toISOString() : data.lastActivity,
+    expiresAt: data.expiresAt && data.expiresAt.toDate ? data.expiresAt.toDate().toISOString() : data.expiresAt
+  };
+}
+
+const chatSessionModel = {
+  /**
+   * Create a session with its opening messages
+   * @param {Object} session - { userId, emergencyType, location, language }
+   * @param {Array<Object>} messages - Opening messages ({ role, content })
+   * @param {Date} expiresAt - Expiry if left idle
+   * @returns {Object} Created session
+   */
+  async createSession(session, messages, expiresAt) {
+    try {
+      const sessionRef = sessions().doc();
+      const now = new Date();
+      const batch = firebase.db.batch();
+
+      batch.set(sessionRef, {
+        userId: session.userId || null,
+        emergencyType: session.emergencyType,
+        location: session.location,
+        language: session.language || null,
+        status: 'active',
+        messageCount: messages.length,
+        createdAt: toTimestamp(now),
+        lastActivity: toTimestamp(now),
+        expiresAt: toTimestamp(expiresAt)
+      });
+      messages.forEach((message, seq) => {
+        batch.set(sessionRef.collection('messages').doc(), { seq, role: message.role, content: message.content, createdAt: now.toISOString() });
+      });
+      await batch.commit();
+
+      return toSession(await sessionRef.get());
+    } catch (error) {
+      console.error('❌ Error creating chat session:', error.message);
+      throw new Error('Failed to create chat session');
+    }
+  },
+
+  /**
+   * Get a session
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Session, or null if unknown
+   */
+  async getSession(sessionId) {
+    try {
+      const doc = await sessions().doc(sessionId).get();
+      return doc.exists ? toSession(doc) : null;
+    } catch (error) {
+      console.error(`❌ Error fetching chat session ${sessionId}:`, error.message);
+      throw new Error('Failed to fetch chat session');
+    }
+  },
+
+  /**
+   * Messages of a session in order
+   * @param {string} sessionId - Session ID
+   * @param {number} [limit] - Only the most recent messages
+   * @returns {Array<Object>} { seq, role, content, createdAt }
+   */
+  async getMessages(sessionId, limit) {
+    try {
+      let query = sessions().doc(sessionId).collection('messages').orderBy('seq', limit ? 'desc' : 'asc');
+      if (limit) query = query.limit(limit);
+
+      const snapshot = await query.get();
+      const messages = snapshot.docs.map(doc => doc.data());
+      return limit ? messages.reverse() : messages;
+    } catch (error) {
+      console.error(`❌ Error fetching messages of chat session ${sessionId}:`, error.message);
+      throw new Error('Failed to fetch chat messages');
+    }
+  },
+
+  /**
+   * Append messages to an active session and extend its expiry. Sequence
+   * numbers are assigned in a transaction, so concurrent turns from two
+   * instances never collide.
+   * @param {string} sessionId - Session ID
+   * @param {Array<Object>} messages - { role, content }
+   * @param {Date} expiresAt - New expiry
+   * @returns {boolean} False if the session is gone, ended or expired
+   */
+  async appendMessages(sessionId, messages, expiresAt) {
+    try {
+      const sessionRef = sessions().doc(sessionId);
+
+      return await firebase.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(sessionRef);
+        if (!doc.exists) return false;
+
+        const session = doc.data();
+        if (session.status !== 'active' || session.expiresAt.toDate() <= new Date()) return false;
+
+        const now = new Date();
+        messages.forEach((message, index) => {
+          transaction.set(sessionRef.collection('messages').doc(), {
+            seq: session.messageCount + index,
+            role: message.role,
+            content: message.content,
+            createdAt: now.toISOString()
+          });
+        });
+        transaction.update(sessionRef, {
+          messageCount: session.messageCount + messages.length,
+          lastActivity: toTimestamp(now),
+          expiresAt: toTimestamp(expiresAt)
+        });
+        return true;
+      });
+    } catch (error) {
+      console.error(`❌ Error saving messages to chat session ${sessionId}:`, error.message);
+      throw new Error('Failed to save chat messages');
+    }
+  },
+
+  /**
+   * Active sessions of a user, most recent first
+   * @param {string} userId - Owner
+   * @param {number} limit - Maximum sessions
+   * @returns {Array<Object>} Sessions
+   */
+  async listForUser(userId, limit = 20) {
+    try {
+      // Filtered and sorted here to avoid a composite index
+      const snapshot = await sessions().where('userId', '==', userId).get();
+      const now = new Date().toISOString();
+
+      return snapshot.docs
+        .map(toSession)
+        .filter(session => session.status === 'active' && session.expiresAt > now)
+        .sort((a, b) => b.lastActivity.localeCompare(a.lastActivity))
+        .slice(0, limit);
+    } catch (error) {
+      console.error(`❌ Error listing chat sessions for user ${userId}:`, error.message);
+      throw new Error('Failed to list chat sessions');
+    }
+  },
+
+  /**
+   * End a session and delete it with its messages
+   * @param {string} sessionId - Session ID
+   */
+  async deleteSession(sessionId) {
+    try {
+      await firebase.db.recursiveDelete(sessions().doc(sessionId));
+    } catch (error) {
+      console.error(`❌ Error deleting chat session ${sessionId}:`, error.message);
+      throw new Error('Failed to delete chat session');
+    }
+  },
+
+  /**
+   * Delete sessions (and their messages) past their expiry
+   * @param {number} limit - Maximum sessions per sweep
+   * @returns {number} Sessions deleted
+   */
+  async deleteExpired(limit = 100) {
+    try {
+      const snapshot = await sessions()
+        .where('expiresAt', '<=', toTimestamp(new Date()))
+        .limit(limit)
+        .get();
+
+      for (const doc of snapshot.docs) {
+        await firebase.db.recursiveDelete(doc.ref);
+      }
+      return snapshot.size;
+    } catch (error) {
+      console.error('❌ Error deleting expired chat sessions:', error.message);
+      throw new Error('Failed to delete expired chat sessions');
+    }
+  }
+};
+
+module.exports = chatSessionModel;
@@ -77,30 +77,39 @@
 
 // module.exports = DisasterReport; 
 const admin = require('../config/firebase-config');
+const geofence = require('../utils/geo/geofence');
+const GeohashIndex = require('../utils/geo/geohashIndex');
 const db = admin.admin.firestore();
 const fieldValues = admin.fieldValues;
 
+// Precision 6 cells (~1.2km x 0.6km) are small enough to find nearby reports with an "in" query
+const REPORT_GEOHASH_PRECISION = 6;
+
 class DisasterReportService {
     /**
-     * Create a new disaster report
-     * @param {Object} reportData - Disaster report details
+     * Create a new disaster report, pending moderation
+     * @param {Object} reportData - Disaster report details; location as { latitude, longitude }
+     *   or coordinates as [longitude, latitude]
      * @returns {Promise<Object>} - Saved report document
      */
     async create(reportData) {
         try {
             const docRef = db.collection('disasterReports').doc();
+            const point = geofence.toPoint(reportData.location || { coordinates: reportData.coordinates });
             const newReport = {
                 type: reportData.type,
                 location: {
                     type: 'Point',
-                    coordinates: reportData.coordinates || []
+                    coordinates: point ? [point.longitude, point.latitude] : []
                 },
+                geohash: point ? GeohashIndex.encode(point.latitude, point.longitude, REPORT_GEOHASH_PRECISION) : null,
                 severity: reportData.severity,
                 description: reportData.description || '',
                 reportedBy: reportData.reportedBy || null,
                 images: reportData.images || [],
                 timestamp: fieldValues.serverTimestamp(),
-                status: 'active',
+                status: 'pending',
+                clusterId: null,
                 updatedAt: fieldValues.serverTimestamp()
             };
 
@@ -145,6 +154,56 @@ class DisasterReportService {
         }
     }
 
+    /**
+     * Get the reports grouped into a cluster
+     * @param {string} clusterId - Report cluster ID
+     * @returns {Promise<Array>} - Reports in the cluster
+     */
+    async getByCluster(clusterId) {
+        try {
+            const snapshot = await db.collection('disasterReports')
+                .where('clusterId', '==', clusterId)
+                .get();
+
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error(`❌ Error fetching reports for cluster ${clusterId}:`, error.message);
+            throw new Error(`Failed to fetch cluster reports: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a report only while it is in one of the given statuses; the check
+     * and the write happen in one transaction, so two moderators acting at once
+     * cannot both change it
+     * @param {string} id - Report document ID
+     * @param {Array<string>} fromStatuses - Statuses the report may be in
+     * @param {Object} updateData - Data to update
+     * @returns {Promise<Object>} - { report, changed }: the report as it was before
+     *   (null if not found) and whether it was updated
+     */
+    async updateIfStatus(id, fromStatuses, updateData) {
+        try {
+            const reportRef = db.collection('disasterReports').doc(id);
+            return await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(reportRef);
+                if (!doc.exists) return { report: null, changed: false };
+
+                const report = { id: doc.id, ...doc.data() };
+                if (!fromStatuses.includes(report.status)) return { report, changed: false };
+
+                transaction.update(reportRef, {
+                    ...updateData,
+                    updatedAt: fieldValues.serverTimestamp()
+                });
+                return { report, changed: true };
+            });
+        } catch (error) {
+            console.error(`❌ Error updating disaster report ${id}:`, error.message);
+            throw new Error(`Failed to update disaster report: ${error.message}`);
+        }
+    }
+
     /**
      * Update an existing disaster report
      * @param {string} id - Report document ID
@@ -166,3 +225,4 @@ class DisasterReportService {
 }
 
 module.exports = new DisasterReportService();
+module.exports.REPORT_GEOHASH_PRECISION = REPORT_GEOHASH_PRECISION;
@@ -0,0 +1,111 @@
+const { db, fieldValues } = require('../config/firebase-config');
+
+// Refresh tokens are stored by the SHA-256 hash of the token, never the token itself
+const refreshTokens = () => db.collection('refreshTokens');
+
+const refreshTokenModel = {
+  /**
+   * Store a newly issued refresh token
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @param {Object} record - { userId, expiresAt (ISO string) }
+   */
+  async createToken(tokenHash, record) {
+    try {
+      await refreshTokens().doc(tokenHash).set({
+        userId: record.userId,
+        expiresAt: record.expiresAt,
+        revokedAt: null,
+        replacedBy: null,
+        createdAt: fieldValues.serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('❌ Error storing refresh token:', error.message);
+      throw new Error('Failed to store refresh token');
+    }
+  },
+
+  /**
+   * Swap a refresh token for a new one in a single transaction, so the same
+   * token can never be used twice even by concurrent requests
+   * @param {string} tokenHash - Hash of the presented token
+   * @param {string} nextHash - Hash of the replacement token
+   * @param {string} expiresAt - Expiry of the replacement (ISO string)
+   * @returns {Object} { status: 'rotated' | 'missing' | 'expired' | 'revoked' | 'reused', userId }
+   */
+  async rotateToken(tokenHash, nextHash, expiresAt) {
+    try {
+      const currentRef = refreshTokens().doc(tokenHash);
+
+      return await db.runTransaction(async (transaction) => {
+        const tokenDoc = await transaction.get(currentRef);
+        if (!tokenDoc.exists) return { status: 'missing' };
+
+        const token = tokenDoc.data();
+        // A rotated token coming back means it was copied; a logged-out one is just stale
+        if (token.revokedAt) return { status: token.replacedBy ? 'reused' : 'revoked', userId: token.userId };
+        if (new Date(token.expiresAt) <= new Date()) return { status: 'expired', userId: token.userId };
+
+        const revokedAt = new Date().toISOString();
+        transaction.update(currentRef, { revokedAt, replacedBy: nextHash });
+        transaction.set(refreshTokens().doc(nextHash), {
+          userId: token.userId,
+          expiresAt,
+          revokedAt: null,
+          replacedBy: null,
+          createdAt: fieldValues.serverTimestamp(),
+        });
+        return { status: 'rotated', userId: token.userId };
+      });
+    } catch (error) {
+      console.error('❌ Error rotating refresh token:', error.message);
+      throw new Error('Failed to rotate refresh token');
+    }
+  },
+
+  /**
+   * Revoke one refresh token
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {string|null} - Owner's userId, or null if the token is unknown
+   */
+  async revokeToken(tokenHash) {
+    try {
+      const tokenRef = refreshTokens().doc(tokenHash);
+      const tokenDoc = await tokenRef.get();
+      if (!tokenDoc.exists) return null;
+
+      if (!tokenDoc.data().revokedAt) {
+        await tokenRef.update({ revokedAt: new Date().toISOString() });
+      }
+      return tokenDoc.data().userId;
+    } catch (error) {
+      console.error('❌ Error revoking refresh token:', error.message);
+      throw new Error('Failed to revoke refresh token');
+    }
+  },
+
+  /**
+   * Revoke every active refresh token of a user (logout everywhere, role change, token reuse)
+   * @param {string} userId - Firestore user ID
+   * @returns {number} - Number of tokens revoked
+   */
+  async revokeAllForUser(userId) {
+    try {
+      const snapshot = await refreshTokens()
+        .where('userId', '==', userId)
+        .where('revokedAt', '==', null)
+        .get();
+      if (snapshot.empty) return 0;
+
+      const revokedAt = new Date().toISOString();
+      const batch = db.batch();
+      snapshot.docs.forEach((doc) => batch.update(doc.ref, { revokedAt }));
+      await batch.commit();
+      return snapshot.size;
+    } catch (error) {
+      console.error('❌ Error revoking refresh tokens:', error.message);
+      throw new Error('Failed to revoke refresh tokens');
+    }
+  },
+};
+
+module.exports = refreshTokenModel;
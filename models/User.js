@@ -1,4 +1,6 @@
 const { db, collections, fieldValues } = require('../config/firebase-config');
+const { DEFAULT_ROLE } = require('../config/roles');
+const { DEFAULT_LANGUAGE } = require('../config/languages');
 
 const userModel = {
   /**
@@ -14,6 +16,9 @@ const userModel = {
         password: userData.password, // Ensure to hash this before storing
         phone: userData.phone || null,
         location: userData.location || null,
+        role: userData.role || DEFAULT_ROLE,
+        // Language alerts, chatbot answers and voice are delivered in (config/languages.js)
+        preferredLanguage: userData.preferredLanguage || DEFAULT_LANGUAGE,
         fcmTokens: userData.fcmTokens || [],
         emergencyContacts: userData.emergencyContacts || [
           { name: 'Police', phone: '112', relationship: 'Emergency', priority: 1 },
@@ -50,6 +55,27 @@ const userModel = {
       throw new Error('Failed to get user by email');
     }
   },
+  /**
+   * Get user details by phone number
+   * @param {Array<string>} phones - Forms the number may be stored in (E.164, national, ...)
+   * @returns {Object|null} - User data or null if not found
+   */
+  async getUserByPhone(phones) {
+    try {
+      // Firestore "in" queries accept at most 30 values
+      const snapshot = await collections.users
+        .where('phone', 'in', phones.slice(0, 30))
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) return null;
+
+      return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+    } catch (error) {
+      console.error('❌ Error fetching user by phone:', error.message);
+      throw new Error('Failed to get user by phone');
+    }
+  },
   /**
    * Get user details by ID (with embedded emergency contacts)
    * @param {string} userId - Firestore document ID
@@ -67,6 +93,26 @@ const userModel = {
     }
   },
 
+  /**
+   * Update user fields
+   * @param {string} userId - Firestore document ID
+   * @param {Object} updates - Fields to update
+   * @returns {boolean} - Success status
+   */
+  async updateUser(userId, updates) {
+    try {
+      const userRef = collections.users.doc(userId);
+      await userRef.update({
+        ...updates,
+        updatedAt: fieldValues.serverTimestamp(),
+      });
+      return true;
+    } catch (error) {
+      console.error('❌ Error updating user:', error.message);
+      throw new Error('Failed to update user');
+    }
+  },
+
   /**
    * Update emergency contacts for a user
    * @param {string} userId - Firestore document ID
@@ -146,6 +192,78 @@ const userModel = {
       throw new Error('Failed to remove emergency contact');
     }
   },
+
+  /**
+   * Register an FCM token for a user's device
+   * @param {string} userId - Firestore document ID
+   * @param {string} token - FCM registration token
+   * @returns {boolean} - True if the token was new
+   */
+  async addFcmToken(userId, token) {
+    try {
+      const userRef = collections.users.doc(userId);
+
+      return await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) throw new Error('User not found');
+
+        const currentTokens = userDoc.data().fcmTokens || [];
+        if (currentTokens.some((tokenObj) => tokenObj.token === token)) return false;
+
+        // serverTimestamp() is not allowed inside arrays
+        transaction.update(userRef, {
+          fcmTokens: [...currentTokens, { token, createdAt: new Date().toISOString() }],
+          updatedAt: fieldValues.serverTimestamp(),
+        });
+        return true;
+      });
+    } catch (error) {
+      console.error('❌ Error adding FCM token:', error.message);
+      throw new Error('Failed to add FCM token');
+    }
+  },
+
+  /**
+   * Remove one FCM token from a user
+   * @param {string} userId - Firestore document ID
+   * @param {string} token - FCM registration token
+   * @returns {boolean} - True if the token was registered
+   */
+  async removeFcmToken(userId, token) {
+    return (await this.removeFcmTokens(userId, [token])) > 0;
+  },
+
+  /**
+   * Remove FCM tokens from a user (e.g. tokens FCM reports as unregistered)
+   * @param {string} userId - Firestore document ID
+   * @param {Array<string>} tokens - Token strings to remove
+   * @returns {number} - Number of tokens removed
+   */
+  async removeFcmTokens(userId, tokens) {
+    try {
+      const userRef = collections.users.doc(userId);
+      const stale = new Set(tokens);
+
+      // Transaction so a token registered while we prune is not lost
+      return await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) return 0;
+
+        const currentTokens = userDoc.data().fcmTokens || [];
+        const remainingTokens = currentTokens.filter((tokenObj) => !stale.has(tokenObj.token));
+        if (remainingTokens.length === currentTokens.length) return 0;
+
+        transaction.update(userRef, {
+          fcmTokens: remainingTokens,
+          updatedAt: fieldValues.serverTimestamp(),
+        });
+        return currentTokens.length - remainingTokens.length;
+      });
+    } catch (error) {
+      console.error('❌ Error removing FCM tokens:', error.message);
+      throw new Error('Failed to remove FCM tokens');
+    }
+  },
 };
 
 module.exports = userModel;
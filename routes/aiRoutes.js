@@ -6,6 +6,7 @@ const upload = multer({ limits: { fileSize: 10 * 1024 * 1024 } });
 const evacuationOptimizer = require('../services/vertexai/evacuationOptimizer');
 const emergencyChatbot = require('../services/vertexai/emergencyChatbot');
 const disasterPredictionService = require('../services/vertexai/disasterPrediction');
+const knowledgeBase = require('../services/knowledge');
 
 // Emergency chatbot endpoint
 router.post('/chat', async (req, res) => {
@@ -37,6 +38,87 @@ router.post('/chat', async (req, res) => {
   }
 });
 
+// Keep-alive comment interval, so proxies do not close a quiet stream
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Stream the chatbot answer as Server-Sent Events: "token" events carry text
+ * as it is generated, then "done" carries the full answer (or "error" the
+ * failure). Closing the connection cancels the model call. POST takes the
+ * same body as /chat; GET (for EventSource) takes ?query=&city=&state=.
+ */
+const streamChat = async (req, res) => {
+  const { query, location, userContext } = req.method === 'GET'
+    ? { query: req.query.query, location: req.query.city ? { city: req.query.city, state: req.query.state } : null }
+    : req.body || {};
+
+  if (!query || !location) {
+    return res.status(400).json({
+      success: false,
+      error: 'Query and location are required'
+    });
+  }
+
+  // no-transform keeps compression from buffering the stream
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+  try {
+    const response = await emergencyChatbot.streamEmergencyResponse(query, location, userContext || {}, {
+      signal: controller.signal,
+      onToken: text => send('token', { text })
+    });
+    send('done', response);
+  } catch (error) {
+    if (!controller.signal.aborted) send('error', { error: error.message });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+};
+
+// Streaming emergency chatbot endpoint
+router.get('/chat/stream', streamChat);
+router.post('/chat/stream', streamChat);
+
+// Knowledge base passages the chatbot would draw on for a question
+router.get('/knowledge/search', async (req, res) => {
+  try {
+    const { q } = req.query;
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        error: 'q is required'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 20);
+    const passages = await knowledgeBase.search(q, { limit });
+    res.status(200).json({
+      success: true,
+      data: passages
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Disaster prediction endpoint
 router.post('/predict', async (req, res) => {
   try {
@@ -5,6 +5,10 @@ const noaaWeatherService = require('../services/alertServices/noaaWeatherService
 const usgsEarthquakeService = require('../services/alertServices/usgsEarthquakeService');
 const openFemaService = require('../services/alertServices/openFemaService');
 const openWeatherService = require('../services/alertServices/openWeatherService'); // Add this import
+const hazardFeedAggregator = require('../services/alertServices/hazardFeedAggregator');
+const authMiddleware = require('../middleware/auth/auth');
+const authorize = require('../middleware/auth/authorize');
+const { ROLE_GROUPS } = require('../config/roles');
 
 // CORRECT way - import your configured Firebase:
 const { admin, db } = require('../config/firebase-config');
@@ -72,7 +76,53 @@ router.get('/weather/openweather/:city', async (req, res) => {
     }
 });
 
+// Unified hazard feed (NOAA, USGS, OpenFEMA and OpenWeather, deduplicated)
+router.get('/hazards', async (req, res) => {
+    try {
+        const { type, state, limit } = req.query;
+        const hazards = await hazardFeedAggregator.getActiveHazards({
+            type,
+            state,
+            limit: limit ? parseInt(limit, 10) : undefined
+        });
+        res.json({ success: true, count: hazards.length, lastRun: hazardFeedAggregator.lastRun, hazards });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching hazard feed' });
+    }
+});
+
+// Trigger an immediate poll of all hazard sources
+router.post('/hazards/poll', authorize(ROLE_GROUPS.broadcasters), async (req, res) => {
+    try {
+        const summary = await hazardFeedAggregator.poll();
+        res.json({ success: true, summary });
+    } catch (error) {
+        res.status(500).json({ error: 'Error polling hazard feeds' });
+    }
+});
+
 // Define routes
 router.get('/active', alertController.getActiveAlerts);
 
+// Broadcasting alerts and mass notifications (dispatchers and admins)
+const broadcasters = authorize(ROLE_GROUPS.broadcasters);
+router.post('/', broadcasters, alertController.createAlert);
+router.post('/warning', broadcasters, alertController.generateWarning);
+router.post('/evacuation', broadcasters, alertController.createEvacuation);
+router.post('/notify', broadcasters, alertController.notifyUsers);
+
+// CAP 1.2 ingestion (XML or JSON) and export
+router.post('/cap', broadcasters, express.text({ type: ['application/xml', 'text/xml', 'application/cap+xml'], limit: '1mb' }), alertController.ingestCapAlert);
+router.get('/:id.cap', alertController.exportCapAlert);
+
+// Alert lifecycle (expiry runs on a timer in alertService)
+router.put('/:id', broadcasters, alertController.updateAlert);
+router.post('/:id/cancel', broadcasters, alertController.cancelAlert);
+router.post('/:id/supersede', broadcasters, alertController.supersedeAlert);
+
+// Delivery receipts: app acknowledgements (FCM/SMS users; sockets use the alert-ack event)
+// and the users responders still need to follow up with
+router.post('/:id/ack', authMiddleware, alertController.acknowledgeAlert);
+router.get('/:id/unacknowledged', authorize(ROLE_GROUPS.responders), alertController.getUnacknowledged);
+
 module.exports = router;
\ No newline at end of file
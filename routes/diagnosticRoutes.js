@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const firebaseConfig = require('../config/firebase-config');
+const llmService = require('../services/llm/llmService');
+const knowledgeBase = require('../services/knowledge');
+const authorize = require('../middleware/auth/authorize');
+const { ROLE_GROUPS } = require('../config/roles');
 
 router.get('/test', (req, res) => {
   res.json({ message: 'Diagnostic test route works!' });
@@ -101,4 +105,33 @@ router.get('/firebase', async (req, res) => {
     }
 });
 
+// LLM backend in use and token usage since startup (admins)
+router.get('/llm', authorize(ROLE_GROUPS.admins), (req, res) => {
+  res.json({
+    success: true,
+    provider: llmService.provider.name,
+    model: llmService.provider.defaultModel,
+    visionModel: llmService.visionModel || llmService.provider.defaultModel,
+    usage: llmService.getUsage()
+  });
+});
+
+// Documents and passages in the chatbot's knowledge base (admins)
+router.get('/knowledge', authorize(ROLE_GROUPS.admins), async (req, res) => {
+  try {
+    res.json({ success: true, ...await knowledgeBase.getStatus() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rebuild the knowledge base index after changing its documents (admins)
+router.post('/knowledge/reindex', authorize(ROLE_GROUPS.admins), async (req, res) => {
+  try {
+    res.json({ success: true, ...await knowledgeBase.ingest() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
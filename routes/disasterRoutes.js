@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const admin = require('firebase-admin');
-const geolib = require('geolib');
+const geofence = require('../utils/geo/geofence');
 
 // Get active disasters for a user based on their location
 router.post('/active', async (req, res) => {
@@ -44,18 +44,16 @@ router.post('/active', async (req, res) => {
       const disaster = doc.data();
       disaster.id = doc.id;
       
+      const area = geofence.prepare(disaster);
+      
       // Skip disasters without location data
-      if (!disaster.location || !disaster.location.latitude || !disaster.location.longitude) {
+      if (!area) {
         return;
       }
       
-      // Calculate distance between user and disaster
-      const disasterLocation = {
-        latitude: disaster.location.latitude,
-        longitude: disaster.location.longitude
-      };
-      
-      const distanceInMeters = geolib.getDistance(userLocation, disasterLocation);
+      // Distance to the disaster centre, plus polygon/radius containment
+      const position = geofence.locate(userLocation, area);
+      const distanceInMeters = position.distance;
       const distanceInKm = distanceInMeters / 1000;
       
       // Add distance to disaster object
@@ -63,9 +61,11 @@ router.post('/active', async (req, res) => {
         meters: distanceInMeters,
         kilometers: distanceInKm
       };
+      disaster.insideArea = position.inside;
+      disaster.geometry = area.geometry || undefined;
       
-      // Only include disasters within the maximum distance
-      if (distanceInKm <= MAX_DISTANCE_KM) {
+      // Include disasters the user is inside, and any within the maximum distance
+      if (position.inside || distanceInKm <= MAX_DISTANCE_KM) {
         nearbyDisasters.push(disaster);
       }
     });
@@ -3,14 +3,36 @@ const {
     addDisasterReport, 
     getDisasterReports,
     getDisasterReport,
-    updateDisasterReport 
+    updateDisasterReport,
+    uploadReportMedia,
+    assessDisasterReport,
+    verifyDisasterReport,
+    rejectDisasterReport,
+    getReportClusters,
+    getReportCluster,
+    getReporterReputation
 } = require("../controllers/emergencyController");
+const { optionalAuth } = require("../middleware/auth/auth");
+const authorize = require("../middleware/auth/authorize");
+const { ROLE_GROUPS } = require("../config/roles");
 
 const router = express.Router();
 
-router.post("/report", addDisasterReport);
+router.post("/report", optionalAuth, addDisasterReport);
 router.get("/reports", getDisasterReports);
 router.get("/report/:id", getDisasterReport);
-router.put("/report/:id", updateDisasterReport);
+// Only responders (and above) may change a report's status or details
+router.put("/report/:id", authorize(ROLE_GROUPS.responders), updateDisasterReport);
+// Photo evidence as multipart "media" files, from the reporter or a responder
+router.post("/report/:id/media", optionalAuth, uploadReportMedia);
+// Re-run the AI damage assessment of the report's photos (runs automatically after uploads)
+router.post("/report/:id/assessment", authorize(ROLE_GROUPS.responders), assessDisasterReport);
+
+// Moderation: nearby reports are clustered; verified, corroborated clusters become disasters
+router.post("/report/:id/verify", authorize(ROLE_GROUPS.responders), verifyDisasterReport);
+router.post("/report/:id/reject", authorize(ROLE_GROUPS.responders), rejectDisasterReport);
+router.get("/clusters", authorize(ROLE_GROUPS.responders), getReportClusters);
+router.get("/clusters/:id", authorize(ROLE_GROUPS.responders), getReportCluster);
+router.get("/reporters/:userId/reputation", authorize(ROLE_GROUPS.responders), getReporterReputation);
 
 module.exports = router; 
\ No newline at end of file
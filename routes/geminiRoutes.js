@@ -1,16 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const geminiService = require('../services/ai gemini/geminiService');
+const authMiddleware = require('../middleware/auth/auth');
 
-// Start a new chat session without requiring parameters
+// Sessions belong to the signed-in user and can be resumed from any device
+router.use(authMiddleware);
+
+// Start a new chat session; emergencyType, location and language (default: the user's preferredLanguage) are optional
 router.post('/chat', async (req, res) => {
   try {
-    // Use default values for emergencyType and location
-    const result = await geminiService.startChat('general', 'unknown');
-    res.json({ sessionId: result.sessionId });
+    const { emergencyType = 'general', location = 'unknown', language } = req.body || {};
+    const result = await geminiService.startChat(emergencyType, location, req.user.userId, language);
+    res.json({ sessionId: result.sessionId, message: result.message, language: result.language, expiresAt: result.expiresAt });
   } catch (error) {
     console.error('Error starting chat:', error);
-    res.status(500).json({ error: 'Failed to start chat session' });
+    res.status(error.statusCode || 500).json({ error: 'Failed to start chat session' });
+  }
+});
+
+// List the user's active sessions, most recent first
+router.get('/chat/sessions', async (req, res) => {
+  try {
+    const sessions = await geminiService.listSessions(req.user.userId);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Error listing chat sessions:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to list chat sessions' });
   }
 });
 
@@ -24,36 +39,47 @@ router.post('/chat/:sessionId/message', async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
     
-    const result = await geminiService.sendMessage(sessionId, message);
+    const result = await geminiService.sendMessage(sessionId, message, req.user.userId);
     res.json(result);
   } catch (error) {
     console.error('Error sending message:', error);
-    res.status(500).json({ error: error.message || 'Failed to send message' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to send message' });
+  }
+});
+
+// Get a session with its history, to resume it
+router.get('/chat/:sessionId', async (req, res) => {
+  try {
+    const session = await geminiService.getSession(req.params.sessionId, req.user.userId);
+    res.json({ session });
+  } catch (error) {
+    console.error('Error getting chat session:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to get chat session' });
   }
 });
 
 // Get chat history
-router.get('/chat/:sessionId/history', (req, res) => {
+router.get('/chat/:sessionId/history', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const history = geminiService.getSessionHistory(sessionId);
+    const history = await geminiService.getSessionHistory(sessionId, req.user.userId);
     res.json({ history });
   } catch (error) {
     console.error('Error getting chat history:', error);
-    res.status(500).json({ error: error.message || 'Failed to get chat history' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to get chat history' });
   }
 });
 
 // End a chat session
-router.delete('/chat/:sessionId', (req, res) => {
+router.delete('/chat/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const result = geminiService.endSession(sessionId);
+    const result = await geminiService.endSession(sessionId, req.user.userId);
     res.json({ success: result });
   } catch (error) {
     console.error('Error ending chat session:', error);
-    res.status(500).json({ error: error.message || 'Failed to end chat session' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to end chat session' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const offlineController = require('../controllers/offlineController');
+const { optionalAuth } = require('../middleware/auth/auth');
+
+const router = express.Router();
+
+// Signed alert pack for an area (?lat=&lng=, optional disasterType, language and since=<cached version>)
+router.get('/pack', optionalAuth, offlineController.getPack);
+
+// Public key for checking pack signatures
+router.get('/key', offlineController.getSigningKey);
+
+module.exports = router;
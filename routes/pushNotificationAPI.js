@@ -1,17 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const PushNotificationService = require('../services/notificationServices/pushNotifications/pushNotification');
+const authorize = require('../middleware/auth/authorize');
+const { ROLE_GROUPS } = require('../config/roles');
 /**
  * @route POST /notify-disaster
- * @desc Sends notifications to users in disaster-affected areas
- * @access Public (or Protected if needed)
+ * @desc Sends notifications to users in a disaster-affected area
+ * @body { disasterId } for a stored disaster, or { disaster: {...} } with a location/radius or geometry
+ * @returns Per-disaster delivery report
+ * @access Dispatcher, admin
  */
-router.post('/notify-disaster', async (req, res) => {
+router.post('/notify-disaster', authorize(ROLE_GROUPS.broadcasters), async (req, res) => {
     try {
-        await PushNotificationService.notifyUsersOfDisaster(req.body);
-        res.status(200).json({ message: 'Disaster notifications sent successfully!' });
+        const report = await PushNotificationService.notifyUsersOfDisaster(req.body || {});
+        res.status(200).json({ message: 'Disaster notifications sent successfully!', report });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
-module.exports = router;
\ No newline at end of file
+/**
+ * @route POST /notify-region
+ * @desc Sends one FCM topic message to a disaster's city/state topics (the same regions as the socket rooms)
+ * @body { disasterId }, or { disaster: {...} } with a location (city/state) or a "city,state" region ('all' for the whole country)
+ * @returns Topics, FCM condition and message ID
+ * @access Dispatcher, admin
+ */
+router.post('/notify-region', authorize(ROLE_GROUPS.broadcasters), async (req, res) => {
+    try {
+        const report = await PushNotificationService.notifyRegion(req.body || {});
+        res.status(200).json({ message: 'Regional notification sent successfully!', report });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const safetyController = require('../controllers/safetyController');
+const authMiddleware = require('../middleware/auth/auth');
+const authorize = require('../middleware/auth/authorize');
+const { ROLE_GROUPS } = require('../config/roles');
+
+const router = express.Router();
+
+// SOS tracking links are opened by contacts without an account; the token is the credential
+router.get('/sos/track/:token', safetyController.getSosTracking);
+
+// Everything else acts for the signed-in user
+router.use(authMiddleware);
+
+// "I'm safe" / "I need help" check-in ({ status, location, message, alertId })
+router.post('/check-in', safetyController.checkIn);
+
+// Last check-in and location of linked family members
+router.get('/family', safetyController.getFamilyBoard);
+
+// Family links: invite, accept (both sides are then linked by user ID) and unlink
+router.post('/family/invites', safetyController.createFamilyInvite);
+router.post('/family/invites/:token/accept', safetyController.acceptFamilyInvite);
+router.delete('/family/:userId', safetyController.removeFamilyMember);
+
+// SOS beacon: start (location streams over the socket with sos-location), review and close
+router.post('/sos', safetyController.startSos);
+router.get('/sos', authorize(ROLE_GROUPS.responders), safetyController.listSos);
+router.get('/sos/:id', safetyController.getSos);
+router.post('/sos/:id/close', safetyController.closeSos);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const smsController = require('../controllers/smsController');
+const { verifySmsWebhook } = require('../middleware/auth/smsWebhookAuth');
+
+const router = express.Router();
+
+// Inbound SMS commands (SAFE, HELP, SHELTER, ALERTS) from the SMS gateway
+router.post('/inbound', verifySmsWebhook, smsController.receiveSms);
+
+// USSD menu sessions from the USSD gateway
+router.post('/ussd', verifySmsWebhook, smsController.receiveUssd);
+
+module.exports = router;
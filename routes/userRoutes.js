@@ -1,30 +1,49 @@
 const express = require('express');
 const userController = require('../controllers/userController');
+const authorize = require('../middleware/auth/authorize');
+const authorizeSelf = require('../middleware/auth/authorizeSelf');
+const { ROLE_GROUPS } = require('../config/roles');
 
 const router = express.Router();
 
 // Register user
 router.post('/register', userController.register);
 
+// Login, token refresh and logout
+router.post('/login', userController.login);
+router.post('/refresh', userController.refresh);
+router.post('/logout', userController.logout);
+
+// Languages available as preferredLanguage
+router.get('/languages', userController.getLanguages);
+
+// Change a user's role (admin only)
+router.put('/:id/role', authorize(ROLE_GROUPS.admins), userController.setRole);
+
+// Everything below is about one user: only that user (or an admin) may use it
+
+// Change password (needs the current password)
+router.put('/:id/password', authorizeSelf, userController.changePassword);
+
 // Update user profile
-router.put('/:id', userController.updateProfile);
+router.put('/:id', authorizeSelf, userController.updateProfile);
 
 // Add FCM token
-router.post('/:id/fcm', userController.addFcmToken);
+router.post('/:id/fcm', authorizeSelf, userController.addFcmToken);
 
 // Remove FCM token
-router.delete('/:id/fcm', userController.removeFcmToken);
+router.delete('/:id/fcm', authorizeSelf, userController.removeFcmToken);
 
 // Get user by ID (including emergency contacts)
-router.get('/:id', userController.getUserById);
+router.get('/:id', authorizeSelf, userController.getUserById);
 
 // Add emergency contact
-router.post('/:id/emergency-contact', userController.addEmergencyContact);
+router.post('/:id/emergency-contact', authorizeSelf, userController.addEmergencyContact);
 
 // Update emergency contact (by phone number)
-router.put('/:id/emergency-contact/:phone', userController.updateEmergencyContact);
+router.put('/:id/emergency-contact/:phone', authorizeSelf, userController.updateEmergencyContact);
 
 // Delete emergency contact (by phone number)
-router.delete('/:id/emergency-contact/:phone', userController.removeEmergencyContact);
+router.delete('/:id/emergency-contact/:phone', authorizeSelf, userController.removeEmergencyContact);
 
 module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * Benchmark disaster targeting with and without the connected-user geohash index.
+ *
+ * Simulates connected users (default 100k) spread around Indian cities and a set
+ * of active disasters (radius and polygon areas), then compares the old linear
+ * scan over every connected user with DisasterManager.findAffectedUsers().
+ *
+ * Usage: node scripts/benchmarkSpatialIndex.js [users] [disasters]
+ */
+const { performance } = require('perf_hooks');
+const UserManager = require('../services/socket/components/userManager');
+const DisasterManager = require('../services/socket/components/disasterManager');
+const geofence = require('../utils/geo/geofence');
+
+const USER_COUNT = parseInt(process.argv[2] || '100000', 10);
+const DISASTER_COUNT = parseInt(process.argv[3] || '50', 10);
+
+// Population centres users cluster around; the rest are spread across the country
+const CITIES = [
+  { name: 'Mumbai', latitude: 19.076, longitude: 72.8777 },
+  { name: 'Delhi', latitude: 28.7041, longitude: 77.1025 },
+  { name: 'Bengaluru', latitude: 12.9716, longitude: 77.5946 },
+  { name: 'Chennai', latitude: 13.0827, longitude: 80.2707 },
+  { name: 'Kolkata', latitude: 22.5726, longitude: 88.3639 },
+  { name: 'Hyderabad', latitude: 17.385, longitude: 78.4867 },
+  { name: 'Pune', latitude: 18.5204, longitude: 73.8567 },
+  { name: 'Ahmedabad', latitude: 23.0225, longitude: 72.5714 }
+];
+const INDIA_BOUNDS = { minLat: 8, maxLat: 35, minLng: 68, maxLng: 97 };
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+}
+
+function randomPoint() {
+  if (random() < 0.8) {
+    const city = CITIES[Math.floor(random() * CITIES.length)];
+    return {
+      latitude: city.latitude + (random() - 0.5) * 0.6,
+      longitude: city.longitude + (random() - 0.5) * 0.6
+    };
+  }
+  return {
+    latitude: INDIA_BOUNDS.minLat + random() * (INDIA_BOUNDS.maxLat - INDIA_BOUNDS.minLat),
+    longitude: INDIA_BOUNDS.minLng + random() * (INDIA_BOUNDS.maxLng - INDIA_BOUNDS.minLng)
+  };
+}
+
+function randomDisaster(i) {
+  const center = random() < 0.7 ? CITIES[i % CITIES.length] : randomPoint();
+  const disaster = {
+    id: `bench-${i}`,
+    type: 'flood',
+    location: { latitude: center.latitude + (random() - 0.5) * 0.2, longitude: center.longitude + (random() - 0.5) * 0.2 },
+    radius: 10000 + Math.floor(random() * 40000)
+  };
+
+  // Every third disaster gets a polygon (a rough 0.5 degree box)
+  if (i % 3 === 0) {
+    const { latitude, longitude } = disaster.location;
+    disaster.geometry = {
+      type: 'Polygon',
+      coordinates: [[
+        [longitude - 0.25, latitude - 0.25], [longitude + 0.25, latitude - 0.2],
+        [longitude + 0.2, latitude + 0.25], [longitude - 0.25, latitude + 0.2],
+        [longitude - 0.25, latitude - 0.25]
+      ]]
+    };
+  }
+  return disaster;
+}
+
+// Socket.IO stand-in: registration only needs rooms and emit
+const fakeSocket = id => ({ id, join() {}, leave() {}, emit() {} });
+const fakeIo = { to: () => ({ emit() {} }), emit() {}, sockets: { sockets: new Map() } };
+
+// Run fn with the services' per-user console logging muted
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+function time(label, fn) {
+  const start = performance.now();
+  const result = quietly(fn);
+  const ms = performance.now() - start;
+  console.log(`${label.padEnd(42)} ${ms.toFixed(1).padStart(9)} ms`);
+  return { result, ms };
+}
+
+function main() {
+  const userManager = new UserManager(fakeIo);
+  const disasterManager = new DisasterManager(fakeIo, userManager);
+  const areas = Array.from({ length: DISASTER_COUNT }, (_, i) => geofence.prepare(randomDisaster(i)));
+
+  console.log(`Users: ${USER_COUNT}, disasters: ${DISASTER_COUNT} (${areas.filter(a => a.geometry).length} polygons)`);
+  console.log('-'.repeat(54));
+
+  time(`Register users (${USER_COUNT})`, () => {
+    for (let i = 0; i < USER_COUNT; i++) {
+      userManager.registerUser(fakeSocket(`socket-${i}`), { userId: `user-${i}`, location: randomPoint() });
+    }
+  });
+
+  // Before: every disaster walks every connected user
+  const linear = time('Linear scan (all users x all disasters)', () => {
+    let total = 0;
+    areas.forEach(area => {
+      userManager.getConnectedUsers().forEach(user => {
+        const position = geofence.locate(userManager.extractUserLocation(user), area);
+        if (position && position.inside) total++;
+      });
+    });
+    return total;
+  });
+
+  // After: only users in the cells overlapping each disaster
+  const indexed = time('Geohash index (candidate cells only)', () => {
+    let total = 0;
+    areas.forEach(area => {
+      total += disasterManager.findAffectedUsers(area).length;
+    });
+    return total;
+  });
+
+  // Moving users re-index themselves
+  time(`Location updates (${USER_COUNT / 10} users)`, () => {
+    for (let i = 0; i < USER_COUNT; i += 10) {
+      userManager.updateUserLocation(`user-${i}`, randomPoint());
+    }
+  });
+
+  console.log('-'.repeat(54));
+  console.log(`Affected user matches: linear ${linear.result}, indexed ${indexed.result}`);
+  console.log(`Speed-up: ${(linear.ms / indexed.ms).toFixed(1)}x (${userManager.locationIndex.cells.size} occupied cells)`);
+
+  if (linear.result !== indexed.result) {
+    console.error('❌ Indexed lookup returned different users than the linear scan');
+    process.exit(1);
+  }
+  console.log('✅ Indexed lookup matches the linear scan');
+}
+
+main();
@@ -0,0 +1,172 @@
+/**
+ * Local SMS gateway stand-in for testing the SMS provider layer offline.
+ *
+ * Speaks both protocols SMSService can use:
+ *   - Twilio-style HTTP: POST /2010-04-01/Accounts/:sid/Messages.json
+ *   - SMPP: bind_transmitter / bind_transceiver and submit_sm
+ *
+ * Every accepted message is kept in memory:
+ *   GET    /messages          - list received messages (?protocol=http|smpp)
+ *   DELETE /messages          - clear them
+ *   POST   /control           - { http, smpp } modes: "ok", "fail" (retryable error),
+ *                               "reject" (permanent error) or "throttle"
+ *
+ * Usage: node scripts/fakeSmsGateway.js [httpPort] [smppPort]
+ * Then start the server with, for example:
+ *   SMS_PROVIDERS=twilio,smpp
+ *   TWILIO_BASE_URL=http://localhost:4010 TWILIO_ACCOUNT_SID=ACfake TWILIO_AUTH_TOKEN=fake TWILIO_FROM_NUMBER=+15005550006
+ *   SMPP_URL=smpp://localhost:2775 SMPP_SYSTEM_ID=safeescape SMPP_PASSWORD=fake
+ */
+const express = require('express');
+const smpp = require('smpp');
+
+const MODES = ['ok', 'fail', 'reject', 'throttle'];
+
+/**
+ * Start the fake gateway
+ * @param {Object} options - { httpPort, smppPort, quiet }
+ * @returns {Promise<Object>} { messages, modes, httpPort, smppPort, close() }
+ */
+function startFakeSmsGateway(options = {}) {
+  const state = {
+    messages: [],
+    modes: { http: 'ok', smpp: 'ok' }
+  };
+  let nextId = 1;
+  const log = (...args) => {
+    if (!options.quiet) console.log(...args);
+  };
+
+  const record = (protocol, to, from, body) => {
+    const message = { id: `FAKE${String(nextId++).padStart(8, '0')}`, protocol, to, from, body, receivedAt: new Date().toISOString() };
+    state.messages.push(message);
+    log(`📨 [${protocol}] ${from} -> ${to}: ${body}`);
+    return message;
+  };
+
+  // Twilio-style HTTP API
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  app.post('/2010-04-01/Accounts/:sid/Messages.json', (req, res) => {
+    if (!req.headers.authorization) {
+      return res.status(401).json({ code: 20003, message: 'Authenticate', status: 401 });
+    }
+
+    const { To, From, Body } = req.body;
+    if (!To || !Body) {
+      return res.status(400).json({ code: 21604, message: 'A \'To\' phone number and \'Body\' are required.', status: 400 });
+    }
+
+    switch (state.modes.http) {
+      case 'fail':
+        return res.status(503).json({ code: 20503, message: 'Service unavailable (simulated)', status: 503 });
+      case 'reject':
+        return res.status(400).json({ code: 21211, message: `The 'To' number ${To} is not a valid phone number (simulated).`, status: 400 });
+      case 'throttle':
+        return res.status(429).json({ code: 20429, message: 'Too many requests (simulated)', status: 429 });
+      default: {
+        const message = record('http', To, From, Body);
+        return res.status(201).json({
+          sid: `SM${message.id}`,
+          account_sid: req.params.sid,
+          to: To,
+          from: From,
+          body: Body,
+          status: 'queued',
+          date_created: message.receivedAt
+        });
+      }
+    }
+  });
+
+  app.get('/messages', (req, res) => {
+    const messages = req.query.protocol
+      ? state.messages.filter(message => message.protocol === req.query.protocol)
+      : state.messages;
+    res.json({ count: messages.length, modes: state.modes, messages });
+  });
+
+  app.delete('/messages', (req, res) => {
+    state.messages.length = 0;
+    res.json({ success: true });
+  });
+
+  app.post('/control', (req, res) => {
+    for (const protocol of ['http', 'smpp']) {
+      const mode = req.body[protocol];
+      if (mode === undefined) continue;
+      if (!MODES.includes(mode)) {
+        return res.status(400).json({ success: false, error: `Mode must be one of: ${MODES.join(', ')}` });
+      }
+      state.modes[protocol] = mode;
+    }
+    log(`⚙️  Gateway modes: http=${state.modes.http}, smpp=${state.modes.smpp}`);
+    res.json({ success: true, modes: state.modes });
+  });
+
+  // SMPP server
+  const sessions = new Set();
+  const smppServer = smpp.createServer(session => {
+    sessions.add(session);
+    session.on('close', () => sessions.delete(session));
+    session.on('error', () => sessions.delete(session));
+
+    const bind = pdu => {
+      log(`🔗 [smpp] ${pdu.command} from ${pdu.system_id}`);
+      session.send(pdu.response());
+    };
+    session.on('bind_transmitter', bind);
+    session.on('bind_transceiver', bind);
+
+    session.on('submit_sm', pdu => {
+      const statuses = { fail: smpp.ESME_RSYSERR, reject: smpp.ESME_RINVDSTADR, throttle: smpp.ESME_RTHROTTLED };
+      if (statuses[state.modes.smpp]) {
+        return session.send(pdu.response({ command_status: statuses[state.modes.smpp] }));
+      }
+
+      const text = pdu.message_payload || pdu.short_message;
+      const body = text && typeof text === 'object' && 'message' in text ? text.message : String(text || '');
+      const message = record('smpp', pdu.destination_addr, pdu.source_addr, body);
+      session.send(pdu.response({ message_id: message.id }));
+    });
+
+    session.on('enquire_link', pdu => session.send(pdu.response()));
+    session.on('unbind', pdu => {
+      session.send(pdu.response());
+      session.close();
+    });
+  });
+
+  return new Promise(resolve => {
+    const httpServer = app.listen(options.httpPort || 0, () => {
+      smppServer.listen(options.smppPort || 0, () => {
+        const gateway = {
+          messages: state.messages,
+          modes: state.modes,
+          httpPort: httpServer.address().port,
+          smppPort: smppServer.address().port,
+          close() {
+            sessions.forEach(session => session.close());
+            return Promise.all([
+              new Promise(done => httpServer.close(done)),
+              new Promise(done => smppServer.close(done))
+            ]);
+          }
+        };
+        log(`📡 Fake SMS gateway: HTTP on http://localhost:${gateway.httpPort}, SMPP on smpp://localhost:${gateway.smppPort}`);
+        resolve(gateway);
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startFakeSmsGateway({
+    httpPort: parseInt(process.argv[2] || process.env.FAKE_SMS_HTTP_PORT || '4010', 10),
+    smppPort: parseInt(process.argv[3] || process.env.FAKE_SMS_SMPP_PORT || '2775', 10)
+  });
+}
+
+module.exports = startFakeSmsGateway;
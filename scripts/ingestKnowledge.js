@@ -0,0 +1,28 @@
+/**
+ * Rebuild the chatbot's knowledge base index from the documents in
+ * KNOWLEDGE_BASE_DIR (default knowledge/), and optionally try a search.
+ *
+ * Usage: node scripts/ingestKnowledge.js ["question to search for"]
+ */
+require('dotenv').config();
+const knowledgeBase = require('../services/knowledge');
+
+async function main() {
+  const result = await knowledgeBase.ingest();
+  console.log(`✅ Indexed ${result.documents} documents as ${result.passages} passages (${result.embedder}) into ${knowledgeBase.indexPath}`);
+  result.failed.forEach(failure => console.warn(`⚠️ Skipped ${failure.source}: ${failure.error}`));
+
+  const query = process.argv.slice(2).join(' ');
+  if (query) {
+    const passages = await knowledgeBase.search(query);
+    console.log(`\nTop passages for "${query}":`);
+    passages.forEach(passage => console.log(`  ${passage.score.toFixed(3)}  ${passage.source} › ${passage.section}`));
+  }
+
+  process.exit(result.failed.length ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
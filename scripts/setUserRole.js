@@ -0,0 +1,33 @@
+/**
+ * Grant a role to a user by email. Roles can otherwise only be changed by an
+ * admin through PUT /api/users/:id/role, so this is how the first admin is made.
+ *
+ * Usage: node scripts/setUserRole.js <email> <citizen|responder|dispatcher|admin>
+ */
+require('dotenv').config();
+const userModel = require('../models/User');
+const userService = require('../services/userService');
+const { ROLES } = require('../config/roles');
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !role) {
+    console.error(`Usage: node scripts/setUserRole.js <email> <${Object.values(ROLES).join('|')}>`);
+    process.exit(1);
+  }
+
+  const user = await userModel.getUserByEmail(email);
+  if (!user) {
+    console.error(`❌ No user with email ${email}`);
+    process.exit(1);
+  }
+
+  await userService.setUserRole(user.id, role);
+  console.log(`✅ ${email} (${user.id}) is now ${role}`);
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+/**
+ * Local stand-in for the SMS and USSD gateways' inbound webhooks, to try the
+ * feature-phone commands (SAFE, HELP, SHELTER, ALERTS) without a real number.
+ *
+ * SMS messages are posted to /api/sms/inbound the way Twilio does
+ * (form-encoded, signed with TWILIO_AUTH_TOKEN when it is set) and the TwiML
+ * reply is printed. USSD input is posted to /api/sms/ussd the way USSD
+ * gateways do ({ sessionId, phoneNumber, text } with inputs joined by "*").
+ * SMS_WEBHOOK_SECRET, when set, is sent as X-Webhook-Secret. With neither
+ * set, run the server with NODE_ENV=development (or
+ * SMS_WEBHOOK_ALLOW_UNVERIFIED=true), which accepts unverified webhooks.
+ *
+ * Usage:
+ *   node scripts/smsWebhookSimulator.js "HELP Kurla, Mumbai"      one SMS
+ *   node scripts/smsWebhookSimulator.js                           type SMS messages, one per line
+ *   node scripts/smsWebhookSimulator.js --ussd                    walk the USSD menu
+ * Options: --url http://localhost:5000 (default, or SMS_SIMULATOR_URL)
+ *          --from +919876543210 (sender number)
+ */
+const axios = require('axios');
+const crypto = require('crypto');
+const readline = require('readline');
+const { twilioSignature } = require('../middleware/auth/smsWebhookAuth');
+
+const DEFAULT_FROM = '+919876543210';
+const GATEWAY_NUMBER = '+15005550006';
+
+/**
+ * Pull the message out of a TwiML reply
+ * @param {string} xml - TwiML
+ * @returns {string|null} Reply text
+ */
+function readTwiml(xml) {
+  const match = /<Message>([\s\S]*?)<\/Message>/.exec(String(xml));
+  if (!match) return null;
+  return match[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Send an inbound SMS to the webhook
+ * @param {Object} options - { url, from, text, authToken, secret }
+ * @returns {Promise<Object>} { status, reply, body }
+ */
+async function sendSms({ url, from = DEFAULT_FROM, text, authToken = process.env.TWILIO_AUTH_TOKEN, secret = process.env.SMS_WEBHOOK_SECRET }) {
+  const endpoint = `${url.replace(/\/$/, '')}/api/sms/inbound`;
+  const params = {
+    MessageSid: `SM${crypto.randomBytes(16).toString('hex')}`,
+    AccountSid: 'ACsimulator',
+    From: from,
+    To: GATEWAY_NUMBER,
+    Body: text,
+    NumMedia: '0'
+  };
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (authToken) headers['X-Twilio-Signature'] = twilioSignature(authToken, endpoint, params);
+  if (secret) headers['X-Webhook-Secret'] = secret;
+
+  const response = await axios.post(endpoint, new URLSearchParams(params).toString(), {
+    headers,
+    timeout: 60000,
+    validateStatus: () => true
+  });
+  return { status: response.status, reply: readTwiml(response.data), body: response.data };
+}
+
+/**
+ * Send one step of a USSD session to the webhook
+ * @param {Object} options - { url, sessionId, phoneNumber, text, secret }
+ * @returns {Promise<Object>} { status, screen, done } where done means the session ended
+ */
+async function sendUssd({ url, sessionId, phoneNumber = DEFAULT_FROM, text = '', secret = process.env.SMS_WEBHOOK_SECRET }) {
+  const headers = secret ? { 'X-Webhook-Secret': secret } : {};
+  const response = await axios.post(`${url.replace(/\/$/, '')}/api/sms/ussd`, {
+    sessionId,
+    serviceCode: '*384*112#',
+    phoneNumber,
+    text
+  }, { headers, timeout: 60000, validateStatus: () => true });
+
+  const screen = String(response.data);
+  return { status: response.status, screen: screen.replace(/^(CON|END) /, ''), done: !screen.startsWith('CON ') };
+}
+
+/**
+ * Read a value following a flag
+ * @param {Array<string>} args - Command-line arguments
+ * @param {string} flag - Flag name
+ * @returns {string|undefined} Value
+ */
+function option(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args.splice(index, 2)[1];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const url = option(args, '--url') || process.env.SMS_SIMULATOR_URL || 'http://localhost:5000';
+  const from = option(args, '--from') || DEFAULT_FROM;
+  const ussd = args.includes('--ussd');
+  const message = args.filter(arg => arg !== '--ussd').join(' ');
+
+  if (message && !ussd) {
+    const { status, reply, body } = await sendSms({ url, from, text: message });
+    console.log(reply !== null ? `📩 ${reply}` : `⚠️ HTTP ${status}: ${JSON.stringify(body)}`);
+    return;
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const ask = question => new Promise(resolve => prompt.question(question, resolve));
+
+  if (ussd) {
+    // Each session starts at the menu; inputs accumulate like a gateway sends them
+    const sessionId = `ATUid_${crypto.randomBytes(8).toString('hex')}`;
+    const inputs = [];
+    for (;;) {
+      const { status, screen, done } = await sendUssd({ url, sessionId, phoneNumber: from, text: inputs.join('*') });
+      console.log(status === 200 ? `\n${screen}\n` : `⚠️ HTTP ${status}: ${screen}`);
+      if (done || status !== 200) break;
+      inputs.push(await ask('> '));
+    }
+  } else {
+    console.log(`Texting ${url} as ${from}. Try SAFE, HELP <location>, SHELTER <pincode> or ALERTS. Ctrl+C to stop.`);
+    for (;;) {
+      const text = await ask('> ');
+      const { status, reply, body } = await sendSms({ url, from, text });
+      console.log(reply !== null ? `📩 ${reply}` : `⚠️ HTTP ${status}: ${JSON.stringify(body)}`);
+    }
+  }
+
+  prompt.close();
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Simulator failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  sendSms,
+  sendUssd
+};
@@ -5,6 +5,7 @@ const path = require('path');
 const socketIO = require('socket.io');
 const helmet = require('helmet');
 const compression = require('compression');
+const { canBroadcast } = require('./middleware/auth/socketAuth');
 
 // Load environment variables
 dotenv.config();
@@ -117,8 +118,8 @@ module.exports = function(app, server) {
 
   // Define all route variables
   let aiRoutes, alertRoutes, disasterRoutes, emergencyRoutes, evacuationRoutes, 
-      geminiRoutes, mapRoutes, predictionRoutes, pushNotificationRoutes, 
-      routeRoutes, safeZoneRoutes, userRoutes, voiceRoutes;
+      geminiRoutes, mapRoutes, offlineRoutes, predictionRoutes, pushNotificationRoutes, 
+      routeRoutes, safeZoneRoutes, safetyRoutes, smsRoutes, userRoutes, voiceRoutes;
 
   // Initialize each one with proper error handling
 
@@ -184,6 +185,15 @@ module.exports = function(app, server) {
     geminiRoutes.get('/*', (req, res) => res.status(503).json({error: 'Gemini service unavailable'}));
   }
 
+  // Offline alert packs
+  try {
+    offlineRoutes = require('./routes/offlineRoutes');
+  } catch (error) {
+    console.error('Failed to load Offline routes:', error.message);
+    offlineRoutes = express.Router();
+    offlineRoutes.use((req, res) => res.status(503).json({error: 'Offline pack service unavailable'}));
+  }
+
   try {
     predictionRoutes = require('./routes/predictionRoutes');
   } catch (error) {
@@ -192,6 +202,24 @@ module.exports = function(app, server) {
     predictionRoutes.get('/*', (req, res) => res.status(503).json({error: 'Prediction service unavailable'}));
   }
 
+  // Check-ins, family board and SOS
+  try {
+    safetyRoutes = require('./routes/safetyRoutes');
+  } catch (error) {
+    console.error('Failed to load Safety routes:', error.message);
+    safetyRoutes = express.Router();
+    safetyRoutes.use((req, res) => res.status(503).json({error: 'Safety service unavailable'}));
+  }
+
+  // Inbound SMS and USSD commands
+  try {
+    smsRoutes = require('./routes/smsRoutes');
+  } catch (error) {
+    console.error('Failed to load SMS routes:', error.message);
+    smsRoutes = express.Router();
+    smsRoutes.use((req, res) => res.status(503).json({error: 'SMS command service unavailable'}));
+  }
+
   try {
     userRoutes = require('./routes/userRoutes');
   } catch (error) {
@@ -253,8 +281,11 @@ module.exports = function(app, server) {
   registerRoutes(app, '/api/maps', mapRoutes, 'mapRoutes');
   registerRoutes(app, '/api/predictions', predictionRoutes, 'predictionRoutes');
   registerRoutes(app, '/api/notifications', pushNotificationRoutes, 'pushNotificationRoutes');
+  registerRoutes(app, '/api/offline', offlineRoutes, 'offlineRoutes');
   registerRoutes(app, '/api/routes', routeRoutes, 'routeRoutes');
   registerRoutes(app, '/api/safe-zones', safeZoneRoutes, 'safeZoneRoutes');
+  registerRoutes(app, '/api/safety', safetyRoutes, 'safetyRoutes');
+  registerRoutes(app, '/api/sms', smsRoutes, 'smsRoutes');
   registerRoutes(app, '/api/users', userRoutes, 'userRoutes');
 
   // Add a direct API test route
@@ -297,32 +328,29 @@ module.exports = function(app, server) {
   // Add socket event listeners
   io.on('connection', (socket) => {
     console.log('Client connected:', socket.id);
-    // Handle emergency alerts from clients
-    socket.on('send-emergency-alert', (data) => {
-      console.log('Received emergency alert:', data);
-      socketService.broadcast('emergency-alert', {
-        alert: data,
-        attributes: { severity: data.severity || 'high' }
+
+    // Client-originated broadcasts reach everyone, so only responders and above may send them
+    const relayBroadcast = (event, key, data) => {
+      if (!canBroadcast(socket)) {
+        console.warn(`Rejected ${event} from socket ${socket.id} (${socket.user ? socket.user.role : 'anonymous'})`);
+        socket.emit('broadcast-rejected', { event, message: 'Only responders and admins can broadcast' });
+        return;
+      }
+      console.log(`Received ${event} from ${socket.user.userId}:`, data);
+      socketService.broadcast(event, {
+        [key]: data,
+        attributes: { severity: (data && data.severity) || 'high', sentBy: socket.user.userId }
       });
-    });
+    };
+
+    // Handle emergency alerts from clients
+    socket.on('send-emergency-alert', (data) => relayBroadcast('emergency-alert', 'alert', data));
 
     // Handle evacuation notices from clients
-    socket.on('send-evacuation-notice', (data) => {
-      console.log('Received evacuation notice:', data);
-      socketService.broadcast('evacuation-notice', {
-        notice: data,
-        attributes: { severity: data.severity || 'high' }
-      });
-    });
+    socket.on('send-evacuation-notice', (data) => relayBroadcast('evacuation-notice', 'notice', data));
 
     // Handle disaster warnings from clients
-    socket.on('send-disaster-warning', (data) => {
-      console.log('Received disaster warning:', data);
-      socketService.broadcast('disaster-warning', {
-        warning: data,
-        attributes: { severity: data.severity || 'high' }
-      });
-    });
+    socket.on('send-disaster-warning', (data) => relayBroadcast('disaster-warning', 'warning', data));
 
     socket.on('disconnect', () => {
       console.log('Client disconnected:', socket.id);
@@ -366,9 +394,40 @@ module.exports = function(app, server) {
     console.log('PubSub service disabled via environment variable');
   }
 
+  // Start the unified hazard feed aggregator conditionally
+  if (process.env.ENABLE_HAZARD_FEED === 'true') {
+    const hazardFeedAggregator = require('./services/alertServices/hazardFeedAggregator');
+    hazardFeedAggregator.start();
+  } else {
+    console.log('Hazard feed aggregator disabled via environment variable');
+  }
+
+  // Expire alerts whose expiresAt has passed (publishes alert-expired)
+  if (process.env.ENABLE_ALERT_EXPIRY !== 'false') {
+    const alertService = require('./services/alerts/alertService');
+    alertService.startExpiryChecks();
+  } else {
+    console.log('Alert expiry checks disabled via environment variable');
+  }
+
+  // Escalate unacknowledged alerts (FCM, SMS, emergency contacts) per config/escalationPolicies.js
+  if (process.env.ENABLE_ALERT_ESCALATION !== 'false') {
+    const escalationService = require('./services/alerts/escalationService');
+    escalationService.startEscalationChecks();
+  } else {
+    console.log('Alert escalation checks disabled via environment variable');
+  }
+
   // Serve static files for testing
   app.use(express.static('public'));
 
+  // Report media, when the storage backend is served from this server
+  const mediaStorage = require('./services/storage');
+  const mediaHandler = mediaStorage.handler();
+  if (mediaHandler) {
+    app.use(mediaStorage.publicPath, mediaHandler);
+  }
+
   // Serve the test clients
   app.get('/test-pubsub', (req, res) => {
     res.sendFile(path.join(__dirname, 'public/test-pubsub-client.html'));
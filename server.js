@@ -28,10 +28,13 @@ if (isCloudRun) {
   const evacuationRoutes = require('./routes/evacuationRoutes');
   const geminiRoutes = require('./routes/geminiRoutes');
   const mapRoutes = require('./routes/mapRoutes');
+  const offlineRoutes = require('./routes/offlineRoutes');
   const predictionRoutes = require('./routes/predictionRoutes');
   const pushNotificationRoutes = require('./routes/pushNotificationAPI');
   const routeRoutes = require('./routes/routeRoutes');
   const safeZoneRoutes = require('./routes/safeZoneRoutes');
+  const safetyRoutes = require('./routes/safetyRoutes');
+  const smsRoutes = require('./routes/smsRoutes');
   const userRoutes = require('./routes/userRoutes');
   const voiceRoutes = require('./routes/voiceRoutes');
   const diagnosticRoutes = require('./routes/diagnosticRoutes');
@@ -40,6 +43,10 @@ if (isCloudRun) {
   const socketService = require('./services/socket/socketService');
   const pubSubService = require('./services/pubsub/pubSubService.js');
   const pubSubListener = require('./services/pubsub/pubSubListener');
+  const hazardFeedAggregator = require('./services/alertServices/hazardFeedAggregator');
+  const alertService = require('./services/alerts/alertService');
+  const escalationService = require('./services/alerts/escalationService');
+  const mediaStorage = require('./services/storage');
   
   const app = express();
   const server = http.createServer(app);
@@ -69,6 +76,21 @@ if (isCloudRun) {
   
   // Initialize pubsub listeners
   pubSubListener.initialize();
+
+  // Start polling NOAA, USGS, OpenFEMA and OpenWeather into the disasters collection
+  if (process.env.ENABLE_HAZARD_FEED === 'true') {
+    hazardFeedAggregator.start();
+  }
+
+  // Expire alerts whose expiresAt has passed (publishes alert-expired)
+  if (process.env.ENABLE_ALERT_EXPIRY !== 'false') {
+    alertService.startExpiryChecks();
+  }
+
+  // Escalate unacknowledged alerts (FCM, SMS, emergency contacts) per config/escalationPolicies.js
+  if (process.env.ENABLE_ALERT_ESCALATION !== 'false') {
+    escalationService.startEscalationChecks();
+  }
     // Add your middleware
   app.use(cors());
   app.use(express.json());
@@ -81,6 +103,12 @@ if (isCloudRun) {
   
   // Static files
   app.use(express.static(path.join(__dirname, 'public')));
+
+  // Report media, when the storage backend is served from this server
+  const mediaHandler = mediaStorage.handler();
+  if (mediaHandler) {
+    app.use(mediaStorage.publicPath, mediaHandler);
+  }
   
   // Test route for voice interface
   app.get('/test-voice', (req, res) => {
@@ -184,25 +212,54 @@ if (isCloudRun) {
           <div class="endpoint">
             <h3>Emergency Management</h3>
             <p><code>GET /api/emergency/reports</code> - Get disaster reports</p>
-            <p><code>POST /api/emergency/report</code> - Submit a new emergency report</p>
+            <p><code>POST /api/emergency/report</code> - Submit a new emergency report (clustered with nearby reports)</p>
+            <p><code>POST /api/emergency/report/:id/media</code> - Attach photos/videos to a report (multipart "media")</p>
+            <p><code>POST /api/emergency/report/:id/assessment</code> - Re-run AI damage assessment of report photos (responder)</p>
+            <p><code>POST /api/emergency/report/:id/verify</code> - Verify a report (responder)</p>
+            <p><code>POST /api/emergency/report/:id/reject</code> - Reject a report (responder)</p>
+            <p><code>GET /api/emergency/clusters</code> - Report clusters awaiting moderation (responder)</p>
           </div>
           
           <div class="endpoint">
             <h3>Evacuation Services</h3>
             <p><code>GET /api/evacuation/safe-locations?lat=19.076&lng=72.8777</code> - Find nearby safe locations</p>
             <p><code>POST /api/evacuation/optimize</code> - Get optimized evacuation route</p>
+            <p><code>GET /api/offline/pack?lat=19.076&lng=72.8777</code> - Signed offline pack: disasters, safe zones, routes, contacts and tips (<code>&since=&lt;version&gt;</code> for changes only)</p>
+            <p><code>GET /api/offline/key</code> - Public key for verifying offline packs</p>
           </div>
           
           <div class="endpoint">
             <h3>AI-Powered Assistance</h3>
-            <p><code>POST /api/chat/start</code> - Start an emergency chat session</p>
+            <p><code>POST /api/ai/chat/stream</code> - Stream a chatbot answer as Server-Sent Events (socket clients emit <code>chat-message</code> and receive <code>chat-token</code>)</p>
+            <p><code>GET /api/ai/knowledge/search?q=bleeding</code> - Knowledge base passages the chatbot cites</p>
+            <p><code>POST /api/gemini/chat</code> - Start an emergency chat session (signed in)</p>
+            <p><code>GET /api/gemini/chat/sessions</code> - Your active chat sessions, to resume on any device</p>
             <p><code>GET /api/predictions/risk-assessment?city=Mumbai</code> - Get disaster risk assessment</p>
           </div>
           
           <div class="endpoint">
             <h3>Alert System</h3>
             <p><code>GET /api/alerts/active</code> - Get active alerts for an area</p>
+            <p><code>POST /api/alerts</code> - Create and broadcast an alert (dispatcher/admin)</p>
             <p><code>POST /api/alerts/subscribe</code> - Subscribe to alerts</p>
+            <p><code>GET /api/alerts/hazards</code> - Unified, deduplicated hazard feed (NOAA, USGS, OpenFEMA, OpenWeather)</p>
+            <p><code>POST /api/alerts/cap</code> - Ingest a CAP 1.2 alert (XML or JSON)</p>
+            <p><code>GET /api/alerts/:id.cap</code> - Export an alert as CAP 1.2 XML (<code>?format=json</code> for JSON)</p>
+            <p><code>PUT /api/alerts/:id</code> - Update an active alert</p>
+            <p><code>POST /api/alerts/:id/cancel</code> - Cancel an active alert</p>
+            <p><code>POST /api/alerts/:id/supersede</code> - Replace an active alert with a new one</p>
+            <p><code>POST /api/alerts/:id/ack</code> - Acknowledge an alert as the signed-in user (socket clients emit <code>alert-ack</code>)</p>
+            <p><code>GET /api/alerts/:id/unacknowledged</code> - Affected users who have not acknowledged an alert</p>
+            <p><code>POST /api/sms/inbound</code> - Inbound SMS webhook: SAFE, HELP &lt;location&gt;, SHELTER &lt;pincode&gt;, ALERTS</p>
+            <p><code>POST /api/sms/ussd</code> - USSD menu for the same commands</p>
+            <p><code>POST /api/safety/check-in</code> - Mark yourself safe or needing help and notify your emergency contacts (socket clients emit <code>safety-check-in</code>)</p>
+            <p><code>GET /api/safety/family</code> - Last check-in and location of linked family members</p>
+            <p><code>POST /api/safety/family/invites</code> - Invite someone to be linked family; they accept with <code>POST /api/safety/family/invites/:token/accept</code></p>
+            <p><code>DELETE /api/safety/family/:userId</code> - Unlink a family member</p>
+            <p><code>POST /api/safety/sos</code> - Start an SOS: contacts and nearby responders get a live tracking link (socket clients emit <code>sos-start</code>, then stream <code>sos-location</code>)</p>
+            <p><code>GET /api/safety/sos</code> - Open SOS sessions (responder)</p>
+            <p><code>GET /api/safety/sos/:id</code> - An SOS with its full location track</p>
+            <p><code>POST /api/safety/sos/:id/close</code> - Close an SOS (its user or a responder)</p>
           </div>
           
           <div class="endpoint">
@@ -214,8 +271,13 @@ if (isCloudRun) {
           <div class="endpoint">
             <h3>User Management</h3>
             <p><code>POST /api/users/register</code> - Register new user</p>
-            <p><code>POST /api/users/login</code> - User login</p>
+            <p><code>POST /api/users/login</code> - User login (returns an access token and a refresh token)</p>
+            <p><code>POST /api/users/refresh</code> - Exchange a refresh token for new tokens</p>
+            <p><code>POST /api/users/logout</code> - Revoke a refresh token</p>
+            <p><code>PUT /api/users/:id/role</code> - Change a user's role (admin)</p>
+            <p><code>PUT /api/users/:id/password</code> - Change your password (needs the current one; ends your sessions)</p>
             <p><code>GET /api/users/profile</code> - Get user profile</p>
+            <p><code>GET /api/users/languages</code> - Languages available for alerts, chat and voice</p>
           </div>
         </div>
 
@@ -240,8 +302,11 @@ if (isCloudRun) {
   app.use('/api/maps', mapRoutes);
   app.use('/api/predictions', predictionRoutes);
   app.use('/api/notifications', pushNotificationRoutes);
+  app.use('/api/offline', offlineRoutes);
   app.use('/api/routes', routeRoutes);
   app.use('/api/safe-zones', safeZoneRoutes);
+  app.use('/api/safety', safetyRoutes);
+  app.use('/api/sms', smsRoutes);
   app.use('/api/users', userRoutes);
   app.use('/api/voice', voiceRoutes);
   app.use('/api/diagnostic', diagnosticRoutes);
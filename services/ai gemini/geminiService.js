@@ -1,8 +1,7 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
-
-// Store chat sessions (in production, use a database)
-const chatSessions = new Map();
+const llmService = require("../llm/llmService");
+const chatSessionModel = require("../../models/ChatSession");
+const userService = require("../userService");
+const { LANGUAGES, DEFAULT_LANGUAGE, resolveLanguage, detectLanguage } = require("../../config/languages");
 
 // System prompt for emergency and first aid context
 const SYSTEM_PROMPT = `You are the SafeEscape Emergency Assistant, an AI trained to provide 
@@ -13,114 +12,198 @@ For natural disasters, provide safety protocols and evacuation guidance.
 Don't speculate beyond your knowledge or provide potentially harmful advice.
 If you're uncertain, clearly state that professional medical/emergency help should be sought.`;
 
+// Sessions idle for longer than this expire
+const SESSION_TTL_HOURS = parseFloat(process.env.CHAT_SESSION_TTL_HOURS || "2");
+// Most recent messages sent back to the model with each turn
+const HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT || "40", 10);
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Create an error carrying an HTTP status for the routes
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function sessionError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Sessions live in Firestore (models/ChatSession.js), so any instance can continue them
 class GeminiService {
-  constructor() {
-    if (!process.env.GEMINI_API_KEY) {
-      console.error('Error: GEMINI_API_KEY is not set in environment variables');
-      console.info('Please check your .env file at the project root');
-    }
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || "YOUR_API_KEY");
-    this.model = this.genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-  }
+  /**
+   * Start a chat session owned by a user
+   * @param {string} emergencyType - Emergency the conversation is about
+   * @param {string} location - Where the user is
+   * @param {string|null} userId - Owner; null for a one-off anonymous session
+   * @param {string|null} language - Language to greet the user in; defaults to their preferredLanguage
+   * @returns {Object} { sessionId, message, language, expiresAt }
+   */
+  async startChat(emergencyType = "general", location = "unknown", userId = null, language = null) {
+    language = resolveLanguage(language) || await userService.getPreferredLanguage(userId);
+    const initialPrompt = this.buildInitialPrompt(emergencyType, location, language);
 
-  async startChat(emergencyType = "general", location = "unknown") {
-    const sessionId = Date.now().toString();
-    
-    // Create a chat with history capability
-    const chat = this.model.startChat({
-      history: [],
-      generationConfig: {
-        temperature: 0.1,
-        topP: 0.95,
-        topK: 64,
-        maxOutputTokens: 1024,
-      },
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_ONLY_HIGH",
-        },
-      ],
-    });
+    const result = await llmService.generate({ task: "chat", prompt: initialPrompt });
+    const response = result.text;
 
-    // Initialize context with system prompt and emergency info
-    const initialPrompt = `${SYSTEM_PROMPT}\n\nCurrent emergency type: ${emergencyType}. Location: ${location}. Please provide appropriate guidance.`;
-    
-    const result = await chat.sendMessage(initialPrompt);
-    const response = result.response.text();
-    
-    // Store session
-    chatSessions.set(sessionId, {
-      chat,
-      emergencyType,
-      location,
-      history: [
+    const session = await chatSessionModel.createSession(
+      { userId, emergencyType, location, language },
+      [
         { role: "system", content: initialPrompt },
         { role: "model", content: response }
       ],
-      createdAt: new Date(),
-      lastActivity: new Date()
-    });
+      this.nextExpiry()
+    );
 
-    return { sessionId, message: response };
+    return { sessionId: session.id, message: response, language, expiresAt: session.expiresAt };
   }
 
-  async sendMessage(sessionId, message) {
-    const session = chatSessions.get(sessionId);
-    if (!session) {
-      throw new Error("Chat session not found or expired");
-    }
+  /**
+   * Send a user message and get the assistant's reply
+   * @param {string} sessionId - Session ID
+   * @param {string} message - User message
+   * @param {string|null} userId - Caller; must own the session
+   * @returns {Object} { response, language } where language is the one the user wrote (and is answered) in
+   */
+  async sendMessage(sessionId, message, userId = null) {
+    const session = await this.getOwnedSession(sessionId, userId);
 
-    // Update last activity
-    session.lastActivity = new Date();
-    
     // Enhance message with emergency context if keywords detected
     let enhancedMessage = message;
     if (this.containsEmergencyKeywords(message)) {
       enhancedMessage = `URGENT QUERY about ${this.detectEmergencyType(message)}: ${message}`;
     }
 
-    // Send message to Gemini
-    const result = await session.chat.sendMessage(enhancedMessage);
-    const response = result.response.text();
-    
-    // Update session history
-    session.history.push(
-      { role: "user", content: message },
-      { role: "model", content: response }
+    // Reply in the language of this message, even if the session started in another
+    const language = detectLanguage(message, session.language);
+    if (language !== DEFAULT_LANGUAGE || (session.language && session.language !== DEFAULT_LANGUAGE)) {
+      enhancedMessage = `${enhancedMessage}\n\n(${this.replyLanguageInstruction(language)})`;
+    }
+
+    // Long conversations keep the opening prompt plus the latest turns
+    const history = await chatSessionModel.getMessages(sessionId, HISTORY_LIMIT);
+    if (history.length && history[0].seq !== 0) {
+      history.unshift({ role: "system", content: this.buildInitialPrompt(session.emergencyType, session.location, session.language) });
+    }
+
+    // Send the conversation so far; the opening prompt goes as the first user turn
+    const result = await llmService.generate({
+      task: "chat",
+      messages: [
+        ...history.map(entry => ({ role: entry.role === "model" ? "assistant" : "user", text: entry.content })),
+        { role: "user", text: enhancedMessage }
+      ]
+    });
+    const response = result.text;
+
+    const saved = await chatSessionModel.appendMessages(
+      sessionId,
+      [
+        { role: "user", content: message },
+        { role: "model", content: response }
+      ],
+      this.nextExpiry()
     );
-    
-    return { response };
+    if (!saved) throw sessionError(404, "Chat session not found or expired");
+
+    return { response, language };
   }
 
-  getSessionHistory(sessionId) {
-    const session = chatSessions.get(sessionId);
-    if (!session) {
-      throw new Error("Chat session not found");
-    }
-    return session.history;
+  /**
+   * A session with its full history, for resuming it on any device
+   * @param {string} sessionId - Session ID
+   * @param {string|null} userId - Caller; must own the session
+   * @returns {Object} Session with history
+   */
+  async getSession(sessionId, userId = null) {
+    const session = await this.getOwnedSession(sessionId, userId);
+    const history = await this.getSessionHistory(sessionId, userId, session);
+    return { ...session, history };
   }
 
-  endSession(sessionId) {
-    if (!chatSessions.has(sessionId)) {
-      throw new Error("Chat session not found");
-    }
-    chatSessions.delete(sessionId);
+  /**
+   * Messages of a session in order
+   * @param {string} sessionId - Session ID
+   * @param {string|null} userId - Caller; must own the session
+   * @param {Object} [session] - Session already checked by the caller
+   * @returns {Array<Object>} { role, content, createdAt }
+   */
+  async getSessionHistory(sessionId, userId = null, session = null) {
+    if (!session) await this.getOwnedSession(sessionId, userId);
+
+    const messages = await chatSessionModel.getMessages(sessionId);
+    return messages.map(({ role, content, createdAt }) => ({ role, content, createdAt }));
+  }
+
+  /**
+   * Active sessions of a user, most recent first
+   * @param {string} userId - Owner
+   * @returns {Array<Object>} Sessions without history
+   */
+  async listSessions(userId) {
+    return chatSessionModel.listForUser(userId);
+  }
+
+  /**
+   * End a session and delete its history
+   * @param {string} sessionId - Session ID
+   * @param {string|null} userId - Caller; must own the session
+   * @returns {boolean} True once deleted
+   */
+  async endSession(sessionId, userId = null) {
+    await this.getOwnedSession(sessionId, userId);
+    await chatSessionModel.deleteSession(sessionId);
     return true;
   }
 
+  /**
+   * Load a live session of the caller. Sessions of other users are reported
+   * as missing, so session IDs cannot be probed.
+   * @param {string} sessionId - Session ID
+   * @param {string|null} userId - Caller
+   * @returns {Object} Session
+   */
+  async getOwnedSession(sessionId, userId) {
+    const session = await chatSessionModel.getSession(sessionId);
+
+    if (!session || session.userId !== (userId || null) ||
+        session.status !== "active" || new Date(session.expiresAt) <= new Date()) {
+      throw sessionError(404, "Chat session not found or expired");
+    }
+    return session;
+  }
+
+  /**
+   * Opening prompt of a session
+   * @param {string} emergencyType - Emergency type
+   * @param {string} location - Location
+   * @param {string} language - Language to reply in
+   * @returns {string} Prompt
+   */
+  buildInitialPrompt(emergencyType, location, language = DEFAULT_LANGUAGE) {
+    return `${SYSTEM_PROMPT}\n\nCurrent emergency type: ${emergencyType}. Location: ${location}. Please provide appropriate guidance.` +
+      `\n${this.replyLanguageInstruction(language)} If the user writes in another language, reply in that language.`;
+  }
+
+  /**
+   * Instruction naming the language to reply in
+   * @param {string} language - Language code
+   * @returns {string} Instruction
+   */
+  replyLanguageInstruction(language) {
+    const { name, nativeName } = LANGUAGES[resolveLanguage(language) || DEFAULT_LANGUAGE];
+    return `Reply in ${name}${name === nativeName ? "" : ` (${nativeName})`}.`;
+  }
+
+  /**
+   * Expiry of a session active now
+   * @returns {Date} Expiry
+   */
+  nextExpiry() {
+    return new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  }
+
   containsEmergencyKeywords(message) {
     const emergencyKeywords = [
       "emergency", "help", "urgent", "hurt", "injured", "bleeding", 
@@ -154,17 +237,21 @@ class GeminiService {
     return "emergency situation";
   }
 
-  // Call this method to initialize the cleanup timer
+  /**
+   * Periodically delete expired sessions. Firestore TTL on chatSessions.expiresAt
+   * can do the same; this sweep also removes their messages.
+   */
   initSessionCleanup() {
-    setInterval(() => {
-      const now = new Date();
-      for (const [sessionId, session] of chatSessions.entries()) {
-        // Remove sessions older than 2 hours
-        if (now - session.lastActivity > 2 * 60 * 60 * 1000) {
-          chatSessions.delete(sessionId);
-        }
+    const timer = setInterval(async () => {
+      try {
+        const deleted = await chatSessionModel.deleteExpired();
+        if (deleted) console.log(`🧹 Deleted ${deleted} expired chat sessions`);
+      } catch (error) {
+        console.error("Chat session cleanup failed:", error.message);
       }
-    }, 15 * 60 * 1000); // Run every 15 minutes
+    }, CLEANUP_INTERVAL_MS);
+    // Do not keep scripts and tests alive
+    timer.unref();
   }
 }
 
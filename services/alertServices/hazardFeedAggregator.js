@@ -0,0 +1,620 @@
+const geolib = require('geolib');
+const crypto = require('crypto');
+const firebaseConfig = require('../../config/firebase-config');
+const noaaWeatherService = require('./noaaWeatherService');
+const usgsEarthquakeService = require('./usgsEarthquakeService');
+const openFemaService = require('./openFemaService');
+const openWeatherService = require('./openWeatherService');
+const capService = require('../alerts/capService');
+const geofence = require('../../utils/geo/geofence');
+require('dotenv').config();
+
+/*
+ * Hazard event schema written to the `disasters` collection. The first block of
+ * fields is what DisasterManager and the /api/disasters routes already read.
+ *
+ * {
+ *   title, description, type, severity, instructions, evacuation,
+ *   location: { latitude, longitude, city, state, area },
+ *   radius,                       // meters
+ *   geometry,                     // GeoJSON Polygon/MultiPolygon (NOAA), coordinates JSON-encoded
+ *   active,                       // false once expiresAt has passed
+ *   aggregated: true,             // written by this service
+ *   sources: [{ source, sourceId, url }],
+ *   startedAt, expiresAt,         // ISO strings
+ *   createdAt, updatedAt, timestamp
+ * }
+ */
+
+const COLLECTION = 'disasters';
+
+// Cities polled for OpenWeather alerts (comma separated)
+const OPENWEATHER_CITIES = (process.env.HAZARD_FEED_CITIES || 'Delhi,Mumbai,Chennai,Kolkata')
+  .split(',').map(city => city.trim()).filter(Boolean);
+
+// Ignore small earthquakes from the USGS all_day feed
+const MIN_MAGNITUDE = parseFloat(process.env.HAZARD_FEED_MIN_MAGNITUDE || '4.5');
+
+// Only consider recent FEMA declarations
+const FEMA_MAX_AGE_DAYS = parseInt(process.env.HAZARD_FEED_FEMA_MAX_AGE_DAYS || '30', 10);
+
+// Events of the same type this close in time (and space) are treated as one hazard
+const MERGE_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+// Events without an explicit end stay active this long after they start
+const DEFAULT_EVENT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Severity ordering used when merging
+const SEVERITY_RANK = { info: 0, warning: 1, high: 2, critical: 3 };
+
+// Which source's text and coordinates win when events merge (most precise first)
+const SOURCE_PRIORITY = ['usgs', 'noaa', 'openweather', 'fema'];
+
+// Source-specific event names mapped to a common hazard type
+const TYPE_PATTERNS = [
+  ['earthquake', /earthquake|quake|seismic/i],
+  ['tsunami', /tsunami/i],
+  ['cyclone', /hurricane|typhoon|cyclone|tropical/i],
+  ['tornado', /tornado/i],
+  ['flood', /flood|flash|storm surge|coastal/i],
+  ['fire', /fire|red flag|smoke/i],
+  ['heatwave', /heat/i],
+  ['landslide', /landslide|mudslide|debris flow/i],
+  ['volcano', /volcan|ash/i],
+  ['storm', /storm|thunder|wind|blizzard|winter|snow|ice|hail/i]
+];
+
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho',
+  IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina',
+  ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania',
+  RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas',
+  UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia',
+  WI: 'Wisconsin', WY: 'Wyoming', PR: 'Puerto Rico', GU: 'Guam', VI: 'Virgin Islands'
+};
+
+/**
+ * Map a free-text event name to a common hazard type
+ * @param {string} text - Event name or title
+ * @returns {string} Hazard type
+ */
+function classifyHazard(text) {
+  const match = TYPE_PATTERNS.find(([, pattern]) => pattern.test(text || ''));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Normalize a state name or abbreviation to its two-letter code
+ * @param {string} state - State name or code
+ * @returns {string|null} Two-letter code
+ */
+function normalizeState(state) {
+  if (!state) return null;
+  const value = state.trim();
+  if (US_STATES[value.toUpperCase()]) return value.toUpperCase();
+  const entry = Object.entries(US_STATES).find(([, name]) => name.toLowerCase() === value.toLowerCase());
+  return entry ? entry[0] : null;
+}
+
+/**
+ * State of a NOAA alert area: the first two letters of its UGC zone codes
+ * (e.g. TXZ211), else the ", TX" suffixes of its areaDesc. Marine zones have
+ * no state. An area spanning states takes the first one listed.
+ * @param {Object} area - CAP area
+ * @returns {string|null} Two-letter code
+ */
+function stateFromArea(area) {
+  const ugc = (area.geocode || []).filter(pair => pair.valueName === 'UGC' && pair.value);
+  for (const pair of ugc) {
+    const state = normalizeState(pair.value.slice(0, 2));
+    if (state) return state;
+  }
+
+  for (const part of (area.areaDesc || '').split(';')) {
+    const match = part.match(/,\s*([A-Za-z]{2})\s*$/);
+    const state = match && normalizeState(match[1]);
+    if (state) return state;
+  }
+  return null;
+}
+
+/**
+ * Earthquake impact radius from magnitude
+ * @param {number} magnitude - Richter magnitude
+ * @returns {number} Radius in meters
+ */
+function radiusForMagnitude(magnitude) {
+  if (magnitude >= 7) return 400000;
+  if (magnitude >= 6) return 200000;
+  if (magnitude >= 5) return 100000;
+  return 50000;
+}
+
+/**
+ * Earthquake severity from magnitude
+ * @param {number} magnitude - Richter magnitude
+ * @returns {string} SafeEscape severity
+ */
+function severityForMagnitude(magnitude) {
+  if (magnitude >= 7) return 'critical';
+  if (magnitude >= 6) return 'high';
+  if (magnitude >= 5) return 'warning';
+  return 'info';
+}
+
+/**
+ * Stable document ID for an event's primary source
+ * @param {Object} source - { source, sourceId }
+ * @returns {string} Firestore document ID
+ */
+function documentIdFor(source) {
+  const hash = crypto.createHash('sha1').update(`${source.source}:${source.sourceId}`).digest('hex').slice(0, 16);
+  return `hazard-${source.source}-${hash}`;
+}
+
+/**
+ * Aggregates NOAA, USGS, OpenFEMA and OpenWeather into deduplicated hazard events
+ */
+class HazardFeedAggregator {
+  constructor() {
+    this.pollInterval = null;
+    this.polling = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start polling the upstream feeds on a schedule
+   * @param {number} intervalMinutes - Poll interval in minutes
+   */
+  start(intervalMinutes = parseInt(process.env.HAZARD_FEED_INTERVAL_MINUTES || '10', 10)) {
+    this.stop();
+
+    this.pollInterval = setInterval(() => {
+      console.log(`Running scheduled hazard feed poll (every ${intervalMinutes} minutes)`);
+      this.poll().catch(() => {});
+    }, intervalMinutes * 60 * 1000);
+
+    console.log(`Scheduled hazard feed polling every ${intervalMinutes} minutes`);
+
+    // Run an initial poll
+    this.poll().catch(() => {});
+  }
+
+  /**
+   * Stop scheduled polling
+   */
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      console.log('Stopped hazard feed polling');
+    }
+  }
+
+  /**
+   * Poll every source once, merge duplicates and write the result to Firestore
+   * @returns {Object} Summary of the run
+   */
+  async poll() {
+    if (this.polling) {
+      console.log('Hazard feed poll already in progress, skipping');
+      return null;
+    }
+
+    this.polling = true;
+    try {
+      const results = await Promise.allSettled([
+        this.fetchNoaa(),
+        this.fetchUsgs(),
+        this.fetchFema(),
+        this.fetchOpenWeather()
+      ]);
+
+      const events = [];
+      const errors = {};
+      ['noaa', 'usgs', 'fema', 'openweather'].forEach((source, i) => {
+        if (results[i].status === 'fulfilled') {
+          events.push(...results[i].value);
+        } else {
+          errors[source] = results[i].reason.message;
+          console.error(`Hazard feed source ${source} failed:`, results[i].reason.message);
+        }
+      });
+
+      const merged = this.mergeEvents(events);
+      const written = await this.persist(merged);
+      const expired = await this.expireStaleEvents();
+
+      this.lastRun = {
+        timestamp: new Date().toISOString(),
+        fetched: events.length,
+        merged: merged.length,
+        written,
+        expired,
+        errors
+      };
+      console.log('Hazard feed poll complete:', JSON.stringify(this.lastRun));
+
+      return this.lastRun;
+    } catch (error) {
+      console.error('Error polling hazard feeds:', error);
+      throw error;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * NOAA weather alerts (already CAP-normalized by noaaWeatherService)
+   * @returns {Array} Hazard events
+   */
+  async fetchNoaa() {
+    const alerts = await noaaWeatherService.getWeatherAlerts();
+
+    return alerts
+      .filter(alert => alert.cap.status === 'Actual' && alert.cap.msgType !== 'Cancel')
+      .map(alert => {
+        const data = capService.toAlert(alert.cap);
+        const info = alert.cap.info[0];
+        const hasPoint = data.location.lat !== undefined;
+
+        return {
+          title: data.title,
+          description: data.message,
+          type: classifyHazard(info.event),
+          severity: data.severity,
+          instructions: data.instructions,
+          evacuation: (info.responseType || []).includes('Evacuate'),
+          location: {
+            latitude: hasPoint ? data.location.lat : null,
+            longitude: hasPoint ? data.location.lng : null,
+            city: null,
+            state: stateFromArea(info.area[0]),
+            area: info.area[0].areaDesc
+          },
+          radius: data.location.radius || 25000,
+          geometry: data.geometry || null,
+          startedAt: new Date(info.onset || info.effective || alert.cap.sent).toISOString(),
+          expiresAt: data.expiresAt || null,
+          sources: [{ source: 'noaa', sourceId: alert.cap.identifier, url: alert.id }]
+        };
+      });
+  }
+
+  /**
+   * USGS earthquakes above the configured magnitude
+   * @returns {Array} Hazard events
+   */
+  async fetchUsgs() {
+    const features = await usgsEarthquakeService.getRecentEarthquakes();
+
+    return features
+      .filter(feature => feature.properties && feature.properties.mag >= MIN_MAGNITUDE)
+      .map(feature => {
+        const { mag, place, time, title, url, tsunami } = feature.properties;
+        const [longitude, latitude] = feature.geometry.coordinates;
+        const stateMatch = (place || '').match(/,\s*([^,]+)$/);
+
+        return {
+          title: title || `M ${mag} Earthquake`,
+          description: `Magnitude ${mag} earthquake ${place || ''}`.trim(),
+          type: 'earthquake',
+          severity: severityForMagnitude(mag),
+          instructions: 'Drop, cover, and hold on. Expect aftershocks.',
+          evacuation: tsunami === 1,
+          location: {
+            latitude,
+            longitude,
+            city: null,
+            state: stateMatch ? normalizeState(stateMatch[1]) : null,
+            area: place || null
+          },
+          radius: radiusForMagnitude(mag),
+          startedAt: new Date(time).toISOString(),
+          expiresAt: new Date(time + DEFAULT_EVENT_TTL_MS).toISOString(),
+          sources: [{ source: 'usgs', sourceId: feature.id, url }]
+        };
+      });
+  }
+
+  /**
+   * Recent, still-open FEMA disaster declarations
+   * @returns {Array} Hazard events
+   */
+  async fetchFema() {
+    const response = await openFemaService.getDisasterDeclarations({ limit: 200 });
+    if (!response.success) {
+      throw new Error(response.error?.message || 'OpenFEMA request failed');
+    }
+
+    const cutoff = Date.now() - FEMA_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+    return response.data.declarations
+      .filter(declaration => declaration.dates.ended === 'Ongoing')
+      .filter(declaration => !isNaN(new Date(declaration.dates.started).getTime()))
+      .filter(declaration => new Date(declaration.dates.declared).getTime() >= cutoff)
+      .map(declaration => ({
+        title: declaration.title,
+        description: `${declaration.type.incident} disaster declaration (${declaration.reference.declarationString}) for ${declaration.location.area}, ${declaration.location.state}`,
+        type: classifyHazard(declaration.type.incident),
+        severity: declaration.type.declaration === 'DR' ? 'high' : 'warning',
+        instructions: null,
+        evacuation: false,
+        location: {
+          latitude: null,
+          longitude: null,
+          city: null,
+          state: normalizeState(declaration.location.state),
+          area: declaration.location.area
+        },
+        radius: null,
+        startedAt: new Date(declaration.dates.started).toISOString(),
+        expiresAt: new Date(new Date(declaration.dates.declared).getTime() + FEMA_MAX_AGE_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        sources: [{
+          source: 'fema',
+          sourceId: declaration.id,
+          url: `https://www.fema.gov/disaster/${declaration.reference.disasterNumber}`
+        }]
+      }));
+  }
+
+  /**
+   * OpenWeather alerts for the configured cities
+   * @returns {Array} Hazard events
+   */
+  async fetchOpenWeather() {
+    const perCity = await Promise.all(OPENWEATHER_CITIES.map(async (city) => {
+      try {
+        const response = await openWeatherService.getWeatherAlerts(city);
+        const alerts = response?.alerts || [];
+        if (alerts.length === 0) return [];
+
+        // Fall back to the current-weather lookup for coordinates
+        let latitude = response.lat;
+        let longitude = response.lon;
+        if (latitude === undefined || longitude === undefined) {
+          const weather = await openWeatherService.getCurrentWeather(city);
+          latitude = weather.coord?.lat ?? null;
+          longitude = weather.coord?.lon ?? null;
+        }
+
+        return alerts.map(alert => ({
+          title: `${alert.event} - ${city}`,
+          description: alert.description,
+          type: classifyHazard(`${alert.event} ${(alert.tags || []).join(' ')}`),
+          severity: /extreme|red/i.test(alert.event) ? 'critical' : 'high',
+          instructions: null,
+          evacuation: false,
+          location: { latitude, longitude, city, state: null, area: city },
+          radius: 30000,
+          startedAt: new Date(alert.start * 1000).toISOString(),
+          expiresAt: alert.end ? new Date(alert.end * 1000).toISOString() : null,
+          sources: [{ source: 'openweather', sourceId: `${city}:${alert.event}:${alert.start}`, url: null }]
+        }));
+      } catch (error) {
+        console.error(`OpenWeather alerts unavailable for ${city}:`, error.message);
+        return [];
+      }
+    }));
+
+    return perCity.flat();
+  }
+
+  /**
+   * Decide whether two hazard events describe the same incident
+   * @param {Object} a - Hazard event
+   * @param {Object} b - Hazard event
+   * @returns {boolean} True if they should be merged
+   */
+  isSameHazard(a, b) {
+    if (a.type !== b.type || a.type === 'other') return false;
+
+    // A feed reports each incident once, so two events from one feed are two incidents
+    const feeds = event => event.sources.map(s => s.source);
+    if (feeds(a).some(source => feeds(b).includes(source))) return false;
+
+    // Time: starts within the merge window (FEMA dates have day precision only)
+    const timeGap = Math.abs(new Date(a.startedAt).getTime() - new Date(b.startedAt).getTime());
+    if (timeGap > MERGE_WINDOW_MS) return false;
+
+    // Geography: overlapping circles when both have coordinates...
+    const hasPoint = event => event.location.latitude !== null && event.location.longitude !== null;
+    if (hasPoint(a) && hasPoint(b)) {
+      const distance = geolib.getDistance(
+        { latitude: a.location.latitude, longitude: a.location.longitude },
+        { latitude: b.location.latitude, longitude: b.location.longitude }
+      );
+      return distance <= Math.max(a.radius || 0, b.radius || 0, 25000);
+    }
+
+    // ...otherwise the same state
+    return !!a.location.state && a.location.state === b.location.state;
+  }
+
+  /**
+   * Merge two events describing the same hazard
+   * @param {Object} target - Event to merge into
+   * @param {Object} other - Event to merge
+   * @returns {Object} Merged event
+   */
+  combine(target, other) {
+    const rank = event => Math.min(...event.sources.map(s => SOURCE_PRIORITY.indexOf(s.source)));
+    const [primary, secondary] = rank(other) < rank(target) ? [other, target] : [target, other];
+
+    const sources = [...primary.sources];
+    secondary.sources.forEach(source => {
+      if (!sources.some(s => s.source === source.source && s.sourceId === source.sourceId)) {
+        sources.push(source);
+      }
+    });
+
+    const hasPoint = event => event.location.latitude !== null && event.location.longitude !== null;
+    const located = hasPoint(primary) ? primary : (hasPoint(secondary) ? secondary : primary);
+
+    return {
+      ...primary,
+      severity: SEVERITY_RANK[secondary.severity] > SEVERITY_RANK[primary.severity] ? secondary.severity : primary.severity,
+      instructions: primary.instructions || secondary.instructions,
+      evacuation: !!(primary.evacuation || secondary.evacuation),
+      location: {
+        ...located.location,
+        state: primary.location.state || secondary.location.state,
+        city: primary.location.city || secondary.location.city
+      },
+      radius: Math.max(primary.radius || 0, secondary.radius || 0) || null,
+      geometry: primary.geometry || secondary.geometry || null,
+      startedAt: [primary.startedAt, secondary.startedAt].sort()[0],
+      expiresAt: [primary.expiresAt, secondary.expiresAt].filter(Boolean).sort().pop() || null,
+      sources
+    };
+  }
+
+  /**
+   * Collapse duplicate events reported by different sources
+   * @param {Array} events - Hazard events from all sources
+   * @returns {Array} Deduplicated hazard events
+   */
+  mergeEvents(events) {
+    const merged = [];
+
+    events.forEach(event => {
+      const index = merged.findIndex(existing => this.isSameHazard(existing, event));
+      if (index === -1) {
+        merged.push(event);
+      } else {
+        merged[index] = this.combine(merged[index], event);
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Upsert merged events into the disasters collection, matching earlier polls
+   * by source ID first and by the same type/time/geography rule second
+   * @param {Array} events - Deduplicated hazard events
+   * @returns {number} Number of documents written
+   */
+  async persist(events) {
+    if (events.length === 0) return 0;
+
+    const db = firebaseConfig.db;
+    const FieldValue = firebaseConfig.fieldValues;
+
+    const snapshot = await db.collection(COLLECTION)
+      .where('aggregated', '==', true)
+      .where('active', '==', true)
+      .get();
+    const existing = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    const now = new Date().toISOString();
+    let batch = db.batch();
+    let pending = 0;
+    let written = 0;
+
+    for (const event of events) {
+      const match = existing.find(doc =>
+        doc.sources.some(s => event.sources.some(e => e.source === s.source && e.sourceId === s.sourceId))
+      ) || existing.find(doc => this.isSameHazard(doc, event));
+
+      let record;
+      let docId;
+      if (match) {
+        docId = match.id;
+        record = this.combine(match, event);
+        delete record.id;
+      } else {
+        docId = documentIdFor(event.sources[0]);
+        record = { ...event, createdAt: now };
+        existing.push({ id: docId, ...record });
+      }
+
+      const expired = record.expiresAt && new Date(record.expiresAt).getTime() < Date.now();
+      const geometry = geofence.getGeometry(record);
+      batch.set(db.collection(COLLECTION).doc(docId), {
+        ...record,
+        geometry: geometry ? geofence.serializeGeometry(geometry) : null,
+        active: !expired,
+        aggregated: true,
+        updatedAt: now,
+        timestamp: FieldValue.serverTimestamp()
+      }, { merge: true });
+      pending++;
+      written++;
+
+      // Firestore batches are limited to 500 writes
+      if (pending === 450) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    }
+
+    if (pending > 0) {
+      await batch.commit();
+    }
+
+    return written;
+  }
+
+  /**
+   * Deactivate aggregated hazards whose expiry has passed
+   * @returns {number} Number of hazards deactivated
+   */
+  async expireStaleEvents() {
+    const db = firebaseConfig.db;
+    const now = new Date().toISOString();
+
+    const snapshot = await db.collection(COLLECTION)
+      .where('aggregated', '==', true)
+      .where('active', '==', true)
+      .get();
+
+    const stale = snapshot.docs.filter(doc => doc.data().expiresAt && doc.data().expiresAt < now);
+    if (stale.length === 0) return 0;
+
+    const batch = db.batch();
+    stale.forEach(doc => batch.update(doc.ref, { active: false, updatedAt: now }));
+    await batch.commit();
+
+    console.log(`Deactivated ${stale.length} expired hazard events`);
+    return stale.length;
+  }
+
+  /**
+   * Get active aggregated hazard events
+   * @param {Object} options - { type, state, limit }
+   * @returns {Array} Hazard events
+   */
+  async getActiveHazards(options = {}) {
+    const db = firebaseConfig.db;
+    let query = db.collection(COLLECTION)
+      .where('aggregated', '==', true)
+      .where('active', '==', true);
+
+    if (options.type) {
+      query = query.where('type', '==', options.type);
+    }
+
+    const snapshot = await query.get();
+    let hazards = snapshot.docs.map(doc => {
+      const hazard = { id: doc.id, ...doc.data() };
+      return { ...hazard, geometry: geofence.getGeometry(hazard) };
+    });
+
+    if (options.state) {
+      const state = normalizeState(options.state);
+      hazards = hazards.filter(hazard => hazard.location.state === state);
+    }
+
+    return hazards
+      .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || b.startedAt.localeCompare(a.startedAt))
+      .slice(0, options.limit || 100);
+  }
+}
+
+module.exports = new HazardFeedAggregator();
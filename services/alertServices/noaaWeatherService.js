@@ -1,4 +1,5 @@
 const axios = require('axios');
+const capService = require('../alerts/capService');
 
 const noaaWeatherService = {
     async getWeatherAlerts() {
@@ -9,17 +10,29 @@ const noaaWeatherService = {
                 }
             });
             
-            // Transform the response to include important alert details
-            const alerts = response.data.features.map(alert => ({
-                id: alert.id,
-                event: alert.properties.event,
-                headline: alert.properties.headline,
-                description: alert.properties.description,
-                severity: alert.properties.severity,
-                area: alert.properties.areaDesc,
-                effective: alert.properties.effective,
-                expires: alert.properties.expires
-            }));
+            // Normalize every NOAA feature through CAP, keeping the flat fields callers already use
+            const alerts = response.data.features.map(feature => {
+                let cap;
+                try {
+                    cap = capService.fromNoaaFeature(feature);
+                } catch (capError) {
+                    console.warn(`Skipping NOAA alert ${feature.id}: ${capError.message}`);
+                    return null;
+                }
+                const info = cap.info[0];
+
+                return {
+                    id: feature.id,
+                    event: info.event,
+                    headline: info.headline,
+                    description: info.description,
+                    severity: info.severity,
+                    area: info.area[0].areaDesc,
+                    effective: feature.properties.effective,
+                    expires: feature.properties.expires,
+                    cap
+                };
+            }).filter(Boolean);
             
             return alerts;
         } catch (error) {
@@ -29,4 +42,4 @@ const noaaWeatherService = {
     }
 };
 
-module.exports = noaaWeatherService;
\ No newline at end of file
+module.exports = noaaWeatherService;
@@ -1,43 +1,115 @@
 const pubSubService = require('../pubsub/pubSubService');
 const disasterPrediction = require('../vertexai/disasterPrediction');
 const firebaseAdmin = require('../firebase/firebaseAdmin');
-const { getDistance } = require('geolib');
+const capService = require('./capService');
+const smsService = require('../notificationServices/smsServices/smsService');
+const deliveryReceiptService = require('./deliveryReceiptService');
+const geofence = require('../../utils/geo/geofence');
+const translationService = require('../translation');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../../config/languages');
+require('dotenv').config();
+
+// Fields an operator may change on an active alert
+const UPDATABLE_FIELDS = ['title', 'message', 'severity', 'instructions', 'expiresAt', 'location', 'geometry', 'region', 'area', 'reason'];
+
+// Fields translated into each recipient's preferredLanguage; delivery does not
+// wait past the deadline for them, the original wording goes out instead
+const ALERT_TEXT_FIELDS = ['title', 'message', 'instructions'];
+const TRANSLATION_OPTIONS = { deadlineMs: translationService.urgentDeadlineMs };
+
+// How often expired alerts are swept
+const EXPIRY_INTERVAL_MINUTES = parseFloat(process.env.ALERT_EXPIRY_INTERVAL_MINUTES || '1');
+
+/**
+ * Create an error carrying an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function lifecycleError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Check whether an alert's expiresAt has passed
+ * @param {Object} alert - Alert
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the alert has expired
+ */
+function isExpired(alert, now) {
+  if (!alert.expiresAt) return false;
+  const expiresAt = typeof alert.expiresAt.toDate === 'function' ? alert.expiresAt.toDate() : new Date(alert.expiresAt);
+  return !isNaN(expiresAt.getTime()) && expiresAt.getTime() <= now;
+}
+
+/**
+ * Firestore document for an alert (polygons are stored serialized)
+ * @param {Object} alert - Alert
+ * @returns {Object} Document data
+ */
+function toRecord(alert) {
+  return alert.geometry ? { ...alert, geometry: geofence.serializeGeometry(alert.geometry) } : alert;
+}
+
+/**
+ * An alert after it has been replaced
+ * @param {Object} alert - Alert being replaced
+ * @param {string} replacementId - ID of the replacement alert
+ * @returns {Object} Superseded alert
+ */
+function supersededState(alert, replacementId) {
+  const now = new Date().toISOString();
+  return {
+    ...alert,
+    status: 'superseded',
+    supersededBy: replacementId,
+    supersededAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Key under which a CAP message is remembered on the alert it was applied to
+ * @param {string} sender - CAP sender
+ * @param {string} identifier - CAP identifier
+ * @returns {string} "sender,identifier"
+ */
+function capKey(sender, identifier) {
+  return `${sender},${identifier}`;
+}
+
+/**
+ * An alert carrying a new CAP message. `cap` only holds the latest message, so
+ * the key of every message the alert has carried is kept in `capIdentifiers`
+ * for deduplication and for matching CAP references.
+ * @param {Object} alert - Alert
+ * @param {Object} cap - CAP message
+ * @returns {Object} Alert with the message
+ */
+function withCapMessage(alert, cap) {
+  const capIdentifiers = [...new Set([...(alert.capIdentifiers || []), capKey(cap.sender, cap.identifier)])];
+  return { ...alert, cap, capIdentifiers };
+}
 
 /**
  * Alert service for generating and distributing alerts
  */
 const alertService = {
+  expiryInterval: null,
+  
   /**
    * Generate and publish an emergency alert
    * @param {Object} alertData - Alert data
+   * @param {Object} options - { capOptions } passed to capService.fromAlert (used when superseding)
    * @returns {string} Alert ID
    */
-  async createEmergencyAlert(alertData) {
+  async createEmergencyAlert(alertData, options = {}) {
     try {
-      // Validate alert data
-      if (!alertData.title || !alertData.message || !alertData.location) {
-        throw new Error('Invalid alert data');
-      }
-      
-      // Add metadata
-      const alert = {
-        ...alertData,
-        id: `alert-${Date.now()}`,
-        timestamp: new Date().toISOString(),
-        status: 'active'
-      };
-      
-      // Publish to Pub/Sub if available
-      try {
-        const topics = pubSubService.getTopics();
-        await pubSubService.publishMessage(topics.EMERGENCY_ALERTS, alert, {
-          severity: alertData.severity || 'high',
-          type: alertData.type || 'emergency',
-          region: alertData.region || 'all'
-        });
-      } catch (pubsubError) {
-        console.error('Warning: Could not publish to Pub/Sub:', pubsubError.message);
-      }
+      const alert = this.prepareAlert(alertData, options);
+      await this.storeAlertInDatabase(alert);
+      await this.publishNewAlert(alert);
       
       console.log('Created emergency alert:', alert.id);
       
@@ -48,6 +120,54 @@ const alertService = {
     }
   },
   
+  /**
+   * Validate alert data and add the metadata of a new alert
+   * @param {Object} alertData - Alert data
+   * @param {Object} options - { capOptions } passed to capService.fromAlert
+   * @returns {Object} Alert, not yet stored
+   */
+  prepareAlert(alertData, options = {}) {
+    // Validate alert data
+    if (!alertData.title || !alertData.message || (!alertData.location && !alertData.geometry)) {
+      throw new Error('Invalid alert data');
+    }
+    
+    // Add metadata
+    const alert = {
+      ...alertData,
+      id: `alert-${Date.now()}`,
+      timestamp: new Date().toISOString(),
+      status: 'active',
+      version: 1
+    };
+    
+    // Polygon target area; validated here so bad input fails before anything is sent
+    if (alert.geometry) {
+      alert.geometry = geofence.parseGeometry(alert.geometry);
+    }
+    
+    // Normalize through CAP (ingested alerts keep the document they arrived with)
+    return withCapMessage(alert, alert.cap || capService.fromAlert(alert, options.capOptions));
+  },
+  
+  /**
+   * Publish a stored new alert for delivery
+   * @param {Object} alert - Alert
+   */
+  async publishNewAlert(alert) {
+    // Publish to Pub/Sub if available
+    try {
+      const topics = pubSubService.getTopics();
+      await pubSubService.publishMessage(topics.EMERGENCY_ALERTS, alert, {
+        severity: alert.severity || 'high',
+        type: alert.type || 'emergency',
+        region: alert.region || 'all'
+      });
+    } catch (pubsubError) {
+      console.error('Warning: Could not publish to Pub/Sub:', pubsubError.message);
+    }
+  },
+  
   /**
    * Generate and publish a disaster warning based on AI prediction
    * @param {Object} location - Location data
@@ -60,6 +180,12 @@ const alertService = {
       // Get AI prediction
       const prediction = await disasterPrediction.getPredictiveAnalysis(location);
       
+      // The seasonal default is not a prediction; never broadcast it as one
+      if (prediction.source !== 'model') {
+        console.log(`No model prediction available (${prediction.fallbackReason || 'unknown reason'}); no warning published`);
+        return [];
+      }
+      
       // Check if there are high-risk predictions
       const highRisks = prediction.risks.filter(risk => 
         ['High', 'Extreme', 'Medium'].includes(risk.riskLevel)
@@ -85,9 +211,14 @@ const alertService = {
           location: location,
           timestamp: new Date().toISOString(),
           expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours
-          source: 'AI Prediction'
+          source: 'AI Prediction',
+          status: 'active',
+          version: 1
         };
         
+        Object.assign(warning, withCapMessage(warning, capService.fromAlert(warning)));
+        await this.storeAlertInDatabase(warning);
+        
         // Publish to Pub/Sub if available
         try {
           const topics = pubSubService.getTopics();
@@ -128,9 +259,21 @@ const alertService = {
         id: `evac-${Date.now()}`,
         timestamp: new Date().toISOString(),
         status: 'active',
+        version: 1,
         type: 'evacuation'
       };
       
+      // The evacuation zone polygon may come in as area.geometry; keep it top-level like alerts
+      const geometry = geofence.parseGeometry(evacuationData.geometry || evacuationData.area.geometry);
+      if (geometry) {
+        const { geometry: areaGeometry, ...area } = evacuationData.area;
+        notice.area = area;
+        notice.geometry = geometry;
+      }
+      
+      Object.assign(notice, withCapMessage(notice, capService.fromAlert(notice)));
+      await this.storeAlertInDatabase(notice);
+      
       // Publish to Pub/Sub if available
       try {
         const topics = pubSubService.getTopics();
@@ -152,44 +295,492 @@ const alertService = {
     }
   },
   
+  /**
+   * Ingest a CAP 1.2 alert (XML or JSON) from an external originator such as a county EOC.
+   * Alert creates a new alert, Update supersedes the referenced alerts and Cancel cancels them.
+   * A message already ingested (same identifier and sender) is not applied again.
+   * @param {string|Object} document - CAP XML string, JSON string or parsed JSON
+   * @returns {string} ID of the created (Alert/Update) or cancelled (Cancel) alert
+   */
+  async ingestCapAlert(document) {
+    const cap = capService.parse(document);
+    console.log(`Ingesting CAP ${cap.msgType} ${cap.identifier} from ${cap.sender}`);
+    
+    // Originators re-send messages (retries, several feeds); the first copy wins
+    const existing = await this.findAlertByCapIdentifier(cap.identifier, cap.sender);
+    if (existing) {
+      console.log(`CAP ${cap.identifier} from ${cap.sender} was already ingested as ${existing.id}`);
+      return existing.id;
+    }
+    
+    if (cap.msgType === 'Alert') {
+      return this.createEmergencyAlert(capService.toAlert(cap));
+    }
+    
+    if (cap.msgType !== 'Update' && cap.msgType !== 'Cancel') {
+      throw lifecycleError(400, `CAP msgType ${cap.msgType} is not supported for ingestion`);
+    }
+    
+    const targets = (await this.findAlertsByCapReferences(cap.references))
+      .filter(alert => alert.status === 'active');
+    if (targets.length === 0) {
+      throw lifecycleError(404, `No active alert matches the references of CAP ${cap.msgType} ${cap.identifier}`);
+    }
+    
+    if (cap.msgType === 'Cancel') {
+      for (const alert of targets) {
+        await this.cancelAlert(alert.id, cap.note || 'Cancelled by originator', { cap });
+      }
+      return targets[0].id;
+    }
+    
+    // Update: the new message replaces every alert it references
+    const replacementId = await this.supersedeAlert(targets[0].id, capService.toAlert(cap));
+    for (const alert of targets.slice(1)) {
+      await this.markSuperseded(alert.id, replacementId);
+    }
+    return replacementId;
+  },
+  
+  /**
+   * Find the alert a CAP message was applied to, even after later messages replaced its `cap`
+   * @param {string} identifier - CAP identifier
+   * @param {string} sender - CAP sender
+   * @returns {Object|null} Alert or null if the message has not been ingested
+   */
+  async findAlertByCapIdentifier(identifier, sender) {
+    const snapshot = await firebaseAdmin.firestore().collection('alerts')
+      .where('capIdentifiers', 'array-contains', capKey(sender, identifier))
+      .get();
+    const doc = snapshot.docs[0];
+    return doc ? { id: doc.id, ...doc.data() } : null;
+  },
+  
+  /**
+   * Find stored alerts referenced by a CAP Update/Cancel
+   * @param {string} references - CAP references element
+   * @returns {Array} Matching alerts
+   */
+  async findAlertsByCapReferences(references) {
+    const db = firebaseAdmin.firestore();
+    const matches = new Map();
+    
+    for (const reference of capService.parseReferences(references)) {
+      const snapshot = await db.collection('alerts')
+        .where('capIdentifiers', 'array-contains', capKey(reference.sender, reference.identifier))
+        .get();
+      snapshot.forEach(doc => {
+        matches.set(doc.id, { id: doc.id, ...doc.data() });
+      });
+      
+      // Our own first-version identifiers are the alert ID
+      if (matches.size === 0) {
+        const alert = await this.getAlert(reference.identifier);
+        if (alert) matches.set(alert.id, alert);
+      }
+    }
+    
+    return Array.from(matches.values());
+  },
+  
+  /**
+   * Get a stored alert
+   * @param {string} alertId - Alert ID
+   * @returns {Object|null} Alert or null if it does not exist
+   */
+  async getAlert(alertId) {
+    const doc = await firebaseAdmin.firestore().collection('alerts').doc(alertId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  },
+  
+  /**
+   * Change an active alert inside a transaction, so two concurrent changes
+   * (operators, a re-sent CAP Update, the expiry sweep) cannot both act on the same version
+   * @param {string} alertId - Alert ID
+   * @param {Function} change - (alert, transaction) => alert after the change, or null to
+   *   leave it as it is; may write other documents
+   * @returns {Object|null} Alert after the change, or null if it was left unchanged
+   * @throws {Error} 404 if missing, 409 if the alert is no longer active
+   */
+  async transitionAlert(alertId, change) {
+    const db = firebaseAdmin.firestore();
+    const ref = db.collection('alerts').doc(alertId);
+    
+    return db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) {
+        throw lifecycleError(404, `Alert ${alertId} not found`);
+      }
+      const alert = { id: doc.id, ...doc.data() };
+      if (alert.status !== 'active') {
+        throw lifecycleError(409, `Alert ${alertId} is ${alert.status}`);
+      }
+      
+      const changed = change(alert, transaction);
+      if (changed) transaction.set(ref, toRecord(changed));
+      return changed;
+    });
+  },
+  
+  /**
+   * Get active alerts, newest first
+   * @param {number} limit - Maximum number of alerts
+   * @returns {Array} Active alerts
+   */
+  async getActiveAlerts(limit = 50) {
+    const snapshot = await firebaseAdmin.firestore().collection('alerts')
+      .where('status', '==', 'active')
+      .get();
+    
+    // Alerts whose expiry passed since the last sweep are already stale for clients
+    const now = Date.now();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(alert => !isExpired(alert, now))
+      .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''))
+      .slice(0, limit);
+  },
+  
+  /**
+   * Update an active alert in place
+   * @param {string} alertId - Alert ID
+   * @param {Object} changes - New values for title, message, severity, instructions, expiresAt,
+   *   location, geometry, region, area or reason
+   * @returns {Object} Updated alert
+   */
+  async updateAlert(alertId, changes = {}) {
+    const changedFields = UPDATABLE_FIELDS.filter(field => changes[field] !== undefined);
+    if (changedFields.length === 0) {
+      throw lifecycleError(400, `Nothing to update; allowed fields: ${UPDATABLE_FIELDS.join(', ')}`);
+    }
+    
+    const updated = await this.transitionAlert(alertId, alert => {
+      const next = {
+        ...alert,
+        version: (alert.version || 1) + 1,
+        updatedAt: new Date().toISOString()
+      };
+      changedFields.forEach(field => {
+        next[field] = changes[field];
+      });
+      if (changes.geometry) {
+        next.geometry = geofence.parseGeometry(changes.geometry);
+      }
+      
+      return withCapMessage(next, capService.fromAlert(next, {
+        msgType: 'Update',
+        references: alert.cap ? [capService.referenceTo(alert.cap)] : []
+      }));
+    });
+    
+    await this.publishLifecycleEvent('updated', updated, { changes: changedFields });
+    
+    console.log(`Updated alert ${alertId} to version ${updated.version}`);
+    return updated;
+  },
+  
+  /**
+   * Cancel an active alert
+   * @param {string} alertId - Alert ID
+   * @param {string} reason - Why the alert was cancelled
+   * @param {Object} options - { cap } CAP Cancel message when the originator sent one
+   * @returns {Object} Cancelled alert
+   */
+  async cancelAlert(alertId, reason, options = {}) {
+    const cancelled = await this.transitionAlert(alertId, alert => {
+      const now = new Date().toISOString();
+      const next = {
+        ...alert,
+        status: 'cancelled',
+        cancelledAt: now,
+        cancelReason: reason || 'Cancelled',
+        version: (alert.version || 1) + 1,
+        updatedAt: now
+      };
+      return withCapMessage(next, options.cap || capService.fromAlert(next, {
+        msgType: 'Cancel',
+        note: next.cancelReason,
+        references: alert.cap ? [capService.referenceTo(alert.cap)] : []
+      }));
+    });
+    
+    await this.publishLifecycleEvent('cancelled', cancelled, { reason: cancelled.cancelReason });
+    
+    console.log(`Cancelled alert ${alertId}`);
+    return cancelled;
+  },
+  
+  /**
+   * Replace an active alert with a new one. The replacement is stored in the
+   * same transaction that retires the old alert, so an alert is replaced once.
+   * @param {string} alertId - ID of the alert being replaced
+   * @param {Object} alertData - Data for the replacement (same shape as createEmergencyAlert)
+   * @returns {string} ID of the replacement alert
+   */
+  async supersedeAlert(alertId, alertData) {
+    const alertsRef = firebaseAdmin.firestore().collection('alerts');
+    let replacement;
+    
+    const superseded = await this.transitionAlert(alertId, (alert, transaction) => {
+      // Fill gaps from the alert being replaced so a partial update is still a valid alert;
+      // the target area is only inherited when the replacement brings none of its own
+      const inherited = { title: alert.title, message: alert.message, type: alert.type, severity: alert.severity, region: alert.region };
+      if (!alertData.location && !alertData.geometry) {
+        inherited.location = alert.location;
+        inherited.geometry = alert.geometry;
+      }
+      
+      const replacementData = { supersedes: alertId };
+      Object.entries({ ...inherited, ...alertData }).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) replacementData[key] = value;
+      });
+      
+      replacement = this.prepareAlert(replacementData, {
+        capOptions: {
+          msgType: 'Update',
+          references: alert.cap ? [capService.referenceTo(alert.cap)] : []
+        }
+      });
+      transaction.set(alertsRef.doc(replacement.id), toRecord(replacement));
+      return supersededState(alert, replacement.id);
+    });
+    
+    await this.publishNewAlert(replacement);
+    console.log('Created emergency alert:', replacement.id);
+    await this.publishLifecycleEvent('superseded', superseded, { replacementId: replacement.id });
+    
+    console.log(`Alert ${alertId} superseded by ${replacement.id}`);
+    return replacement.id;
+  },
+  
+  /**
+   * Mark an active alert as replaced by another alert
+   * @param {string} alertId - ID of the alert being replaced
+   * @param {string} replacementId - ID of the replacement alert
+   */
+  async markSuperseded(alertId, replacementId) {
+    const superseded = await this.transitionAlert(alertId, alert => supersededState(alert, replacementId));
+    await this.publishLifecycleEvent('superseded', superseded, { replacementId });
+    
+    console.log(`Alert ${alertId} superseded by ${replacementId}`);
+  },
+  
+  /**
+   * Expire every active alert whose expiresAt has passed
+   * @returns {number} Number of alerts expired
+   */
+  async expireAlerts() {
+    const db = firebaseAdmin.firestore();
+    const snapshot = await db.collection('alerts')
+      .where('status', '==', 'active')
+      .get();
+    
+    const now = Date.now();
+    const stale = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(alert => isExpired(alert, now));
+    
+    let count = 0;
+    for (const alert of stale) {
+      let expired;
+      try {
+        // Checked again in the transaction: an update may have extended expiresAt since the read
+        expired = await this.transitionAlert(alert.id, current => isExpired(current, now) ? {
+          ...current,
+          status: 'expired',
+          expiredAt: new Date(now).toISOString(),
+          updatedAt: new Date(now).toISOString()
+        } : null);
+      } catch (error) {
+        // Cancelled or superseded since the read
+        if (error.statusCode === 404 || error.statusCode === 409) continue;
+        throw error;
+      }
+      
+      if (expired) {
+        count++;
+        await this.publishLifecycleEvent('expired', expired);
+      }
+    }
+    
+    if (count > 0) {
+      console.log(`Expired ${count} alerts`);
+    }
+    return count;
+  },
+  
+  /**
+   * Start the periodic expiry sweep
+   * @param {number} intervalMinutes - Sweep interval in minutes
+   */
+  startExpiryChecks(intervalMinutes = EXPIRY_INTERVAL_MINUTES) {
+    this.stopExpiryChecks();
+    
+    const sweep = () => this.expireAlerts().catch(error => {
+      console.error('Error expiring alerts:', error.message);
+    });
+    
+    this.expiryInterval = setInterval(sweep, intervalMinutes * 60 * 1000);
+    console.log(`Alert expiry checks every ${intervalMinutes} minutes`);
+    sweep();
+  },
+  
+  /**
+   * Stop the periodic expiry sweep
+   */
+  stopExpiryChecks() {
+    if (this.expiryInterval) {
+      clearInterval(this.expiryInterval);
+      this.expiryInterval = null;
+    }
+  },
+  
+  /**
+   * Publish an alert state change. Every server instance reads alert-updates
+   * from its own subscription and pushes the event to the clients connected
+   * to it.
+   * @param {string} action - updated, cancelled, superseded or expired
+   * @param {Object} alert - Alert after the change
+   * @param {Object} details - Extra fields for the event (changes, reason, replacementId)
+   */
+  async publishLifecycleEvent(action, alert, details = {}) {
+    try {
+      const topics = pubSubService.getTopics();
+      await pubSubService.publishMessage(topics.ALERT_UPDATES, {
+        action,
+        alertId: alert.id,
+        status: alert.status,
+        version: alert.version || 1,
+        alert,
+        ...details,
+        timestamp: new Date().toISOString()
+      }, {
+        action,
+        severity: alert.severity || 'high',
+        type: alert.type || 'emergency',
+        region: alert.region || 'all'
+      });
+    } catch (pubsubError) {
+      console.error('Warning: Could not publish to Pub/Sub:', pubsubError.message);
+    }
+  },
+  
+  /**
+   * Get the CAP representation of a stored alert
+   * @param {string} alertId - Alert ID
+   * @returns {Object|null} CAP alert or null if the alert does not exist
+   */
+  async getCapAlert(alertId) {
+    const alert = await this.getAlert(alertId);
+    if (!alert) return null;
+    
+    return alert.cap || capService.fromAlert(alert);
+  },
+  
   /**
    * Find users in affected area and send notifications
    * @param {Object} alert - Alert data
-   * @param {Object} area - Geographic area
+   * @param {Object} area - Geographic area (geometry and/or center + radius)
    * @returns {number} Number of notifications sent
    */
   async notifyUsersInArea(alert, area) {
     try {
       console.log('Notifying users for alert:', alert.title);
-      console.log('Area:', area);
       
-      // Mock notification count
-      return 5;
+      // Reject a malformed polygon instead of silently falling back to the radius
+      const users = await this.getUsersInArea({ ...area, geometry: geofence.parseGeometry(area.geometry) });
+      console.log(`Found ${users.length} users in affected area`);
+      
+      // Translated once per language, not once per user
+      const localized = await translationService.localizeAll(alert, ALERT_TEXT_FIELDS, users.map(user => user.preferredLanguage), TRANSLATION_OPTIONS);
+      const languageOf = user => resolveLanguage(user.preferredLanguage) || DEFAULT_LANGUAGE;
+      
+      let notificationCount = 0;
+      const fcmDeliveries = [];
+      for (const user of users) {
+        const sent = await this.sendUserNotification(user, localized.get(languageOf(user)));
+        fcmDeliveries.push(sent ? { userId: user.id } : { userId: user.id, state: 'failed', error: 'FCM send failed or no token' });
+        if (sent) {
+          notificationCount++;
+        }
+      }
+      await this.recordDeliveries(alert, 'fcm', fcmDeliveries);
+      
+      // SMS reaches users without the app, so keep it for high and critical alerts
+      const smsRecipients = users.filter(user => user.phone);
+      if (['high', 'critical'].includes(alert.severity || 'high') && smsRecipients.length > 0) {
+        // One batch per language, each with the whole text message translated
+        const recipientsByLanguage = new Map();
+        smsRecipients.forEach(user => {
+          const language = languageOf(user);
+          recipientsByLanguage.set(language, [...(recipientsByLanguage.get(language) || []), user]);
+        });
+        
+        for (const [language, recipients] of recipientsByLanguage) {
+          const type = alert.type || 'emergency';
+          const text = await translationService.translate(`Emergency Alert: ${type} - ${alert.message}`, language, TRANSLATION_OPTIONS);
+          const result = await smsService.sendEmergencyAlerts({
+            type,
+            description: localized.get(language).message,
+            text: `🚨 ${text}`,
+            affectedUsers: recipients.map(user => ({
+              phone: user.phone,
+              countryCode: user.countryCode || 'IN'
+            }))
+          });
+          notificationCount += result.successCount;
+          
+          // Results come back in recipient order
+          await this.recordDeliveries(alert, 'sms', recipients.map((user, i) => {
+            const outcome = (result.results || [])[i] || {};
+            return outcome.success ? { userId: user.id } : { userId: user.id, state: 'failed', error: outcome.error || 'SMS send failed' };
+          }));
+        }
+      }
+      
+      return notificationCount;
     } catch (error) {
       console.error('Error notifying users in area:', error);
       throw error;
     }
   },
   
+  /**
+   * Persist delivery receipts without failing the notification run
+   * @param {Object} alert - Alert data
+   * @param {string} channel - fcm or sms
+   * @param {Array} deliveries - { userId, state, error } per user
+   */
+  async recordDeliveries(alert, channel, deliveries) {
+    try {
+      await deliveryReceiptService.recordDeliveries(alert.id, channel, deliveries, { severity: alert.severity, type: alert.type });
+    } catch (error) {
+      console.error(`Error recording ${channel} deliveries for alert ${alert.id}:`, error);
+    }
+  },
+  
   /**
    * Store alert in database
    * @param {Object} alert - Alert data
+   * @throws {Error} When the write fails, so nothing is published for an alert that was not stored
    */
   async storeAlertInDatabase(alert) {
     // Implement based on your database
     // Example with Firebase:
     try {
       const db = firebaseAdmin.firestore();
-      await db.collection('alerts').doc(alert.id).set(alert);
+      await db.collection('alerts').doc(alert.id).set(toRecord(alert));
       console.log(`Alert ${alert.id} stored in database`);
     } catch (error) {
       console.error(`Error storing alert ${alert.id} in database:`, error);
+      throw error;
     }
   },
   
   /**
    * Get users in a geographic area
-   * @param {Object} area - Geographic area
+   * @param {Object} area - Geographic area: GeoJSON `geometry` (Polygon/MultiPolygon)
+   *   and/or `center` { lat, lng } with `radius` in meters as the fallback
    * @returns {Array} List of users
    */
   async getUsersInArea(area) {
@@ -199,35 +790,26 @@ const alertService = {
       const users = [];
       const db = firebaseAdmin.firestore();
       
+      const target = geofence.prepare(area, 10000);
+      if (!target) {
+        console.warn('Area has neither a geometry nor a center point');
+        return [];
+      }
+      
       // Get all users
       const usersSnapshot = await db.collection('users').get();
       
       // Filter users by location
       usersSnapshot.forEach(doc => {
         const user = doc.data();
+        const position = geofence.locate(user.location, target);
         
-        if (user.location && user.location.lat && user.location.lng) {
-          // Check if user is in the affected area
-          const userLocation = {
-            latitude: user.location.lat,
-            longitude: user.location.lng
-          };
-          
-          const areaCenter = {
-            latitude: area.center.lat,
-            longitude: area.center.lng
-          };
-          
-          // Calculate distance between user and area center
-          const distance = getDistance(userLocation, areaCenter);
-          
-          // If user is within the radius, add to the list
-          if (distance <= area.radius) {
-            users.push({
-              id: doc.id,
-              ...user
-            });
-          }
+        // Point-in-polygon when the area has a geometry, radius otherwise
+        if (position && position.inside) {
+          users.push({
+            id: doc.id,
+            ...user
+          });
         }
       });
       
@@ -259,6 +841,7 @@ const alertService = {
         data: {
           alertId: alert.id,
           type: alert.type || 'emergency',
+          language: alert.language || DEFAULT_LANGUAGE,
           timestamp: alert.timestamp,
           click_action: 'FLUTTER_NOTIFICATION_CLICK'
         }
@@ -0,0 +1,611 @@
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+const geofence = require('../../utils/geo/geofence');
+require('dotenv').config();
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+const CAP_CONTENT_TYPE = 'application/cap+xml';
+
+// Sender ID placed on alerts that originate in SafeEscape (no spaces, commas or < &)
+const CAP_SENDER = process.env.CAP_SENDER || 'alerts@safeescape.app';
+
+// Enumerations defined by the CAP 1.2 specification
+const ENUMS = {
+  status: ['Actual', 'Exercise', 'System', 'Test', 'Draft'],
+  msgType: ['Alert', 'Update', 'Cancel', 'Ack', 'Error'],
+  scope: ['Public', 'Restricted', 'Private'],
+  category: ['Geo', 'Met', 'Safety', 'Security', 'Rescue', 'Fire', 'Health', 'Env', 'Transport', 'Infra', 'CBRNE', 'Other'],
+  responseType: ['Shelter', 'Evacuate', 'Prepare', 'Execute', 'Avoid', 'Monitor', 'Assess', 'AllClear', 'None'],
+  urgency: ['Immediate', 'Expected', 'Future', 'Past', 'Unknown'],
+  severity: ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'],
+  certainty: ['Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown']
+};
+
+// Elements that may occur more than once and are always represented as arrays
+const REPEATABLE_ELEMENTS = [
+  'code', 'info', 'category', 'responseType', 'eventCode', 'parameter',
+  'resource', 'area', 'polygon', 'circle', 'geocode'
+];
+
+// Map between SafeEscape severities and CAP severities
+const SEVERITY_TO_CAP = {
+  critical: 'Extreme',
+  extreme: 'Extreme',
+  high: 'Severe',
+  severe: 'Severe',
+  warning: 'Moderate',
+  medium: 'Moderate',
+  moderate: 'Moderate',
+  info: 'Minor',
+  low: 'Minor',
+  minor: 'Minor'
+};
+
+const CAP_TO_SEVERITY = {
+  Extreme: 'critical',
+  Severe: 'high',
+  Moderate: 'warning',
+  Minor: 'info',
+  Unknown: 'info'
+};
+
+// CAP category for the disaster types used across SafeEscape
+const CATEGORY_BY_TYPE = {
+  flood: 'Met',
+  cyclone: 'Met',
+  hurricane: 'Met',
+  tornado: 'Met',
+  storm: 'Met',
+  heatwave: 'Met',
+  drought: 'Met',
+  earthquake: 'Geo',
+  landslide: 'Geo',
+  tsunami: 'Geo',
+  volcano: 'Geo',
+  fire: 'Fire',
+  wildfire: 'Fire',
+  evacuation: 'Safety',
+  emergency: 'Safety',
+  medical: 'Health',
+  epidemic: 'Health',
+  air_pollution: 'Env',
+  chemical: 'CBRNE'
+};
+
+const parser = new XMLParser({
+  ignoreAttributes: true,
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => REPEATABLE_ELEMENTS.includes(name)
+});
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  indentBy: '  ',
+  suppressEmptyNode: true
+});
+
+/**
+ * Build an error that controllers can map to a 400 response
+ * @param {Array<string>} problems - Validation problems
+ * @returns {Error} Error with statusCode 400
+ */
+function capError(problems) {
+  const error = new Error(`Invalid CAP alert: ${problems.join('; ')}`);
+  error.statusCode = 400;
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Wrap a value in an array, dropping empty values
+ * @param {*} value - Single value or array
+ * @returns {Array} Array of values
+ */
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null && item !== '');
+}
+
+/**
+ * Remove undefined and empty-array keys so objects serialize cleanly (and store in Firestore)
+ * @param {Object} obj - Object to compact
+ * @returns {Object} Compacted object with key order preserved
+ */
+function compact(obj) {
+  return Object.entries(obj).reduce((result, [key, value]) => {
+    if (value === undefined || value === null || value === '') return result;
+    if (Array.isArray(value) && value.length === 0) return result;
+    result[key] = value;
+    return result;
+  }, {});
+}
+
+/**
+ * Format a date as a CAP dateTime (no fractional seconds, "-00:00" instead of "Z")
+ * @param {Date|string|number|Object} value - Date, ISO string, epoch ms or Firestore Timestamp
+ * @returns {string|undefined} CAP dateTime
+ */
+function formatCapDate(value) {
+  if (!value) return undefined;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  if (isNaN(date.getTime())) return undefined;
+  return date.toISOString().replace(/\.\d{3}Z$/, '-00:00');
+}
+
+/**
+ * Make a CAP-safe token (used for sender and identifier values)
+ * @param {string} value - Raw value
+ * @returns {string} Value without spaces, commas, < or &
+ */
+function sanitizeToken(value) {
+  return String(value).replace(/[\s,<&]+/g, '_');
+}
+
+/**
+ * Convert a GeoJSON linear ring ([lng, lat] pairs) to a CAP polygon string
+ * @param {Array} ring - GeoJSON ring
+ * @returns {string} "lat,lng lat,lng ..." CAP polygon
+ */
+function ringToCapPolygon(ring) {
+  return ring.map(([lng, lat]) => `${lat},${lng}`).join(' ');
+}
+
+/**
+ * Convert a CAP polygon string to a GeoJSON linear ring ([lng, lat] pairs)
+ * @param {string} polygon - CAP polygon
+ * @returns {Array} GeoJSON ring
+ */
+function capPolygonToRing(polygon) {
+  return polygon.trim().split(/\s+/).map(pair => {
+    const [lat, lng] = pair.split(',').map(Number);
+    return [lng, lat];
+  });
+}
+
+/**
+ * Outer rings of a Polygon/MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} GeoJSON rings
+ */
+function outerRings(geometry) {
+  return geometry.type === 'Polygon' ? [geometry.coordinates[0]] : geometry.coordinates.map(rings => rings[0]);
+}
+
+/**
+ * Parse a CAP circle string ("lat,lng radiusKm")
+ * @param {string} circle - CAP circle
+ * @returns {Object} { latitude, longitude, radius } with radius in meters
+ */
+function parseCapCircle(circle) {
+  const [point, radiusKm] = circle.trim().split(/\s+/);
+  const [latitude, longitude] = point.split(',').map(Number);
+  return { latitude, longitude, radius: Math.round(parseFloat(radiusKm) * 1000) };
+}
+
+/**
+ * Normalize a {valueName, value} list (eventCode, parameter, geocode)
+ * @param {*} value - Parsed value
+ * @returns {Array} Normalized pairs
+ */
+function normalizeValuePairs(value) {
+  return toArray(value).map(pair => compact({
+    valueName: pair.valueName !== undefined ? String(pair.valueName) : undefined,
+    value: pair.value !== undefined ? String(pair.value) : undefined
+  }));
+}
+
+/**
+ * Normalize a CAP area block into schema order
+ * @param {Object} area - Parsed area
+ * @returns {Object} Normalized area
+ */
+function normalizeArea(area) {
+  return compact({
+    areaDesc: area.areaDesc,
+    polygon: toArray(area.polygon).map(String),
+    circle: toArray(area.circle).map(String),
+    geocode: normalizeValuePairs(area.geocode),
+    altitude: area.altitude !== undefined ? String(area.altitude) : undefined,
+    ceiling: area.ceiling !== undefined ? String(area.ceiling) : undefined
+  });
+}
+
+/**
+ * Normalize a CAP info block into schema order
+ * @param {Object} info - Parsed info
+ * @returns {Object} Normalized info
+ */
+function normalizeInfo(info) {
+  return compact({
+    language: info.language || 'en-US',
+    category: toArray(info.category),
+    event: info.event,
+    responseType: toArray(info.responseType),
+    urgency: info.urgency,
+    severity: info.severity,
+    certainty: info.certainty,
+    audience: info.audience,
+    eventCode: normalizeValuePairs(info.eventCode),
+    effective: info.effective,
+    onset: info.onset,
+    expires: info.expires,
+    senderName: info.senderName,
+    headline: info.headline,
+    description: info.description,
+    instruction: info.instruction,
+    web: info.web,
+    contact: info.contact,
+    parameter: normalizeValuePairs(info.parameter),
+    resource: toArray(info.resource).map(resource => compact({
+      resourceDesc: resource.resourceDesc,
+      mimeType: resource.mimeType,
+      size: resource.size !== undefined ? String(resource.size) : undefined,
+      uri: resource.uri,
+      derefUri: resource.derefUri,
+      digest: resource.digest
+    })),
+    area: toArray(info.area).map(normalizeArea)
+  });
+}
+
+/**
+ * Validate a normalized CAP alert against the CAP 1.2 required elements and enumerations
+ * @param {Object} cap - Normalized CAP alert
+ * @returns {Array<string>} List of problems (empty when valid)
+ */
+function validate(cap) {
+  const problems = [];
+  const checkEnum = (field, value, path) => {
+    if (value !== undefined && !ENUMS[field].includes(value)) {
+      problems.push(`${path} must be one of ${ENUMS[field].join('|')} (got "${value}")`);
+    }
+  };
+
+  ['identifier', 'sender', 'sent', 'status', 'msgType', 'scope'].forEach(field => {
+    if (!cap[field]) problems.push(`alert.${field} is required`);
+  });
+  checkEnum('status', cap.status, 'alert.status');
+  checkEnum('msgType', cap.msgType, 'alert.msgType');
+  checkEnum('scope', cap.scope, 'alert.scope');
+
+  if (cap.scope === 'Restricted' && !cap.restriction) {
+    problems.push('alert.restriction is required when scope is Restricted');
+  }
+  if (cap.scope === 'Private' && !cap.addresses) {
+    problems.push('alert.addresses is required when scope is Private');
+  }
+  if (['Update', 'Cancel', 'Ack', 'Error'].includes(cap.msgType) && !cap.references) {
+    problems.push(`alert.references is required for msgType ${cap.msgType}`);
+  }
+
+  (cap.info || []).forEach((info, i) => {
+    const path = `info[${i}]`;
+    ['event', 'urgency', 'severity', 'certainty'].forEach(field => {
+      if (!info[field]) problems.push(`${path}.${field} is required`);
+    });
+    if (!info.category || info.category.length === 0) problems.push(`${path}.category is required`);
+    (info.category || []).forEach(category => checkEnum('category', category, `${path}.category`));
+    (info.responseType || []).forEach(type => checkEnum('responseType', type, `${path}.responseType`));
+    checkEnum('urgency', info.urgency, `${path}.urgency`);
+    checkEnum('severity', info.severity, `${path}.severity`);
+    checkEnum('certainty', info.certainty, `${path}.certainty`);
+
+    (info.area || []).forEach((area, j) => {
+      if (!area.areaDesc) problems.push(`${path}.area[${j}].areaDesc is required`);
+      (area.polygon || []).forEach(polygon => {
+        const ring = capPolygonToRing(polygon);
+        const closed = ring.length > 0 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+        if (ring.length < 4 || !closed || ring.some(([lng, lat]) => isNaN(lat) || isNaN(lng))) {
+          problems.push(`${path}.area[${j}].polygon must be a closed ring of at least 4 "lat,lng" pairs`);
+        }
+      });
+      (area.circle || []).forEach(circle => {
+        const { latitude, longitude, radius } = parseCapCircle(circle);
+        if ([latitude, longitude, radius].some(isNaN)) {
+          problems.push(`${path}.area[${j}].circle must be "lat,lng radius"`);
+        }
+      });
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * CAP 1.2 (Common Alerting Protocol) parser, serializer and mappers
+ */
+const capService = {
+  CAP_NAMESPACE,
+  CAP_CONTENT_TYPE,
+
+  /**
+   * Parse a CAP alert from XML, a JSON string or an already-parsed object
+   * @param {string|Object} input - CAP XML/JSON document
+   * @returns {Object} Normalized and validated CAP alert
+   * @throws {Error} With statusCode 400 when the document is not valid CAP
+   */
+  parse(input) {
+    let raw;
+
+    if (typeof input === 'string' || Buffer.isBuffer(input)) {
+      const text = input.toString().trim();
+      if (!text) throw capError(['document is empty']);
+
+      try {
+        if (text.startsWith('<')) {
+          raw = parser.parse(text).alert;
+        } else {
+          const json = JSON.parse(text);
+          raw = json.alert || json;
+        }
+      } catch (error) {
+        throw capError([`document could not be parsed (${error.message})`]);
+      }
+    } else if (input && typeof input === 'object') {
+      raw = input.alert || input;
+    }
+
+    if (!raw || typeof raw !== 'object') {
+      throw capError(['document has no <alert> element']);
+    }
+
+    return this.normalize(raw);
+  },
+
+  /**
+   * Put a CAP alert object into schema order and validate it
+   * @param {Object} raw - CAP alert object (from XML or JSON)
+   * @returns {Object} Normalized CAP alert
+   * @throws {Error} With statusCode 400 when validation fails
+   */
+  normalize(raw) {
+    const cap = compact({
+      identifier: raw.identifier !== undefined ? String(raw.identifier) : undefined,
+      sender: raw.sender,
+      sent: raw.sent,
+      status: raw.status,
+      msgType: raw.msgType,
+      source: raw.source,
+      scope: raw.scope,
+      restriction: raw.restriction,
+      addresses: raw.addresses,
+      code: toArray(raw.code).map(String),
+      note: raw.note,
+      references: raw.references,
+      incidents: raw.incidents,
+      info: toArray(raw.info).map(normalizeInfo)
+    });
+
+    const problems = validate(cap);
+    if (problems.length > 0) {
+      throw capError(problems);
+    }
+
+    return cap;
+  },
+
+  /**
+   * Serialize a CAP alert to CAP 1.2 XML
+   * @param {Object} cap - CAP alert
+   * @returns {string} XML document
+   */
+  toXml(cap) {
+    const alert = this.normalize(cap);
+    return builder.build({
+      '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+      alert: { '@_xmlns': CAP_NAMESPACE, ...alert }
+    });
+  },
+
+  /**
+   * Serialize a CAP alert to its JSON representation
+   * @param {Object} cap - CAP alert
+   * @returns {Object} JSON document ({ alert: {...} })
+   */
+  toJson(cap) {
+    return { alert: this.normalize(cap) };
+  },
+
+  /**
+   * Map a NOAA api.weather.gov alert feature to CAP
+   * @param {Object} feature - GeoJSON feature from /alerts
+   * @returns {Object} Normalized CAP alert
+   */
+  fromNoaaFeature(feature) {
+    const props = feature.properties || {};
+    const geocode = Object.entries(props.geocode || {}).flatMap(([valueName, values]) =>
+      toArray(values).map(value => ({ valueName, value }))
+    );
+    const parameter = Object.entries(props.parameters || {}).flatMap(([valueName, values]) =>
+      toArray(values).map(value => ({ valueName, value }))
+    );
+
+    // NOAA geometry is GeoJSON; CAP wants "lat,lng" rings
+    let polygon = [];
+    if (feature.geometry && feature.geometry.type === 'Polygon') {
+      polygon = feature.geometry.coordinates.map(ringToCapPolygon);
+    } else if (feature.geometry && feature.geometry.type === 'MultiPolygon') {
+      polygon = feature.geometry.coordinates.map(rings => ringToCapPolygon(rings[0]));
+    }
+
+    const references = toArray(props.references)
+      .map(ref => `${ref.sender},${ref.identifier},${formatCapDate(ref.sent)}`)
+      .join(' ');
+
+    return this.normalize({
+      identifier: props.id || feature.id,
+      sender: props.sender || 'w-nws.webmaster@noaa.gov',
+      sent: formatCapDate(props.sent),
+      status: props.status || 'Actual',
+      msgType: props.messageType || 'Alert',
+      source: 'NOAA National Weather Service',
+      scope: 'Public',
+      references: references || undefined,
+      info: [{
+        language: 'en-US',
+        category: toArray(props.category).length ? props.category : 'Met',
+        event: props.event,
+        responseType: props.response,
+        urgency: props.urgency || 'Unknown',
+        severity: props.severity || 'Unknown',
+        certainty: props.certainty || 'Unknown',
+        effective: formatCapDate(props.effective),
+        onset: formatCapDate(props.onset),
+        expires: formatCapDate(props.expires || props.ends),
+        senderName: props.senderName,
+        headline: props.headline,
+        description: props.description,
+        instruction: props.instruction,
+        web: props['@id'],
+        parameter,
+        area: [{
+          areaDesc: props.areaDesc || 'Unspecified area',
+          polygon,
+          geocode
+        }]
+      }]
+    });
+  },
+
+  /**
+   * Map a SafeEscape alert, warning or evacuation notice to CAP
+   * @param {Object} alert - Alert created by alertService
+   * @param {Object} options - { msgType, references, note } for Update/Cancel messages
+   * @returns {Object} Normalized CAP alert
+   */
+  fromAlert(alert, options = {}) {
+    const location = alert.location || alert.area || {};
+    const point = geofence.toPoint(location);
+    const geometry = geofence.getGeometry(alert);
+    const radius = location.radius || alert.radius;
+    const type = (alert.type || alert.details?.disasterType || 'emergency').toString().toLowerCase();
+    const severity = (alert.severity || (alert.details?.riskLevel) || 'high').toString().toLowerCase();
+
+    const areaDesc = location.name || location.areaDesc ||
+      [location.city, location.state].filter(Boolean).join(', ') ||
+      alert.region || 'Unspecified area';
+
+    const instructions = alert.instructions ||
+      (alert.details?.precautions ? alert.details.precautions.join('. ') : undefined);
+
+    return this.normalize({
+      // Every CAP message needs a unique identifier, so later versions get a suffix
+      identifier: sanitizeToken(alert.version > 1 ? `${alert.id}-v${alert.version}` : alert.id),
+      sender: CAP_SENDER,
+      sent: formatCapDate(alert.updatedAt || alert.timestamp || Date.now()),
+      status: alert.test ? 'Test' : 'Actual',
+      msgType: options.msgType || 'Alert',
+      source: alert.source || 'SafeEscape',
+      scope: 'Public',
+      note: options.note,
+      references: options.references && options.references.length > 0 ? options.references.join(' ') : undefined,
+      info: [{
+        language: alert.language || 'en-US',
+        category: CATEGORY_BY_TYPE[type] || 'Other',
+        event: alert.details?.disasterType || alert.type || 'Emergency',
+        responseType: type === 'evacuation' ? 'Evacuate' : undefined,
+        urgency: alert.source === 'AI Prediction' ? 'Expected' : 'Immediate',
+        severity: SEVERITY_TO_CAP[severity] || 'Unknown',
+        certainty: alert.source === 'AI Prediction' ? 'Possible' : 'Observed',
+        effective: formatCapDate(alert.timestamp || Date.now()),
+        expires: formatCapDate(alert.expiresAt),
+        senderName: 'SafeEscape Emergency Management',
+        headline: alert.title || (type === 'evacuation' ? `Evacuation: ${areaDesc}` : undefined),
+        description: alert.message || alert.reason,
+        instruction: instructions,
+        area: [{
+          areaDesc,
+          // CAP polygons have no holes, so only outer rings are exported
+          polygon: geometry ? outerRings(geometry).map(ringToCapPolygon) : undefined,
+          circle: point ? `${point.latitude},${point.longitude} ${((radius || 10000) / 1000).toFixed(3)}` : undefined
+        }]
+      }]
+    });
+  },
+
+  /**
+   * Map a CAP alert to the alertData shape accepted by alertService.createEmergencyAlert
+   * @param {Object} cap - Normalized CAP alert
+   * @returns {Object} SafeEscape alert data
+   */
+  toAlert(cap) {
+    const info = (cap.info || [])[0] || {};
+    const area = (info.area || [])[0] || {};
+
+    let location = { areaDesc: area.areaDesc };
+    if (area.circle && area.circle.length > 0) {
+      const circle = parseCapCircle(area.circle[0]);
+      location = { ...location, lat: circle.latitude, lng: circle.longitude, radius: circle.radius };
+    } else if (area.polygon && area.polygon.length > 0) {
+      // Use the vertex centroid as the representative point for the polygon
+      const ring = capPolygonToRing(area.polygon[0]).slice(0, -1);
+      location = {
+        ...location,
+        lat: ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length,
+        lng: ring.reduce((sum, [lng]) => sum + lng, 0) / ring.length
+      };
+    }
+
+    // Every polygon in every area is part of the alert area
+    const rings = (info.area || []).flatMap(a => (a.polygon || []).map(capPolygonToRing));
+    const geometry = rings.length === 0 ? undefined :
+      rings.length === 1 ? { type: 'Polygon', coordinates: [rings[0]] } : { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+
+    return compact({
+      title: info.headline || info.event,
+      message: info.description || info.headline || info.event,
+      type: (info.event || 'emergency').toLowerCase(),
+      severity: CAP_TO_SEVERITY[info.severity] || 'high',
+      location,
+      geometry,
+      region: area.areaDesc,
+      instructions: info.instruction,
+      expiresAt: info.expires ? new Date(info.expires).toISOString() : undefined,
+      source: cap.sender,
+      test: cap.status !== 'Actual' ? true : undefined,
+      cap
+    });
+  },
+
+  /**
+   * Build the "sender,identifier,sent" reference to a CAP message
+   * @param {Object} cap - CAP alert
+   * @returns {string} CAP reference
+   */
+  referenceTo(cap) {
+    return `${cap.sender},${cap.identifier},${cap.sent}`;
+  },
+
+  /**
+   * Parse the references element of a CAP message
+   * @param {string} references - Space separated "sender,identifier,sent" triples
+   * @returns {Array<Object>} [{ sender, identifier, sent }]
+   */
+  parseReferences(references) {
+    return (references || '').trim().split(/\s+/).filter(Boolean).map(reference => {
+      const [sender, identifier, sent] = reference.split(',');
+      return { sender, identifier, sent };
+    });
+  },
+
+  /**
+   * Convert a CAP polygon string to a GeoJSON ring ([lng, lat] pairs)
+   * @param {string} polygon - CAP polygon
+   * @returns {Array} GeoJSON linear ring
+   */
+  polygonToRing: capPolygonToRing,
+
+  /**
+   * Convert a GeoJSON ring ([lng, lat] pairs) to a CAP polygon string
+   * @param {Array} ring - GeoJSON linear ring
+   * @returns {string} CAP polygon
+   */
+  ringToPolygon: ringToCapPolygon,
+
+  formatDate: formatCapDate
+};
+
+module.exports = capService;
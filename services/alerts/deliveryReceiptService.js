@@ -0,0 +1,347 @@
+const admin = require('firebase-admin');
+
+/*
+ * Delivery receipts for alerts, one document per alert and user in
+ * `alertDeliveries` ({alertId}_{userId}):
+ *
+ * {
+ *   alertId, userId, severity, type, critical,
+ *   channels: {
+ *     socket: { state, sentAt, deliveredAt, acknowledgedAt, error },
+ *     fcm: { ... },
+ *     sms: { ... }
+ *   },
+ *   acknowledged, acknowledgedAt, acknowledgedVia, updatedAt,
+ *   escalation: { startedAt, step, completed, history }
+ * }
+ *
+ * A channel moves sent -> delivered -> acknowledged, or ends in failed.
+ * Its state only moves forward: a re-send (sent or failed) replaces an
+ * earlier send outcome but never a delivery or acknowledgement, which may
+ * have landed first. `acknowledged` starts false when a receipt is
+ * created and is only ever set by the user, so re-sending an alert never
+ * clears it.
+ */
+
+const COLLECTION = 'alertDeliveries';
+const CHANNELS = ['socket', 'fcm', 'sms'];
+const STATES = ['sent', 'delivered', 'acknowledged', 'failed'];
+
+// How far along each state is; sent and failed are both outcomes of a send
+const STATE_RANK = { sent: 0, failed: 0, delivered: 1, acknowledged: 2 };
+
+// Firestore allows 500 writes per batch or transaction
+const BATCH_SIZE = 400;
+
+/**
+ * Create an error carrying an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function receiptError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Validate a channel name
+ * @param {string} channel - Delivery channel
+ */
+function assertChannel(channel) {
+  if (!CHANNELS.includes(channel)) {
+    throw receiptError(400, `Unknown delivery channel "${channel}". Use one of: ${CHANNELS.join(', ')}`);
+  }
+}
+
+/**
+ * Whether a channel may move to a state
+ * @param {Object} receipt - Stored receipt, if any
+ * @param {string} channel - Delivery channel
+ * @param {string} state - New state
+ * @returns {boolean} True unless the channel is already further along
+ */
+function advances(receipt, channel, state) {
+  const current = receipt && receipt.channels && receipt.channels[channel];
+  return !current || !(current.state in STATE_RANK) || STATE_RANK[state] >= STATE_RANK[current.state];
+}
+
+/**
+ * Delivery receipt service for alerts sent over socket, FCM and SMS
+ */
+const deliveryReceiptService = {
+  CHANNELS,
+  STATES,
+
+  /**
+   * Receipt document ID for an alert and user
+   * @param {string} alertId - Alert ID
+   * @param {string} userId - User ID
+   * @returns {string} Document ID
+   */
+  receiptId(alertId, userId) {
+    return `${alertId}_${userId}`.replace(/\//g, '_');
+  },
+
+  /**
+   * Record deliveries of an alert on one channel
+   * @param {string} alertId - Alert ID
+   * @param {string} channel - socket, fcm or sms
+   * @param {Array} deliveries - User IDs, or { userId, state, error } for known outcomes
+   * @param {Object} details - { severity, type } of the alert
+   * @returns {number} Number of receipts written
+   */
+  async recordDeliveries(alertId, channel, deliveries, details = {}) {
+    assertChannel(channel);
+    if (!alertId || !deliveries || deliveries.length === 0) return 0;
+
+    const db = admin.firestore();
+    const now = new Date().toISOString();
+    const severity = details.severity || 'high';
+    let written = 0;
+
+    for (let i = 0; i < deliveries.length; i += BATCH_SIZE) {
+      const chunk = deliveries.slice(i, i + BATCH_SIZE)
+        .map(delivery => (typeof delivery === 'string' ? { userId: delivery } : delivery))
+        .filter(delivery => delivery.userId);
+      if (chunk.length === 0) continue;
+
+      // Read and write together so a delivery or acknowledgement recorded meanwhile is not overwritten
+      const refs = chunk.map(({ userId }) => db.collection(COLLECTION).doc(this.receiptId(alertId, userId)));
+      written += await db.runTransaction(async transaction => {
+        const docs = await transaction.getAll(...refs);
+
+        chunk.forEach(({ state = 'sent', error }, index) => {
+          const receipt = docs[index].data();
+          let channelState = { sentAt: now };
+          if (advances(receipt, channel, state)) {
+            channelState = { state, sentAt: now };
+            if (error) channelState.error = error;
+          }
+
+          transaction.set(refs[index], {
+            alertId,
+            userId: chunk[index].userId,
+            severity,
+            ...(details.type ? { type: details.type } : {}),
+            critical: severity === 'critical',
+            channels: { [channel]: channelState },
+            ...(receipt && 'acknowledged' in receipt ? {} : { acknowledged: false }),
+            updatedAt: now
+          }, { merge: true });
+        });
+        return chunk.length;
+      });
+    }
+
+    console.log(`Recorded ${written} ${channel} deliveries for alert ${alertId}`);
+    return written;
+  },
+
+  /**
+   * Mark an alert as delivered to a user's device on a channel, unless it was already acknowledged there
+   * @param {string} alertId - Alert ID
+   * @param {string} userId - User ID
+   * @param {string} channel - socket, fcm or sms
+   */
+  async markDelivered(alertId, userId, channel) {
+    assertChannel(channel);
+    const now = new Date().toISOString();
+    const db = admin.firestore();
+    const ref = db.collection(COLLECTION).doc(this.receiptId(alertId, userId));
+
+    // The user may have acknowledged before the delivery report arrived
+    await db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      if (!advances(doc.data(), channel, 'delivered')) return;
+
+      transaction.set(ref, {
+        alertId,
+        userId,
+        channels: { [channel]: { state: 'delivered', deliveredAt: now } },
+        ...(doc.exists ? {} : { acknowledged: false }),
+        updatedAt: now
+      }, { merge: true });
+    });
+  },
+
+  /**
+   * Record that a user acknowledged an alert
+   * @param {string} alertId - Alert ID
+   * @param {string} userId - User ID
+   * @param {string} channel - Channel the acknowledgement came in on
+   * @returns {Object} Updated receipt
+   */
+  async acknowledge(alertId, userId, channel = 'socket') {
+    if (!alertId || !userId) {
+      throw receiptError(400, 'alertId and userId are required');
+    }
+    assertChannel(channel);
+
+    const now = new Date().toISOString();
+    const ref = admin.firestore().collection(COLLECTION).doc(this.receiptId(alertId, userId));
+
+    // Acknowledgement implies delivery, so the receipt is created if the send was never recorded
+    // (e.g. the alert reached the user through a room broadcast)
+    await ref.set({
+      alertId,
+      userId,
+      channels: { [channel]: { state: 'acknowledged', acknowledgedAt: now } },
+      acknowledged: true,
+      acknowledgedAt: now,
+      acknowledgedVia: channel,
+      updatedAt: now
+    }, { merge: true });
+
+    console.log(`User ${userId} acknowledged alert ${alertId} via ${channel}`);
+    const doc = await ref.get();
+    return { id: doc.id, ...doc.data() };
+  },
+
+  /**
+   * Unacknowledged receipts touched since a given time (escalation candidates).
+   * Needs the alertDeliveries (acknowledged, updatedAt) index in firestore.indexes.json.
+   * @param {string} since - ISO timestamp
+   * @returns {Array} Receipts
+   */
+  async getPendingSince(since) {
+    const snapshot = await admin.firestore().collection(COLLECTION)
+      .where('acknowledged', '==', false)
+      .where('updatedAt', '>=', since)
+      .get();
+
+    const receipts = [];
+    snapshot.forEach(doc => {
+      const receipt = doc.data();
+      if (!(receipt.escalation && receipt.escalation.completed)) {
+        receipts.push({ id: doc.id, ...receipt });
+      }
+    });
+    return receipts;
+  },
+
+  /**
+   * Claim an escalation step so only one server instance runs it
+   * @param {string} alertId - Alert ID
+   * @param {string} userId - User ID
+   * @param {number} step - Step index the caller expects to run
+   * @param {number} totalSteps - Steps in the policy
+   * @returns {boolean} True if the step was claimed
+   */
+  async claimEscalationStep(alertId, userId, step, totalSteps) {
+    const db = admin.firestore();
+    const ref = db.collection(COLLECTION).doc(this.receiptId(alertId, userId));
+
+    return db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return false;
+
+      const receipt = doc.data();
+      const escalation = receipt.escalation || {};
+      if (receipt.acknowledged || escalation.completed || (escalation.step || 0) !== step) {
+        return false;
+      }
+
+      transaction.set(ref, {
+        escalation: {
+          step: step + 1,
+          completed: step + 1 >= totalSteps
+        }
+      }, { merge: true });
+      return true;
+    });
+  },
+
+  /**
+   * Merge fields into a receipt's escalation state
+   * @param {string} alertId - Alert ID
+   * @param {string} userId - User ID
+   * @param {Object} fields - e.g. { startedAt } or { completed, stoppedReason }
+   */
+  async updateEscalation(alertId, userId, fields) {
+    await admin.firestore().collection(COLLECTION).doc(this.receiptId(alertId, userId)).set({
+      escalation: fields
+    }, { merge: true });
+  },
+
+  /**
+   * Append the outcome of an escalation step
+   * @param {string} alertId - Alert ID
+   * @param {string} userId - User ID
+   * @param {Object} entry - { step, channel, success, detail, at }
+   */
+  async recordEscalation(alertId, userId, entry) {
+    await admin.firestore().collection(COLLECTION).doc(this.receiptId(alertId, userId)).set({
+      escalation: { history: admin.firestore.FieldValue.arrayUnion(entry) }
+    }, { merge: true });
+  },
+
+  /**
+   * Get every receipt for an alert
+   * @param {string} alertId - Alert ID
+   * @returns {Array} Receipts
+   */
+  async getReceipts(alertId) {
+    const snapshot = await admin.firestore().collection(COLLECTION)
+      .where('alertId', '==', alertId)
+      .get();
+
+    const receipts = [];
+    snapshot.forEach(doc => receipts.push({ id: doc.id, ...doc.data() }));
+    return receipts;
+  },
+
+  /**
+   * Affected users who have not acknowledged an alert, with contact details for follow-up
+   * @param {string} alertId - Alert ID
+   * @returns {Object} { alertId, severity, critical, total, acknowledgedCount, unacknowledged }
+   */
+  async getUnacknowledged(alertId) {
+    const receipts = await this.getReceipts(alertId);
+    const pending = receipts.filter(receipt => !receipt.acknowledged);
+
+    // Socket user IDs are not always Firestore users, so missing profiles are skipped
+    const profiles = new Map();
+    if (pending.length > 0) {
+      const db = admin.firestore();
+      const docs = await db.getAll(...pending.map(receipt => db.collection('users').doc(receipt.userId)));
+      docs.forEach(doc => {
+        if (doc.exists) profiles.set(doc.id, doc.data());
+      });
+    }
+
+    const unacknowledged = pending
+      .map(receipt => {
+        const profile = profiles.get(receipt.userId) || {};
+        return {
+          userId: receipt.userId,
+          name: profile.name,
+          phone: profile.phone,
+          location: profile.location,
+          channels: receipt.channels || {},
+          delivered: Object.values(receipt.channels || {}).some(channel => channel.state === 'delivered'),
+          lastSentAt: Object.values(receipt.channels || {})
+            .map(channel => channel.sentAt)
+            .filter(Boolean)
+            .sort()
+            .pop() || null
+        };
+      })
+      // Users who never received anything first, then the longest waiting
+      .sort((a, b) => (a.delivered - b.delivered) || String(a.lastSentAt).localeCompare(String(b.lastSentAt)));
+
+    const severity = (receipts.find(receipt => receipt.severity) || {}).severity || null;
+
+    return {
+      alertId,
+      severity,
+      critical: severity === 'critical',
+      total: receipts.length,
+      acknowledgedCount: receipts.length - pending.length,
+      unacknowledged
+    };
+  }
+};
+
+module.exports = deliveryReceiptService;
@@ -0,0 +1,290 @@
+const admin = require('firebase-admin');
+const deliveryReceiptService = require('./deliveryReceiptService');
+const pushNotificationService = require('../notificationServices/pushNotifications/pushNotification');
+const smsService = require('../notificationServices/smsServices/smsService');
+const userModel = require('../../models/User');
+const escalationPolicies = require('../../config/escalationPolicies');
+require('dotenv').config();
+
+// How often unacknowledged deliveries are checked
+const ESCALATION_INTERVAL_MINUTES = parseFloat(process.env.ESCALATION_INTERVAL_MINUTES || '1');
+
+// Receipts older than the longest ladder plus this margin are no longer checked
+const LOOKBACK_MARGIN_MINUTES = 60;
+
+// Default contacts created with every user are public services, not people to text automatically
+const PUBLIC_SERVICE_RELATIONSHIP = 'Emergency';
+
+/**
+ * Escalation service: walks unacknowledged alert deliveries up the ladder in
+ * config/escalationPolicies.js (FCM, then SMS, then emergency contacts)
+ */
+const escalationService = {
+  escalationInterval: null,
+
+  /**
+   * Escalation ladder for a disaster type and severity
+   * @param {string} type - Disaster type
+   * @param {string} severity - Alert severity
+   * @returns {Array|null} Steps sorted by afterMinutes, or null when the alert never escalates
+   */
+  getPolicy(type, severity) {
+    const byType = escalationPolicies[type] || {};
+    const steps = byType[severity] || (escalationPolicies.default || {})[severity];
+    if (!Array.isArray(steps) || steps.length === 0) return null;
+
+    return [...steps].sort((a, b) => a.afterMinutes - b.afterMinutes);
+  },
+
+  /**
+   * Longest ladder across all policies, in minutes
+   * @returns {number} Minutes
+   */
+  getLongestLadder() {
+    let longest = 0;
+    Object.values(escalationPolicies).forEach(bySeverity => {
+      Object.values(bySeverity || {}).forEach(steps => {
+        (steps || []).forEach(step => {
+          longest = Math.max(longest, step.afterMinutes || 0);
+        });
+      });
+    });
+    return longest;
+  },
+
+  /**
+   * Check unacknowledged socket deliveries and run every escalation step that is due
+   * @returns {number} Number of steps run
+   */
+  async runEscalations() {
+    const now = Date.now();
+    const since = new Date(now - (this.getLongestLadder() + LOOKBACK_MARGIN_MINUTES) * 60000).toISOString();
+    const receipts = await deliveryReceiptService.getPendingSince(since);
+    const sources = new Map();
+    let stepsRun = 0;
+
+    for (const receipt of receipts) {
+      // Only users who were sent the alert in the app escalate; SMS-only recipients have nowhere to go
+      const socketDelivery = (receipt.channels || {}).socket;
+      if (!socketDelivery || !socketDelivery.sentAt) continue;
+
+      try {
+        if (!sources.has(receipt.alertId)) {
+          sources.set(receipt.alertId, await this.getAlertSource(receipt.alertId));
+        }
+        const source = sources.get(receipt.alertId);
+
+        if (!source || !source.active) {
+          await deliveryReceiptService.updateEscalation(receipt.alertId, receipt.userId, { completed: true, stoppedReason: 'alert-inactive' });
+          continue;
+        }
+
+        const steps = this.getPolicy(receipt.type || source.type, receipt.severity || source.severity);
+        if (!steps) continue;
+
+        // Periodic re-sends refresh sentAt, so the ladder is timed from when it was first seen
+        const escalation = receipt.escalation || {};
+        if (!escalation.startedAt) {
+          escalation.startedAt = socketDelivery.sentAt;
+          await deliveryReceiptService.updateEscalation(receipt.alertId, receipt.userId, { startedAt: escalation.startedAt, step: 0 });
+        }
+
+        const elapsedMinutes = (now - new Date(escalation.startedAt).getTime()) / 60000;
+        let step = escalation.step || 0;
+
+        while (step < steps.length && elapsedMinutes >= steps[step].afterMinutes) {
+          const claimed = await deliveryReceiptService.claimEscalationStep(receipt.alertId, receipt.userId, step, steps.length);
+          if (!claimed) break;
+
+          await this.runStep(receipt, source, steps[step], step);
+          stepsRun++;
+          step++;
+        }
+      } catch (error) {
+        console.error(`Error escalating alert ${receipt.alertId} for user ${receipt.userId}:`, error);
+      }
+    }
+
+    if (stepsRun > 0) {
+      console.log(`Ran ${stepsRun} escalation steps`);
+    }
+    return stepsRun;
+  },
+
+  /**
+   * Run one escalation step and record its outcome on the receipt
+   * @param {Object} receipt - Delivery receipt
+   * @param {Object} source - Alert or disaster from getAlertSource()
+   * @param {Object} policyStep - { channel, afterMinutes }
+   * @param {number} index - Step index in the ladder
+   */
+  async runStep(receipt, source, policyStep, index) {
+    const { alertId, userId } = receipt;
+    let outcome;
+
+    try {
+      const user = await userModel.getUserById(userId);
+      if (!user) {
+        outcome = { success: false, detail: 'No user profile' };
+      } else if (policyStep.channel === 'fcm') {
+        outcome = await this.escalateFcm(user, source, alertId, receipt.severity);
+      } else if (policyStep.channel === 'sms') {
+        outcome = await this.escalateSms(user, source, alertId, receipt.severity);
+      } else if (policyStep.channel === 'emergencyContacts') {
+        outcome = await this.escalateEmergencyContacts(user, source);
+      } else {
+        outcome = { success: false, detail: `Unknown escalation channel ${policyStep.channel}` };
+      }
+    } catch (error) {
+      outcome = { success: false, detail: error.message };
+    }
+
+    console.log(`Escalation step ${index + 1} (${policyStep.channel}) for alert ${alertId}, user ${userId}: ${outcome.success ? 'sent' : outcome.detail}`);
+
+    await deliveryReceiptService.recordEscalation(alertId, userId, {
+      step: index + 1,
+      channel: policyStep.channel,
+      success: outcome.success,
+      detail: outcome.detail || null,
+      at: new Date().toISOString()
+    });
+  },
+
+  /**
+   * Push the alert to the user's devices
+   * @param {Object} user - User from userModel
+   * @param {Object} source - Alert source
+   * @param {string} alertId - Alert ID
+   * @param {string} severity - Alert severity
+   * @returns {Object} { success, detail }
+   */
+  async escalateFcm(user, source, alertId, severity) {
+    const result = await pushNotificationService.sendToUser(
+      user.id,
+      { title: `🚨 ${source.title}`, body: `Please confirm you are safe. ${source.message}` },
+      { alertId, type: source.type || 'emergency', escalation: 'true' }
+    );
+    const success = result.successCount > 0;
+
+    await deliveryReceiptService.recordDeliveries(alertId, 'fcm', [
+      success ? { userId: user.id } : { userId: user.id, state: 'failed', error: 'No FCM device accepted the message' }
+    ], { severity, type: source.type });
+
+    return { success, detail: `${result.successCount} devices` };
+  },
+
+  /**
+   * Text the alert to the user's phone
+   * @param {Object} user - User from userModel
+   * @param {Object} source - Alert source
+   * @param {string} alertId - Alert ID
+   * @param {string} severity - Alert severity
+   * @returns {Object} { success, detail }
+   */
+  async escalateSms(user, source, alertId, severity) {
+    if (!user.phone) {
+      return { success: false, detail: 'No phone number' };
+    }
+
+    const result = await smsService.sendSMS(
+      user.phone,
+      user.countryCode || 'IN',
+      `🚨 ${source.title}: ${source.message}\nOpen SafeEscape to confirm you are safe.`
+    );
+
+    await deliveryReceiptService.recordDeliveries(alertId, 'sms', [
+      result.success ? { userId: user.id } : { userId: user.id, state: 'failed', error: result.error || 'SMS send failed' }
+    ], { severity, type: source.type });
+
+    return { success: result.success, detail: result.queued ? `${result.error} (queued for retry)` : result.error };
+  },
+
+  /**
+   * Text the user's personal emergency contacts that the user has not responded
+   * @param {Object} user - User from userModel
+   * @param {Object} source - Alert source
+   * @returns {Object} { success, detail }
+   */
+  async escalateEmergencyContacts(user, source) {
+    const contacts = (user.emergencyContacts || [])
+      .filter(contact => contact.phone && contact.relationship !== PUBLIC_SERVICE_RELATIONSHIP)
+      .sort((a, b) => (a.priority || 99) - (b.priority || 99));
+
+    if (contacts.length === 0) {
+      return { success: false, detail: 'No personal emergency contacts' };
+    }
+
+    const name = user.name || 'A SafeEscape user';
+    const message = `SafeEscape: ${name} has not responded to an emergency alert in their area (${source.title}). Please try to reach them.`;
+
+    let sent = 0;
+    for (const contact of contacts) {
+      const result = await smsService.sendSMS(contact.phone, contact.countryCode || user.countryCode || 'IN', message);
+      if (result.success) sent++;
+    }
+
+    return { success: sent > 0, detail: `${sent} of ${contacts.length} contacts` };
+  },
+
+  /**
+   * Load the alert or disaster a receipt refers to
+   * @param {string} alertId - Alert ID (disaster-<id> for socket disaster notifications)
+   * @returns {Object|null} { title, message, type, severity, active }
+   */
+  async getAlertSource(alertId) {
+    const db = admin.firestore();
+
+    if (alertId.startsWith('disaster-')) {
+      const doc = await db.collection('disasters').doc(alertId.slice('disaster-'.length)).get();
+      if (!doc.exists) return null;
+
+      const disaster = doc.data();
+      return {
+        title: disaster.title || `${disaster.type || 'Disaster'} warning`,
+        message: disaster.description || 'A disaster has been reported in your area.',
+        type: disaster.type,
+        severity: disaster.severity,
+        active: disaster.active !== false
+      };
+    }
+
+    const doc = await db.collection('alerts').doc(alertId).get();
+    if (!doc.exists) return null;
+
+    const alert = doc.data();
+    return {
+      title: alert.title,
+      message: alert.message,
+      type: alert.type,
+      severity: alert.severity,
+      active: alert.status === 'active'
+    };
+  },
+
+  /**
+   * Start periodic escalation checks
+   * @param {number} intervalMinutes - Check interval in minutes
+   */
+  startEscalationChecks(intervalMinutes = ESCALATION_INTERVAL_MINUTES) {
+    this.stopEscalationChecks();
+
+    const sweep = () => this.runEscalations().catch(error => {
+      console.error('Error running alert escalations:', error.message);
+    });
+
+    this.escalationInterval = setInterval(sweep, intervalMinutes * 60 * 1000);
+    console.log(`Alert escalation checks every ${intervalMinutes} minutes`);
+  },
+
+  /**
+   * Stop periodic escalation checks
+   */
+  stopEscalationChecks() {
+    if (this.escalationInterval) {
+      clearInterval(this.escalationInterval);
+      this.escalationInterval = null;
+    }
+  }
+};
+
+module.exports = escalationService;
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const userModel = require('../models/User');
+const refreshTokenModel = require('../models/RefreshToken');
+const { DEFAULT_ROLE } = require('../config/roles');
+
+// Short-lived access tokens; sessions are kept alive with rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS || '30', 10);
+
+/**
+ * Create an error carrying an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function authError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const authService = {
+    /**
+     * Logs a user in with email and password
+     * @param {string} email - User's email
+     * @param {string} password - Plain-text password
+     * @returns {Object} { user, accessToken, refreshToken, expiresIn }
+     */
+    async login(email, password) {
+        if (!email || !password) throw authError(400, 'Email and password are required');
+
+        const user = await userModel.getUserByEmail(email);
+
+        // Same answer for an unknown email and a wrong password
+        if (!user || !user.password || !(await bcrypt.compare(password, user.password))) {
+            throw authError(401, 'Invalid email or password');
+        }
+
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        await refreshTokenModel.createToken(hashToken(refreshToken), {
+            userId: user.id,
+            expiresAt: this.refreshExpiry(),
+        });
+
+        return {
+            user: { id: user.id, name: user.name, email: user.email, role: user.role || DEFAULT_ROLE },
+            accessToken: this.issueAccessToken(user),
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+        };
+    },
+
+    /**
+     * Exchanges a refresh token for a new access token and refresh token.
+     * Presenting an already-used token revokes every session of its user,
+     * since it means the token was copied.
+     * @param {string} refreshToken - Refresh token from login or the last refresh
+     * @returns {Object} { accessToken, refreshToken, expiresIn }
+     */
+    async refresh(refreshToken) {
+        if (!refreshToken) throw authError(400, 'refreshToken is required');
+
+        const nextToken = crypto.randomBytes(48).toString('base64url');
+        const result = await refreshTokenModel.rotateToken(hashToken(refreshToken), hashToken(nextToken), this.refreshExpiry());
+
+        if (result.status === 'reused') {
+            console.warn(`⚠️ Refresh token reuse for user ${result.userId}; revoking all sessions`);
+            await refreshTokenModel.revokeAllForUser(result.userId);
+            throw authError(401, 'Refresh token has already been used');
+        }
+        if (result.status !== 'rotated') throw authError(401, 'Invalid or expired refresh token');
+
+        // Role and account state are re-read, so a role change applies from the next refresh
+        const user = await userModel.getUserById(result.userId);
+        if (!user) throw authError(401, 'User no longer exists');
+
+        return {
+            accessToken: this.issueAccessToken(user),
+            refreshToken: nextToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+        };
+    },
+
+    /**
+     * Logs out by revoking a refresh token (or every session of its user)
+     * @param {string} refreshToken - Refresh token to revoke
+     * @param {boolean} everywhere - Revoke all of the user's refresh tokens
+     * @returns {number} Number of sessions ended
+     */
+    async logout(refreshToken, everywhere = false) {
+        if (!refreshToken) throw authError(400, 'refreshToken is required');
+
+        const userId = await refreshTokenModel.revokeToken(hashToken(refreshToken));
+        if (!userId) return 0;
+
+        return everywhere ? 1 + await refreshTokenModel.revokeAllForUser(userId) : 1;
+    },
+
+    /**
+     * Signs an access token for a user
+     * @param {Object} user - User with id, email and role
+     * @returns {string} JWT
+     */
+    issueAccessToken(user) {
+        if (!process.env.JWT_SECRET) throw authError(500, 'JWT_SECRET is not configured');
+
+        return jwt.sign(
+            { sub: user.id, email: user.email, role: user.role || DEFAULT_ROLE },
+            process.env.JWT_SECRET,
+            { algorithm: 'HS256', expiresIn: ACCESS_TOKEN_TTL }
+        );
+    },
+
+    /**
+     * Expiry of a refresh token issued now
+     * @returns {string} ISO timestamp
+     */
+    refreshExpiry() {
+        return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    },
+};
+
+module.exports = authService;
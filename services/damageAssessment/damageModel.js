@@ -0,0 +1,35 @@
+/**
+ * Base class for damage assessment models.
+ *
+ * Adapters take one image and the assessment prompt and resolve to the
+ * model's raw text answer. Parsing and validating that answer is left to
+ * the assessor, so every model is held to the same output contract.
+ */
+class DamageModel {
+  /**
+   * @param {string} name - Model name stored with each assessment
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the model has the settings it needs
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Assess one image (implemented by adapters)
+   * @param {Object} image - { buffer, contentType }
+   * @param {string} prompt - Assessment instructions
+   * @returns {string} Raw model output, expected to be JSON
+   */
+  async assess(image, prompt) {
+    throw new Error(`${this.name} model does not implement assess()`);
+  }
+}
+
+module.exports = DamageModel;
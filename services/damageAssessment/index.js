@@ -0,0 +1,175 @@
+const MockDamageModel = require('./mockDamageModel');
+const LlmDamageModel = require('./llmDamageModel');
+require('dotenv').config();
+
+/*
+ * Damage assessment of incident photos.
+ *
+ * Each image goes to the model chosen with DAMAGE_ASSESSMENT_MODEL ("llm",
+ * the shared LLM service, or the offline "mock") with a fixed prompt. The answer must be a JSON object with a
+ * damage category, hazard type, count of visible people at risk and a 0-1
+ * confidence; anything else is recorded as a failed image rather than
+ * guessed at. Per-image results are then combined into one assessment.
+ */
+
+// Ordered from least to most damage
+const DAMAGE_CATEGORIES = ['none', 'minor', 'moderate', 'severe', 'destroyed'];
+
+const HAZARD_TYPES = ['none', 'flood', 'fire', 'earthquake', 'cyclone', 'landslide', 'storm', 'building_collapse', 'other'];
+
+const MAX_NOTES_LENGTH = 500;
+
+const ASSESSMENT_PROMPT = `
+You are assessing a photo submitted with a disaster report in India.
+Describe only what is visible in the photo.
+
+Respond with a single JSON object and nothing else:
+{
+  "damageCategory": one of ${DAMAGE_CATEGORIES.map(value => `"${value}"`).join(', ')},
+  "hazardType": one of ${HAZARD_TYPES.map(value => `"${value}"`).join(', ')},
+  "peopleAtRisk": number of people visibly in danger (0 if none),
+  "confidence": your confidence in this assessment from 0 to 1,
+  "notes": one short sentence explaining the assessment
+}
+`;
+
+const MODEL_FACTORIES = {
+  mock: () => new MockDamageModel(),
+  llm: () => new LlmDamageModel()
+};
+
+/**
+ * Create the configured model
+ * @param {string} name - Model name from DAMAGE_ASSESSMENT_MODEL
+ * @returns {Object} Damage model
+ */
+function buildModel(name) {
+  const factory = MODEL_FACTORIES[name];
+  if (!factory) {
+    console.warn(`⚠️ Unknown damage assessment model "${name}"; using mock`);
+    return new MockDamageModel();
+  }
+  return factory();
+}
+
+const damageAssessor = {
+  model: buildModel((process.env.DAMAGE_ASSESSMENT_MODEL || 'llm').trim().toLowerCase()),
+
+  /**
+   * Assess one image
+   * @param {Object} image - { buffer, contentType }
+   * @returns {Promise<Object>} - Validated assessment
+   */
+  async assessImage(image) {
+    const output = await this.model.assess(image, ASSESSMENT_PROMPT);
+    return this.validateAssessment(this.parseOutput(output));
+  },
+
+  /**
+   * Assess several images of the same incident. Images that fail are
+   * reported in `errors` and left out of the overall result.
+   * @param {Array<Object>} images - { id, buffer, contentType }
+   * @returns {Promise<Object>} - { model, images: [{ mediaId, ...assessment }], overall, errors }
+   */
+  async assessImages(images) {
+    const results = [];
+    const errors = [];
+
+    // One at a time; vision calls are slow and rate limited
+    for (const image of images) {
+      try {
+        results.push({ mediaId: image.id, ...(await this.assessImage(image)) });
+      } catch (error) {
+        console.warn(`⚠️ Damage assessment failed for image ${image.id}:`, error.message);
+        errors.push({ mediaId: image.id, error: error.message });
+      }
+    }
+
+    return {
+      model: this.model.name,
+      images: results,
+      overall: this.combine(results),
+      errors
+    };
+  },
+
+  /**
+   * Parse a model answer, tolerating a surrounding markdown code block
+   * @param {string} output - Raw model output
+   * @returns {Object} Parsed JSON
+   */
+  parseOutput(output) {
+    const text = String(output || '').trim();
+    const block = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    try {
+      return JSON.parse(block ? block[1] : text);
+    } catch (error) {
+      throw new Error('Model output is not valid JSON');
+    }
+  },
+
+  /**
+   * Check a parsed answer against the assessment contract
+   * @param {Object} data - Parsed model output
+   * @returns {Object} { damageCategory, hazardType, peopleAtRisk, confidence, notes }
+   */
+  validateAssessment(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Model output must be a JSON object');
+    }
+
+    const damageCategory = typeof data.damageCategory === 'string' ? data.damageCategory.trim().toLowerCase() : null;
+    if (!DAMAGE_CATEGORIES.includes(damageCategory)) {
+      throw new Error(`Invalid damageCategory: ${JSON.stringify(data.damageCategory)}`);
+    }
+
+    const hazardType = typeof data.hazardType === 'string' ? data.hazardType.trim().toLowerCase().replace(/[\s-]+/g, '_') : null;
+    if (!HAZARD_TYPES.includes(hazardType)) {
+      throw new Error(`Invalid hazardType: ${JSON.stringify(data.hazardType)}`);
+    }
+
+    if (!Number.isInteger(data.peopleAtRisk) || data.peopleAtRisk < 0) {
+      throw new Error(`Invalid peopleAtRisk: ${JSON.stringify(data.peopleAtRisk)}`);
+    }
+
+    if (typeof data.confidence !== 'number' || !(data.confidence >= 0 && data.confidence <= 1)) {
+      throw new Error(`Invalid confidence: ${JSON.stringify(data.confidence)}`);
+    }
+
+    return {
+      damageCategory,
+      hazardType,
+      peopleAtRisk: data.peopleAtRisk,
+      confidence: data.confidence,
+      notes: typeof data.notes === 'string' ? data.notes.slice(0, MAX_NOTES_LENGTH) : ''
+    };
+  },
+
+  /**
+   * Combine per-image assessments: the worst damage seen, the hazard the model
+   * was most sure of, the most people visible in any one photo (the same
+   * people may appear in several) and the mean confidence
+   * @param {Array<Object>} results - Validated assessments
+   * @returns {Object|null} Overall assessment, or null without results
+   */
+  combine(results) {
+    if (results.length === 0) return null;
+
+    const worst = results.reduce((a, b) =>
+      DAMAGE_CATEGORIES.indexOf(b.damageCategory) > DAMAGE_CATEGORIES.indexOf(a.damageCategory) ? b : a);
+    const hazards = results.filter(result => result.hazardType !== 'none');
+    const surest = hazards.reduce((a, b) => (b.confidence > a.confidence ? b : a), hazards[0] || null);
+    const confidence = results.reduce((sum, result) => sum + result.confidence, 0) / results.length;
+
+    return {
+      damageCategory: worst.damageCategory,
+      hazardType: surest ? surest.hazardType : 'none',
+      peopleAtRisk: Math.max(...results.map(result => result.peopleAtRisk)),
+      confidence: Math.round(confidence * 100) / 100
+    };
+  }
+};
+
+module.exports = damageAssessor;
+module.exports.DAMAGE_CATEGORIES = DAMAGE_CATEGORIES;
+module.exports.HAZARD_TYPES = HAZARD_TYPES;
@@ -0,0 +1,23 @@
+const DamageModel = require('./damageModel');
+const llmService = require('../llm/llmService');
+
+/**
+ * Vision model behind the shared LLM service (LLM_PROVIDER, LLM_VISION_MODEL)
+ */
+class LlmDamageModel extends DamageModel {
+  constructor() {
+    super(`${llmService.provider.name}:${llmService.visionModel || llmService.provider.defaultModel}`);
+  }
+
+  async assess(image, prompt) {
+    const result = await llmService.generate({
+      task: 'damageAssessment',
+      prompt,
+      images: [{ data: image.buffer, mimeType: image.contentType }],
+      json: true
+    });
+    return result.text;
+  }
+}
+
+module.exports = LlmDamageModel;
@@ -0,0 +1,203 @@
+const fs = require('fs/promises');
+const path = require('path');
+// The package entry point runs a self-test when required directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const SUPPORTED_EXTENSIONS = ['.md', '.markdown', '.txt', '.pdf'];
+// Explains the folder rather than giving guidance
+const IGNORED_FILES = ['readme.md'];
+
+/*
+ * Turns knowledge base files into sections ready for indexing. Markdown is
+ * split at headings, so each section is cited by its heading path
+ * ("Bleeding › Severe bleeding"); PDFs are split by page. Sections are then
+ * cut into passages of at most maxChars at paragraph and sentence breaks.
+ */
+const documentLoader = {
+  /**
+   * Supported files under a folder, recursively and in a stable order
+   * @param {string} root - Folder
+   * @returns {Promise<Array<Object>>} { path, source (relative path), size, mtimeMs }
+   */
+  async listDocuments(root) {
+    const found = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) &&
+                   !IGNORED_FILES.includes(entry.name.toLowerCase())) {
+          const stat = await fs.stat(fullPath);
+          found.push({
+            path: fullPath,
+            source: path.relative(root, fullPath).split(path.sep).join('/'),
+            size: stat.size,
+            mtimeMs: Math.round(stat.mtimeMs)
+          });
+        }
+      }
+    };
+
+    await walk(root);
+    return found.sort((a, b) => a.source.localeCompare(b.source));
+  },
+
+  /**
+   * Read a document and split it into sections
+   * @param {Object} file - Entry from listDocuments()
+   * @returns {Promise<Object>} { source, title, sections: [{ heading, text }] }
+   */
+  async loadDocument(file) {
+    const buffer = await fs.readFile(file.path);
+    const fallbackTitle = path.basename(file.source, path.extname(file.source));
+
+    if (path.extname(file.path).toLowerCase() === '.pdf') {
+      const pages = await this.parsePdf(buffer);
+      return {
+        source: file.source,
+        title: fallbackTitle,
+        sections: pages.map((text, index) => ({ heading: `Page ${index + 1}`, text })).filter(section => section.text)
+      };
+    }
+
+    const { title, sections } = this.parseMarkdown(buffer.toString('utf8'));
+    return { source: file.source, title: title || fallbackTitle, sections };
+  },
+
+  /**
+   * Split Markdown (or plain text) into sections at headings
+   * @param {string} markdown - Document text
+   * @returns {Object} { title (first level-1 heading), sections: [{ heading, text }] }
+   */
+  parseMarkdown(markdown) {
+    const sections = [];
+    const headings = [];
+    let title = null;
+    let lines = [];
+
+    const flush = () => {
+      const text = lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+      // The document title alone is not a useful citation when there are subheadings
+      const heading = (headings.length > 1 ? headings.slice(1) : headings).filter(Boolean).join(' › ');
+      if (text) sections.push({ heading: heading || 'Introduction', text });
+      lines = [];
+    };
+
+    for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+      const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (match) {
+        flush();
+        const level = match[1].length;
+        const text = cleanInline(match[2]);
+        if (level === 1 && !title) title = text;
+        headings.length = level;
+        headings[level - 1] = text;
+        continue;
+      }
+      lines.push(cleanInline(line));
+    }
+    flush();
+
+    return { title, sections };
+  },
+
+  /**
+   * Text of each page of a PDF
+   * @param {Buffer} buffer - PDF file
+   * @returns {Promise<Array<string>>} Page texts
+   */
+  async parsePdf(buffer) {
+    const pages = [];
+    // pdf.js reads the whole underlying ArrayBuffer, which for a pooled Buffer holds other data too
+    await pdfParse(new Uint8Array(buffer), {
+      // Called once per page, in order
+      pagerender: async (pageData) => {
+        const content = await pageData.getTextContent();
+        let text = '';
+        let lastY = null;
+        for (const item of content.items) {
+          text += lastY !== null && item.transform[5] !== lastY ? `\n${item.str}` : item.str;
+          lastY = item.transform[5];
+        }
+        pages.push(text.replace(/[ \t]+/g, ' ').trim());
+        return text;
+      }
+    });
+    return pages;
+  },
+
+  /**
+   * Cut a section into passages at paragraph, then sentence, breaks
+   * @param {string} text - Section text
+   * @param {number} maxChars - Longest passage
+   * @returns {Array<string>} Passages
+   */
+  chunkText(text, maxChars) {
+    const pieces = text.split(/\n\s*\n/)
+      .flatMap(paragraph => (paragraph.length <= maxChars ? [paragraph] : splitSentences(paragraph, maxChars)))
+      .map(piece => piece.trim())
+      .filter(Boolean);
+
+    const passages = [];
+    let current = '';
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > maxChars) {
+        passages.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+    if (current) passages.push(current);
+    return passages;
+  }
+};
+
+/**
+ * Remove Markdown inline markup that adds nothing to the text
+ * @param {string} line - Markdown line
+ * @returns {string} Plain line
+ */
+function cleanInline(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|`)/g, '')
+    .replace(/^>\s?/, '');
+}
+
+/**
+ * Split a long paragraph into pieces of whole sentences (or hard cuts for run-on text)
+ * @param {string} paragraph - Paragraph
+ * @param {number} maxChars - Longest piece
+ * @returns {Array<string>} Pieces
+ */
+function splitSentences(paragraph, maxChars) {
+  const pieces = [];
+  let current = '';
+  for (const sentence of paragraph.match(/[^.!?\n]+[.!?]*\s*|\n/g) || []) {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    current += sentence;
+    while (current.length > maxChars) {
+      pieces.push(current.slice(0, maxChars));
+      current = current.slice(maxChars);
+    }
+  }
+  if (current.trim()) pieces.push(current);
+  return pieces;
+}
+
+module.exports = documentLoader;
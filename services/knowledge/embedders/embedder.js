@@ -0,0 +1,38 @@
+/**
+ * Base class for text embedders used by the knowledge base.
+ *
+ * Embedders turn text into fixed-length vectors scaled to unit length, so
+ * the dot product of two vectors is their cosine similarity. The index
+ * records the embedder name and dimensions and is rebuilt when they change.
+ */
+class Embedder {
+  /**
+   * @param {string} name - Embedder name stored with the index
+   * @param {number} dimensions - Vector length
+   */
+  constructor(name, dimensions) {
+    this.name = name;
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * Embed a batch of texts (implemented by embedders)
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} One unit vector per text
+   */
+  async embed(texts) {
+    throw new Error(`${this.name} embedder does not implement embed()`);
+  }
+
+  /**
+   * Scale a vector to unit length
+   * @param {Array<number>} vector - Vector
+   * @returns {Array<number>} Unit vector (all zeros stays all zeros)
+   */
+  normalize(vector) {
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return length > 0 ? vector.map(value => value / length) : vector;
+  }
+}
+
+module.exports = Embedder;
@@ -0,0 +1,94 @@
+const Embedder = require('./embedder');
+
+// Words too common to tell passages apart
+const STOP_WORDS = new Set(`
+a about after all also an and any are as at be been before but by can could do does for from has have
+how i if in into is it its me more my no not of on or our out should so than that the their them then
+there these they this to up us was we were what when where which who will with would you your
+`.trim().split(/\s+/));
+
+/**
+ * Local embedder needing no model or network: words and word pairs are
+ * hashed into a fixed number of buckets (the "hashing trick"), weighted by
+ * log term frequency. Retrieval is lexical rather than semantic, which
+ * suits short, vetted guidance documents.
+ */
+class HashingEmbedder extends Embedder {
+  /**
+   * @param {Object} options - { dimensions }
+   */
+  constructor(options = {}) {
+    super('hashing', options.dimensions || 4096);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  /**
+   * Embed one text
+   * @param {string} text - Text
+   * @returns {Array<number>} Unit vector
+   */
+  embedOne(text) {
+    const terms = this.tokenize(text);
+    const counts = new Map();
+    terms.forEach((term, index) => {
+      counts.set(term, (counts.get(term) || 0) + 1);
+      if (index > 0) {
+        const pair = `${terms[index - 1]} ${term}`;
+        counts.set(pair, (counts.get(pair) || 0) + 0.5);
+      }
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    counts.forEach((count, term) => {
+      const hash = fnv1a(term);
+      // A second hash bit picks the sign, so collisions tend to cancel out
+      vector[hash % this.dimensions] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+    });
+    return this.normalize(vector);
+  }
+
+  /**
+   * Lower-case, roughly stemmed words without stop words
+   * @param {string} text - Text
+   * @returns {Array<string>} Terms
+   */
+  tokenize(text) {
+    return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+      .map(stem);
+  }
+}
+
+/**
+ * Strip common English suffixes so "bleeding", "bleeds" and "bleed" match.
+ * Crude, but applied the same way to questions and passages.
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  for (const suffix of ['ing', 'ily', 'ly', 'ed', 'es', 's']) {
+    if (word.length - suffix.length >= 3 && word.endsWith(suffix) && !word.endsWith('ss')) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Text
+ * @returns {number} Unsigned hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+module.exports = HashingEmbedder;
@@ -0,0 +1,50 @@
+const axios = require('axios');
+const Embedder = require('./embedder');
+
+/**
+ * Embeddings from any server exposing the OpenAI embeddings API, such as a
+ * self-hosted model behind Ollama or vLLM (KNOWLEDGE_EMBEDDING_BASE_URL,
+ * e.g. http://localhost:11434/v1)
+ */
+class OpenAICompatibleEmbedder extends Embedder {
+  /**
+   * @param {Object} options - { model, baseUrl, apiKey, dimensions, timeoutMs }
+   */
+  constructor(options = {}) {
+    super(`openai:${options.model}`, options.dimensions || null);
+    this.model = options.model;
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.timeoutMs = options.timeoutMs || 30000;
+  }
+
+  /**
+   * Whether the embedder has the settings it needs
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl && this.model);
+  }
+
+  async embed(texts) {
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/embeddings`, { model: this.model, input: texts }, {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        timeout: this.timeoutMs
+      });
+    } catch (error) {
+      const detail = error.response && error.response.data && error.response.data.error;
+      throw new Error(`Embedding request failed: ${detail ? detail.message || JSON.stringify(detail) : error.message}`);
+    }
+
+    const vectors = [...response.data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(entry => this.normalize(entry.embedding));
+    // The model decides the length; learn it from the first answer
+    if (!this.dimensions && vectors.length) this.dimensions = vectors[0].length;
+    return vectors;
+  }
+}
+
+module.exports = OpenAICompatibleEmbedder;
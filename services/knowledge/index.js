@@ -0,0 +1,243 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const documentLoader = require('./documentLoader');
+const VectorIndex = require('./vectorIndex');
+const HashingEmbedder = require('./embedders/hashingEmbedder');
+const OpenAICompatibleEmbedder = require('./embedders/openAICompatibleEmbedder');
+require('dotenv').config();
+
+/*
+ * Knowledge base of vetted guidance (first-aid protocols, shelter lists,
+ * official SOPs) for the emergency chatbot.
+ *
+ * Markdown, text and PDF files in KNOWLEDGE_BASE_DIR (default knowledge/)
+ * are split into passages, embedded with KNOWLEDGE_EMBEDDER ("hashing",
+ * local and offline, or "openai" for an OpenAI-compatible embeddings API)
+ * and saved to KNOWLEDGE_INDEX_PATH. The index is rebuilt on first use when
+ * the files or settings have changed, or with `npm run knowledge:ingest`.
+ * Set ENABLE_KNOWLEDGE_BASE=false to answer without it.
+ */
+
+const BASE_DIR = path.resolve(process.env.KNOWLEDGE_BASE_DIR || path.join(__dirname, '../../knowledge'));
+const INDEX_PATH = path.resolve(process.env.KNOWLEDGE_INDEX_PATH || path.join(__dirname, '../../data/knowledge-index.json'));
+const TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K || '4', 10);
+// Below this similarity a passage is unrelated to the question
+const MIN_SCORE = parseFloat(process.env.KNOWLEDGE_MIN_SCORE || '0.05');
+const CHUNK_CHARS = parseInt(process.env.KNOWLEDGE_CHUNK_CHARS || '900', 10);
+const EMBED_BATCH_SIZE = 32;
+
+const EMBEDDER_FACTORIES = {
+  hashing: () => new HashingEmbedder(),
+  openai: () => new OpenAICompatibleEmbedder({
+    model: process.env.KNOWLEDGE_EMBEDDING_MODEL,
+    baseUrl: process.env.KNOWLEDGE_EMBEDDING_BASE_URL || process.env.LLM_BASE_URL,
+    apiKey: process.env.KNOWLEDGE_EMBEDDING_API_KEY || process.env.LLM_API_KEY
+  })
+};
+
+/**
+ * Create the configured embedder, falling back to local hashing when it is unknown or incomplete
+ * @param {string} name - Embedder name
+ * @returns {Object} Embedder
+ */
+function buildEmbedder(name) {
+  const factory = EMBEDDER_FACTORIES[name];
+  if (!factory) {
+    console.warn(`⚠️ Unknown knowledge embedder "${name}"; using hashing`);
+    return EMBEDDER_FACTORIES.hashing();
+  }
+
+  const embedder = factory();
+  if (embedder.isConfigured && !embedder.isConfigured()) {
+    console.warn(`⚠️ Knowledge embedder "${name}" is missing settings; using hashing`);
+    return EMBEDDER_FACTORIES.hashing();
+  }
+  return embedder;
+}
+
+const knowledgeBase = {
+  enabled: process.env.ENABLE_KNOWLEDGE_BASE !== 'false',
+  baseDir: BASE_DIR,
+  indexPath: INDEX_PATH,
+  embedder: buildEmbedder((process.env.KNOWLEDGE_EMBEDDER || 'hashing').trim().toLowerCase()),
+  index: null,
+  loading: null,
+
+  /**
+   * The index, loaded from disk or rebuilt when the documents or settings changed
+   * @returns {Promise<VectorIndex>} Index
+   */
+  async getIndex() {
+    if (this.index) return this.index;
+    if (!this.loading) {
+      this.loading = this.loadIndex().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  },
+
+  /**
+   * Load the saved index if it is current, otherwise rebuild it
+   * @returns {Promise<VectorIndex>} Index
+   */
+  async loadIndex() {
+    const files = await documentLoader.listDocuments(this.baseDir);
+    const fingerprint = this.fingerprint(files);
+
+    try {
+      const saved = VectorIndex.fromJSON(JSON.parse(await fs.readFile(this.indexPath, 'utf8')));
+      if (saved.fingerprint === fingerprint && saved.embedder === this.embedder.name) {
+        console.log(`📚 Knowledge base loaded: ${saved.size} passages`);
+        this.index = saved;
+        return saved;
+      }
+      console.log('📚 Knowledge base documents changed; rebuilding the index');
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`⚠️ Knowledge index unreadable (${error.message}); rebuilding it`);
+    }
+
+    await this.ingest(files);
+    return this.index;
+  },
+
+  /**
+   * Read, split and embed every document, then save the index
+   * @param {Array<Object>} [files] - Documents to index (default: all in the knowledge folder)
+   * @returns {Promise<Object>} { documents, passages, embedder, builtAt, failed: [{ source, error }] }
+   */
+  async ingest(files) {
+    files = files || await documentLoader.listDocuments(this.baseDir);
+    const passages = [];
+    const failed = [];
+
+    for (const file of files) {
+      try {
+        const document = await documentLoader.loadDocument(file);
+        document.sections.forEach((section, sectionIndex) => {
+          documentLoader.chunkText(section.text, CHUNK_CHARS).forEach((text, chunkIndex) => {
+            passages.push({
+              id: `${document.source}#${sectionIndex}.${chunkIndex}`,
+              source: document.source,
+              title: document.title,
+              section: section.heading,
+              text
+            });
+          });
+        });
+      } catch (error) {
+        // One unreadable file should not take the rest of the guidance down
+        console.error(`❌ Could not index ${file.source}:`, error.message);
+        failed.push({ source: file.source, error: error.message });
+      }
+    }
+
+    const vectors = [];
+    for (let i = 0; i < passages.length; i += EMBED_BATCH_SIZE) {
+      const batch = passages.slice(i, i + EMBED_BATCH_SIZE);
+      // Titles and headings help match questions to the right section
+      vectors.push(...await this.embedder.embed(batch.map(passage => `${passage.title}\n${passage.section}\n${passage.text}`)));
+    }
+
+    const index = new VectorIndex({
+      embedder: this.embedder.name,
+      dimensions: this.embedder.dimensions,
+      fingerprint: this.fingerprint(files)
+    });
+    passages.forEach((passage, i) => index.add(passage, vectors[i]));
+
+    await fs.mkdir(path.dirname(this.indexPath), { recursive: true });
+    await fs.writeFile(this.indexPath, JSON.stringify(index));
+    this.index = index;
+
+    console.log(`📚 Knowledge base indexed: ${files.length - failed.length} documents, ${index.size} passages`);
+    return { documents: files.length - failed.length, passages: index.size, embedder: index.embedder, builtAt: index.builtAt, failed };
+  },
+
+  /**
+   * Passages most relevant to a question
+   * @param {string} query - Question
+   * @param {Object} options - { limit, minScore }
+   * @returns {Promise<Array<Object>>} { id, source, title, section, text, score }, best first
+   */
+  async search(query, { limit = TOP_K, minScore = MIN_SCORE } = {}) {
+    const index = await this.getIndex();
+    if (!index.size || !String(query || '').trim()) return [];
+
+    const [vector] = await this.embedder.embed([query]);
+    return index.search(vector, limit, minScore);
+  },
+
+  /**
+   * Numbered reference passages for a chatbot prompt. Never fails: without
+   * the knowledge base the chatbot still answers, just without citations.
+   * @param {string} query - User's question
+   * @returns {Promise<Array<Object>>} Passages with ref (1-based)
+   */
+  async findReferences(query) {
+    if (!this.enabled) return [];
+
+    try {
+      const passages = await this.search(query);
+      return passages.map((passage, i) => ({ ...passage, ref: i + 1 }));
+    } catch (error) {
+      console.error('❌ Knowledge base search failed:', error.message);
+      return [];
+    }
+  },
+
+  /**
+   * Reference passages as prompt text
+   * @param {Array<Object>} references - From findReferences()
+   * @returns {string} Numbered passages, or an empty string
+   */
+  formatReferences(references) {
+    return references
+      .map(reference => `[${reference.ref}] ${reference.source} › ${reference.section}\n${reference.text}`)
+      .join('\n\n');
+  },
+
+  /**
+   * Citations for an answer: references it lists or marks inline as [n]
+   * @param {Array<Object>} references - From findReferences()
+   * @param {Array<number>} cited - Reference numbers given by the model
+   * @param {string} text - Answer text
+   * @returns {Array<Object>} { ref, source, title, section, score }
+   */
+  citationsFor(references, cited = [], text = '') {
+    const refs = new Set(cited);
+    for (const match of String(text).matchAll(/\[(\d+)\]/g)) refs.add(parseInt(match[1], 10));
+
+    return references
+      .filter(reference => refs.has(reference.ref))
+      .map(({ ref, source, title, section, score }) => ({ ref, source, title, section, score: Math.round(score * 1000) / 1000 }));
+  },
+
+  /**
+   * What is indexed, for diagnostics
+   * @returns {Promise<Object>} { enabled, embedder, passages, documents, builtAt }
+   */
+  async getStatus() {
+    if (!this.enabled) return { enabled: false };
+
+    const index = await this.getIndex();
+    return {
+      enabled: true,
+      embedder: index.embedder,
+      passages: index.size,
+      documents: [...new Set(index.entries.map(entry => entry.source))],
+      builtAt: index.builtAt
+    };
+  },
+
+  /**
+   * Hash of the indexed files and the settings that shape the index
+   * @param {Array<Object>} files - From listDocuments()
+   * @returns {string} Hex digest
+   */
+  fingerprint(files) {
+    const listing = files.map(file => `${file.source}:${file.size}:${file.mtimeMs}`).join('\n');
+    return crypto.createHash('sha256').update(`${this.embedder.name}|${CHUNK_CHARS}\n${listing}`).digest('hex');
+  }
+};
+
+module.exports = knowledgeBase;
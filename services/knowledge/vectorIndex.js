@@ -0,0 +1,99 @@
+/**
+ * In-memory vector index with exact cosine search. Knowledge bases of a few
+ * thousand passages are searched in well under a millisecond per query,
+ * so no approximate index is needed; the whole index is saved as JSON.
+ */
+class VectorIndex {
+  /**
+   * @param {Object} options - { embedder (name), dimensions, fingerprint (of the source files) }
+   */
+  constructor(options = {}) {
+    this.embedder = options.embedder;
+    this.dimensions = options.dimensions;
+    this.fingerprint = options.fingerprint || null;
+    this.builtAt = options.builtAt || new Date().toISOString();
+    this.entries = [];
+  }
+
+  /**
+   * Add a passage
+   * @param {Object} entry - { id, source, title, section, text }
+   * @param {Array<number>} vector - Unit vector
+   */
+  add(entry, vector) {
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector for ${entry.id} has ${vector.length} dimensions, index has ${this.dimensions}`);
+    }
+    this.entries.push({ ...entry, vector });
+  }
+
+  /**
+   * Passages most similar to a query vector
+   * @param {Array<number>} vector - Query unit vector
+   * @param {number} limit - Maximum passages
+   * @param {number} minScore - Lowest similarity returned
+   * @returns {Array<Object>} Passages with score, best first
+   */
+  search(vector, limit, minScore = 0) {
+    return this.entries
+      .map(({ vector: entryVector, ...entry }) => {
+        let score = 0;
+        for (let i = 0; i < vector.length; i++) score += vector[i] * entryVector[i];
+        return { ...entry, score };
+      })
+      .filter(entry => entry.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Number of passages
+   * @returns {number} Size
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Serialisable form. Vectors are saved sparse (indices and values of the
+   * non-zero dimensions) and rounded, which keeps hashed vectors small.
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      embedder: this.embedder,
+      dimensions: this.dimensions,
+      fingerprint: this.fingerprint,
+      builtAt: this.builtAt,
+      entries: this.entries.map(({ vector, ...entry }) => {
+        const indices = [];
+        const values = [];
+        vector.forEach((value, i) => {
+          const rounded = Math.round(value * 1e5) / 1e5;
+          if (rounded !== 0) {
+            indices.push(i);
+            values.push(rounded);
+          }
+        });
+        return { ...entry, vector: { indices, values } };
+      })
+    };
+  }
+
+  /**
+   * Rebuild an index saved with toJSON()
+   * @param {Object} data - Saved index
+   * @returns {VectorIndex} Index
+   */
+  static fromJSON(data) {
+    const index = new VectorIndex(data);
+    index.entries = (data.entries || []).map(({ vector, ...entry }) => {
+      const dense = new Array(data.dimensions).fill(0);
+      vector.indices.forEach((position, i) => { dense[position] = vector.values[i]; });
+      return { ...entry, vector: dense };
+    });
+    return index;
+  }
+}
+
+module.exports = VectorIndex;
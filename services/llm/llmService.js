@@ -0,0 +1,518 @@
+const VertexProvider = require('./providers/vertexProvider');
+const GeminiApiProvider = require('./providers/geminiApiProvider');
+const OpenAICompatibleProvider = require('./providers/openAICompatibleProvider');
+const FakeProvider = require('./providers/fakeProvider');
+const Ajv = require('ajv');
+const { SCHEMAS } = require('./schemas');
+const { LLM_TASKS, DEFAULT_TASK, DEFAULT_MODELS } = require('../../config/llm');
+require('dotenv').config();
+
+/*
+ * Single entry point for every LLM call in the app.
+ *
+ * The backend is chosen with LLM_PROVIDER ("vertex", "gemini", "openai" or
+ * "fake") and the model with LLM_MODEL / LLM_VISION_MODEL. Callers name a
+ * task from config/llm.js for its generation settings. Each attempt is cut
+ * off after LLM_TIMEOUT_MS, and throttling, timeouts and outages are
+ * retried up to LLM_MAX_RETRIES times with exponential backoff. Structured
+ * answers are checked against ./schemas.js and sent back for repair up to
+ * LLM_REPAIR_ATTEMPTS times. Streams end if no text arrives for
+ * LLM_TIMEOUT_MS and stop as soon as the caller's signal aborts. Token usage
+ * is totalled per task and model.
+ */
+
+const PROVIDER_FACTORIES = {
+  vertex: () => new VertexProvider({
+    model: process.env.LLM_MODEL || DEFAULT_MODELS.vertex,
+    project: process.env.GOOGLE_CLOUD_PROJECT_ID || 'safeescape',
+    location: process.env.VERTEX_AI_LOCATION
+  }),
+  gemini: () => new GeminiApiProvider({
+    model: process.env.LLM_MODEL || DEFAULT_MODELS.gemini,
+    apiKey: process.env.GEMINI_API_KEY
+  }),
+  openai: () => new OpenAICompatibleProvider({
+    model: process.env.LLM_MODEL || DEFAULT_MODELS.openai,
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY
+  }),
+  fake: () => new FakeProvider({ model: process.env.LLM_MODEL || DEFAULT_MODELS.fake })
+};
+
+/**
+ * Error for a model answer that could not be used; keeps the raw text for logs
+ * @param {string} message - Error message
+ * @param {string} text - Raw model output
+ * @returns {Error} Error with code INVALID_OUTPUT
+ */
+function outputError(message, text) {
+  const error = new Error(message);
+  error.code = 'INVALID_OUTPUT';
+  error.text = text;
+  return error;
+}
+
+/**
+ * Error for a request the caller cancelled
+ * @returns {Error} Error with code ABORTED
+ */
+function abortedError() {
+  const error = new Error('LLM request cancelled');
+  error.code = 'ABORTED';
+  error.retryable = false;
+  return error;
+}
+
+class LLMService {
+  constructor() {
+    this.provider = this.buildProvider((process.env.LLM_PROVIDER || 'vertex').trim().toLowerCase());
+    this.visionModel = process.env.LLM_VISION_MODEL || null;
+    this.timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS || '30000', 10);
+    this.maxRetries = parseInt(process.env.LLM_MAX_RETRIES || '2', 10);
+    this.retryBaseDelayMs = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '500', 10);
+    this.repairAttempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS || '1', 10);
+    // removeAdditional drops properties a schema does not list instead of failing on them
+    this.ajv = new Ajv({ allErrors: true, removeAdditional: true });
+    this.validators = new Map();
+    this.resetUsage();
+
+    console.log(`🧠 LLM service using ${this.provider.name} (${this.provider.defaultModel})`);
+  }
+
+  /**
+   * Create the configured backend, falling back to the fake one when it is unknown or incomplete
+   * @param {string} name - Backend name
+   * @returns {Object} Provider
+   */
+  buildProvider(name) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      console.warn(`⚠️ Unknown LLM provider "${name}"; using the fake provider`);
+      return PROVIDER_FACTORIES.fake();
+    }
+
+    const provider = factory();
+    if (!provider.isConfigured()) {
+      console.warn(`⚠️ LLM provider "${name}" is missing settings; using the fake provider`);
+      return PROVIDER_FACTORIES.fake();
+    }
+    return provider;
+  }
+
+  /**
+   * Generate text
+   * @param {Object} options - { task, system, prompt, images: [{ data (Buffer or base64), mimeType }],
+   *   messages: [{ role, text, images }] (instead of prompt), json, model, temperature, maxOutputTokens, timeoutMs }
+   * @returns {Promise<Object>} - { text, provider, model, task, usage, attempts, latencyMs }
+   */
+  async generate(options = {}) {
+    const task = LLM_TASKS[options.task] ? options.task : DEFAULT_TASK;
+    const request = this.buildRequest(task, options);
+    const started = Date.now();
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+      try {
+        const result = await this.attempt(request);
+        this.recordUsage(task, request.model, result.usage);
+        return {
+          text: result.text,
+          provider: this.provider.name,
+          model: request.model,
+          task,
+          usage: result.usage,
+          finishReason: result.finishReason,
+          attempts,
+          latencyMs: Date.now() - started
+        };
+      } catch (error) {
+        if (!error.retryable || attempts > this.maxRetries) {
+          this.recordFailure(task, request.model);
+          console.error(`❌ LLM ${task} request failed after ${attempts} attempt(s):`, error.message);
+          throw error;
+        }
+
+        const delay = this.retryBaseDelayMs * 2 ** (attempts - 1) * (0.5 + Math.random() / 2);
+        console.warn(`⚠️ LLM ${task} request failed (${error.message}); retrying in ${Math.round(delay)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Generate text, passing it to onToken as it is produced. A failure before
+   * any text arrives is retried like generate(); text already delivered
+   * cannot be taken back, so later failures are not.
+   * @param {Object} options - As for generate(), plus { signal } to cancel (e.g. when the client disconnects)
+   * @param {Function} onToken - Called with each text delta
+   * @returns {Promise<Object>} - As for generate()
+   */
+  async stream(options = {}, onToken) {
+    const task = LLM_TASKS[options.task] ? options.task : DEFAULT_TASK;
+    const request = this.buildRequest(task, options);
+    const started = Date.now();
+    let attempts = 0;
+    let streamed = false;
+
+    while (true) {
+      attempts++;
+      try {
+        const result = await this.attemptStream(request, (text) => {
+          streamed = true;
+          onToken(text);
+        }, options.signal);
+        this.recordUsage(task, request.model, result.usage);
+        return {
+          text: result.text,
+          provider: this.provider.name,
+          model: request.model,
+          task,
+          usage: result.usage,
+          finishReason: result.finishReason,
+          attempts,
+          latencyMs: Date.now() - started
+        };
+      } catch (error) {
+        if (error.code === 'ABORTED') {
+          console.log(`LLM ${task} stream cancelled after ${Date.now() - started}ms`);
+          throw error;
+        }
+        if (streamed || !error.retryable || attempts > this.maxRetries) {
+          this.recordFailure(task, request.model);
+          console.error(`❌ LLM ${task} stream failed after ${attempts} attempt(s):`, error.message);
+          throw error;
+        }
+
+        const delay = this.retryBaseDelayMs * 2 ** (attempts - 1) * (0.5 + Math.random() / 2);
+        console.warn(`⚠️ LLM ${task} stream failed (${error.message}); retrying in ${Math.round(delay)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Generate a JSON answer and parse it
+   * @param {Object} options - As for generate()
+   * @returns {Promise<Object>} - { data, text, provider, model, task, usage, attempts, latencyMs }
+   */
+  async generateJson(options = {}) {
+    const result = await this.generate({ ...options, json: true });
+    return { data: this.parseJson(result.text), ...result };
+  }
+
+  /**
+   * Generate an answer that must match a schema from ./schemas.js. An invalid
+   * answer is sent back with the validation errors for repair. If no valid
+   * answer arrives and a fallback is given, the fallback is returned instead,
+   * marked as such, so callers never pass off made-up values as model output.
+   * @param {Object} options - As for generate(), plus { schema (name), check: (data) => true or a
+   *   problem description, fallback: () => value }
+   * @returns {Promise<Object>} - { data, source: 'model' | 'fallback', fallbackReason, provider, model, task, repairs, usage }
+   */
+  async generateStructured(options = {}) {
+    const { schema: schemaName, check, fallback, ...request } = options;
+    const validate = this.getValidator(schemaName);
+    const task = LLM_TASKS[request.task] ? request.task : DEFAULT_TASK;
+    const system = `${request.system ? `${request.system}\n\n` : ''}Respond with a single JSON object matching this JSON Schema:\n${JSON.stringify(SCHEMAS[schemaName])}`;
+
+    let messages = request.messages || [{ role: 'user', text: request.prompt || '', images: request.images }];
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let model = null;
+    let failure;
+
+    for (let repairs = 0; repairs <= this.repairAttempts; repairs++) {
+      let result;
+      try {
+        result = await this.generate({ ...request, task, system, messages, json: true });
+      } catch (error) {
+        // Transport failures have already been retried
+        failure = error;
+        break;
+      }
+
+      model = result.model;
+      usage.inputTokens += result.usage.inputTokens || 0;
+      usage.outputTokens += result.usage.outputTokens || 0;
+
+      const problem = this.findStructuredProblem(result.text, validate, check);
+      if (!problem.error) {
+        return { data: problem.data, source: 'model', provider: result.provider, model, task, repairs, usage };
+      }
+
+      failure = outputError(`Model output does not match ${schemaName}: ${problem.error}`, result.text);
+      if (repairs < this.repairAttempts) {
+        this.usageEntry(task, model).repairs++;
+        console.warn(`⚠️ LLM ${task} answer invalid (${problem.error}); asking for a repair`);
+        messages = [
+          ...messages,
+          { role: 'assistant', text: result.text },
+          { role: 'user', text: `That answer is invalid: ${problem.error}. Reply with the corrected JSON object only.` }
+        ];
+      }
+    }
+
+    if (!fallback) throw failure;
+
+    console.warn(`⚠️ LLM ${task} using fallback: ${failure.message}`);
+    this.usageEntry(task, model || this.provider.defaultModel).fallbacks++;
+    return {
+      data: await fallback(),
+      source: 'fallback',
+      fallbackReason: failure.code === 'INVALID_OUTPUT' ? 'invalid model output' : 'model unavailable',
+      provider: this.provider.name,
+      model: null,
+      task,
+      usage
+    };
+  }
+
+  /**
+   * A structured result's data tagged with where it came from, for API responses
+   * @param {Object} result - Result of generateStructured()
+   * @returns {Object} Data plus { source, model, fallbackReason }
+   */
+  tagSource(result) {
+    return {
+      ...result.data,
+      source: result.source,
+      model: result.model,
+      ...(result.fallbackReason && { fallbackReason: result.fallbackReason })
+    };
+  }
+
+  /**
+   * Parse and validate a structured answer
+   * @param {string} text - Model output
+   * @param {Function} validate - Compiled schema validator
+   * @param {Function} [check] - Extra checks beyond the schema
+   * @returns {Object} { data } when valid, { error } otherwise
+   */
+  findStructuredProblem(text, validate, check) {
+    let data;
+    try {
+      data = this.parseJson(text);
+    } catch (error) {
+      return { error: 'not valid JSON' };
+    }
+
+    if (!validate(data)) {
+      // Spell out allowed values so a repair attempt knows what to pick
+      return {
+        error: validate.errors.map(error => `${error.instancePath || 'answer'} ${error.message}` +
+          (error.params.allowedValues ? ` (${error.params.allowedValues.join(', ')})` : '')).join('; ')
+      };
+    }
+
+    const result = check ? check(data) : true;
+    return result === true ? { data } : { error: String(result) };
+  }
+
+  /**
+   * Compiled validator for a named schema
+   * @param {string} name - Key in SCHEMAS
+   * @returns {Function} Ajv validator
+   */
+  getValidator(name) {
+    if (!SCHEMAS[name]) throw new Error(`Unknown LLM output schema "${name}"`);
+    if (!this.validators.has(name)) {
+      this.validators.set(name, this.ajv.compile(SCHEMAS[name]));
+    }
+    return this.validators.get(name);
+  }
+
+  /**
+   * Parse JSON from a model answer, tolerating a markdown code block or text around the object
+   * @param {string} text - Model output
+   * @returns {Object} Parsed value
+   */
+  parseJson(text) {
+    const trimmed = String(text || '').trim();
+    const block = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    const candidate = block ? block[1] : trimmed;
+
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      const start = candidate.search(/[{[]/);
+      const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+      if (start !== -1 && end > start) {
+        try {
+          return JSON.parse(candidate.slice(start, end + 1));
+        } catch (innerError) {
+          // Reported below
+        }
+      }
+      throw outputError('Model output is not valid JSON', text);
+    }
+  }
+
+  /**
+   * Normalise caller options into a backend request
+   * @param {string} task - Task name
+   * @param {Object} options - Caller options
+   * @returns {Object} Backend request
+   */
+  buildRequest(task, options) {
+    const settings = LLM_TASKS[task];
+    const messages = (options.messages || [{ role: 'user', text: options.prompt || '', images: options.images }])
+      .map(message => ({
+        role: message.role === 'assistant' || message.role === 'model' ? 'assistant' : 'user',
+        text: message.text || '',
+        images: (message.images || []).map(image => ({
+          data: Buffer.isBuffer(image.data) ? image.data.toString('base64') : image.data,
+          mimeType: image.mimeType || 'image/jpeg'
+        }))
+      }));
+    const hasImages = messages.some(message => message.images.length > 0);
+
+    return {
+      model: options.model || (hasImages && this.visionModel) || this.provider.defaultModel,
+      system: options.system || null,
+      messages,
+      temperature: options.temperature !== undefined ? options.temperature : settings.temperature,
+      maxOutputTokens: options.maxOutputTokens || settings.maxOutputTokens,
+      json: Boolean(options.json),
+      safetySettings: settings.safetySettings || null,
+      timeoutMs: options.timeoutMs || this.timeoutMs
+    };
+  }
+
+  /**
+   * One backend call, abandoned after the request timeout
+   * @param {Object} request - Backend request
+   * @returns {Promise<Object>} - Backend result
+   */
+  async attempt(request) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(`LLM request timed out after ${request.timeoutMs}ms`);
+        error.retryable = true;
+        reject(error);
+      }, request.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([this.provider.generate({ ...request, signal: controller.signal }), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * One streaming backend call, abandoned when no text arrives within the
+   * request timeout or when the caller's signal aborts
+   * @param {Object} request - Backend request
+   * @param {Function} onToken - Called with each text delta
+   * @param {AbortSignal} [signal] - Caller's cancellation signal
+   * @returns {Promise<Object>} - Backend result
+   */
+  async attemptStream(request, onToken, signal) {
+    if (signal && signal.aborted) throw abortedError();
+
+    const controller = new AbortController();
+    let timer;
+    let stop;
+    let open = true;
+    const stopped = new Promise((resolve, reject) => { stop = reject; });
+    const fail = (error) => {
+      controller.abort();
+      stop(error);
+    };
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const error = new Error(`LLM stream stalled for ${request.timeoutMs}ms`);
+        error.retryable = true;
+        fail(error);
+      }, request.timeoutMs);
+    };
+    const onAbort = () => fail(abortedError());
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    resetTimer();
+
+    try {
+      return await Promise.race([
+        this.provider.stream({ ...request, signal: controller.signal }, (text) => {
+          // Backends may still deliver text after a cancel or timeout
+          if (!open || !text) return;
+          resetTimer();
+          onToken(text);
+        }),
+        stopped
+      ]);
+    } finally {
+      open = false;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Add a successful call to the usage totals
+   * @param {string} task - Task name
+   * @param {string} model - Model name
+   * @param {Object} usage - { inputTokens, outputTokens }
+   */
+  recordUsage(task, model, usage = {}) {
+    const entry = this.usageEntry(task, model);
+    entry.requests++;
+    entry.inputTokens += usage.inputTokens || 0;
+    entry.outputTokens += usage.outputTokens || 0;
+  }
+
+  /**
+   * Count a call that failed for good
+   * @param {string} task - Task name
+   * @param {string} model - Model name
+   */
+  recordFailure(task, model) {
+    this.usageEntry(task, model).failures++;
+  }
+
+  /**
+   * Usage totals for a task and model, created on first use
+   * @param {string} task - Task name
+   * @param {string} model - Model name
+   * @returns {Object} Mutable totals
+   */
+  usageEntry(task, model) {
+    const key = `${task}|${this.provider.name}|${model}`;
+    if (!this.usage.has(key)) {
+      this.usage.set(key, { task, provider: this.provider.name, model, requests: 0, failures: 0, repairs: 0, fallbacks: 0, inputTokens: 0, outputTokens: 0 });
+    }
+    return this.usage.get(key);
+  }
+
+  /**
+   * Token and request totals since startup (or the last reset)
+   * @returns {Object} { since, totals, byTask: [...] }
+   */
+  getUsage() {
+    const byTask = [...this.usage.values()].map(entry => ({ ...entry }));
+    const totals = byTask.reduce((sum, entry) => ({
+      requests: sum.requests + entry.requests,
+      failures: sum.failures + entry.failures,
+      repairs: sum.repairs + entry.repairs,
+      fallbacks: sum.fallbacks + entry.fallbacks,
+      inputTokens: sum.inputTokens + entry.inputTokens,
+      outputTokens: sum.outputTokens + entry.outputTokens
+    }), { requests: 0, failures: 0, repairs: 0, fallbacks: 0, inputTokens: 0, outputTokens: 0 });
+
+    return { since: this.usageSince, totals, byTask };
+  }
+
+  /**
+   * Clear the usage totals
+   */
+  resetUsage() {
+    this.usage = new Map();
+    this.usageSince = new Date().toISOString();
+  }
+}
+
+module.exports = new LLMService();
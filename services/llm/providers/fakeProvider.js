@@ -0,0 +1,65 @@
+const LlmProvider = require('./llmProvider');
+
+/**
+ * Deterministic offline backend for development and tests.
+ *
+ * Queued `responses` are returned in order; each is a string, an Error to
+ * throw, or a function of the request. With nothing queued it echoes the
+ * last user message (as {"echo": ...} in JSON mode). Token counts are
+ * estimated at four characters per token. Streams are delivered a word at a
+ * time, tokenDelayMs apart.
+ */
+class FakeProvider extends LlmProvider {
+  /**
+   * @param {Object} options - { model, responses, delayMs, tokenDelayMs }
+   */
+  constructor(options = {}) {
+    super('fake', options);
+    this.responses = [...(options.responses || [])];
+    this.delayMs = options.delayMs || 0;
+    this.tokenDelayMs = options.tokenDelayMs || 0;
+    this.requests = [];
+  }
+
+  async generate(request) {
+    this.requests.push(request);
+    if (this.delayMs > 0) await new Promise(resolve => setTimeout(resolve, this.delayMs));
+
+    let text;
+    const next = this.responses.shift();
+    if (next instanceof Error) throw next;
+    if (typeof next === 'function') {
+      text = await next(request);
+    } else if (next !== undefined) {
+      text = next;
+    } else {
+      const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+      const echo = lastUser ? lastUser.text.trim().slice(0, 200) : '';
+      text = request.json ? JSON.stringify({ echo }) : `[${request.model}] ${echo}`;
+    }
+
+    const promptLength = (request.system || '').length + request.messages.reduce((sum, message) => sum + (message.text || '').length, 0);
+    return {
+      text,
+      usage: { inputTokens: Math.ceil(promptLength / 4), outputTokens: Math.ceil(text.length / 4) },
+      finishReason: 'STOP'
+    };
+  }
+
+  async stream(request, onToken) {
+    const result = await this.generate(request);
+
+    for (const word of result.text.match(/\s*\S+\s*/g) || []) {
+      if (this.tokenDelayMs > 0) await new Promise(resolve => setTimeout(resolve, this.tokenDelayMs));
+      if (request.signal && request.signal.aborted) {
+        const error = new Error('Stream aborted');
+        error.retryable = false;
+        throw error;
+      }
+      onToken(word);
+    }
+    return result;
+  }
+}
+
+module.exports = FakeProvider;
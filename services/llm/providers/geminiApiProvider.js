@@ -0,0 +1,98 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LlmProvider = require('./llmProvider');
+const { toGeminiContents, candidateText } = require('./vertexProvider');
+
+/**
+ * Gemini models through the Generative Language API (GEMINI_API_KEY)
+ */
+class GeminiApiProvider extends LlmProvider {
+  /**
+   * @param {Object} options - { model, apiKey }
+   */
+  constructor(options = {}) {
+    super('gemini', options);
+    this.apiKey = options.apiKey;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Model handle configured for a request
+   * @param {Object} request - Normalised request
+   * @returns {Object} Generative model
+   */
+  getModel(request) {
+    if (!this.client) this.client = new GoogleGenerativeAI(this.apiKey);
+
+    return this.client.getGenerativeModel({
+      model: request.model,
+      ...(request.system && { systemInstruction: request.system }),
+      generationConfig: {
+        temperature: request.temperature,
+        maxOutputTokens: request.maxOutputTokens,
+        ...(request.json && { responseMimeType: 'application/json' })
+      },
+      ...(request.safetySettings && { safetySettings: request.safetySettings })
+    });
+  }
+
+  async generate(request) {
+    const model = this.getModel(request);
+
+    let result;
+    try {
+      result = await model.generateContent(
+        { contents: toGeminiContents(request.messages) },
+        { timeout: request.timeoutMs, signal: request.signal }
+      );
+    } catch (error) {
+      throw this.classifyError(error, error.status);
+    }
+
+    const response = result.response;
+    const candidate = (response.candidates || [])[0];
+    const usage = response.usageMetadata || {};
+
+    return {
+      text: candidate ? response.text() : '',
+      usage: { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 },
+      finishReason: candidate ? candidate.finishReason : null
+    };
+  }
+
+  async stream(request, onToken) {
+    let text = '';
+    let usage = {};
+    let finishReason = null;
+
+    try {
+      const result = await this.getModel(request).generateContentStream(
+        { contents: toGeminiContents(request.messages) },
+        { signal: request.signal }
+      );
+      for await (const chunk of result.stream) {
+        const candidate = (chunk.candidates || [])[0];
+        const delta = candidateText(candidate);
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        if (chunk.usageMetadata) usage = chunk.usageMetadata;
+        if (candidate && candidate.finishReason) finishReason = candidate.finishReason;
+      }
+    } catch (error) {
+      throw this.classifyError(error, error.status);
+    }
+
+    return {
+      text,
+      usage: { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 },
+      finishReason
+    };
+  }
+}
+
+module.exports = GeminiApiProvider;
@@ -0,0 +1,70 @@
+/**
+ * Base class for LLM backends.
+ *
+ * Backends implement generate(request) for a normalised request:
+ *   { model, system, messages: [{ role: 'user' | 'assistant', text, images: [{ data (base64), mimeType }] }],
+ *     temperature, maxOutputTokens, json, safetySettings (Gemini format), timeoutMs, signal }
+ * and resolve to { text, usage: { inputTokens, outputTokens }, finishReason }.
+ * Backends that can stream also implement stream(request, onToken), which
+ * calls onToken with each text delta and resolves to the same result; the
+ * default delivers the whole answer as one delta.
+ * Failures are thrown; set `retryable` on the error when trying again can
+ * help (rate limits, timeouts, outages). Retries, timeouts and token
+ * accounting are handled once in LLMService.
+ */
+class LlmProvider {
+  /**
+   * @param {string} name - Backend name used in logs and usage totals
+   * @param {Object} options - { model }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.defaultModel = options.model;
+  }
+
+  /**
+   * Whether the backend has the settings it needs
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Run one generation (implemented by backends)
+   * @param {Object} request - Normalised request
+   * @returns {Object} { text, usage, finishReason }
+   */
+  async generate(request) {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  /**
+   * Run one generation, passing text to onToken as it is produced
+   * @param {Object} request - Normalised request
+   * @param {Function} onToken - Called with each text delta
+   * @returns {Object} { text, usage, finishReason }
+   */
+  async stream(request, onToken) {
+    const result = await this.generate(request);
+    if (result.text) onToken(result.text);
+    return result;
+  }
+
+  /**
+   * Mark an error as worth retrying when it looks like throttling, an outage or a network failure
+   * @param {Error} error - Error from the backend
+   * @param {number} [status] - HTTP status, when known
+   * @returns {Error} The same error with `retryable` set
+   */
+  classifyError(error, status) {
+    if (error.retryable === undefined) {
+      error.retryable = status
+        ? status === 408 || status === 429 || status >= 500
+        : /\b(429|500|502|503|504)\b|RESOURCE_EXHAUSTED|UNAVAILABLE|DEADLINE_EXCEEDED|ECONNRESET|ETIMEDOUT|ECONNREFUSED|socket hang up|fetch failed/i.test(error.message || '');
+    }
+    return error;
+  }
+}
+
+module.exports = LlmProvider;
@@ -0,0 +1,142 @@
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const LlmProvider = require('./llmProvider');
+
+/**
+ * Any server exposing the OpenAI chat completions API: OpenAI itself, or
+ * self-hosted models behind vLLM, Ollama, llama.cpp or LocalAI
+ * (LLM_BASE_URL, e.g. http://localhost:11434/v1).
+ */
+class OpenAICompatibleProvider extends LlmProvider {
+  /**
+   * @param {Object} options - { model, baseUrl, apiKey }
+   */
+  constructor(options = {}) {
+    super('openai', options);
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Chat completion messages for a request
+   * @param {Object} request - Normalised request
+   * @returns {Array<Object>} OpenAI messages
+   */
+  toMessages(request) {
+    return [
+      ...(request.system ? [{ role: 'system', content: request.system }] : []),
+      ...request.messages.map(message => ({
+        role: message.role,
+        content: message.images && message.images.length > 0
+          ? [
+            { type: 'text', text: message.text || '' },
+            ...message.images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+          ]
+          : message.text
+      }))
+    ];
+  }
+
+  /**
+   * Error with the server's message and HTTP status, classified for retries
+   * @param {Error} error - Axios error
+   * @returns {Error} Wrapped error
+   */
+  wrapError(error) {
+    const status = error.response && error.response.status;
+    // Streamed responses carry a stream, not a parsed body
+    const detail = error.response && error.response.data && typeof error.response.data.pipe !== 'function' && error.response.data.error;
+    const wrapped = new Error(detail ? `${status}: ${detail.message || JSON.stringify(detail)}` : error.message);
+    wrapped.code = error.code;
+    return this.classifyError(wrapped, status);
+  }
+
+  async generate(request) {
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, {
+        model: request.model,
+        messages: this.toMessages(request),
+        temperature: request.temperature,
+        max_tokens: request.maxOutputTokens,
+        ...(request.json && { response_format: { type: 'json_object' } })
+      }, {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        timeout: request.timeoutMs,
+        signal: request.signal
+      });
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+
+    const choice = (response.data.choices || [])[0];
+    const usage = response.data.usage || {};
+
+    return {
+      text: (choice && choice.message && choice.message.content) || '',
+      usage: { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 },
+      finishReason: choice ? choice.finish_reason : null
+    };
+  }
+
+  async stream(request, onToken) {
+    let text = '';
+    let usage = {};
+    let finishReason = null;
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+        model: request.model,
+        messages: this.toMessages(request),
+        temperature: request.temperature,
+        max_tokens: request.maxOutputTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(request.json && { response_format: { type: 'json_object' } })
+      }, {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        responseType: 'stream',
+        signal: request.signal
+      });
+
+      // Server-sent events: one "data: {chunk}" line each, ending with "data: [DONE]"
+      const decoder = new StringDecoder('utf8');
+      let buffer = '';
+      for await (const data of response.data) {
+        buffer += decoder.write(data);
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines.map(entry => entry.trim())) {
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') continue;
+
+          const chunk = JSON.parse(payload);
+          const choice = (chunk.choices || [])[0];
+          const delta = choice && choice.delta && choice.delta.content;
+          if (delta) {
+            text += delta;
+            onToken(delta);
+          }
+          if (choice && choice.finish_reason) finishReason = choice.finish_reason;
+          if (chunk.usage) usage = chunk.usage;
+        }
+      }
+    } catch (error) {
+      throw error.isAxiosError ? this.wrapError(error) : this.classifyError(error);
+    }
+
+    return {
+      text,
+      usage: { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 },
+      finishReason
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { VertexAI } = require('@google-cloud/vertexai');
+const LlmProvider = require('./llmProvider');
+
+// Service account key placed by deployment scripts. It becomes the default
+// credentials (as the old Vertex clients did on load), which the Pub/Sub
+// client also relies on; an explicit GOOGLE_APPLICATION_CREDENTIALS wins.
+const VERTEX_KEY_PATH = path.resolve(__dirname, '../../../config/vertexai-service-Account.json');
+if (!process.env.GOOGLE_APPLICATION_CREDENTIALS && fs.existsSync(VERTEX_KEY_PATH)) {
+  process.env.GOOGLE_APPLICATION_CREDENTIALS = VERTEX_KEY_PATH;
+}
+
+/**
+ * Gemini models on Vertex AI
+ */
+class VertexProvider extends LlmProvider {
+  /**
+   * @param {Object} options - { model, project, location }
+   */
+  constructor(options = {}) {
+    super('vertex', options);
+    this.project = options.project;
+    this.location = options.location || 'us-central1';
+    this.client = null;
+  }
+
+  /**
+   * Create the Vertex client on first use
+   * @returns {VertexAI} Client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new VertexAI({ project: this.project, location: this.location });
+    }
+    return this.client;
+  }
+
+  /**
+   * Model handle configured for a request
+   * @param {Object} request - Normalised request
+   * @param {number} [timeoutMs] - Whole-request timeout; streams rely on LLMService's idle timeout instead
+   * @returns {Object} Vertex generative model
+   */
+  getModel(request, timeoutMs) {
+    return this.getClient().getGenerativeModel({
+      model: request.model,
+      ...(request.system && { systemInstruction: { role: 'system', parts: [{ text: request.system }] } }),
+      generationConfig: {
+        temperature: request.temperature,
+        maxOutputTokens: request.maxOutputTokens,
+        ...(request.json && { responseMimeType: 'application/json' })
+      },
+      ...(request.safetySettings && { safetySettings: request.safetySettings })
+    }, { timeout: timeoutMs });
+  }
+
+  async generate(request) {
+    const model = this.getModel(request, request.timeoutMs);
+
+    let result;
+    try {
+      result = await model.generateContent({ contents: toGeminiContents(request.messages) });
+    } catch (error) {
+      throw this.classifyError(error);
+    }
+
+    const response = result.response || {};
+    const candidate = (response.candidates || [])[0];
+    const usage = response.usageMetadata || {};
+
+    return {
+      text: candidateText(candidate),
+      usage: { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 },
+      finishReason: candidate ? candidate.finishReason : null
+    };
+  }
+
+  async stream(request, onToken) {
+    let text = '';
+    let usage = {};
+    let finishReason = null;
+
+    try {
+      const result = await this.getModel(request).generateContentStream({ contents: toGeminiContents(request.messages) });
+      for await (const chunk of result.stream) {
+        // Leaving the loop closes the response stream
+        if (request.signal && request.signal.aborted) break;
+
+        const candidate = (chunk.candidates || [])[0];
+        const delta = candidateText(candidate);
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        if (chunk.usageMetadata) usage = chunk.usageMetadata;
+        if (candidate && candidate.finishReason) finishReason = candidate.finishReason;
+      }
+    } catch (error) {
+      throw this.classifyError(error);
+    }
+
+    return {
+      text,
+      usage: { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 },
+      finishReason
+    };
+  }
+}
+
+/**
+ * Text of a Gemini candidate (shared with the Gemini API backend)
+ * @param {Object} [candidate] - Response candidate
+ * @returns {string} Concatenated text parts
+ */
+function candidateText(candidate) {
+  return ((candidate && candidate.content && candidate.content.parts) || []).map(part => part.text || '').join('');
+}
+
+/**
+ * Convert normalised messages to Gemini contents (shared with the Gemini API backend)
+ * @param {Array<Object>} messages - Normalised messages
+ * @returns {Array<Object>} Gemini contents
+ */
+function toGeminiContents(messages) {
+  return messages.map(message => ({
+    role: message.role === 'assistant' ? 'model' : 'user',
+    parts: [
+      ...(message.text ? [{ text: message.text }] : []),
+      ...(message.images || []).map(image => ({ inlineData: { data: image.data, mimeType: image.mimeType } }))
+    ]
+  }));
+}
+
+module.exports = VertexProvider;
+module.exports.toGeminiContents = toGeminiContents;
+module.exports.candidateText = candidateText;
@@ -0,0 +1,86 @@
+/**
+ * JSON Schemas for structured model answers (see LLMService.generateStructured).
+ * Properties not listed in a schema are dropped from the answer; anything
+ * missing, mistyped or out of range sends the answer back for repair.
+ */
+
+const RISK_LEVELS = ['Low', 'Medium', 'High', 'Extreme'];
+
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const stringList = (maxItems) => ({
+  type: 'array',
+  maxItems,
+  items: { type: 'string', minLength: 1 }
+});
+
+const SCHEMAS = {
+  // disasterPrediction.getPredictiveAnalysis
+  riskAssessment: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['risks', 'overallRiskLevel'],
+    properties: {
+      risks: {
+        type: 'array',
+        maxItems: 5,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['disasterType', 'riskLevel', 'indicators', 'precautions'],
+          properties: {
+            disasterType: { type: 'string', minLength: 1 },
+            riskLevel: { enum: RISK_LEVELS },
+            indicators: stringList(10),
+            precautions: stringList(10)
+          }
+        }
+      },
+      overallRiskLevel: { enum: RISK_LEVELS },
+      validityPeriod: { type: 'string' }
+    }
+  },
+
+  // evacuationOptimizer.optimizeEvacuationRoute
+  evacuationDecision: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['recommendedRouteIndex', 'reasoning'],
+    properties: {
+      recommendedRouteIndex: { type: 'integer', minimum: 0 },
+      reasoning: { type: 'string', minLength: 1 },
+      specialInstructions: { type: 'string' }
+    }
+  },
+
+  // emergencyChatbot.getEmergencyResponse
+  chatbotResponse: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['response', 'urgency', 'callEmergencyServices'],
+    properties: {
+      response: { type: 'string', minLength: 1 },
+      urgency: { enum: URGENCY_LEVELS },
+      actions: stringList(10),
+      callEmergencyServices: { type: 'boolean' },
+      // Numbers of the reference passages the answer relies on
+      citations: { type: 'array', maxItems: 10, items: { type: 'integer', minimum: 1 } }
+    }
+  },
+
+  // llmTranslationProvider.translate
+  translation: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['translations'],
+    properties: {
+      translations: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+module.exports = {
+  SCHEMAS,
+  RISK_LEVELS,
+  URGENCY_LEVELS
+};
@@ -1,55 +1,404 @@
 const admin = require('../../../config/firebase-config');
 const { collections } = require('../../../config/firebase-config');
-const geolib = require('geolib');
+const userModel = require('../../../models/User');
+const geofence = require('../../../utils/geo/geofence');
+const regionRooms = require('../../../utils/geo/regionRooms');
+const deliveryReceiptService = require('../../alerts/deliveryReceiptService');
+
+// FCM accepts at most 500 tokens per multicast
+const MULTICAST_LIMIT = 500;
+
+// Users read per Firestore page
+const USER_PAGE_SIZE = 500;
+
+// FCM accepts at most 1000 tokens per topic subscription request
+const TOPIC_BATCH_LIMIT = 1000;
+
+// Errors meaning the token will never work again, so it is removed from fcmTokens
+const UNREGISTERED_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+/**
+ * Create an error carrying an HTTP status for the route
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function notificationError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
 
 class PushNotificationService {
   /**
-   * Fetch latest disaster data and notify affected users
+   * Notify every user inside a disaster's area on all of their devices
+   * @param {Object} input - { disasterId } for a stored disaster, or { disaster } / the disaster
+   *   itself as a payload (type, description, severity and location/radius or geometry)
+   * @returns {Object} Delivery report
    */
-  async notifyUsersOfDisaster() {
-    try {
-      // Fetch latest disaster event
-      const disasterSnapshot = await collections.disasters.orderBy('timestamp', 'desc').limit(1).get();
-      if (disasterSnapshot.empty) throw new Error('No disasters found in database');
+  async notifyUsersOfDisaster(input = {}) {
+    const startedAt = new Date();
+    const { id: disasterId, disaster } = await this.resolveDisaster(input);
+
+    // Polygon area when the disaster has one, otherwise its point and radius
+    const area = geofence.prepare(disaster);
+    if (!area) throw notificationError(400, 'Disaster has no location or geometry');
+
+    const alertId = `disaster-${disasterId}`;
+    const message = this.buildDisasterMessage(disaster, alertId);
+    console.log(`🔥 Disaster Alert: ${disaster.type} in ${(disaster.location && disaster.location.city) || 'mapped area'}`);
 
-      const disaster = disasterSnapshot.docs[0].data();
-      console.log(`🔥 Disaster Alert: ${disaster.type} in ${disaster.location.city}`);
+    const report = {
+      disasterId,
+      alertId,
+      type: disaster.type || 'unknown',
+      severity: disaster.severity || 'high',
+      targeting: area.geometry ? 'polygon' : 'radius',
+      usersScanned: 0,
+      usersInArea: 0,
+      usersWithTokens: 0,
+      usersReached: 0,
+      tokensTargeted: 0,
+      successCount: 0,
+      failureCount: 0,
+      multicastBatches: 0,
+      prunedTokens: 0,
+      failuresByCode: {}
+    };
 
-      // Fetch all users (Optimize with Firestore pagination if needed)
-      const usersSnapshot = await collections.users.get();
-      if (usersSnapshot.empty) return console.log('✅ No users found in database');
+    // userId -> { userId, state, error }; a user is reached if any device accepted the message
+    const outcomes = new Map();
+    const staleTokens = new Map();
+    let pending = [];
 
-      // Filter users within the affected area and collect valid FCM tokens
-      const userTokens = usersSnapshot.docs
-        .map(doc => doc.data())
-        .filter(user => user.location && user.location.latitude && user.location.longitude)
-        .filter(user => geolib.getDistance(
-          { latitude: user.location.latitude, longitude: user.location.longitude },
-          { latitude: disaster.location.latitude, longitude: disaster.location.longitude }
-        ) <= disaster.radius)
-        .flatMap(user => user.fcmTokens?.map(tokenObj => tokenObj.token) || []);
+    const flush = async () => {
+      const batch = pending;
+      pending = [];
+      const results = await this.sendMulticast(batch.map(recipient => recipient.token), message);
+      report.multicastBatches++;
+      this.collectResults(batch, results, report, outcomes, staleTokens);
+    };
 
-      if (!userTokens.length) return console.log('🚨 No users with valid FCM tokens in affected area');
+    await this.forEachUserPage(async users => {
+      report.usersScanned += users.length;
 
-      console.log(`📢 Sending notifications to ${userTokens.length} users`);
+      for (const user of users) {
+        const position = geofence.locate(user.location, area);
+        if (!position || !position.inside) continue;
+        report.usersInArea++;
 
-      // Send notifications
-      const response = await admin.admin.messaging().sendEachForMulticast({
-        tokens: userTokens,
-        notification: { title: `🚨 Disaster Alert: ${disaster.type}`, body: disaster.description }
-      });
+        const tokens = (user.fcmTokens || []).map(tokenObj => tokenObj.token).filter(Boolean);
+        if (!tokens.length) continue;
+        report.usersWithTokens++;
 
-      console.log(`✅ Notifications sent: Success(${response.successCount}), Failed(${response.failureCount})`);
+        for (const token of tokens) {
+          pending.push({ userId: user.id, token });
+          if (pending.length === MULTICAST_LIMIT) await flush();
+        }
+      }
+    });
+    if (pending.length) await flush();
 
-      // Log failed tokens
-      response.responses.forEach((resp, idx) => {
-        if (!resp.success) console.error(`❌ Failed to send notification to token ${userTokens[idx]}:`, resp.error);
-      });
+    report.prunedTokens = await this.pruneTokens(staleTokens);
+    report.usersReached = [...outcomes.values()].filter(outcome => !outcome.state).length;
 
+    // Same alert ID the socket notifications use, so receipts from both channels line up
+    try {
+      await deliveryReceiptService.recordDeliveries(alertId, 'fcm', [...outcomes.values()], { severity: report.severity, type: report.type });
     } catch (error) {
-      console.error('❌ Error sending disaster notifications:', error.message);
+      console.error(`❌ Error recording FCM deliveries for ${alertId}:`, error.message);
+    }
+
+    report.startedAt = startedAt.toISOString();
+    report.durationMs = Date.now() - startedAt.getTime();
+    console.log(`✅ Disaster ${disasterId}: reached ${report.usersReached}/${report.usersInArea} users in area ` +
+      `(${report.successCount} ok, ${report.failureCount} failed, ${report.prunedTokens} tokens pruned)`);
+
+    return report;
+  }
+
+  /**
+   * Notify a disaster's region with a single topic send instead of a token scan.
+   * Reaches every device subscribed to the region's city/state topics, the same
+   * audience the socket rooms get, but without polygon/radius precision or receipts.
+   * @param {Object} input - Same as notifyUsersOfDisaster; the disaster needs a
+   *   location with city/state or a "city,state" region
+   * @returns {Object} { disasterId, alertId, topics, condition, messageId }
+   */
+  async notifyRegion(input = {}) {
+    const { id: disasterId, disaster } = await this.resolveDisaster(input);
+    const alertId = `disaster-${disasterId}`;
+
+    const result = await this.sendToRegion(disaster.location, disaster.region, this.buildDisasterMessage(disaster, alertId));
+    console.log(`✅ Disaster ${disasterId} sent to topics ${result.topics.join(', ')} (${result.messageId})`);
+
+    return { disasterId, alertId, ...result };
+  }
+
+  /**
+   * Send one message to the FCM topics matching a region's socket rooms
+   * @param {Object} location - Target location with city and state
+   * @param {string} region - "city,state" region string, or 'all' for the whole country
+   * @param {Object} message - { notification, data }
+   * @returns {Object} { topics, condition, messageId }
+   */
+  async sendToRegion(location, region, message) {
+    const rooms = regionRooms.getTargetRooms(location, region);
+
+    // Sockets always get the country room too; a push to it wakes every device in the
+    // country, so it is only used when the region is explicitly 'all'
+    const regional = rooms.filter(room => room !== regionRooms.COUNTRY_ROOM);
+    const topics = regional.length ? regional : (region === 'all' ? rooms : []);
+    if (!topics.length) {
+      throw notificationError(400, 'Regional notifications need a location with a city or state, or a region');
+    }
+
+    const condition = regionRooms.topicCondition(topics);
+    const messageId = await admin.admin.messaging().send({ ...message, condition });
+    return { topics, condition, messageId };
+  }
+
+  /**
+   * Subscribe a user's tokens to the topics for their location and drop the topics they left.
+   * Subscribing is idempotent, so every token is (re)subscribed to every current topic;
+   * that also covers a token that was just added.
+   * @param {string} userId - Firestore user ID
+   * @param {Object} location - New location; defaults to the stored one
+   * @returns {Object|null} { topics, left, tokens, prunedTokens }, or null for an unknown user
+   */
+  async syncUserTopics(userId, location) {
+    const user = await userModel.getUserById(userId);
+    if (!user) return null;
+
+    const tokens = (user.fcmTokens || []).map(tokenObj => tokenObj.token).filter(Boolean);
+    const topics = regionRooms.getUserRooms(location === undefined ? user.location : location);
+    const previous = user.fcmTopics || [];
+    const left = previous.filter(topic => !topics.includes(topic));
+    const stale = new Set();
+
+    for (const topic of topics) {
+      await this.updateTopicSubscription('subscribeToTopic', tokens, topic, stale);
+    }
+    for (const topic of left) {
+      await this.updateTopicSubscription('unsubscribeFromTopic', tokens, topic, stale);
+    }
+
+    // Stored so the next change knows which topics to leave
+    if (left.length || topics.some(topic => !previous.includes(topic))) {
+      await userModel.updateUser(userId, { fcmTopics: topics });
+    }
+
+    const prunedTokens = stale.size ? await this.pruneTokens(new Map([[userId, stale]])) : 0;
+    console.log(`✅ User ${userId}: ${tokens.length} tokens on topics [${topics.join(', ')}]${left.length ? `, left [${left.join(', ')}]` : ''}`);
+    return { topics, left, tokens: tokens.length, prunedTokens };
+  }
+
+  /**
+   * Unsubscribe tokens from topics (e.g. a token the user removed)
+   * @param {Array<string>} tokens - FCM tokens
+   * @param {Array<string>} topics - Topic names
+   */
+  async unsubscribeTokens(tokens, topics) {
+    for (const topic of topics) {
+      await this.updateTopicSubscription('unsubscribeFromTopic', tokens, topic, new Set());
+    }
+  }
+
+  /**
+   * Subscribe or unsubscribe tokens to a topic, 1000 per request
+   * @param {string} method - 'subscribeToTopic' or 'unsubscribeFromTopic'
+   * @param {Array<string>} tokens - FCM tokens
+   * @param {string} topic - Topic name
+   * @param {Set} stale - Collects tokens FCM reports as unregistered
+   */
+  async updateTopicSubscription(method, tokens, topic, stale) {
+    for (let i = 0; i < tokens.length; i += TOPIC_BATCH_LIMIT) {
+      const chunk = tokens.slice(i, i + TOPIC_BATCH_LIMIT);
+      try {
+        const response = await admin.admin.messaging()[method](chunk, topic);
+        (response.errors || []).forEach(({ index, error }) => {
+          if (UNREGISTERED_CODES.includes(error.code)) stale.add(chunk[index]);
+          else console.warn(`⚠️ ${method} ${topic} failed for a token: ${error.message}`);
+        });
+      } catch (error) {
+        console.error(`❌ ${method} ${topic} failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Load the disaster to notify about
+   * @param {Object} input - { disasterId }, { disaster } or a disaster payload
+   * @returns {Object} { id, disaster }
+   */
+  async resolveDisaster(input) {
+    const disasterId = input.disasterId || (typeof input.disaster === 'string' ? input.disaster : null);
+
+    if (disasterId) {
+      const doc = await collections.disasters.doc(disasterId).get();
+      if (!doc.exists) throw notificationError(404, `Disaster ${disasterId} not found`);
+      return { id: doc.id, disaster: doc.data() };
+    }
+
+    const payload = input.disaster && typeof input.disaster === 'object' ? input.disaster : input;
+    if (!payload.location && !payload.geometry && !payload.region) {
+      throw notificationError(400, 'Provide a disasterId or a disaster payload with a location, geometry or region');
+    }
+
+    return {
+      id: payload.id || `adhoc-${Date.now()}`,
+      disaster: payload.geometry ? { ...payload, geometry: geofence.parseGeometry(payload.geometry) } : payload
+    };
+  }
+
+  /**
+   * Walk the users collection a page at a time
+   * @param {Function} handler - async (users) => void, users as { id, ...data }
+   */
+  async forEachUserPage(handler) {
+    let lastDoc = null;
+
+    for (;;) {
+      let query = collections.users.orderBy(admin.admin.firestore.FieldPath.documentId()).limit(USER_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const snapshot = await query.get();
+      if (snapshot.empty) return;
+
+      await handler(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      if (snapshot.docs.length < USER_PAGE_SIZE) return;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
     }
   }
+
+  /**
+   * Build the FCM message for a disaster (data values must be strings)
+   * @param {Object} disaster - Disaster data
+   * @param {string} alertId - Alert ID clients acknowledge with
+   * @returns {Object} { notification, data }
+   */
+  buildDisasterMessage(disaster, alertId) {
+    return {
+      notification: {
+        title: `🚨 Disaster Alert: ${disaster.type}`,
+        body: disaster.description || disaster.title || 'A disaster has been reported in your area'
+      },
+      data: {
+        alertId,
+        type: String(disaster.type || 'unknown'),
+        severity: String(disaster.severity || 'high')
+      }
+    };
+  }
+
+  /**
+   * Send one message to any number of tokens, 500 per multicast
+   * @param {Array<string>} tokens - FCM tokens
+   * @param {Object} message - { notification, data }
+   * @returns {Array} Per-token { token, success, code, error } in input order
+   */
+  async sendMulticast(tokens, message) {
+    const results = [];
+
+    for (let i = 0; i < tokens.length; i += MULTICAST_LIMIT) {
+      const chunk = tokens.slice(i, i + MULTICAST_LIMIT);
+      try {
+        const response = await admin.admin.messaging().sendEachForMulticast({ ...message, tokens: chunk });
+        response.responses.forEach((resp, idx) => {
+          results.push({
+            token: chunk[idx],
+            success: resp.success,
+            code: resp.error ? resp.error.code : undefined,
+            error: resp.error ? resp.error.message : undefined
+          });
+        });
+      } catch (error) {
+        // The whole request failed (auth, network); count every token in the chunk as failed
+        console.error('❌ FCM multicast failed:', error.message);
+        chunk.forEach(token => results.push({ token, success: false, code: error.code || 'multicast-failed', error: error.message }));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Fold multicast results into the report, per-user outcomes and tokens to prune
+   * @param {Array} recipients - { userId, token } in the order they were sent
+   * @param {Array} results - Results from sendMulticast
+   * @param {Object} report - Delivery report being built
+   * @param {Map} outcomes - userId -> receipt delivery
+   * @param {Map} staleTokens - userId -> Set of tokens to prune
+   */
+  collectResults(recipients, results, report, outcomes, staleTokens) {
+    results.forEach((result, idx) => {
+      const { userId } = recipients[idx];
+      report.tokensTargeted++;
+
+      if (result.success) {
+        report.successCount++;
+        outcomes.set(userId, { userId });
+        return;
+      }
+
+      report.failureCount++;
+      report.failuresByCode[result.code || 'unknown'] = (report.failuresByCode[result.code || 'unknown'] || 0) + 1;
+      if (!outcomes.has(userId)) {
+        outcomes.set(userId, { userId, state: 'failed', error: result.error || 'FCM send failed' });
+      }
+      if (UNREGISTERED_CODES.includes(result.code)) {
+        if (!staleTokens.has(userId)) staleTokens.set(userId, new Set());
+        staleTokens.get(userId).add(result.token);
+      }
+    });
+  }
+
+  /**
+   * Remove unregistered tokens from users' fcmTokens
+   * @param {Map} staleTokens - userId -> Set of tokens
+   * @returns {number} Tokens removed
+   */
+  async pruneTokens(staleTokens) {
+    let pruned = 0;
+
+    for (const [userId, tokens] of staleTokens) {
+      try {
+        pruned += await userModel.removeFcmTokens(userId, [...tokens]);
+      } catch (error) {
+        console.error(`❌ Could not prune FCM tokens for user ${userId}:`, error.message);
+      }
+    }
+
+    if (pruned) console.log(`🧹 Pruned ${pruned} unregistered FCM tokens`);
+    return pruned;
+  }
+
+  /**
+   * Send a notification to every registered device of one user
+   * @param {string} userId - Firestore user ID
+   * @param {Object} notification - { title, body }
+   * @param {Object} data - String key/value data payload
+   * @returns {Object} { successCount, failureCount, prunedTokens }
+   */
+  async sendToUser(userId, notification, data = {}) {
+    const userDoc = await collections.users.doc(userId).get();
+    const tokens = userDoc.exists ? (userDoc.data().fcmTokens || []).map(tokenObj => tokenObj.token).filter(Boolean) : [];
+    if (!tokens.length) {
+      console.log(`🚨 User ${userId} has no FCM tokens`);
+      return { successCount: 0, failureCount: 0, prunedTokens: 0 };
+    }
+
+    const results = await this.sendMulticast(tokens, { notification, data });
+    const successCount = results.filter(result => result.success).length;
+    const stale = results.filter(result => UNREGISTERED_CODES.includes(result.code)).map(result => result.token);
+    const prunedTokens = stale.length ? await this.pruneTokens(new Map([[userId, new Set(stale)]])) : 0;
+
+    console.log(`✅ Notifications sent to user ${userId}: Success(${successCount}), Failed(${results.length - successCount})`);
+    return { successCount, failureCount: results.length - successCount, prunedTokens };
+  }
 }
 
 module.exports = new PushNotificationService();
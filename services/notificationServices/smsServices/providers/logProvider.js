@@ -0,0 +1,17 @@
+const SmsProvider = require('./smsProvider');
+
+/**
+ * Provider that only logs messages (the default when no gateway is configured)
+ */
+class LogProvider extends SmsProvider {
+  constructor(options = {}) {
+    super('log', { ratePerSecond: options.ratePerSecond || 100 });
+  }
+
+  async send(to, message) {
+    console.log(`📱 [SMS STUB] Would send to ${to}: "${message}"`);
+    return { success: true, messageId: `MOCK_${Date.now()}`, status: 'simulated' };
+  }
+}
+
+module.exports = LogProvider;
@@ -0,0 +1,136 @@
+const smpp = require('smpp');
+const SmsProvider = require('./smsProvider');
+
+// Gateway statuses that mean "try again later" rather than "this message is bad"
+const RETRYABLE_STATUSES = [smpp.ESME_RSYSERR, smpp.ESME_RMSGQFUL, smpp.ESME_RTHROTTLED, smpp.ESME_RX_T_APPN];
+
+// short_message holds at most 254 octets; longer texts go in the message_payload TLV
+const MAX_SHORT_MESSAGE = 254;
+
+/**
+ * Size of a message once the smpp library encodes it. It picks GSM 03.38,
+ * Latin-1 or UCS-2 from the text, and UCS-2 (any emoji or Indic script)
+ * takes two octets per character, so the UTF-8 length is no guide.
+ * @param {string} message - Message text
+ * @returns {number} Encoded length in octets
+ */
+function encodedLength(message) {
+  return smpp.encodings[smpp.encodings.detect(message)].encode(message).length;
+}
+
+/**
+ * Generic SMPP 3.4/5.0 provider. Binds as a transmitter on first use and
+ * keeps the session open, rebinding after the gateway drops it.
+ */
+class SmppProvider extends SmsProvider {
+  /**
+   * @param {Object} options - { url, systemId, password, sourceAddr, ratePerSecond, timeoutMs }
+   */
+  constructor(options = {}) {
+    super('smpp', options);
+    this.url = options.url;
+    this.systemId = options.systemId;
+    this.password = options.password;
+    this.sourceAddr = options.sourceAddr || 'SafeEscape';
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.sessionPromise = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.url && this.systemId);
+  }
+
+  /**
+   * Connect and bind, reusing the current session when there is one
+   * @returns {Promise<Object>} Bound SMPP session
+   */
+  getSession() {
+    if (this.sessionPromise) return this.sessionPromise;
+
+    this.sessionPromise = new Promise((resolve, reject) => {
+      const session = smpp.connect({ url: this.url, auto_enquire_link_period: 30000 }, () => {
+        session.bind_transmitter({ system_id: this.systemId, password: this.password }, pdu => {
+          if (pdu.command_status === smpp.ESME_ROK) {
+            console.log(`📱 SMPP bound to ${this.url} as ${this.systemId}`);
+            resolve(session);
+          } else {
+            session.close();
+            reject(new Error(`SMPP bind failed (status ${pdu.command_status})`));
+          }
+        });
+      });
+
+      session.on('error', error => {
+        this.sessionPromise = null;
+        reject(error);
+      });
+      session.on('close', () => {
+        this.sessionPromise = null;
+      });
+    });
+
+    this.sessionPromise.catch(() => {
+      this.sessionPromise = null;
+    });
+    return this.sessionPromise;
+  }
+
+  async send(to, message) {
+    let session;
+    try {
+      session = await this.getSession();
+    } catch (error) {
+      return { success: false, error: `SMPP connection failed: ${error.message}`, retryable: true };
+    }
+
+    const submit = {
+      source_addr: this.sourceAddr,
+      destination_addr: to.replace(/^\+/, ''),
+      registered_delivery: 1
+    };
+    if (encodedLength(message) > MAX_SHORT_MESSAGE) {
+      submit.message_payload = message;
+    } else {
+      submit.short_message = message;
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        resolve({ success: false, error: 'SMPP submit_sm timed out', retryable: true });
+      }, this.timeoutMs);
+
+      try {
+        session.submit_sm(submit, pdu => {
+          clearTimeout(timer);
+          if (pdu.command_status === smpp.ESME_ROK) {
+            resolve({ success: true, messageId: pdu.message_id, status: 'submitted' });
+          } else {
+            resolve({
+              success: false,
+              error: `SMPP submit_sm failed (status ${pdu.command_status})`,
+              retryable: RETRYABLE_STATUSES.includes(pdu.command_status)
+            });
+          }
+        });
+      } catch (error) {
+        // The PDU could not be built from this message; sending it again will not help
+        clearTimeout(timer);
+        resolve({ success: false, error: `SMPP submit_sm could not be encoded: ${error.message}`, retryable: false });
+      }
+    });
+  }
+
+  async close() {
+    if (!this.sessionPromise) return;
+
+    try {
+      const session = await this.sessionPromise;
+      session.close();
+    } catch (error) {
+      // Never bound, nothing to close
+    }
+    this.sessionPromise = null;
+  }
+}
+
+module.exports = SmppProvider;
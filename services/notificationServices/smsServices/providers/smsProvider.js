@@ -0,0 +1,61 @@
+const RateLimiter = require('../rateLimiter');
+
+/**
+ * Base class for SMS providers.
+ *
+ * Adapters implement send(to, message) and resolve to
+ * { success, messageId, status, error, retryable }; they should not throw
+ * for gateway errors. `retryable` tells SMSService whether failing over to
+ * the next provider or retrying later can help (throttling, outages) or not
+ * (a rejected destination number).
+ */
+class SmsProvider {
+  /**
+   * @param {string} name - Provider name used in logs and results
+   * @param {Object} options - { ratePerSecond }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.limiter = new RateLimiter(options.ratePerSecond || 10);
+  }
+
+  /**
+   * Whether the provider has the settings it needs
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Send a message within the provider's rate limit
+   * @param {string} to - E.164 phone number
+   * @param {string} message - Message body
+   * @returns {Object} Send result
+   */
+  async deliver(to, message) {
+    await this.limiter.take();
+    try {
+      return await this.send(to, message);
+    } catch (error) {
+      return { success: false, error: error.message, retryable: true };
+    }
+  }
+
+  /**
+   * Send a message (implemented by adapters)
+   * @param {string} to - E.164 phone number
+   * @param {string} message - Message body
+   * @returns {Object} { success, messageId, status, error, retryable }
+   */
+  async send(to, message) {
+    throw new Error(`${this.name} provider does not implement send()`);
+  }
+
+  /**
+   * Release connections held by the provider
+   */
+  async close() {}
+}
+
+module.exports = SmsProvider;
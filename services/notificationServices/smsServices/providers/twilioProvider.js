@@ -0,0 +1,53 @@
+const axios = require('axios');
+const SmsProvider = require('./smsProvider');
+
+/**
+ * Twilio-style HTTP provider (POST /2010-04-01/Accounts/{sid}/Messages.json).
+ * Point `baseUrl` at the fake gateway (scripts/fakeSmsGateway.js) to test offline.
+ */
+class TwilioProvider extends SmsProvider {
+  /**
+   * @param {Object} options - { accountSid, authToken, from, baseUrl, ratePerSecond, timeoutMs }
+   */
+  constructor(options = {}) {
+    super('twilio', options);
+    this.accountSid = options.accountSid;
+    this.authToken = options.authToken;
+    this.from = options.from;
+    this.baseUrl = (options.baseUrl || 'https://api.twilio.com').replace(/\/$/, '');
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  isConfigured() {
+    return Boolean(this.accountSid && this.authToken && this.from);
+  }
+
+  async send(to, message) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+        new URLSearchParams({ To: to, From: this.from, Body: message }).toString(),
+        {
+          auth: { username: this.accountSid, password: this.authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: this.timeoutMs
+        }
+      );
+
+      return { success: true, messageId: response.data.sid, status: response.data.status };
+    } catch (error) {
+      // No response (timeout, connection refused), throttling and server errors are worth retrying;
+      // other 4xx mean the request itself was rejected
+      const status = error.response && error.response.status;
+      const data = (error.response && error.response.data) || {};
+
+      return {
+        success: false,
+        error: data.message ? `${data.message}${data.code ? ` (${data.code})` : ''}` : error.message,
+        retryable: !status || status === 429 || status >= 500
+      };
+    }
+  }
+}
+
+module.exports = TwilioProvider;
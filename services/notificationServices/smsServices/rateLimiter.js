@@ -0,0 +1,48 @@
+/**
+ * Token bucket rate limiter. Callers await take() and are released in
+ * arrival order at no more than `ratePerSecond`, with bursts up to `burst`.
+ */
+class RateLimiter {
+  /**
+   * @param {number} ratePerSecond - Sustained rate
+   * @param {number} burst - Bucket size (defaults to one second of traffic)
+   */
+  constructor(ratePerSecond, burst = ratePerSecond) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise} Resolves when the caller may send
+   */
+  take() {
+    const acquire = () => {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return undefined;
+      }
+
+      const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+      return new Promise(resolve => setTimeout(resolve, waitMs)).then(acquire);
+    };
+
+    this.queue = this.queue.then(acquire);
+    return this.queue;
+  }
+}
+
+module.exports = RateLimiter;
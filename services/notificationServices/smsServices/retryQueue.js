@@ -0,0 +1,83 @@
+/**
+ * In-memory retry queue for messages every provider failed to send.
+ * Jobs are retried with exponential backoff until they succeed, hit a
+ * permanent error or run out of attempts.
+ */
+class RetryQueue {
+  /**
+   * @param {Function} sendFn - async ({ to, message }) => { success, retryable }
+   * @param {Object} options - { maxAttempts, baseDelayMs }
+   */
+  constructor(sendFn, options = {}) {
+    this.sendFn = sendFn;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.baseDelayMs = options.baseDelayMs || 30000;
+    this.pending = new Map(); // job id -> { job, timer }
+    this.nextId = 1;
+  }
+
+  /**
+   * Number of messages waiting for a retry
+   * @returns {number} Pending jobs
+   */
+  get size() {
+    return this.pending.size;
+  }
+
+  /**
+   * Schedule a message for retry
+   * @param {Object} job - { to, message, attempts } (attempts already made)
+   * @returns {number|null} Job ID, or null when it is out of attempts
+   */
+  enqueue(job) {
+    const attempts = job.attempts || 1;
+    if (attempts >= this.maxAttempts) {
+      console.error(`❌ Giving up on SMS to ${job.to} after ${attempts} attempts`);
+      return null;
+    }
+
+    const id = this.nextId++;
+    const delay = this.baseDelayMs * Math.pow(2, attempts - 1);
+    const timer = setTimeout(() => this.retry(id), delay);
+    // Pending retries should not keep a script or shutting-down server alive
+    if (timer.unref) timer.unref();
+
+    this.pending.set(id, { job: { ...job, attempts }, timer });
+    console.log(`📱 SMS to ${job.to} queued for retry ${attempts + 1}/${this.maxAttempts} in ${Math.round(delay / 1000)}s`);
+    return id;
+  }
+
+  /**
+   * Retry a queued message, re-queuing it on another retryable failure
+   * @param {number} id - Job ID
+   */
+  async retry(id) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    this.pending.delete(id);
+
+    const job = { ...entry.job, attempts: entry.job.attempts + 1 };
+    try {
+      const result = await this.sendFn(job);
+      if (result.success) {
+        console.log(`✅ SMS to ${job.to} sent on attempt ${job.attempts}`);
+      } else if (result.retryable) {
+        this.enqueue(job);
+      } else {
+        console.error(`❌ SMS to ${job.to} failed permanently: ${result.error}`);
+      }
+    } catch (error) {
+      this.enqueue(job);
+    }
+  }
+
+  /**
+   * Drop every pending retry
+   */
+  clear() {
+    this.pending.forEach(({ timer }) => clearTimeout(timer));
+    this.pending.clear();
+  }
+}
+
+module.exports = RetryQueue;
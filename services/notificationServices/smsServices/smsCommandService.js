@@ -0,0 +1,357 @@
+const admin = require('firebase-admin');
+const smsService = require('./smsService');
+const userService = require('../../userService');
+const mapService = require('../../mapServices/googleMapsClient');
+const alertPackService = require('../../offline/alertPackService');
+const emergencyChatbot = require('../../vertexai/emergencyChatbot');
+const checkInService = require('../../safety/checkInService');
+const translationService = require('../../translation');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../../../config/languages');
+
+/*
+ * Text commands for people on feature phones, over inbound SMS and USSD:
+ *
+ *   SAFE                 mark yourself safe and tell your emergency contacts
+ *   HELP <location>      advice and the nearest shelter; marks you as needing help
+ *                        and tells your emergency contacts
+ *   SHELTER <pincode>    the nearest safe zones
+ *   ALERTS [<pincode>]   active disasters near you
+ *
+ * Senders are matched to accounts by phone number; registered users get
+ * replies in their preferred language and can leave out the location when
+ * their profile has one. Every message is logged in `smsInbound` so
+ * responders can follow up on HELP requests.
+ */
+
+const INBOUND_LOG = 'smsInbound';
+
+// Three SMS segments; USSD screens hold about 182 characters
+const MAX_CHARS = { sms: 459, ussd: 182 };
+
+// How long a HELP reply waits for the place, advice and shelter lookups in
+// total. Twilio gives up on a webhook after 15 s, and the reply still has to
+// be translated; whatever is not ready by then is left out of the reply.
+const HELP_LOOKUP_DEADLINE_MS = parseFloat(process.env.SMS_HELP_LOOKUP_DEADLINE_MS || '8000');
+
+// Replies are translated under the same short deadline as alerts
+const TRANSLATION_OPTIONS = { deadlineMs: translationService.urgentDeadlineMs };
+
+const COMMAND_ALIASES = {
+  SAFE: 'safe',
+  OK: 'safe',
+  HELP: 'help',
+  SOS: 'help',
+  SHELTER: 'shelter',
+  SHELTERS: 'shelter',
+  ALERT: 'alerts',
+  ALERTS: 'alerts'
+};
+
+const USAGE = 'SafeEscape: reply SAFE if you are safe, HELP <your location> if you need help, ' +
+  'SHELTER <pincode> for the nearest shelters, ALERTS <pincode> for active alerts. In danger, call 112.';
+
+const USSD_MENU = [
+  'SafeEscape',
+  '1. I am safe',
+  '2. I need help',
+  '3. Nearest shelter',
+  '4. Active alerts'
+].join('\n');
+
+// What the USSD menu asks for before running a command that needs a location
+const USSD_PROMPTS = {
+  2: { command: 'help', prompt: 'Where are you? Enter your area, landmark or pincode' },
+  3: { command: 'shelter', prompt: 'Enter your pincode' },
+  4: { command: 'alerts', prompt: 'Enter your pincode' }
+};
+
+/**
+ * Shorten a reply to fit the channel, at a word boundary
+ * @param {string} text - Reply
+ * @param {number} limit - Maximum characters
+ * @returns {string} Reply that fits
+ */
+function fit(text, limit) {
+  if (text.length <= limit) return text;
+  const cut = text.slice(0, limit - 1);
+  return `${cut.slice(0, Math.max(cut.lastIndexOf(' '), limit / 2))}…`;
+}
+
+/**
+ * First sentences of a chatbot answer, up to a length
+ * @param {string} text - Answer
+ * @param {number} limit - Maximum characters
+ * @returns {string} Summary
+ */
+function firstSentences(text, limit) {
+  const sentences = String(text || '').replace(/\s+/g, ' ').match(/[^.!?]+[.!?]*/g) || [];
+  let summary = '';
+  for (const sentence of sentences) {
+    if (summary && summary.length + sentence.length > limit) break;
+    summary += sentence;
+  }
+  return fit(summary.trim(), limit);
+}
+
+/**
+ * Result of a lookup, or a fallback when it fails or is not done by the deadline
+ * @param {Promise} lookup - Lookup in progress (left running past the deadline)
+ * @param {number} deadline - Time (ms since the epoch) to stop waiting
+ * @param {*} fallback - Value used instead
+ * @param {string} label - What is being looked up, for the log
+ * @returns {Promise<*>} Result or fallback
+ */
+function byDeadline(lookup, deadline, fallback, label) {
+  let timer;
+  const late = new Promise(resolve => {
+    timer = setTimeout(() => {
+      console.warn(`⚠️ HELP ${label} lookup not done in time; replying without it`);
+      resolve(fallback);
+    }, Math.max(0, deadline - Date.now()));
+  });
+  const settled = lookup.catch(error => {
+    console.error(`Error looking up ${label} for HELP:`, error.message);
+    return fallback;
+  });
+  return Promise.race([settled, late]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * { lat, lng } from the location shapes stored on profiles
+ * @param {Object} location - Location
+ * @returns {Object|null} Coordinates
+ */
+function toLatLng(location) {
+  if (!location) return null;
+  const lat = Number(location.lat !== undefined ? location.lat : location.latitude);
+  const lng = Number(location.lng !== undefined ? location.lng : (location.longitude !== undefined ? location.longitude : location.lon));
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+const smsCommandService = {
+  /**
+   * Split a message into a command and its argument
+   * @param {string} text - Message text
+   * @returns {Object} { command, argument }; command is null when it is not recognised
+   */
+  parseCommand(text) {
+    const [keyword = '', ...rest] = String(text || '').trim().split(/\s+/);
+    return {
+      command: COMMAND_ALIASES[keyword.toUpperCase()] || null,
+      argument: rest.join(' ').trim()
+    };
+  },
+
+  /**
+   * Answer an inbound text message
+   * @param {Object} message - { from, text, channel: 'sms' | 'ussd' }
+   * @returns {Promise<Object>} { reply, command, userId, language }
+   */
+  async handleMessage({ from, text, channel = 'sms' }) {
+    const { command, argument } = this.parseCommand(text);
+    const sender = smsService.parseInboundNumber(from);
+
+    let user = null;
+    if (sender) {
+      try {
+        user = await userService.getUserByPhone(sender.variants);
+      } catch (error) {
+        // Still answer; the reply just is not personalised
+        console.error(`Error matching SMS sender ${sender.e164}:`, error.message);
+      }
+    }
+
+    const language = (user && resolveLanguage(user.preferredLanguage)) || DEFAULT_LANGUAGE;
+    let result;
+    try {
+      result = command ? await this[command](argument, user, channel) : { reply: USAGE };
+    } catch (error) {
+      console.error(`Error handling SMS command ${command}:`, error);
+      result = { reply: 'Sorry, we could not process your message. In danger, call 112.' };
+    }
+
+    const reply = fit(await translationService.translate(result.reply, language, TRANSLATION_OPTIONS), MAX_CHARS[channel] || MAX_CHARS.sms);
+    this.logMessage({
+      from: sender ? sender.e164 : String(from || ''),
+      channel,
+      text: String(text || ''),
+      command,
+      argument,
+      userId: user ? user.id : null,
+      location: result.location || null,
+      reply
+    });
+
+    return { reply, command, userId: user ? user.id : null, language };
+  },
+
+  /**
+   * Answer one step of a USSD session. The gateway sends everything typed so
+   * far joined with "*" ("", "2", "2*Kurla Mumbai").
+   * @param {Object} session - { sessionId, phoneNumber, text }
+   * @returns {Promise<string>} "CON <screen>" to wait for input, or "END <reply>"
+   */
+  async handleUssd({ sessionId, phoneNumber, text }) {
+    const [choice, ...inputs] = String(text || '').split('*');
+    const input = inputs.join(' ').trim();
+
+    if (!choice) return `CON ${USSD_MENU}`;
+    if (choice === '1') {
+      const { reply } = await this.handleMessage({ from: phoneNumber, text: 'SAFE', channel: 'ussd' });
+      return `END ${reply}`;
+    }
+
+    const step = USSD_PROMPTS[choice];
+    if (!step) return 'END Invalid choice. Dial again to see the menu.';
+    if (!input) return `CON ${step.prompt}`;
+
+    console.log(`USSD session ${sessionId}: ${step.command} ${input}`);
+    const { reply } = await this.handleMessage({ from: phoneNumber, text: `${step.command} ${input}`, channel: 'ussd' });
+    return `END ${reply}`;
+  },
+
+  /**
+   * SAFE: record that the sender is safe
+   * @param {string} argument - Ignored
+   * @param {Object|null} user - Sender's account
+   * @param {string} channel - sms or ussd
+   * @returns {Promise<Object>} { reply }
+   */
+  async safe(argument, user, channel) {
+    if (!user) {
+      return { reply: 'This number is not linked to a SafeEscape account, so your status was not saved. Let your family know directly. In danger, call 112.' };
+    }
+
+    const { notified } = await checkInService.checkIn(user.id, { status: 'safe', channel });
+    const told = notified.length ? ' and your emergency contacts were told' : '';
+    return { reply: `Thank you${user.name ? `, ${user.name}` : ''}. You are marked SAFE${told}. If that changes, reply HELP <your location>.` };
+  },
+
+  /**
+   * HELP <location>: marks a registered sender as needing help and tells their
+   * emergency contacts, then replies with short advice and the nearest shelter.
+   * The request is recorded before the lookups, which are cut off at
+   * HELP_LOOKUP_DEADLINE_MS so the reply reaches the gateway in time.
+   * @param {string} argument - Where the sender is
+   * @param {Object|null} user - Sender's account
+   * @param {string} channel - sms or ussd
+   * @returns {Promise<Object>} { reply, location }
+   */
+  async help(argument, user, channel) {
+    const deadline = Date.now() + HELP_LOOKUP_DEADLINE_MS;
+    const place = await byDeadline(this.resolvePlace(argument, user), deadline,
+      argument ? { name: argument, location: null } : null, 'place');
+
+    let recorded = '';
+    if (user) {
+      try {
+        await checkInService.checkIn(user.id, { status: 'help', channel, location: (place && place.location) || null, message: argument || null });
+        recorded = 'Help request received. ';
+      } catch (error) {
+        // The message is still in smsInbound for responders to follow up
+        console.error(`Error recording HELP from ${user.id}:`, error);
+      }
+    }
+
+    if (!place) {
+      return { reply: `${recorded}Reply HELP followed by your location (area, landmark or pincode). If you are in danger, call 112 now.` };
+    }
+    if (!place.location) {
+      return { reply: `${recorded}We could not find "${argument}". Reply HELP <pincode>. If you are in danger, call 112 now.` };
+    }
+
+    const disasters = await byDeadline(alertPackService.findDisasters(place.location), deadline, [], 'disaster');
+    const disasterType = (disasters[0] && disasters[0].type) || 'general';
+    const [advice, safeZones] = await Promise.all([
+      byDeadline(emergencyChatbot.getEmergencyResponse(
+        `I need help now at ${place.name}${disasters[0] ? ` during a ${disasterType}` : ''}. What should I do first?`,
+        { city: place.name, latitude: place.location.lat, longitude: place.location.lng }
+      ), deadline, null, 'advice'),
+      byDeadline(mapService.findSafeZones(place.location, disasterType), deadline, [], 'shelter')
+    ]);
+
+    const shelter = safeZones[0];
+    const parts = [
+      'Help request received. If you are in danger, call 112.',
+      advice ? firstSentences(advice.response, 200) : null,
+      shelter ? `Nearest shelter: ${shelter.name}, ${shelter.address} (${shelter.distance.toFixed(1)} km).` : null
+    ];
+    return { reply: parts.filter(Boolean).join(' '), location: place.location };
+  },
+
+  /**
+   * SHELTER <pincode>: the nearest safe zones
+   * @param {string} argument - Pincode or place
+   * @param {Object|null} user - Sender's account
+   * @returns {Promise<Object>} { reply, location }
+   */
+  async shelter(argument, user) {
+    const place = await this.resolvePlace(argument, user);
+    if (!place) return { reply: 'Reply SHELTER followed by your pincode, e.g. SHELTER 400070.' };
+    if (!place.location) return { reply: `We could not find "${argument}". Reply SHELTER <pincode>.` };
+
+    const disasters = await alertPackService.findDisasters(place.location);
+    const safeZones = (await mapService.findSafeZones(place.location, (disasters[0] && disasters[0].type) || 'general')).slice(0, 3);
+    if (safeZones.length === 0) {
+      return { reply: `No shelters found near ${place.name}. Call 112 or the disaster helpline 1078.`, location: place.location };
+    }
+
+    const lines = safeZones.map((zone, i) => `${i + 1}. ${zone.name}, ${zone.address} (${zone.distance.toFixed(1)} km)`);
+    return { reply: `Shelters near ${place.name}: ${lines.join(' ')}`, location: place.location };
+  },
+
+  /**
+   * ALERTS [<pincode>]: active disasters near the sender
+   * @param {string} argument - Pincode or place; the profile location when empty
+   * @param {Object|null} user - Sender's account
+   * @returns {Promise<Object>} { reply, location }
+   */
+  async alerts(argument, user) {
+    const place = await this.resolvePlace(argument, user);
+    if (!place) return { reply: 'Reply ALERTS followed by your pincode, e.g. ALERTS 400070.' };
+    if (!place.location) return { reply: `We could not find "${argument}". Reply ALERTS <pincode>.` };
+
+    const disasters = (await alertPackService.findDisasters(place.location)).slice(0, 3);
+    if (disasters.length === 0) {
+      return { reply: `No active alerts near ${place.name}. Stay tuned to local news.`, location: place.location };
+    }
+
+    const lines = disasters.map(disaster =>
+      `[${disaster.severity.toUpperCase()}] ${disaster.title} (${disaster.inside ? 'your area' : `${disaster.distanceKm} km away`})`);
+    return { reply: `Alerts near ${place.name}: ${lines.join(' ')}`, location: place.location };
+  },
+
+  /**
+   * Where a command is about: the place the sender named, or their profile location
+   * @param {string} argument - Pincode, area or landmark
+   * @param {Object|null} user - Sender's account
+   * @returns {Promise<Object|null>} { name, location }, location null when the place was not found;
+   *   null when there is nothing to go on
+   */
+  async resolvePlace(argument, user) {
+    if (!argument) {
+      const location = user && toLatLng(user.location);
+      return location ? { name: (user.location && user.location.city) || 'your saved location', location } : null;
+    }
+
+    try {
+      // Six digits is an Indian PIN code, which geocodes reliably with the country
+      const address = /^\d{6}$/.test(argument) ? `${argument}, India` : argument;
+      return { name: argument, location: await mapService.geocodeAddress(address) };
+    } catch (error) {
+      return { name: argument, location: null };
+    }
+  },
+
+  /**
+   * Store an inbound message and its reply without holding up the response
+   * @param {Object} entry - Message details
+   */
+  logMessage(entry) {
+    Promise.resolve()
+      .then(() => admin.firestore().collection(INBOUND_LOG).add({ ...entry, receivedAt: new Date().toISOString() }))
+      .catch(error => console.error('Error logging inbound SMS:', error.message));
+  }
+};
+
+module.exports = smsCommandService;
@@ -1,9 +1,77 @@
 const phoneUtil = require('google-libphonenumber').PhoneNumberUtil.getInstance();
+const LogProvider = require('./providers/logProvider');
+const TwilioProvider = require('./providers/twilioProvider');
+const SmppProvider = require('./providers/smppProvider');
+const RetryQueue = require('./retryQueue');
+require('dotenv').config();
+
+/*
+ * Providers are tried in SMS_PROVIDERS order (e.g. "twilio,smpp"); a
+ * retryable failure fails over to the next one, and a message every
+ * provider failed is queued for retry. Without SMS_PROVIDERS messages are
+ * only logged. Run scripts/fakeSmsGateway.js to exercise the real adapters
+ * offline.
+ */
+const PROVIDER_FACTORIES = {
+  log: () => new LogProvider(),
+  twilio: () => new TwilioProvider({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_FROM_NUMBER,
+    baseUrl: process.env.TWILIO_BASE_URL,
+    ratePerSecond: parseFloat(process.env.TWILIO_RATE_PER_SECOND || '10')
+  }),
+  smpp: () => new SmppProvider({
+    url: process.env.SMPP_URL,
+    systemId: process.env.SMPP_SYSTEM_ID,
+    password: process.env.SMPP_PASSWORD,
+    sourceAddr: process.env.SMPP_SOURCE_ADDR,
+    ratePerSecond: parseFloat(process.env.SMPP_RATE_PER_SECOND || '20')
+  })
+};
 
-// Simple mock SMS service that just logs messages
 class SMSService {
   constructor() {
-    console.log('📱 SMS Service initialized in stub mode - messages will be logged but not sent');
+    this.providers = this.buildProviders((process.env.SMS_PROVIDERS || 'log').split(','));
+    this.retryQueue = new RetryQueue(job => this.sendWithFailover(job.to, job.message), {
+      maxAttempts: parseInt(process.env.SMS_RETRY_MAX_ATTEMPTS || '5', 10),
+      baseDelayMs: parseInt(process.env.SMS_RETRY_BASE_DELAY_MS || '30000', 10)
+    });
+
+    const names = this.providers.map(provider => provider.name);
+    if (names.length === 1 && names[0] === 'log') {
+      console.log('📱 SMS Service initialized in stub mode - messages will be logged but not sent');
+    } else {
+      console.log(`📱 SMS Service initialized with providers (failover order): ${names.join(' -> ')}`);
+    }
+  }
+
+  /**
+   * Create the configured providers, skipping unknown or incomplete ones
+   * @param {Array<string>} names - Provider names in failover order
+   * @returns {Array} Providers
+   */
+  buildProviders(names) {
+    const providers = names
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .map(name => {
+        const factory = PROVIDER_FACTORIES[name];
+        if (!factory) {
+          console.warn(`⚠️ Unknown SMS provider "${name}" ignored`);
+          return null;
+        }
+
+        const provider = factory();
+        if (!provider.isConfigured()) {
+          console.warn(`⚠️ SMS provider "${name}" is missing settings and was skipped`);
+          return null;
+        }
+        return provider;
+      })
+      .filter(Boolean);
+
+    return providers.length > 0 ? providers : [new LogProvider()];
   }
 
   /**
@@ -24,27 +92,77 @@ class SMSService {
   }
 
   /**
-   * Logs SMS messages instead of sending them
+   * Parses the sender of an inbound message
+   * @param {string} phone - Number as the gateway sent it (usually E.164)
+   * @param {string} defaultCountry - Country code for numbers without one (e.g., "IN")
+   * @returns {Object|null} - { e164, countryCode, variants } or null if invalid; variants are
+   *   the forms the number may be stored in on a profile ("+919876543210", "9876543210", ...)
+   */
+  parseInboundNumber(phone, defaultCountry = 'IN') {
+    try {
+      const number = phoneUtil.parse(String(phone || '').trim(), defaultCountry);
+      if (!phoneUtil.isValidNumber(number)) throw new Error("Invalid phone number");
+
+      const e164 = phoneUtil.format(number, 0);
+      const national = phoneUtil.getNationalSignificantNumber(number);
+      return {
+        e164,
+        countryCode: phoneUtil.getRegionCodeForNumber(number),
+        variants: [...new Set([e164, national, `0${national}`, `${number.getCountryCode()}${national}`])]
+      };
+    } catch (error) {
+      console.error(`❌ Invalid inbound phone number (${phone}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Try each provider in order until one accepts the message
+   * @param {string} to - E.164 phone number
+   * @param {string} message - SMS message body
+   * @returns {Object} { success, provider, response, error, retryable }
+   */
+  async sendWithFailover(to, message) {
+    let lastFailure = { error: 'No SMS providers available', retryable: true };
+
+    for (const provider of this.providers) {
+      const result = await provider.deliver(to, message);
+      if (result.success) {
+        return {
+          success: true,
+          provider: provider.name,
+          response: { sid: result.messageId, status: result.status }
+        };
+      }
+
+      console.warn(`⚠️ SMS provider ${provider.name} failed for ${to}: ${result.error}`);
+      lastFailure = { provider: provider.name, error: result.error, retryable: result.retryable !== false };
+
+      // A rejected message would be rejected by the next gateway too
+      if (!lastFailure.retryable) break;
+    }
+
+    return { success: false, ...lastFailure };
+  }
+
+  /**
+   * Send an SMS, failing over between providers and queuing a retry when all of them fail
    * @param {string} phone - User's phone number
    * @param {string} countryCode - Country code (e.g., "US", "IN")
    * @param {string} message - SMS message body
+   * @returns {Object} { success, provider, response, error, queued }
    */
   async sendSMS(phone, countryCode, message) {
     try {
       const formattedPhone = this.formatPhoneNumber(phone, countryCode);
       if (!formattedPhone) return { success: false, error: "Invalid phone number" };
 
-      // Log the message instead of sending it
-      console.log(`📱 [SMS STUB] Would send to ${formattedPhone}: "${message}"`);
-      
-      // Return a mock success response
-      return { 
-        success: true, 
-        response: { 
-          sid: `MOCK_${Date.now()}`,
-          status: 'simulated' 
-        }
-      };
+      const result = await this.sendWithFailover(formattedPhone, message);
+      if (!result.success && result.retryable) {
+        const queued = this.retryQueue.enqueue({ to: formattedPhone, message, attempts: 1 }) !== null;
+        return { ...result, queued };
+      }
+      return result;
     } catch (error) {
       console.error(`❌ Failed to process SMS to ${phone}: ${error.message}`);
       return { success: false, error: error.message };
@@ -52,31 +170,38 @@ class SMSService {
   }
 
   /**
-   * Logs emergency alerts instead of sending them
-   * @param {Object} alert - Alert details (type, description, affectedUsers)
+   * Send an emergency alert to every affected user (paced by each provider's rate limit)
+   * @param {Object} alert - Alert details (type, description, affectedUsers; text replaces the standard message, e.g. when translated)
+   * @returns {Object} { successCount, failureCount, results } with results in affectedUsers order
    */
   async sendEmergencyAlerts(alert) {
     try {
-      const message = `🚨 Emergency Alert: ${alert.type} - ${alert.description}`;
-      
-      console.log(`📱 [EMERGENCY SMS STUB] Would send ${alert.affectedUsers.length} alerts:`);
-      alert.affectedUsers.forEach(user => {
-        console.log(`   - To: ${user.phone} (${user.countryCode}): "${message}"`);
-      });
-
-      return { 
-        successCount: alert.affectedUsers.length,
-        failureCount: 0,
-        results: alert.affectedUsers.map(user => ({
-          success: true,
-          response: { sid: `MOCK_${Date.now()}`, status: 'simulated' }
-        }))
+      const message = alert.text || `🚨 Emergency Alert: ${alert.type} - ${alert.description}`;
+      console.log(`📱 Sending ${alert.affectedUsers.length} emergency SMS alerts`);
+
+      const results = await Promise.all(
+        alert.affectedUsers.map(user => this.sendSMS(user.phone, user.countryCode, message))
+      );
+      const successCount = results.filter(result => result.success).length;
+
+      return {
+        successCount,
+        failureCount: results.length - successCount,
+        results
       };
     } catch (error) {
       console.error(`❌ Failed to process emergency alerts: ${error.message}`);
       throw new Error(error.message);
     }
   }
+
+  /**
+   * Close provider connections and drop pending retries
+   */
+  async close() {
+    this.retryQueue.clear();
+    await Promise.all(this.providers.map(provider => provider.close()));
+  }
 }
 
 module.exports = new SMSService();
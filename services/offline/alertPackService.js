@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const geofence = require('../../utils/geo/geofence');
+const GeohashIndex = require('../../utils/geo/geohashIndex');
+const mapService = require('../mapServices/googleMapsClient');
+const userService = require('../userService');
+const translationService = require('../translation');
+const packSigner = require('./packSigner');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../../config/languages');
+require('dotenv').config();
+
+/*
+ * Offline alert packs: everything the app needs while the network is down,
+ * for the area around a user, in one signed response.
+ *
+ * {
+ *   format, version, since, delta, unchanged,
+ *   generatedAt, refreshAfter, expiresAt,
+ *   area: { cell, center, radiusKm }, disasterType, language,
+ *   sections: {
+ *     disasters,  active disasters within radiusKm of the area
+ *     safeZones,  nearest safe zones (googleMapsClient.findSafeZones)
+ *     routes,     evacuation routes to the closest safe zones
+ *     contacts,   national helplines and the user's emergency contacts
+ *     tips        safety tips per disaster type
+ *   }
+ * }
+ *
+ * The version is the hash of each section. A client that sends the version
+ * it has cached (?since=) only gets the sections whose hash changed and
+ * keeps the ones named in `unchanged`; after merging, every section must
+ * hash to its part of the version. The area is the geohash cell around the
+ * user (about 1.2 x 0.6 km), so nearby users share one cached build and
+ * small movements do not change the pack.
+ */
+
+const PACK_FORMAT = 1;
+const SECTIONS = ['disasters', 'safeZones', 'routes', 'contacts', 'tips'];
+const CELL_PRECISION = 6;
+const RADIUS_KM = parseFloat(process.env.ALERT_PACK_RADIUS_KM || '50');
+const REFRESH_MINUTES = parseInt(process.env.ALERT_PACK_REFRESH_MINUTES || '10', 10);
+const MAX_AGE_HOURS = parseInt(process.env.ALERT_PACK_MAX_AGE_HOURS || '24', 10);
+const MAX_SAFE_ZONES = 10;
+const ROUTED_SAFE_ZONES = 3;
+const CACHE_SIZE = 500;
+
+// Numbers that work anywhere in India, kept with the user's own contacts
+const NATIONAL_HELPLINES = [
+  { name: 'Emergency', phone: '112' },
+  { name: 'Police', phone: '100' },
+  { name: 'Fire Brigade', phone: '101' },
+  { name: 'Ambulance', phone: '108' },
+  { name: 'Disaster Management (NDMA)', phone: '1078' },
+  { name: 'State Disaster Control Room', phone: '1070' },
+  { name: 'District Disaster Control Room', phone: '1077' }
+];
+
+// Disaster text shown to the user, translated with the tips
+const DISASTER_TEXT_FIELDS = ['title', 'description', 'evacuationZone', 'evacuationRoutes'];
+
+/**
+ * Create an error carrying an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function packError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Short content hash of a section
+ * @param {*} section - Section content
+ * @returns {string} 12 hex characters
+ */
+function hashSection(section) {
+  return crypto.createHash('sha256').update(packSigner.canonicalJson(section)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Firestore timestamps, Dates and ISO strings as ISO strings
+ * @param {*} value - Timestamp
+ * @returns {string|undefined} ISO string
+ */
+function toIso(value) {
+  if (!value) return undefined;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * Route step text without Google's HTML markup
+ * @param {string} html - html_instructions
+ * @returns {string} Plain text
+ */
+function stripHtml(html) {
+  return String(html || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const alertPackService = {
+  SECTIONS,
+  cache: new Map(),
+
+  /**
+   * Build a signed pack for a location, or the changes since a cached version
+   * @param {Object} options - { lat, lng, disasterType, language, since, userId }
+   * @returns {Promise<Object>} { pack, signature }
+   */
+  async getPack(options = {}) {
+    const lat = parseFloat(options.lat);
+    const lng = parseFloat(options.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw packError(400, 'Valid lat and lng are required');
+    }
+    if (options.language && !resolveLanguage(options.language)) {
+      throw packError(400, `Unsupported language: ${options.language}`);
+    }
+
+    const language = resolveLanguage(options.language) ||
+      (options.userId ? await userService.getPreferredLanguage(options.userId) : DEFAULT_LANGUAGE);
+    const cell = GeohashIndex.encode(lat, lng, CELL_PRECISION);
+    const requestedType = options.disasterType ? String(options.disasterType).trim().toLowerCase() : null;
+
+    const [area, contacts] = await Promise.all([
+      this.getAreaContent(cell, requestedType, language),
+      this.buildContacts(options.userId)
+    ]);
+    const sections = { ...area.sections, contacts };
+
+    const hashes = SECTIONS.map(name => hashSection(sections[name]));
+    const version = [PACK_FORMAT, ...hashes].join('.');
+    const cachedHashes = this.parseVersion(options.since);
+    const unchanged = cachedHashes ? SECTIONS.filter((name, i) => cachedHashes[i] === hashes[i]) : [];
+
+    const generatedAt = new Date();
+    const pack = {
+      format: PACK_FORMAT,
+      version,
+      since: cachedHashes ? options.since : null,
+      delta: Boolean(cachedHashes),
+      unchanged,
+      generatedAt: generatedAt.toISOString(),
+      refreshAfter: new Date(generatedAt.getTime() + REFRESH_MINUTES * 60 * 1000).toISOString(),
+      expiresAt: new Date(generatedAt.getTime() + MAX_AGE_HOURS * 60 * 60 * 1000).toISOString(),
+      area: area.area,
+      disasterType: area.disasterType,
+      language,
+      sections: Object.fromEntries(SECTIONS.filter(name => !unchanged.includes(name)).map(name => [name, sections[name]]))
+    };
+
+    return { pack, signature: packSigner.sign(pack) };
+  },
+
+  /**
+   * Section hashes from a cached version
+   * @param {string} version - Version from an earlier pack
+   * @returns {Array<string>|null} Hash per section, or null when the version is missing or
+   *   from another pack format (the client then gets a full pack)
+   */
+  parseVersion(version) {
+    if (typeof version !== 'string') return null;
+    const [format, ...hashes] = version.split('.');
+    if (Number(format) !== PACK_FORMAT || hashes.length !== SECTIONS.length) return null;
+    return hashes;
+  },
+
+  /**
+   * Shared content of a cell: disasters, safe zones, routes and tips. Builds
+   * are cached for REFRESH_MINUTES, and concurrent requests share one build.
+   * @param {string} cell - Geohash cell
+   * @param {string|null} requestedType - Disaster type to plan for; null for the nearest disaster's
+   * @param {string} language - Language code
+   * @returns {Promise<Object>} { area, disasterType, sections }
+   */
+  async getAreaContent(cell, requestedType, language) {
+    const key = `${cell}:${requestedType || ''}:${language}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.builtAt < REFRESH_MINUTES * 60 * 1000) {
+      return cached.content;
+    }
+
+    const content = this.buildAreaContent(cell, requestedType, language);
+    if (this.cache.size >= CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { builtAt: Date.now(), content });
+
+    // A failed build is retried by the next request
+    content.catch(() => {
+      if (this.cache.get(key) && this.cache.get(key).content === content) this.cache.delete(key);
+    });
+    return content;
+  },
+
+  /**
+   * Build the shared content of a cell
+   * @param {string} cell - Geohash cell
+   * @param {string|null} requestedType - Disaster type to plan for
+   * @param {string} language - Language code
+   * @returns {Promise<Object>} { area, disasterType, sections }
+   */
+  async buildAreaContent(cell, requestedType, language) {
+    const bounds = GeohashIndex.decodeBounds(cell);
+    const center = {
+      lat: round((bounds.minLat + bounds.maxLat) / 2, 6),
+      lng: round((bounds.minLng + bounds.maxLng) / 2, 6)
+    };
+
+    const disasters = await this.findDisasters(center);
+    // Plan for the disaster the area is in (or nearest to) unless the client asked for a type
+    const disasterType = requestedType || (disasters[0] && disasters[0].type) || 'general';
+
+    const safeZones = (await mapService.findSafeZones(center, disasterType))
+      .slice(0, MAX_SAFE_ZONES)
+      .map(zone => ({
+        placeId: zone.placeId,
+        name: zone.name,
+        type: zone.type,
+        address: zone.address,
+        location: zone.location,
+        distanceKm: round(zone.distance || 0, 2)
+      }));
+
+    const types = [...new Set(['general', disasterType, ...disasters.map(disaster => disaster.type)])];
+    const [routes, localizedDisasters, tips] = await Promise.all([
+      this.buildRoutes(center, safeZones.slice(0, ROUTED_SAFE_ZONES), disasterType),
+      Promise.all(disasters.map(disaster => translationService.localize(disaster, DISASTER_TEXT_FIELDS, language))),
+      Promise.all(types.map(type => translationService.translate(mapService.getSafetyTips(type), language)))
+    ]);
+
+    return {
+      area: { cell, center, radiusKm: RADIUS_KM },
+      disasterType,
+      sections: {
+        disasters: localizedDisasters,
+        safeZones,
+        routes,
+        tips: Object.fromEntries(types.map((type, i) => [type, tips[i]]))
+      }
+    };
+  },
+
+  /**
+   * Active disasters the area is inside or within RADIUS_KM of, nearest first
+   * @param {Object} center - { lat, lng }
+   * @returns {Promise<Array>} Compact disasters
+   */
+  async findDisasters(center) {
+    const snapshot = await admin.firestore()
+      .collection('disasters')
+      .where('active', '==', true)
+      .get();
+
+    const disasters = [];
+    snapshot.forEach(doc => {
+      const disaster = { id: doc.id, ...doc.data() };
+      const area = geofence.prepare(disaster, 50000); // Default 50km radius, as for socket warnings
+      const position = area && geofence.locate(center, area);
+      if (!position || (!position.inside && position.distance > RADIUS_KM * 1000)) return;
+
+      disasters.push({
+        id: disaster.id,
+        type: (disaster.type || 'unknown').toLowerCase(),
+        title: disaster.title || 'Disaster Warning',
+        description: disaster.description,
+        severity: disaster.severity || 'high',
+        center: { lat: area.center.latitude, lng: area.center.longitude },
+        radiusKm: area.geometry ? undefined : round(area.radius / 1000, 2),
+        geometry: area.geometry || undefined,
+        inside: position.inside,
+        distanceKm: round(position.distance / 1000, 2),
+        evacuation: Boolean(disaster.evacuation),
+        evacuationZone: disaster.evacuationZone,
+        evacuationRoutes: disaster.evacuationRoutes,
+        updatedAt: toIso(disaster.updatedAt || disaster.timestamp || disaster.createdAt)
+      });
+    });
+
+    return disasters.sort((a, b) => (b.inside - a.inside) || (a.distanceKm - b.distanceKm));
+  },
+
+  /**
+   * Evacuation routes from the area to safe zones. A route that cannot be
+   * computed is left out rather than failing the pack.
+   * @param {Object} center - { lat, lng }
+   * @param {Array} safeZones - Compact safe zones to route to
+   * @param {string} disasterType - Disaster type
+   * @returns {Promise<Array>} Compact routes
+   */
+  async buildRoutes(center, safeZones, disasterType) {
+    const mode = disasterType === 'flood' ? 'walking' : 'driving'; // As in calculateEvacuationRoute
+    const results = await Promise.allSettled(safeZones.map(zone => mapService.getDirections(center, zone.location, mode)));
+
+    return results.flatMap((result, i) => {
+      const route = result.status === 'fulfilled' && result.value && result.value[0];
+      const leg = route && route.legs && route.legs[0];
+      if (!leg) return [];
+
+      return [{
+        safeZoneId: safeZones[i].placeId,
+        mode,
+        summary: route.summary,
+        distanceMeters: leg.distance.value,
+        durationSeconds: leg.duration.value,
+        polyline: route.overview_polyline ? route.overview_polyline.points : undefined,
+        warnings: route.warnings && route.warnings.length > 0 ? route.warnings : undefined,
+        steps: (leg.steps || []).map(step => ({
+          instruction: stripHtml(step.html_instructions),
+          distanceMeters: step.distance.value,
+          end: step.end_location
+        }))
+      }];
+    });
+  },
+
+  /**
+   * Helplines, plus the user's emergency contacts when signed in
+   * @param {string} userId - User ID, if any
+   * @returns {Promise<Object>} { helplines, personal }
+   */
+  async buildContacts(userId) {
+    // A failed lookup fails the request, so the client keeps the contacts it has cached
+    const user = userId ? await userService.getUserById(userId) : null;
+    const personal = ((user && user.emergencyContacts) || []).map(contact => ({
+      name: contact.name,
+      phone: contact.phone,
+      relationship: contact.relationship,
+      priority: contact.priority
+    }));
+    return { helplines: NATIONAL_HELPLINES, personal };
+  }
+};
+
+module.exports = alertPackService;
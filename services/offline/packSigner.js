@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+/*
+ * Ed25519 signatures for offline alert packs, so the app can check a pack
+ * it has cached, or received from another phone, came from this server.
+ *
+ * The private key is ALERT_PACK_SIGNING_KEY (PKCS#8 PEM; "\n" escapes are
+ * accepted so it fits in one environment variable). Without it a temporary
+ * key is generated at startup and packs stop verifying after a restart.
+ * Clients fetch the public key once from GET /api/offline/key and verify the
+ * signature over canonicalJson(pack).
+ */
+
+/**
+ * Serialize a value as JSON with object keys sorted, so the signed bytes
+ * can be rebuilt on any client. Undefined object fields are left out.
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Load the configured signing key, or make a temporary one
+ * @returns {Object} { privateKey, publicKey } KeyObjects
+ */
+function loadKeys() {
+  const pem = process.env.ALERT_PACK_SIGNING_KEY;
+  if (pem) {
+    const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`ALERT_PACK_SIGNING_KEY must be an Ed25519 key, not ${privateKey.asymmetricKeyType}`);
+    }
+    return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  }
+
+  console.warn('⚠️ ALERT_PACK_SIGNING_KEY is not set; signing offline packs with a temporary key');
+  return crypto.generateKeyPairSync('ed25519');
+}
+
+const ALGORITHM = 'Ed25519';
+
+const packSigner = {
+  keys: null,
+
+  /**
+   * Signing keys, loaded on first use
+   * @returns {Object} { privateKey, publicKey, keyId }
+   */
+  getKeys() {
+    if (!this.keys) {
+      const keys = loadKeys();
+      const der = keys.publicKey.export({ type: 'spki', format: 'der' });
+      this.keys = { ...keys, keyId: crypto.createHash('sha256').update(der).digest('base64url').slice(0, 16) };
+    }
+    return this.keys;
+  },
+
+  /**
+   * Sign a pack
+   * @param {Object} payload - Pack
+   * @returns {Object} { algorithm, keyId, value } with the base64 signature
+   */
+  sign(payload) {
+    const { privateKey, keyId } = this.getKeys();
+    const value = crypto.sign(null, Buffer.from(canonicalJson(payload)), privateKey).toString('base64');
+    return { algorithm: ALGORITHM, keyId, value };
+  },
+
+  /**
+   * Check a pack signature made with the current key
+   * @param {Object} payload - Pack
+   * @param {Object} signature - Signature from sign()
+   * @returns {boolean} True when the signature matches
+   */
+  verify(payload, signature) {
+    const { publicKey, keyId } = this.getKeys();
+    if (!signature || signature.algorithm !== ALGORITHM || signature.keyId !== keyId) return false;
+    return crypto.verify(null, Buffer.from(canonicalJson(payload)), publicKey, Buffer.from(signature.value, 'base64'));
+  },
+
+  /**
+   * Public key for clients
+   * @returns {Object} { algorithm, keyId, publicKey (SPKI PEM), x (raw key, base64url) }
+   */
+  getPublicKey() {
+    const { publicKey, keyId } = this.getKeys();
+    return {
+      algorithm: ALGORITHM,
+      keyId,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      x: publicKey.export({ format: 'jwk' }).x
+    };
+  }
+};
+
+packSigner.canonicalJson = canonicalJson;
+
+module.exports = packSigner;
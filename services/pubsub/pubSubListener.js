@@ -104,7 +104,9 @@ class PubSubListener {
   }
 
   /**
-   * Handle emergency alert messages
+   * Handle emergency alert messages. The publisher stored the alert before
+   * publishing it; it is not written again here, since a late or redelivered
+   * message would undo an update or cancellation made in between.
    * @param {Object} data - Message data
    * @param {Object} attributes - Message attributes
    */
@@ -112,26 +114,17 @@ class PubSubListener {
     console.log('📢 Received emergency alert:', data.title);
     
     try {
-      // Store in database for API access
-      await alertService.storeAlertInDatabase(data);
-      
-      // Find affected users
-      if (data.location) {
+      // Find affected users (polygon when the alert has one, radius otherwise)
+      if (data.location || data.geometry) {
         const area = {
-          center: {
-            lat: data.location.lat,
-            lng: data.location.lng
-          },
-          radius: data.location.radius || 10000 // Default 10km
+          geometry: data.geometry,
+          center: data.location,
+          radius: (data.location && data.location.radius) || 10000 // Default 10km
         };
         
-        const users = await alertService.getUsersInArea(area);
-        console.log(`Found ${users.length} users in affected area`);
-        
-        // Send FCM notifications to each user
-        for (const user of users) {
-          await alertService.sendUserNotification(user, data);
-        }
+        // FCM for every user in the area, SMS for high and critical alerts
+        const sent = await alertService.notifyUsersInArea(data, area);
+        console.log(`Sent ${sent} notifications for alert ${data.id}`);
       }
     } catch (error) {
       console.error('Error processing emergency alert:', error);
@@ -1,6 +1,7 @@
 const { PubSub } = require('@google-cloud/pubsub');
 require('dotenv').config();
 const fs = require('fs');
+const crypto = require('crypto');
 
 // Initialize Pub/Sub client with better error handling
 let pubsub;
@@ -49,7 +50,8 @@ const TOPICS = {
   EMERGENCY_ALERTS: 'emergency-alerts',
   DISASTER_WARNINGS: 'disaster-warnings',
   EVACUATION_NOTICES: 'evacuation-notices',
-  SYSTEM_NOTIFICATIONS: 'system-notifications'
+  SYSTEM_NOTIFICATIONS: 'system-notifications',
+  ALERT_UPDATES: 'alert-updates'
 };
 
 // Subscription names
@@ -60,6 +62,15 @@ const SUBSCRIPTIONS = {
   SYSTEM_NOTIFICATIONS_SUB: 'system-notifications-subscription'
 };
 
+// A shared subscription hands each message to one instance. Messages every
+// instance must see (to push them to its own socket clients) are read from a
+// subscription per instance instead, which Pub/Sub deletes once the instance
+// has stopped pulling for a day.
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomBytes(6).toString('hex');
+const INSTANCE_SUBSCRIPTIONS = {
+  ALERT_UPDATES_SUB: `alert-updates-${INSTANCE_ID}`
+};
+
 /**
  * Pub/Sub service for real-time alerts and notifications
  */
@@ -105,8 +116,9 @@ const pubSubService = {
    * Create a subscription if it doesn't exist
    * @param {string} topicName - Name of the topic
    * @param {string} subscriptionName - Name of the subscription
+   * @param {Object} options - Overrides for the subscription settings
    */
-  async createSubscriptionIfNotExists(topicName, subscriptionName) {
+  async createSubscriptionIfNotExists(topicName, subscriptionName, options = {}) {
     try {
       const topic = pubsub.topic(topicName);
       const subscription = topic.subscription(subscriptionName);
@@ -117,7 +129,8 @@ const pubSubService = {
           ackDeadlineSeconds: 60,
           expirationPolicy: {}, // Never expire
           retainAckedMessages: false,
-          messageRetentionDuration: { seconds: 86400 } // 24 hours
+          messageRetentionDuration: { seconds: 86400 }, // 24 hours
+          ...options
         });
         console.log(`Subscription ${subscriptionName} created.`);
       } else {
@@ -180,7 +193,7 @@ const pubSubService = {
   subscribeToTopic(subscriptionName, messageHandler) {
     try {
       // Validate subscription name
-      if (!Object.values(SUBSCRIPTIONS).includes(subscriptionName)) {
+      if (!Object.values(this.getSubscriptions()).includes(subscriptionName)) {
         throw new Error(`Invalid subscription name: ${subscriptionName}`);
       }
       
@@ -218,6 +231,20 @@ const pubSubService = {
       console.error(`Error subscribing to ${subscriptionName}:`, error);
     }
   },
+
+  /**
+   * Create this instance's own subscription to a topic and process its messages
+   * @param {string} topicName - Name of the topic
+   * @param {string} subscriptionName - Instance subscription from getSubscriptions()
+   * @param {function} messageHandler - Function to handle messages
+   */
+  async subscribeInstance(topicName, subscriptionName, messageHandler) {
+    await this.createSubscriptionIfNotExists(topicName, subscriptionName, {
+      expirationPolicy: { ttl: { seconds: 86400 } }, // Deleted a day after the instance stops
+      messageRetentionDuration: { seconds: 600 } // Events older than this are stale
+    });
+    this.subscribeToTopic(subscriptionName, messageHandler);
+  },
   
   /**
    * Get topic and subscription names
@@ -227,7 +254,7 @@ const pubSubService = {
   },
   
   getSubscriptions() {
-    return SUBSCRIPTIONS;
+    return { ...SUBSCRIPTIONS, ...INSTANCE_SUBSCRIPTIONS };
   }
 };
 
@@ -0,0 +1,78 @@
+const DisasterReport = require('../../models/DisasterReport');
+const damageAssessor = require('../damageAssessment');
+const storage = require('../storage');
+
+/*
+ * Runs the damage assessment over a report's photos and stores the result
+ * on the report as `damageAssessment`. New uploads trigger it in the
+ * background unless REPORT_DAMAGE_ASSESSMENT_AUTO=false; responders can
+ * re-run it. The stored result names the model, so mock output is never
+ * mistaken for a real assessment.
+ */
+
+/**
+ * Create an error carrying an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function assessmentError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const damageAssessmentService = {
+  /**
+   * Assess every photo attached to a report
+   * @param {string} reportId - Disaster report ID
+   * @returns {Promise<Object>} - Stored damage assessment
+   */
+  async assessReport(reportId) {
+    const report = await DisasterReport.getById(reportId);
+    if (!report) throw assessmentError(404, 'Disaster report not found');
+
+    const photos = (report.media || []).filter(media => media.type === 'image');
+    if (photos.length === 0) throw assessmentError(400, 'Report has no photos to assess');
+
+    const images = [];
+    const unreadable = [];
+    for (const photo of photos) {
+      try {
+        images.push({ id: photo.id, buffer: await storage.read(photo.key), contentType: photo.contentType });
+      } catch (error) {
+        console.warn(`⚠️ Could not read photo ${photo.id} of report ${reportId}:`, error.message);
+        unreadable.push({ mediaId: photo.id, error: 'Stored file could not be read' });
+      }
+    }
+
+    const result = await damageAssessor.assessImages(images);
+    const assessment = {
+      status: result.overall ? 'completed' : 'failed',
+      model: result.model,
+      assessedAt: new Date().toISOString(),
+      overall: result.overall,
+      images: result.images,
+      errors: [...unreadable, ...result.errors]
+    };
+
+    await DisasterReport.update(reportId, { damageAssessment: assessment });
+    console.log(`🔎 Damage assessment for report ${reportId}: ${assessment.status}` +
+      (assessment.overall ? ` (${assessment.overall.damageCategory}, ${assessment.overall.hazardType})` : ''));
+    return assessment;
+  },
+
+  /**
+   * Assess a report in the background after new photos arrive
+   * @param {string} reportId - Disaster report ID
+   */
+  scheduleAssessment(reportId) {
+    if (process.env.REPORT_DAMAGE_ASSESSMENT_AUTO === 'false') return;
+
+    this.assessReport(reportId).catch(error => {
+      console.error(`❌ Damage assessment for report ${reportId} failed:`, error.message);
+    });
+  }
+};
+
+module.exports = damageAssessmentService;
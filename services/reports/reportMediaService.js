@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const path = require('path');
+const admin = require('firebase-admin');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const geolib = require('geolib');
+const DisasterReport = require('../../models/DisasterReport');
+const storage = require('../storage');
+const damageAssessmentService = require('./damageAssessmentService');
+const { ROLE_GROUPS } = require('../../config/roles');
+
+/*
+ * Photo evidence attached to disaster reports.
+ *
+ * Images are re-encoded without their EXIF block (which can carry the
+ * device, owner and exact home location of the reporter) after the GPS
+ * position and capture time have been copied into the report's media
+ * record for moderators. Each image also gets a JPEG thumbnail. The format
+ * comes from the file's bytes, never the client's content type. New photos
+ * are queued for damage assessment.
+ *
+ * Videos are refused: MP4, QuickTime and WebM files carry the same kind of
+ * location and device metadata, and there is nothing on the server yet to
+ * remux them without it.
+ */
+
+const IMAGE_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+// Container signatures: MP4 and QuickTime open with an `ftyp` box, WebM/Matroska with an EBML header
+const VIDEO_SIGNATURES = [
+  { offset: 4, bytes: Buffer.from('ftyp') },
+  { offset: 4, bytes: Buffer.from('moov') },
+  { offset: 0, bytes: Buffer.from([0x1a, 0x45, 0xdf, 0xa3]) }
+];
+
+const MAX_MEDIA_PER_REPORT = parseInt(process.env.REPORT_MEDIA_MAX_PER_REPORT || '10', 10);
+const THUMBNAIL_SIZE = 320;
+
+// Media can no longer be added once a report has been thrown out
+const CLOSED_REPORT_STATUSES = ['rejected'];
+
+/**
+ * Create an error carrying an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function mediaError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Whether an upload is a video, by its declared type or its container signature
+ * @param {Object} file - Multer file
+ * @returns {boolean} True for video
+ */
+function isVideo(file) {
+  if (/^video\//.test(file.mimetype || '')) return true;
+  const buffer = file.buffer || Buffer.alloc(0);
+  return VIDEO_SIGNATURES.some(({ offset, bytes }) =>
+    buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes));
+}
+
+/**
+ * Convert an EXIF degrees/minutes/seconds triple to decimal degrees
+ * @param {Array<number>} dms - [degrees, minutes, seconds]
+ * @param {string} ref - N, S, E or W
+ * @returns {number|null} Decimal degrees
+ */
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3 || dms.some(value => !Number.isFinite(value))) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+const reportMediaService = {
+  /**
+   * Store uploaded files and attach them to a report
+   * @param {string} reportId - Disaster report ID
+   * @param {Array<Object>} files - Multer files ({ buffer, mimetype, originalname, size })
+   * @param {Object|null} user - Authenticated uploader ({ userId, role }), null if anonymous
+   * @returns {Promise<Array<Object>>} - Media records added to the report
+   */
+  async attachMedia(reportId, files, user = null) {
+    if (!files || files.length === 0) throw mediaError(400, 'No media files provided');
+
+    const report = await DisasterReport.getById(reportId);
+    if (!report) throw mediaError(404, 'Disaster report not found');
+    this.assertCanAttach(report, user);
+
+    if (files.some(isVideo)) {
+      throw mediaError(415, 'Video evidence is not accepted yet; upload a JPEG, PNG or WebP photo');
+    }
+
+    const existing = (report.media || []).length;
+    if (existing + files.length > MAX_MEDIA_PER_REPORT) {
+      throw mediaError(400, `A report can have at most ${MAX_MEDIA_PER_REPORT} media files (${existing} already attached)`);
+    }
+
+    const records = [];
+    try {
+      for (const file of files) {
+        records.push(await this.storeFile(report, file, user));
+      }
+
+      const FieldValue = admin.firestore.FieldValue;
+      const imageUrls = records.filter(record => record.type === 'image').map(record => record.url);
+      await DisasterReport.update(reportId, {
+        media: FieldValue.arrayUnion(...records),
+        // `images` keeps its list of URLs for clients that predate `media`
+        ...(imageUrls.length > 0 && { images: FieldValue.arrayUnion(...imageUrls) })
+      });
+    } catch (error) {
+      // Don't leave orphaned files behind when a later file or the report update fails
+      await Promise.all(records.flatMap(record => [record.key, record.thumbnailKey])
+        .filter(Boolean)
+        .map(key => storage.remove(key).catch(() => {})));
+      throw error;
+    }
+
+    console.log(`📎 Attached ${records.length} media file(s) to report ${reportId}`);
+    if (records.some(record => record.type === 'image')) {
+      damageAssessmentService.scheduleAssessment(reportId);
+    }
+    return records;
+  },
+
+  /**
+   * Check that a user may add media to a report: its reporter, a responder, or
+   * anyone while an anonymous report is still pending
+   * @param {Object} report - Disaster report
+   * @param {Object|null} user - Authenticated user, null if anonymous
+   */
+  assertCanAttach(report, user) {
+    if (CLOSED_REPORT_STATUSES.includes(report.status)) {
+      throw mediaError(409, `Cannot add media to a ${report.status} report`);
+    }
+    if (user && ROLE_GROUPS.responders.includes(user.role)) return;
+
+    if (report.reportedBy) {
+      if (!user) throw mediaError(401, 'Sign in to add media to this report');
+      if (user.userId !== report.reportedBy) throw mediaError(403, 'Only the reporter can add media to this report');
+      return;
+    }
+    if (report.status !== 'pending') {
+      throw mediaError(403, 'Media can only be added to an anonymous report while it is pending');
+    }
+  },
+
+  /**
+   * Process and store one uploaded file
+   * @param {Object} report - Disaster report
+   * @param {Object} file - Multer file
+   * @param {Object|null} user - Uploader
+   * @returns {Promise<Object>} - Media record
+   */
+  async storeFile(report, file, user) {
+    const mediaId = crypto.randomUUID();
+    const prefix = `reports/${report.id}/${mediaId}`;
+    const base = {
+      id: mediaId,
+      originalName: path.basename(file.originalname || ''),
+      uploadedBy: user ? user.userId : null,
+      uploadedAt: new Date().toISOString(),
+      storage: storage.name
+    };
+
+    const image = await this.processImage(file.buffer);
+    const saved = await storage.save(`${prefix}.${image.format.extension}`, image.buffer, { contentType: image.format.contentType });
+    const thumbnail = await storage.save(`${prefix}-thumb.jpg`, image.thumbnail, { contentType: 'image/jpeg' });
+
+    return {
+      ...base,
+      type: 'image',
+      contentType: image.format.contentType,
+      key: saved.key,
+      url: saved.url,
+      size: saved.size,
+      width: image.width,
+      height: image.height,
+      thumbnailKey: thumbnail.key,
+      thumbnailUrl: thumbnail.url,
+      gps: image.gps,
+      capturedAt: image.capturedAt,
+      distanceFromReportMeters: this.distanceFromReport(report, image.gps)
+    };
+  },
+
+  /**
+   * Re-encode an image without metadata and make its thumbnail
+   * @param {Buffer} buffer - Uploaded image
+   * @returns {Promise<Object>} - { buffer, thumbnail, format, width, height, gps, capturedAt }
+   */
+  async processImage(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw mediaError(415, 'Unsupported media type; upload a JPEG, PNG or WebP image');
+    }
+
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format) {
+      throw mediaError(415, `Unsupported image format "${metadata.format}"; upload a JPEG, PNG or WebP image`);
+    }
+
+    // rotate() bakes the EXIF orientation into the pixels; sharp drops all metadata on output
+    const { data, info } = await sharp(buffer).rotate().toFormat(metadata.format).toBuffer({ resolveWithObject: true });
+    const thumbnail = await sharp(data)
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+
+    return {
+      buffer: data,
+      thumbnail,
+      format,
+      width: info.width,
+      height: info.height,
+      ...this.readExif(metadata.exif)
+    };
+  },
+
+  /**
+   * Pull the GPS position and capture time out of an EXIF block
+   * @param {Buffer} exif - Raw EXIF from sharp's metadata
+   * @returns {Object} { gps: { latitude, longitude, altitude } | null, capturedAt: ISO string | null }
+   */
+  readExif(exif) {
+    if (!exif) return { gps: null, capturedAt: null };
+
+    let tags;
+    try {
+      tags = exifReader(exif);
+    } catch (error) {
+      console.warn('⚠️ Ignoring unreadable EXIF data:', error.message);
+      return { gps: null, capturedAt: null };
+    }
+
+    let gps = null;
+    const gpsInfo = tags.GPSInfo || {};
+    const latitude = toDecimalDegrees(gpsInfo.GPSLatitude, gpsInfo.GPSLatitudeRef);
+    const longitude = toDecimalDegrees(gpsInfo.GPSLongitude, gpsInfo.GPSLongitudeRef);
+    if (latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      gps = { latitude, longitude, altitude: null };
+      if (Number.isFinite(gpsInfo.GPSAltitude)) {
+        // Ref 1 means below sea level
+        gps.altitude = gpsInfo.GPSAltitudeRef === 1 ? -gpsInfo.GPSAltitude : gpsInfo.GPSAltitude;
+      }
+    }
+
+    return { gps, capturedAt: this.captureTime(tags) };
+  },
+
+  /**
+   * Capture time of a photo. EXIF times are the camera's local time; they are
+   * converted to UTC when the photo records its offset and kept as-is otherwise.
+   * @param {Object} tags - Parsed EXIF tags
+   * @returns {string|null} ISO timestamp
+   */
+  captureTime(tags) {
+    const photo = tags.Photo || {};
+    const taken = photo.DateTimeOriginal || photo.DateTimeDigitized || (tags.Image || {}).DateTime;
+    if (!(taken instanceof Date) || Number.isNaN(taken.getTime())) return null;
+
+    const offset = /^([+-])(\d{2}):(\d{2})$/.exec(photo.OffsetTimeOriginal || photo.OffsetTime || '');
+    if (!offset) return taken.toISOString();
+
+    const offsetMinutes = (offset[1] === '-' ? -1 : 1) * (parseInt(offset[2], 10) * 60 + parseInt(offset[3], 10));
+    return new Date(taken.getTime() - offsetMinutes * 60 * 1000).toISOString();
+  },
+
+  /**
+   * How far from the reported location a photo was taken
+   * @param {Object} report - Disaster report with a GeoJSON Point location
+   * @param {Object|null} gps - Photo position
+   * @returns {number|null} Distance in meters
+   */
+  distanceFromReport(report, gps) {
+    const coordinates = report.location && report.location.coordinates;
+    if (!gps || !Array.isArray(coordinates) || coordinates.length !== 2) return null;
+
+    return Math.round(geolib.getDistance(
+      { latitude: coordinates[1], longitude: coordinates[0] },
+      { latitude: gps.latitude, longitude: gps.longitude }
+    ));
+  }
+};
+
+module.exports = reportMediaService;
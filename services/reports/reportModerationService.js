@@ -0,0 +1,451 @@
+const admin = require('firebase-admin');
+const geolib = require('geolib');
+const DisasterReport = require('../../models/DisasterReport');
+const GeohashIndex = require('../../utils/geo/geohashIndex');
+const geofence = require('../../utils/geo/geofence');
+const socketService = require('../socket/socketService');
+
+/*
+ * Moderation pipeline for crowd-sourced disaster reports.
+ *
+ * A new report joins the nearest open cluster of the same type within
+ * REPORT_CLUSTER_RADIUS_METERS that had a report in the last
+ * REPORT_CLUSTER_WINDOW_HOURS, or starts a new one. Each distinct reporter in a
+ * cluster adds their reputation (0-1; see reputationScore) to its
+ * corroboration score. Responders verify or reject individual reports, which
+ * also moves the reporter's reputation. Once a cluster has a verified report
+ * and a score of at least REPORT_PROMOTION_SCORE it is promoted to an active
+ * entry in `disasters`, which DisasterManager broadcasts to users in the area.
+ */
+
+const CLUSTERS = 'reportClusters';
+const REPUTATION = 'reporterReputation';
+
+const CLUSTER_RADIUS_METERS = parseInt(process.env.REPORT_CLUSTER_RADIUS_METERS || '500', 10);
+const CLUSTER_WINDOW_HOURS = parseFloat(process.env.REPORT_CLUSTER_WINDOW_HOURS || '6');
+const PROMOTION_SCORE = parseFloat(process.env.REPORT_PROMOTION_SCORE || '1.5');
+
+// Reports without an account count for little, since they cannot be held to account
+const ANONYMOUS_WEIGHT = 0.25;
+
+// Smallest area a promoted disaster covers
+const MIN_DISASTER_RADIUS_METERS = 1000;
+
+// Firestore "in" queries accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Statuses a responder can still act on ('active' is what older reports were stored with)
+const OPEN_REPORT_STATUSES = ['pending', 'active', 'corroborated'];
+
+// Statuses a promotion marks as corroborated
+const UNMODERATED_REPORT_STATUSES = ['pending', 'active'];
+
+/**
+ * Create an error carrying an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function moderationError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Reputation from a reporter's track record: the share of their moderated
+ * reports that were verified, starting at 0.5 with no history
+ * @param {Object} stats - { verified, rejected }
+ * @returns {number} Score between 0 and 1
+ */
+function reputationScore(stats = {}) {
+  const verified = stats.verified || 0;
+  const rejected = stats.rejected || 0;
+  return (verified + 1) / (verified + rejected + 2);
+}
+
+/**
+ * Map a report severity (label or 1-5 number) to a disaster severity label
+ * @param {string|number} severity - Report severity
+ * @returns {string} low, medium, high or critical
+ */
+function severityLabel(severity) {
+  if (typeof severity === 'number') {
+    if (severity >= 4) return 'critical';
+    if (severity >= 3) return 'high';
+    return severity >= 2 ? 'medium' : 'low';
+  }
+  return SEVERITIES.includes(severity) ? severity : 'medium';
+}
+
+/**
+ * The higher of two severity labels
+ * @param {string} a - Severity label
+ * @param {string} b - Severity label
+ * @returns {string} Higher severity
+ */
+function maxSeverity(a, b) {
+  return SEVERITIES.indexOf(a) >= SEVERITIES.indexOf(b) ? a : b;
+}
+
+const reportModerationService = {
+  /**
+   * Store a new report and file it into a cluster
+   * @param {Object} reportData - type, severity, description, images and a location
+   * @param {string|null} reporterId - Authenticated user, or null for an anonymous report
+   * @returns {Object} { report, cluster }
+   */
+  async submitReport(reportData, reporterId) {
+    if (!reportData || !reportData.type) throw moderationError(400, 'Report type is required');
+    if (!geofence.toPoint(reportData.location || { coordinates: reportData.coordinates })) {
+      throw moderationError(400, 'Report needs a location (latitude/longitude) or coordinates [longitude, latitude]');
+    }
+
+    const report = await DisasterReport.create({ ...reportData, reportedBy: reporterId || null });
+    if (reporterId) await this.updateReputation(reporterId, { submitted: 1 });
+
+    const cluster = await this.assignToCluster(report);
+    return { report: { ...report, clusterId: cluster.id }, cluster };
+  },
+
+  /**
+   * Mark a report as verified by a responder
+   * @param {string} reportId - Report ID
+   * @param {string} responderId - Verifying user
+   * @param {string} note - Optional moderation note
+   * @returns {Object} { report, cluster } with the cluster after re-scoring
+   */
+  async verifyReport(reportId, responderId, note) {
+    return this.moderateReport(reportId, 'verified', responderId, note);
+  },
+
+  /**
+   * Reject a report (false, duplicate by the same person, abusive, ...)
+   * @param {string} reportId - Report ID
+   * @param {string} responderId - Rejecting user
+   * @param {string} reason - Why it was rejected
+   * @returns {Object} { report, cluster } with the cluster after re-scoring
+   */
+  async rejectReport(reportId, responderId, reason) {
+    return this.moderateReport(reportId, 'rejected', responderId, reason);
+  },
+
+  /**
+   * Apply a moderation decision, update the reporter's reputation and re-score the cluster.
+   * Only the decision that changes the report's status counts towards reputation.
+   * @param {string} reportId - Report ID
+   * @param {string} status - verified or rejected
+   * @param {string} responderId - Moderating user
+   * @param {string} note - Note or rejection reason
+   * @returns {Object} { report, cluster }
+   */
+  async moderateReport(reportId, status, responderId, note) {
+    const decision = {
+      status,
+      moderatedBy: responderId,
+      moderatedAt: new Date().toISOString(),
+      moderationNote: note || null
+    };
+    const { report, changed } = await DisasterReport.updateIfStatus(reportId, OPEN_REPORT_STATUSES, decision);
+    if (!report) throw moderationError(404, `Report ${reportId} not found`);
+    if (!changed) {
+      throw moderationError(409, `Report ${reportId} is already ${report.status}`);
+    }
+
+    if (report.reportedBy) await this.updateReputation(report.reportedBy, { [status]: 1 });
+
+    const updated = { ...report, ...decision };
+    const cluster = report.clusterId
+      ? await this.recomputeCluster(report.clusterId)
+      : await this.assignToCluster(updated);
+
+    console.log(`🛡️ Report ${reportId} ${status} by ${responderId}`);
+    return { report: { ...updated, clusterId: cluster.id }, cluster };
+  },
+
+  /**
+   * Put a report into the nearest matching open cluster, or start a new one
+   * @param {Object} report - Stored report with id, type and location
+   * @returns {Object} Cluster after re-scoring
+   */
+  async assignToCluster(report) {
+    const db = admin.firestore();
+    const point = geofence.toPoint(report.location);
+    if (!point) throw moderationError(400, `Report ${report.id} has no location`);
+
+    const severity = severityLabel(report.severity);
+    const now = new Date().toISOString();
+    const match = await this.findCluster(report.type, point);
+    let clusterId;
+
+    if (match) {
+      clusterId = match.id;
+      const clusterRef = db.collection(CLUSTERS).doc(clusterId);
+
+      // Running mean keeps the centre in the middle of the reports
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(clusterRef);
+        const cluster = doc.data();
+        const members = cluster.memberCount || 1;
+        const center = {
+          latitude: (cluster.center.latitude * members + point.latitude) / (members + 1),
+          longitude: (cluster.center.longitude * members + point.longitude) / (members + 1)
+        };
+
+        transaction.update(clusterRef, {
+          center,
+          geohash: GeohashIndex.encode(center.latitude, center.longitude, DisasterReport.REPORT_GEOHASH_PRECISION),
+          memberCount: members + 1,
+          severity: maxSeverity(cluster.severity || 'low', severity),
+          lastReportedAt: now
+        });
+      });
+    } else {
+      const clusterRef = db.collection(CLUSTERS).doc();
+      clusterId = clusterRef.id;
+      await clusterRef.set({
+        type: report.type,
+        status: 'open',
+        center: point,
+        geohash: GeohashIndex.encode(point.latitude, point.longitude, DisasterReport.REPORT_GEOHASH_PRECISION),
+        memberCount: 1,
+        severity,
+        reportCount: 0,
+        verifiedCount: 0,
+        rejectedCount: 0,
+        reporters: 0,
+        corroborationScore: 0,
+        radius: 0,
+        disasterId: null,
+        firstReportedAt: now,
+        lastReportedAt: now
+      });
+    }
+
+    await DisasterReport.update(report.id, { clusterId });
+    return this.recomputeCluster(clusterId);
+  },
+
+  /**
+   * Nearest open cluster of a type close enough to a point
+   * @param {string} type - Disaster type
+   * @param {Object} point - { latitude, longitude }
+   * @returns {Object|null} Cluster with id, or null
+   */
+  async findCluster(type, point) {
+    const db = admin.firestore();
+    const [min, max] = geolib.getBoundsOfDistance(point, CLUSTER_RADIUS_METERS);
+    const cells = new GeohashIndex(DisasterReport.REPORT_GEOHASH_PRECISION).coverBounds({
+      minLat: min.latitude, maxLat: max.latitude, minLng: min.longitude, maxLng: max.longitude
+    }) || [];
+    const since = new Date(Date.now() - CLUSTER_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+    let best = null;
+    for (let i = 0; i < cells.length; i += IN_QUERY_LIMIT) {
+      const snapshot = await db.collection(CLUSTERS)
+        .where('geohash', 'in', cells.slice(i, i + IN_QUERY_LIMIT))
+        .get();
+
+      snapshot.docs.forEach(doc => {
+        const cluster = doc.data();
+        if (cluster.type !== type || cluster.status === 'rejected' || cluster.lastReportedAt < since) return;
+
+        const distance = geolib.getDistance(point, cluster.center);
+        if (distance <= CLUSTER_RADIUS_METERS && (!best || distance < best.distance)) {
+          best = { id: doc.id, distance, ...cluster };
+        }
+      });
+    }
+
+    return best;
+  },
+
+  /**
+   * Re-score a cluster from its reports and promote it when it qualifies
+   * @param {string} clusterId - Cluster ID
+   * @returns {Object} Cluster with id
+   */
+  async recomputeCluster(clusterId) {
+    const db = admin.firestore();
+    const clusterRef = db.collection(CLUSTERS).doc(clusterId);
+    const doc = await clusterRef.get();
+    if (!doc.exists) throw moderationError(404, `Report cluster ${clusterId} not found`);
+
+    const cluster = doc.data();
+    const reports = await DisasterReport.getByCluster(clusterId);
+    const active = reports.filter(report => report.status !== 'rejected');
+
+    // One vote per reporter; anonymous reports each count on their own, at a low weight
+    const reporterIds = [...new Set(active.map(report => report.reportedBy).filter(Boolean))];
+    const anonymous = active.filter(report => !report.reportedBy).length;
+    const reputations = reporterIds.length
+      ? await db.getAll(...reporterIds.map(id => db.collection(REPUTATION).doc(id)))
+      : [];
+    const score = reputations.reduce((sum, rep) => sum + reputationScore(rep.exists ? rep.data() : {}), 0) +
+      anonymous * ANONYMOUS_WEIGHT;
+
+    const updates = {
+      reportCount: active.length,
+      verifiedCount: active.filter(report => report.status === 'verified').length,
+      rejectedCount: reports.length - active.length,
+      reporters: reporterIds.length + anonymous,
+      corroborationScore: Math.round(score * 100) / 100,
+      radius: Math.max(0, ...active.map(report => {
+        const point = geofence.toPoint(report.location);
+        return point ? geolib.getDistance(point, cluster.center) : 0;
+      })),
+      updatedAt: new Date().toISOString()
+    };
+    if (cluster.status === 'open' && reports.length > 0 && active.length === 0) {
+      updates.status = 'rejected';
+    }
+    await clusterRef.update(updates);
+
+    let result = { id: clusterId, ...cluster, ...updates };
+    if (result.status === 'open' && result.verifiedCount > 0 && result.corroborationScore >= PROMOTION_SCORE) {
+      result = (await this.promoteCluster(clusterId, active)) || result;
+    } else if (result.status === 'promoted' && result.disasterId) {
+      await db.collection('disasters').doc(result.disasterId).update({ reportCount: result.reportCount });
+    }
+
+    return result;
+  },
+
+  /**
+   * Turn a corroborated, verified cluster into an active disaster and broadcast it
+   * @param {string} clusterId - Cluster ID
+   * @param {Array} reports - Non-rejected reports in the cluster
+   * @returns {Object|null} Promoted cluster, or null if it was promoted concurrently
+   */
+  async promoteCluster(clusterId, reports) {
+    const db = admin.firestore();
+    const clusterRef = db.collection(CLUSTERS).doc(clusterId);
+    // Deterministic ID, so a promotion can never create two disasters
+    const disasterRef = db.collection('disasters').doc(`cluster-${clusterId}`);
+    const verified = reports.filter(report => report.status === 'verified');
+
+    const promoted = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(clusterRef);
+      const cluster = doc.data();
+      if (cluster.status !== 'open') return null;
+
+      const described = verified.find(report => report.description) || reports.find(report => report.description);
+      const disaster = {
+        type: cluster.type,
+        title: `Verified ${cluster.type} reported by ${cluster.reporters} people`,
+        description: described ? described.description : `${cluster.type} reported and verified in this area`,
+        severity: cluster.severity || 'medium',
+        location: cluster.center,
+        radius: Math.max(MIN_DISASTER_RADIUS_METERS, (cluster.radius || 0) + CLUSTER_RADIUS_METERS),
+        active: true,
+        source: 'crowd-reports',
+        clusterId,
+        reportCount: cluster.reportCount,
+        corroborationScore: cluster.corroborationScore,
+        verifiedBy: [...new Set(verified.map(report => report.moderatedBy).filter(Boolean))],
+        timestamp: new Date().toISOString()
+      };
+
+      transaction.set(disasterRef, disaster);
+      transaction.update(clusterRef, { status: 'promoted', disasterId: disasterRef.id, promotedAt: disaster.timestamp });
+      return { cluster: { id: clusterId, ...cluster, status: 'promoted', disasterId: disasterRef.id }, disaster };
+    });
+    if (!promoted) return null;
+
+    // Reports still waiting for a responder were borne out by the promotion
+    for (const report of reports.filter(item => item.status !== 'verified')) {
+      const { changed } = await DisasterReport.updateIfStatus(report.id, UNMODERATED_REPORT_STATUSES, { status: 'corroborated' });
+      if (changed && report.reportedBy) await this.updateReputation(report.reportedBy, { verified: 1 });
+    }
+
+    console.log(`🚨 Report cluster ${clusterId} promoted to disaster ${disasterRef.id}`);
+    this.broadcastDisaster({ id: disasterRef.id, ...promoted.disaster });
+    return promoted.cluster;
+  },
+
+  /**
+   * Send a newly promoted disaster to connected users in its area (if sockets run here);
+   * users connecting later get it from DisasterManager.sendActiveDisastersToUser
+   * @param {Object} disaster - Disaster with id
+   */
+  broadcastDisaster(disaster) {
+    if (!socketService.disasterManager) return;
+
+    try {
+      socketService.disasterManager.processDisaster(disaster);
+    } catch (error) {
+      console.error(`Error broadcasting disaster ${disaster.id}:`, error);
+    }
+  },
+
+  /**
+   * Add to a reporter's counts and refresh their score
+   * @param {string} userId - Reporter's user ID
+   * @param {Object} increments - { submitted, verified, rejected }
+   * @returns {Object} Updated reputation
+   */
+  async updateReputation(userId, increments) {
+    const db = admin.firestore();
+    const reputationRef = db.collection(REPUTATION).doc(userId);
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(reputationRef);
+      const stats = doc.exists ? doc.data() : {};
+      const updated = {
+        userId,
+        submitted: (stats.submitted || 0) + (increments.submitted || 0),
+        verified: (stats.verified || 0) + (increments.verified || 0),
+        rejected: (stats.rejected || 0) + (increments.rejected || 0),
+        updatedAt: new Date().toISOString()
+      };
+      updated.score = Math.round(reputationScore(updated) * 100) / 100;
+
+      transaction.set(reputationRef, updated);
+      return updated;
+    });
+  },
+
+  /**
+   * A reporter's reputation
+   * @param {string} userId - Reporter's user ID
+   * @returns {Object} { userId, submitted, verified, rejected, score }
+   */
+  async getReputation(userId) {
+    const doc = await admin.firestore().collection(REPUTATION).doc(userId).get();
+    if (doc.exists) return doc.data();
+    return { userId, submitted: 0, verified: 0, rejected: 0, score: reputationScore() };
+  },
+
+  /**
+   * Clusters for the moderation queue, most recent activity first
+   * @param {string} status - open, promoted or rejected
+   * @param {number} limit - Maximum clusters
+   * @returns {Array} Clusters with id
+   */
+  async getClusters(status = 'open', limit = 50) {
+    const snapshot = await admin.firestore().collection(CLUSTERS)
+      .where('status', '==', status)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (b.lastReportedAt || '').localeCompare(a.lastReportedAt || ''))
+      .slice(0, limit);
+  },
+
+  /**
+   * A cluster with its reports
+   * @param {string} clusterId - Cluster ID
+   * @returns {Object} Cluster with id and reports
+   */
+  async getCluster(clusterId) {
+    const doc = await admin.firestore().collection(CLUSTERS).doc(clusterId).get();
+    if (!doc.exists) throw moderationError(404, `Report cluster ${clusterId} not found`);
+
+    return { id: doc.id, ...doc.data(), reports: await DisasterReport.getByCluster(clusterId) };
+  }
+};
+
+module.exports = reportModerationService;
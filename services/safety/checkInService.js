@@ -0,0 +1,252 @@
+const userService = require('../userService');
+const familyService = require('./familyService');
+const smsService = require('../notificationServices/smsServices/smsService');
+const deliveryReceiptService = require('../alerts/deliveryReceiptService');
+const translationService = require('../translation');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../../config/languages');
+require('dotenv').config();
+
+/*
+ * "I'm safe" check-ins. A user marks themselves safe or needing help (REST,
+ * the safety-check-in socket event, or SMS/USSD); the status is stored on
+ * their profile and their family is told: linked family members who are
+ * online get a socket event, and personal emergency contacts get an SMS
+ * (unless they are one of those family members). A check-in that names the
+ * alert it answers also acknowledges that alert, so escalation stops texting
+ * contacts that the user has not responded.
+ *
+ * The family board shows the last check-in and location of each linked
+ * family member (see familyService: links are made by accepted invites).
+ */
+
+const CHANNELS = ['app', 'socket', 'sms', 'ussd'];
+
+// Repeating the same status within this window does not text contacts again
+const NOTIFY_COOLDOWN_MINUTES = parseFloat(process.env.CHECKIN_NOTIFY_COOLDOWN_MINUTES || '30');
+
+// Default contacts created with every user are public services, not people to text automatically
+const PUBLIC_SERVICE_RELATIONSHIP = 'Emergency';
+
+// Alert receipts only know the delivery channels
+const RECEIPT_CHANNELS = { app: 'fcm', socket: 'socket', sms: 'sms', ussd: 'sms' };
+
+/**
+ * Error with an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function checkInError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * { lat, lng } from a client location, or null when there is none
+ * @param {Object} location - { lat, lng } or { latitude, longitude }
+ * @returns {Object|null} Coordinates
+ */
+function toLatLng(location) {
+  if (!location) return null;
+  const lat = Number(location.lat !== undefined ? location.lat : location.latitude);
+  const lng = Number(location.lng !== undefined ? location.lng : location.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw checkInError(400, 'location needs valid lat and lng');
+  }
+  return { lat, lng };
+}
+
+/**
+ * The connected-user registry, loaded on use: the socket service handles the
+ * check-in event, so it cannot be required while this module loads
+ * @returns {Object|null} UserManager, or null before Socket.IO starts
+ */
+function getUserManager() {
+  return require('../socket/socketService').userManager;
+}
+
+const checkInService = {
+  /**
+   * Record that a user is safe or needs help and tell their emergency contacts
+   * @param {string} userId - User ID
+   * @param {Object} checkIn - { status: 'safe' | 'help', channel, location, message, alertId }
+   * @returns {Promise<Object>} { checkIn, notified } where notified lists the contacts told and how
+   */
+  async checkIn(userId, { status, channel = 'app', location = null, message = null, alertId = null } = {}) {
+    if (!userId) throw checkInError(401, 'Authentication required');
+    if (!['safe', 'help'].includes(status)) throw checkInError(400, 'status must be "safe" or "help"');
+    if (!CHANNELS.includes(channel)) throw checkInError(400, `Unknown check-in channel: ${channel}`);
+
+    const user = await userService.getUserById(userId);
+    if (!user) throw checkInError(404, 'User not found');
+
+    const previous = user.safetyStatus;
+    const safetyStatus = await userService.setSafetyStatus(userId, {
+      status,
+      channel,
+      location: toLatLng(location),
+      message: message ? String(message).slice(0, 280) : null,
+      alertId
+    });
+
+    if (alertId) {
+      await deliveryReceiptService.acknowledge(alertId, userId, RECEIPT_CHANNELS[channel])
+        .catch(error => console.error(`Error acknowledging alert ${alertId} with a check-in:`, error.message));
+    }
+
+    const notified = this.isRepeat(previous, safetyStatus) ? [] : await this.notifyContacts(user, safetyStatus);
+    console.log(`User ${userId} checked in ${status.toUpperCase()} via ${channel}; ${notified.length} contacts notified`);
+    return { checkIn: safetyStatus, notified };
+  },
+
+  /**
+   * Personal emergency contacts with a phone number, in priority order
+   * @param {Object} user - User data
+   * @returns {Array} Contacts
+   */
+  getPersonalContacts(user) {
+    return (user.emergencyContacts || [])
+      .filter(contact => contact.phone && contact.relationship !== PUBLIC_SERVICE_RELATIONSHIP)
+      .sort((a, b) => (a.priority || 99) - (b.priority || 99));
+  },
+
+  /**
+   * Whether a check-in only repeats the last one, recently enough that contacts already know
+   * @param {Object} previous - Last stored safety status
+   * @param {Object} current - New safety status
+   * @returns {boolean} True to skip notifying
+   */
+  isRepeat(previous, current) {
+    if (!previous || previous.status !== current.status) return false;
+    return Date.parse(current.updatedAt) - Date.parse(previous.updatedAt) < NOTIFY_COOLDOWN_MINUTES * 60000;
+  },
+
+  /**
+   * Tell the user's family and personal emergency contacts about a check-in
+   * @param {Object} user - User who checked in
+   * @param {Object} safetyStatus - Stored status
+   * @returns {Promise<Array>} Contacts reached (see tellContacts)
+   */
+  async notifyContacts(user, safetyStatus) {
+    const name = user.name || 'A SafeEscape user';
+    return this.tellContacts(user, 'family-check-in', { userId: user.id, name, ...safetyStatus }, this.buildMessage(name, safetyStatus));
+  },
+
+  /**
+   * Send something to a user's family: a socket event to linked family
+   * members who are online, and an SMS in their language to each personal
+   * emergency contact not already reached that way. A failure for one
+   * recipient is logged and does not stop the others.
+   * @param {Object} user - User the message is about
+   * @param {string} event - Socket event
+   * @param {Object} payload - Socket event data
+   * @param {string} text - SMS text, in English
+   * @returns {Promise<Array>} [{ name, phone, userId, via }] for people reached, via 'socket' or 'sms'
+   */
+  async tellContacts(user, event, payload, text) {
+    const members = await familyService.getMembers(user);
+    const userManager = getUserManager();
+    const numberOf = (phone, countryCode) => {
+      const number = phone && smsService.parseInboundNumber(phone, countryCode || user.countryCode || 'IN');
+      return number ? number.e164 : null;
+    };
+    const notified = [];
+    const reached = new Set();
+
+    for (const member of members) {
+      try {
+        if (userManager && userManager.sendToUser(member.id, event, payload)) {
+          notified.push({ name: member.name || null, phone: member.phone || null, userId: member.id, via: 'socket' });
+          reached.add(numberOf(member.phone, member.countryCode));
+        }
+      } catch (error) {
+        console.error(`Error sending ${event} about ${user.id} to family member ${member.id}:`, error.message);
+      }
+    }
+
+    for (const contact of this.getPersonalContacts(user)) {
+      const number = numberOf(contact.phone, contact.countryCode);
+      if (number && reached.has(number)) continue;
+
+      // A contact who is also linked family gets the SMS in their own language
+      const member = number && members.find(candidate => numberOf(candidate.phone, candidate.countryCode) === number);
+      try {
+        const language = (member && resolveLanguage(member.preferredLanguage)) ||
+          resolveLanguage(user.preferredLanguage) || DEFAULT_LANGUAGE;
+        const translated = await translationService.translate(text, language);
+        const result = await smsService.sendSMS(contact.phone, contact.countryCode || user.countryCode || 'IN', translated);
+        if (result.success || result.queued) {
+          notified.push({ name: contact.name, phone: contact.phone, userId: member ? member.id : null, via: 'sms' });
+        }
+      } catch (error) {
+        console.error(`Error sending ${event} about ${user.id} to ${contact.name || contact.phone}:`, error.message);
+      }
+    }
+
+    return notified;
+  },
+
+  /**
+   * SMS text for a check-in
+   * @param {string} name - Name of the user who checked in
+   * @param {Object} safetyStatus - { status, location, message }
+   * @returns {string} Message
+   */
+  buildMessage(name, { status, location, message }) {
+    const map = location ? ` Location: https://maps.google.com/?q=${location.lat},${location.lng}` : '';
+    if (status === 'safe') {
+      return `SafeEscape: ${name} has checked in SAFE.${map}`;
+    }
+    return `SafeEscape: ${name} NEEDS HELP${message ? `: "${message}"` : ''}.${map} Try to reach them; if they are in danger, call 112.`;
+  },
+
+  /**
+   * Last check-in and location of the user's linked family members
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { me, members } with members in the order they were linked
+   */
+  async getFamilyBoard(userId) {
+    if (!userId) throw checkInError(401, 'Authentication required');
+
+    const user = await userService.getUserById(userId);
+    if (!user) throw checkInError(404, 'User not found');
+
+    const members = await familyService.getMembers(user);
+    const userManager = getUserManager();
+
+    return {
+      me: user.safetyStatus || null,
+      members: members.map(member => ({
+        userId: member.id,
+        name: member.name || null,
+        online: Boolean(userManager && userManager.isUserConnected(member.id)),
+        lastCheckIn: member.safetyStatus || null,
+        location: this.lastKnownLocation(member, userManager)
+      }))
+    };
+  },
+
+  /**
+   * Where a family member was last seen: their live socket location, their
+   * last check-in, or the location on their profile
+   * @param {Object} member - User data
+   * @param {Object|null} userManager - Connected-user registry
+   * @returns {Object|null} { lat, lng, source, updatedAt }
+   */
+  lastKnownLocation(member, userManager) {
+    const live = userManager && userManager.isUserConnected(member.id) &&
+      userManager.extractUserLocation(userManager.connectedUsers.get(member.id));
+    if (live) return { lat: live.latitude, lng: live.longitude, source: 'live', updatedAt: new Date().toISOString() };
+
+    const checkIn = member.safetyStatus;
+    if (checkIn && checkIn.location) return { ...checkIn.location, source: 'check-in', updatedAt: checkIn.updatedAt };
+
+    const profile = member.location;
+    const lat = profile && Number(profile.lat !== undefined ? profile.lat : profile.latitude);
+    const lng = profile && Number(profile.lng !== undefined ? profile.lng : profile.longitude);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng, source: 'profile', updatedAt: null } : null;
+  }
+};
+
+module.exports = checkInService;
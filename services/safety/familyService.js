@@ -0,0 +1,149 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const userService = require('../userService');
+require('dotenv').config();
+
+/*
+ * Family links. Sharing check-ins, live locations and SOS alerts over the
+ * socket needs both people to agree, so a link is made by invitation: one
+ * user creates an invite and sends its token however they like (SMS,
+ * WhatsApp, in person); the other accepts it while signed in. Each side's
+ * user document then lists the other's user ID in `familyMembers`.
+ *
+ * Phone numbers on profiles are not verified, so they are never used to
+ * decide who is family.
+ */
+
+const INVITES = 'familyInvites';
+
+const INVITE_TTL_HOURS = parseFloat(process.env.FAMILY_INVITE_TTL_HOURS || '72');
+
+/**
+ * Error with an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function familyError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Invites are stored by the SHA-256 hash of their token, never the token itself
+ * @param {string} token - Invite token
+ * @returns {string} Hex hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+const familyService = {
+  /**
+   * Create an invitation to become linked family
+   * @param {string} userId - User sending the invite
+   * @returns {Promise<Object>} { token, expiresAt }; the token is only returned here
+   */
+  async createInvite(userId) {
+    if (!userId) throw familyError(401, 'Authentication required');
+
+    const user = await userService.getUserById(userId);
+    if (!user) throw familyError(404, 'User not found');
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + INVITE_TTL_HOURS * 3600000).toISOString();
+
+    await admin.firestore().collection(INVITES).doc(hashToken(token)).set({
+      inviterId: userId,
+      inviterName: user.name || null,
+      createdAt: createdAt.toISOString(),
+      expiresAt,
+      acceptedBy: null,
+      acceptedAt: null
+    });
+
+    console.log(`User ${userId} created a family invite`);
+    return { token, expiresAt };
+  },
+
+  /**
+   * Accept an invite: the invite is used up and both users list each other
+   * @param {string} userId - User accepting
+   * @param {string} token - Invite token
+   * @returns {Promise<Object>} { userId, name } of the new family member
+   */
+  async acceptInvite(userId, token) {
+    if (!userId) throw familyError(401, 'Authentication required');
+    if (!token) throw familyError(400, 'Invite token is required');
+
+    const db = admin.firestore();
+    const inviteRef = db.collection(INVITES).doc(hashToken(token));
+
+    const member = await db.runTransaction(async transaction => {
+      const inviteDoc = await transaction.get(inviteRef);
+      if (!inviteDoc.exists) throw familyError(404, 'Invite not found');
+
+      const invite = inviteDoc.data();
+      if (invite.acceptedBy) throw familyError(409, 'This invite has already been used');
+      if (new Date(invite.expiresAt) <= new Date()) throw familyError(410, 'This invite has expired');
+      if (invite.inviterId === userId) throw familyError(400, 'You cannot accept your own invite');
+
+      const inviterRef = db.collection('users').doc(invite.inviterId);
+      const accepterRef = db.collection('users').doc(userId);
+      const [inviterDoc, accepterDoc] = await Promise.all([transaction.get(inviterRef), transaction.get(accepterRef)]);
+      if (!inviterDoc.exists || !accepterDoc.exists) throw familyError(404, 'User not found');
+
+      const link = (doc, otherId) => [...new Set([...(doc.data().familyMembers || []), otherId])];
+      transaction.update(inviteRef, { acceptedBy: userId, acceptedAt: new Date().toISOString() });
+      transaction.update(inviterRef, { familyMembers: link(inviterDoc, userId) });
+      transaction.update(accepterRef, { familyMembers: link(accepterDoc, invite.inviterId) });
+      return { userId: invite.inviterId, name: invite.inviterName };
+    });
+
+    console.log(`Users ${member.userId} and ${userId} are now linked family`);
+    return member;
+  },
+
+  /**
+   * Remove a family link from both sides
+   * @param {string} userId - User removing the link
+   * @param {string} memberId - Family member to remove
+   * @returns {Promise<boolean>} True if the two were linked
+   */
+  async removeMember(userId, memberId) {
+    if (!userId) throw familyError(401, 'Authentication required');
+    if (!memberId) throw familyError(400, 'Family member ID is required');
+
+    const db = admin.firestore();
+    const refs = [db.collection('users').doc(userId), db.collection('users').doc(String(memberId))];
+
+    return db.runTransaction(async transaction => {
+      const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+      const lists = docs.map(doc => (doc.exists && doc.data().familyMembers) || []);
+      if (!lists[0].includes(memberId) && !lists[1].includes(userId)) return false;
+
+      if (docs[0].exists) transaction.update(refs[0], { familyMembers: lists[0].filter(id => id !== memberId) });
+      if (docs[1].exists) transaction.update(refs[1], { familyMembers: lists[1].filter(id => id !== userId) });
+      return true;
+    });
+  },
+
+  /**
+   * A user's family: the users they are linked with, where the link is on both sides
+   * @param {Object} user - User data
+   * @returns {Promise<Array>} Family members' user data, in the order they were linked
+   */
+  async getMembers(user) {
+    const members = await Promise.all((user.familyMembers || []).map(memberId =>
+      userService.getUserById(memberId).catch(error => {
+        console.error(`Error loading family member ${memberId} of ${user.id}:`, error.message);
+        return null;
+      })
+    ));
+    return members.filter(member => member && (member.familyMembers || []).includes(user.id));
+  }
+};
+
+module.exports = familyService;
@@ -0,0 +1,418 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const userService = require('../userService');
+const checkInService = require('./checkInService');
+const geofence = require('../../utils/geo/geofence');
+const { ROLE_GROUPS } = require('../../config/roles');
+require('dotenv').config();
+
+/*
+ * SOS beacon. Starting one opens a critical-priority session in `sosSessions`
+ * tied to the user and marks them as needing help. `sosActive/<userId>`
+ * points at the user's open session; it is created and removed in the same
+ * transactions that open and close the session, so a user never has two
+ * open at once and every instance agrees on which one is open.
+ *
+ * While it is open the client streams its position over the socket
+ * (sos-location); every point is kept in the session's `track` subcollection
+ * for after-action review, and the user's live location in UserManager moves
+ * with it.
+ *
+ * The user's personal emergency contacts and the responders connected within
+ * SOS_RESPONDER_RADIUS_KM get a tracking link (PUBLIC_BASE_URL/sos-track.html
+ * ?token=...), which anyone holding it can open without an account until the
+ * session is closed. Socket clients can join the live feed with sos-watch.
+ * The user or a responder closes the session; the link then stops showing
+ * where the user is.
+ */
+
+const COLLECTION = 'sosSessions';
+const TRACK = 'track';
+const ACTIVE = 'sosActive';
+
+const RESPONDER_RADIUS_KM = parseFloat(process.env.SOS_RESPONDER_RADIUS_KM || '10');
+
+// Points recorded closer together than this (by the device clock) are still shown live but not stored
+const MIN_POINT_INTERVAL_MS = parseFloat(process.env.SOS_MIN_POINT_INTERVAL_SECONDS || '2') * 1000;
+
+// Points the public tracking view returns
+const TRACKING_TAIL = 50;
+
+/**
+ * Error with an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function sosError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Track point from a client location
+ * @param {Object} location - { lat, lng } or { latitude, longitude }, with optional accuracy,
+ *   heading, speed (device units) and timestamp
+ * @returns {Object} { lat, lng, accuracy, heading, speed, recordedAt }
+ */
+function toTrackPoint(location) {
+  const lat = Number(location && (location.lat !== undefined ? location.lat : location.latitude));
+  const lng = Number(location && (location.lng !== undefined ? location.lng : location.longitude));
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw sosError(400, 'location needs valid lat and lng');
+  }
+
+  const optional = value => (value == null || !Number.isFinite(Number(value)) ? null : Number(value));
+  const timestamp = Date.parse(location.timestamp);
+  const now = Date.now();
+  return {
+    lat,
+    lng,
+    accuracy: optional(location.accuracy),
+    heading: optional(location.heading),
+    speed: optional(location.speed),
+    // Devices with a wrong clock should not reorder the track
+    recordedAt: new Date(Number.isFinite(timestamp) && timestamp <= now ? timestamp : now).toISOString(),
+    receivedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * The socket service, loaded on use: it handles the SOS events, so it cannot
+ * be required while this module loads
+ * @returns {Object} socketService (io and userManager are null before Socket.IO starts)
+ */
+function getSocketService() {
+  return require('../socket/socketService');
+}
+
+const sosService = {
+  /**
+   * Start an SOS for a user. A user with an open session gets that session back.
+   * @param {string} userId - User ID
+   * @param {Object} options - { location, message, channel: 'app' | 'socket' }
+   * @returns {Promise<Object>} { session, trackingUrl, resumed }
+   */
+  async start(userId, { location = null, message = null, channel = 'app' } = {}) {
+    if (!userId) throw sosError(401, 'Authentication required');
+
+    // Without a location, start from where the user's socket last placed them
+    const { userManager } = getSocketService();
+    const live = !location && userManager && userManager.extractUserLocation(userManager.connectedUsers.get(userId));
+    const point = location || live ? toTrackPoint(location || live) : null;
+
+    const user = await userService.getUserById(userId);
+    if (!user) throw sosError(404, 'User not found');
+
+    const now = new Date().toISOString();
+    const session = {
+      userId,
+      name: user.name || null,
+      phone: user.phone || null,
+      status: 'active',
+      priority: 'critical',
+      channel,
+      message: message ? String(message).slice(0, 280) : null,
+      trackToken: crypto.randomBytes(24).toString('base64url'),
+      lastLocation: point,
+      startedAt: now,
+      updatedAt: now,
+      closedAt: null,
+      closedBy: null,
+      closeReason: null,
+      notified: [],
+      responders: []
+    };
+
+    const db = admin.firestore();
+    const activeRef = db.collection(ACTIVE).doc(userId);
+    const ref = db.collection(COLLECTION).doc();
+    const open = await db.runTransaction(async transaction => {
+      const active = await transaction.get(activeRef);
+      if (active.exists) return active.data();
+
+      transaction.set(ref, session);
+      transaction.set(activeRef, { sessionId: ref.id, trackToken: session.trackToken, startedAt: now });
+      return null;
+    });
+    if (open) {
+      if (location) await this.recordLocation(userId, location);
+      return { session: this.describe(await this.getSessionDoc(open.sessionId)), trackingUrl: this.trackingUrl(open.trackToken), resumed: true };
+    }
+
+    session.id = ref.id;
+    if (point) await ref.collection(TRACK).add(point);
+
+    // Family boards show the user as needing help while the SOS runs
+    await userService.setSafetyStatus(userId, { status: 'help', channel, location: point && { lat: point.lat, lng: point.lng }, message: session.message })
+      .catch(error => console.error(`Error marking SOS user ${userId} as needing help:`, error.message));
+
+    const trackingUrl = this.trackingUrl(session.trackToken);
+    const alert = {
+      sessionId: session.id,
+      userId,
+      name: session.name,
+      message: session.message,
+      location: point,
+      startedAt: now,
+      trackingUrl
+    };
+    const name = session.name || 'A SafeEscape user';
+    const responders = this.alertResponders(point, alert);
+    const notified = await checkInService.tellContacts(user, 'sos-started', alert,
+      `SafeEscape SOS: ${name} needs urgent help. Follow their live location: ${trackingUrl} If you can, call 112.`);
+
+    session.notified = notified;
+    session.responders = responders;
+    await ref.update({ notified, responders });
+
+    console.log(`🆘 SOS ${session.id} started by user ${userId}; ${notified.length} contacts and ${responders.length} responders alerted`);
+    return { session: this.describe(session), trackingUrl, resumed: false };
+  },
+
+  /**
+   * Send an SOS to responders connected near the user
+   * @param {Object|null} point - Where the user is
+   * @param {Object} alert - sos-started event data
+   * @returns {Array} [{ userId, distanceKm }] for responders alerted
+   */
+  alertResponders(point, alert) {
+    const { userManager } = getSocketService();
+    if (!userManager || !point) return [];
+
+    const area = geofence.prepare({ location: point, radius: RESPONDER_RADIUS_KM * 1000 });
+    const alerted = [];
+    userManager.getUsersInBounds(area.bounds).forEach(([userId, info]) => {
+      const role = info.userData && info.userData.role;
+      if (userId === alert.userId || !ROLE_GROUPS.responders.includes(role)) return;
+
+      const position = geofence.locate(userManager.extractUserLocation(info), area);
+      if (!position || !position.inside) return;
+
+      const distanceKm = Math.round(position.distance / 100) / 10;
+      if (userManager.sendToUser(userId, 'sos-started', { ...alert, distanceKm, responder: true })) {
+        alerted.push({ userId, distanceKm });
+      }
+    });
+    return alerted;
+  },
+
+  /**
+   * Add a point to a user's open SOS: moves them in UserManager, stores the
+   * point and sends it to everyone watching
+   * @param {string} userId - User ID
+   * @param {Object} location - Client location
+   * @returns {Promise<Object>} { sessionId, point, stored }
+   */
+  async recordLocation(userId, location) {
+    const point = toTrackPoint(location);
+    const session = await this.findActiveSession(userId);
+    if (!session) throw sosError(404, 'No active SOS');
+
+    // The status is checked in the transaction that stores the point, so a
+    // session closed on another instance takes no more points
+    const db = admin.firestore();
+    const ref = db.collection(COLLECTION).doc(session.id);
+    const { stored, latest } = await db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || doc.data().status !== 'active') throw sosError(404, 'No active SOS');
+
+      // Spacing is measured on the device clock: points buffered while offline
+      // arrive together on reconnect but were recorded minutes apart
+      const last = doc.data().lastLocation;
+      const gap = last ? Date.parse(point.recordedAt) - Date.parse(last.recordedAt) : Infinity;
+      if (Math.abs(gap) < MIN_POINT_INTERVAL_MS) return { stored: false, latest: gap >= 0 };
+
+      transaction.set(ref.collection(TRACK).doc(), point);
+      // A buffered point older than the last one fills in the track but is not where the user is now
+      if (gap > 0) transaction.update(ref, { lastLocation: point, updatedAt: point.receivedAt });
+      return { stored: true, latest: gap > 0 };
+    });
+
+    const { io, userManager } = getSocketService();
+    if (userManager && latest) userManager.updateUserLocation(userId, { latitude: point.lat, longitude: point.lng });
+    if (io) io.to(`sos-${session.id}`).emit('sos-location-update', { sessionId: session.id, point });
+
+    return { sessionId: session.id, point, stored };
+  },
+
+  /**
+   * Close an SOS. The user who started it and responders may close it.
+   * @param {string} sessionId - Session ID
+   * @param {Object} closer - { userId, role }
+   * @param {string} reason - Why it was closed (e.g. "rescued", "false alarm")
+   * @returns {Promise<Object>} Closed session
+   */
+  async close(sessionId, closer, reason = null) {
+    const session = await this.getSessionDoc(sessionId);
+    const isOwner = closer && closer.userId === session.userId;
+    if (!isOwner && !(closer && ROLE_GROUPS.responders.includes(closer.role))) {
+      throw sosError(403, 'Only the user or a responder can close this SOS');
+    }
+    if (session.status !== 'active') throw sosError(409, 'This SOS is already closed');
+
+    const db = admin.firestore();
+    const ref = db.collection(COLLECTION).doc(sessionId);
+    const closedAt = new Date().toISOString();
+    const update = {
+      status: 'closed',
+      closedAt,
+      updatedAt: closedAt,
+      closedBy: { userId: closer.userId, role: isOwner ? 'user' : closer.role },
+      closeReason: reason ? String(reason).slice(0, 280) : null
+    };
+    await db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      if (doc.data().status !== 'active') throw sosError(409, 'This SOS is already closed');
+
+      transaction.update(ref, update);
+      transaction.delete(db.collection(ACTIVE).doc(session.userId));
+    });
+
+    const ended = { sessionId, userId: session.userId, closedBy: update.closedBy, reason: update.closeReason, closedAt };
+    const { io } = getSocketService();
+    if (io) {
+      // Rooms overlap (the user also watches their own feed); Socket.IO sends each socket one copy
+      const userIds = [session.userId, closer.userId, ...(session.responders || []).map(responder => responder.userId)];
+      io.to([`sos-${sessionId}`, ...userIds.map(userId => `user-${userId}`)]).emit('sos-closed', ended);
+    }
+
+    // Contacts who were texted the link are told it has ended
+    const texted = (session.notified || []).filter(contact => contact.via === 'sms');
+    if (texted.length > 0) {
+      const user = await userService.getUserById(session.userId).catch(() => null);
+      const name = session.name || 'A SafeEscape user';
+      if (user) {
+        await checkInService.tellContacts({ ...user, emergencyContacts: texted }, 'sos-closed', ended,
+          `SafeEscape: the SOS from ${name} has ended${isOwner ? '' : ' (closed by a responder)'}.`);
+      }
+    }
+
+    console.log(`SOS ${sessionId} closed by ${update.closedBy.role} ${closer.userId}`);
+    return this.describe({ ...session, ...update });
+  },
+
+  /**
+   * A session with its full track, for the user who started it and responders
+   * @param {string} sessionId - Session ID
+   * @param {Object} requester - { userId, role }
+   * @returns {Promise<Object>} Session with track in recorded order
+   */
+  async getSession(sessionId, requester) {
+    const session = await this.getSessionDoc(sessionId);
+    if (!requester || (requester.userId !== session.userId && !ROLE_GROUPS.responders.includes(requester.role))) {
+      throw sosError(403, 'You do not have permission to view this SOS');
+    }
+
+    const snapshot = await admin.firestore().collection(COLLECTION).doc(sessionId)
+      .collection(TRACK).orderBy('recordedAt').get();
+    const track = [];
+    snapshot.forEach(doc => track.push(doc.data()));
+
+    return { ...this.describe(session), trackingUrl: this.trackingUrl(session.trackToken), notified: session.notified, responders: session.responders, track };
+  },
+
+  /**
+   * Open SOS sessions, oldest first, for responders
+   * @returns {Promise<Array>} Sessions
+   */
+  async listActive() {
+    const snapshot = await admin.firestore().collection(COLLECTION).where('status', '==', 'active').get();
+    const sessions = [];
+    snapshot.forEach(doc => sessions.push(this.describe({ id: doc.id, ...doc.data() })));
+    return sessions.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  },
+
+  /**
+   * What a tracking link shows: the latest points while the SOS is open,
+   * only its status once it is closed
+   * @param {string} token - Token from the tracking link
+   * @returns {Promise<Object>} { sessionId, name, status, startedAt, closedAt, lastLocation, track }
+   */
+  async getTracking(token) {
+    if (!token) throw sosError(404, 'Tracking link not found');
+
+    const db = admin.firestore();
+    const snapshot = await db.collection(COLLECTION).where('trackToken', '==', String(token)).limit(1).get();
+    if (snapshot.empty) throw sosError(404, 'Tracking link not found');
+
+    const doc = snapshot.docs[0];
+    const session = doc.data();
+    const view = {
+      sessionId: doc.id,
+      name: session.name,
+      status: session.status,
+      message: session.message,
+      startedAt: session.startedAt,
+      closedAt: session.closedAt,
+      lastLocation: null,
+      track: []
+    };
+    if (session.status !== 'active') return view;
+
+    const points = await db.collection(COLLECTION).doc(doc.id)
+      .collection(TRACK).orderBy('recordedAt', 'desc').limit(TRACKING_TAIL).get();
+    points.forEach(point => view.track.unshift(point.data()));
+    return { ...view, lastLocation: session.lastLocation };
+  },
+
+  /**
+   * Session ID a socket may watch: the user's own, any for responders, or the one a tracking token opens
+   * @param {Object} request - { sessionId, token }
+   * @param {Object} requester - { userId, role } of the socket, if signed in
+   * @returns {Promise<string>} Session ID
+   */
+  async authorizeWatch({ sessionId, token } = {}, requester) {
+    if (token) return (await this.getTracking(token)).sessionId;
+    await this.getSession(sessionId, requester);
+    return sessionId;
+  },
+
+  /**
+   * A user's open session
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { id, userId, trackToken }
+   */
+  async findActiveSession(userId) {
+    const doc = await admin.firestore().collection(ACTIVE).doc(userId).get();
+    if (!doc.exists) return null;
+
+    const { sessionId, trackToken } = doc.data();
+    return { id: sessionId, userId, trackToken };
+  },
+
+  /**
+   * Load a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Session with its id
+   */
+  async getSessionDoc(sessionId) {
+    if (!sessionId) throw sosError(400, 'sessionId is required');
+    const doc = await admin.firestore().collection(COLLECTION).doc(String(sessionId)).get();
+    if (!doc.exists) throw sosError(404, 'SOS not found');
+    return { id: doc.id, ...doc.data() };
+  },
+
+  /**
+   * Public tracking page for a token
+   * @param {string} token - Tracking token
+   * @returns {string} URL
+   */
+  trackingUrl(token) {
+    const base = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${base.replace(/\/$/, '')}/sos-track.html?token=${token}`;
+  },
+
+  /**
+   * Session fields for API responses; the tracking token only travels inside the link
+   * @param {Object} session - Stored session
+   * @returns {Object} Session summary
+   */
+  describe(session) {
+    const { trackToken, notified, responders, ...summary } = session;
+    return summary;
+  }
+};
+
+module.exports = sosService;
@@ -1,5 +1,14 @@
 const admin = require('firebase-admin');
-const geolib = require('geolib');
+const geofence = require('../../../utils/geo/geofence');
+const deliveryReceiptService = require('../../alerts/deliveryReceiptService');
+const translationService = require('../../translation');
+
+// Text fields translated into each user's language
+const WARNING_TEXT_FIELDS = ['title', 'message', 'instructions'];
+const NOTICE_TEXT_FIELDS = [...WARNING_TEXT_FIELDS, 'evacuationZone', 'evacuationRoutes'];
+
+// Warnings go out in the original wording when translation is slower than this
+const TRANSLATION_OPTIONS = { deadlineMs: translationService.urgentDeadlineMs };
 
 /**
  * Disaster management component for socket service
@@ -66,91 +75,79 @@ class DisasterManager {
    * @param {Object} disaster - Disaster data
    */
   processDisaster(disaster) {
+    // Polygon area when the disaster has one, otherwise its point and radius
+    const area = geofence.prepare(disaster, 50000); // Default 50km radius
+    
     // Skip if disaster has no location
-    if (!disaster.location || !disaster.location.latitude || !disaster.location.longitude) {
-      console.log(`Disaster ${disaster.id} has no valid location`);
+    if (!area) {
+      console.log(`Disaster ${disaster.id} has no valid location or geometry`);
       return;
     }
     
-    const disasterLocation = {
-      latitude: disaster.location.latitude,
-      longitude: disaster.location.longitude
-    };
-    
-    const radius = disaster.radius || 50000; // Default 50km radius
-    const affectedUsers = [];
-    
-    // Batch process users instead of iterating one by one
-    const userBatch = Array.from(this.userManager.getConnectedUsers().entries());
-    
-    // Process users in parallel using Promise.all for better performance
-    Promise.all(userBatch.map(([userId, user]) => {
-      return new Promise(resolve => {
-        // Extract user location efficiently
-        let userLocation = this.userManager.extractUserLocation(user);
-        
-        if (!userLocation) {
-          resolve(); // Skip this user
-          return;
-        }
-        
-        // Calculate distance between user and disaster
-        const distance = geolib.getDistance(userLocation, disasterLocation);
-        
-        // If user is within disaster radius, add to affected users
-        if (distance <= radius) {
-          affectedUsers.push({
-            userId,
-            socketId: user.socketId,
-            distance,
-            location: userLocation
-          });
-        }
-        resolve();
-      });
-    })).then(() => {
+    try {
+      const affectedUsers = this.findAffectedUsers(area);
       console.log(`Found ${affectedUsers.length} users affected by disaster ${disaster.id}`);
       
       // Notify affected users if any
       if (affectedUsers.length > 0) {
         // Use optimized notification method
-        this.notifyAffectedUsersOptimized(disaster, affectedUsers);
+        this.notifyAffectedUsersOptimized(disaster, affectedUsers, area);
       }
-    }).catch(error => {
+    } catch (error) {
       console.error(`Error processing disaster ${disaster.id}:`, error);
+    }
+  }
+  
+  /**
+   * Find connected users inside a disaster area. Only users in the geohash
+   * cells overlapping the area's bounding box are checked.
+   * @param {Object} area - Area from geofence.prepare()
+   * @returns {Array} Affected users with distance information
+   */
+  findAffectedUsers(area) {
+    const affectedUsers = [];
+    
+    this.userManager.getUsersInBounds(area.bounds).forEach(([userId, user]) => {
+      // Extract user location efficiently
+      const userLocation = this.userManager.extractUserLocation(user);
+      if (!userLocation) return;
+      
+      // Check whether the user is inside the disaster area
+      const position = geofence.locate(userLocation, area);
+      
+      // If user is within disaster area, add to affected users
+      if (position && position.inside) {
+        affectedUsers.push({
+          userId,
+          socketId: user.socketId,
+          language: this.userManager.getUserLanguage(userId),
+          distance: position.distance,
+          insidePolygon: position.method === 'polygon',
+          location: userLocation
+        });
+      }
     });
+    
+    return affectedUsers;
   }
   
   /**
    * Optimized method to notify affected users
    * @param {Object} disaster - Disaster data
    * @param {Array} affectedUsers - List of affected users
+   * @param {Object} area - Area from geofence.prepare()
    */
-  notifyAffectedUsersOptimized(disaster, affectedUsers) {
+  notifyAffectedUsersOptimized(disaster, affectedUsers, area) {
     console.log(`Notifying ${affectedUsers.length} users about disaster ${disaster.id}`);
     
+    const location = disaster.location || {};
+    
     // Prepare disaster warning data once (don't recreate for each user)
-    const warningData = {
-      id: `disaster-${disaster.id}`,
-      title: disaster.title || 'Disaster Warning',
-      message: disaster.description || 'A disaster has been reported in your area',
-      type: disaster.type || 'unknown',
-      severity: disaster.severity || 'high',
-      location: {
-        city: disaster.location.city || 'Unknown',
-        state: disaster.location.state || 'Unknown',
-        coordinates: {
-          latitude: disaster.location.latitude,
-          longitude: disaster.location.longitude
-        }
-      },
-      timestamp: new Date().toISOString(),
-      instructions: disaster.instructions || 'Stay alert and follow official guidance'
-    };
+    const warningData = this.buildWarningData(disaster, area);
     
     const attributes = {
       severity: disaster.severity || 'high',
-      region: `${disaster.location.city || ''},${disaster.location.state || ''}`,
+      region: `${location.city || ''},${location.state || ''}`,
       source: 'automated-check'
     };
     
@@ -158,90 +155,176 @@ class DisasterManager {
     const usersByCity = {};
     const usersByState = {};
     
-    // Process users in batches to prevent blocking
-    const batchSize = 10;
-    let successCount = 0;
+    // Record the socket receipts before sending so client confirmations never race the write
+    const receiptsRecorded = deliveryReceiptService
+      .recordDeliveries(warningData.id, 'socket', affectedUsers.map(user => user.userId), { severity: attributes.severity, type: warningData.type })
+      .catch(error => console.error(`Error recording deliveries for disaster ${disaster.id}:`, error));
     
-    // Process users in smaller batches
-    for (let i = 0; i < affectedUsers.length; i += batchSize) {
-      const batch = affectedUsers.slice(i, i + batchSize);
+    // Translated once per language the affected users read
+    const localizing = this.localizeWarnings(disaster, warningData, affectedUsers.map(user => user.language));
+    
+    Promise.all([receiptsRecorded, localizing]).then(([, localized]) => {
+      // Process users in batches to prevent blocking
+      const batchSize = 10;
+      let successCount = 0;
       
-      // Use setTimeout to prevent blocking the event loop
-      setTimeout(() => {
-        batch.forEach(user => {
-          // Create personalized warning with distance information
-          const distanceKm = (user.distance/1000).toFixed(2);
-          
-          // Send disaster warning - match the frontend listener
-          const disasterWarning = {
-            warning: warningData,
-            attributes: attributes,
-            distance: user.distance,
-            distanceKm: distanceKm,
-            personalMessage: `You are approximately ${distanceKm} km from this ${disaster.type || 'disaster'}.`
-          };
-          this.userManager.sendToUser(user.userId, 'disaster-warning', disasterWarning);
-          
-          // For severe disasters, also send as emergency alert
-          if (disaster.severity === 'high' || disaster.severity === 'critical') {
-            const emergencyAlert = {
-              alert: warningData,
+      // Process users in smaller batches
+      for (let i = 0; i < affectedUsers.length; i += batchSize) {
+        const batch = affectedUsers.slice(i, i + batchSize);
+        
+        // Use setTimeout to prevent blocking the event loop
+        setTimeout(() => {
+          batch.forEach(user => {
+            // Create personalized warning with distance information
+            const distanceKm = (user.distance/1000).toFixed(2);
+            const content = localized.get(user.language);
+            
+            // Send disaster warning - match the frontend listener
+            const disasterWarning = {
+              warning: content.warning,
               attributes: attributes,
               distance: user.distance,
               distanceKm: distanceKm,
-              personalMessage: `URGENT: You are approximately ${distanceKm} km from this ${disaster.type || 'disaster'}.`
-            };
-            this.userManager.sendToUser(user.userId, 'emergency-alert', emergencyAlert);
-          }
-          
-          // If evacuation is recommended, send evacuation notice
-          if (disaster.evacuation) {
-            const evacuationNotice = {
-              notice: {
-                ...warningData,
-                title: `Evacuation: ${warningData.title}`,
-                evacuationZone: disaster.evacuationZone || 'Affected area',
-                evacuationRoutes: disaster.evacuationRoutes || ['Follow official guidance']
-              },
-              attributes: attributes,
-              distance: user.distance
+              personalMessage: content.personalMessage(user)
             };
-            this.userManager.sendToUser(user.userId, 'evacuation-notice', evacuationNotice);
-          }
-          
-          successCount++;
-          
-          // Group by city and state for room broadcasts
-          if (disaster.location.city) {
-            const city = disaster.location.city.toLowerCase();
-            if (!usersByCity[city]) usersByCity[city] = [];
-            usersByCity[city].push(user.userId);
-          }
+            this.userManager.deliverAlert(user.userId, 'disaster-warning', disasterWarning, warningData.id);
+            
+            // For severe disasters, also send as emergency alert
+            if (disaster.severity === 'high' || disaster.severity === 'critical') {
+              const emergencyAlert = {
+                alert: content.warning,
+                attributes: attributes,
+                distance: user.distance,
+                distanceKm: distanceKm,
+                personalMessage: content.urgentMessage(user)
+              };
+              this.userManager.deliverAlert(user.userId, 'emergency-alert', emergencyAlert, warningData.id);
+            }
+            
+            // If evacuation is recommended, send evacuation notice
+            if (disaster.evacuation) {
+              const evacuationNotice = {
+                notice: content.notice,
+                attributes: attributes,
+                distance: user.distance
+              };
+              this.userManager.deliverAlert(user.userId, 'evacuation-notice', evacuationNotice, warningData.id);
+            }
+            
+            successCount++;
+            
+            // Group by city and state for room broadcasts
+            if (location.city) {
+              const city = location.city.toLowerCase();
+              if (!usersByCity[city]) usersByCity[city] = [];
+              usersByCity[city].push(user.userId);
+            }
+            
+            if (location.state) {
+              const state = location.state.toLowerCase();
+              if (!usersByState[state]) usersByState[state] = [];
+              usersByState[state].push(user.userId);
+            }
+          });
           
-          if (disaster.location.state) {
-            const state = disaster.location.state.toLowerCase();
-            if (!usersByState[state]) usersByState[state] = [];
-            usersByState[state].push(user.userId);
-          }
-        });
+          console.log(`Processed batch of ${batch.length} users for disaster ${disaster.id}`);
+        }, Math.floor(i/batchSize) * 100); // Stagger batches by 100ms
+      }
+      
+      // Broadcast to city rooms (more efficient than individual messages)
+      setTimeout(() => {
+        // Broadcast to relevant city/state rooms (polygon areas target individual users only,
+        // since a city room would reach people outside the polygon). Rooms mix languages,
+        // so the broadcast keeps the original wording.
+        if (location.city && !area.geometry) {
+          const cityRoom = `city-${location.city.toLowerCase()}`;
+          this.io.to(cityRoom).emit('disaster-warning', {
+            warning: warningData,
+            attributes: attributes
+          });
+        }
         
-        console.log(`Processed batch of ${batch.length} users for disaster ${disaster.id}`);
-      }, Math.floor(i/batchSize) * 100); // Stagger batches by 100ms
-    }
+        console.log(`Successfully sent notifications to ${successCount} out of ${affectedUsers.length} affected users`);
+      }, 500);
+    }).catch(error => {
+      console.error(`Error notifying users about disaster ${disaster.id}:`, error);
+    });
+  }
+  
+  /**
+   * Build the warning payload shared by disaster-warning, emergency-alert and evacuation-notice
+   * @param {Object} disaster - Disaster data
+   * @param {Object} area - Area from geofence.prepare()
+   * @returns {Object} Warning data
+   */
+  buildWarningData(disaster, area) {
+    const location = disaster.location || {};
     
-    // Broadcast to city rooms (more efficient than individual messages)
-    setTimeout(() => {
-      // Broadcast to relevant city/state rooms
-      if (disaster.location.city) {
-        const cityRoom = `city-${disaster.location.city.toLowerCase()}`;
-        this.io.to(cityRoom).emit('disaster-warning', {
-          warning: warningData,
-          attributes: attributes
-        });
-      }
+    return {
+      id: `disaster-${disaster.id}`,
+      title: disaster.title || 'Disaster Warning',
+      message: disaster.description || 'A disaster has been reported in your area',
+      type: disaster.type || 'unknown',
+      severity: disaster.severity || 'high',
+      location: {
+        city: location.city || 'Unknown',
+        state: location.state || 'Unknown',
+        coordinates: {
+          latitude: area.center.latitude,
+          longitude: area.center.longitude
+        }
+      },
+      // Decoded GeoJSON so clients can draw the affected area
+      geometry: area.geometry || undefined,
+      timestamp: new Date().toISOString(),
+      instructions: disaster.instructions || 'Stay alert and follow official guidance'
+    };
+  }
+  
+  /**
+   * Translate a warning, its evacuation notice and the personal messages
+   * into each language the users read
+   * @param {Object} disaster - Disaster data
+   * @param {Object} warningData - Warning from buildWarningData()
+   * @param {Array<string>} languages - Users' languages (duplicates are fine); translation is
+   *   capped at the delivery deadline, after which the original wording is used
+   * @returns {Promise<Map>} Language => { warning, notice, personalMessage(user), urgentMessage(user) },
+   *   where user is an affected user entry with distance and insidePolygon
+   */
+  async localizeWarnings(disaster, warningData, languages) {
+    const type = disaster.type || 'disaster';
+    const notice = disaster.evacuation ? {
+      ...warningData,
+      title: `Evacuation: ${warningData.title}`,
+      evacuationZone: disaster.evacuationZone || 'Affected area',
+      evacuationRoutes: disaster.evacuationRoutes || ['Follow official guidance']
+    } : null;
+    
+    const entries = await Promise.all([...new Set(languages)].map(async language => {
+      const [warning, localizedNotice, [inside, nearby, urgent]] = await Promise.all([
+        translationService.localize(warningData, WARNING_TEXT_FIELDS, language, TRANSLATION_OPTIONS),
+        notice && translationService.localize(notice, NOTICE_TEXT_FIELDS, language, TRANSLATION_OPTIONS),
+        translationService.template([
+          `You are inside the area affected by this ${type}.`,
+          `You are approximately {distance} km from this ${type}.`,
+          'URGENT: {message}'
+        ], language, TRANSLATION_OPTIONS)
+      ]);
+      
+      // Where the user is relative to the disaster area
+      const personalMessage = user => (user.insidePolygon
+        ? inside()
+        : nearby({ distance: (user.distance/1000).toFixed(2) }));
       
-      console.log(`Successfully sent notifications to ${successCount} out of ${affectedUsers.length} affected users`);
-    }, 500);
+      return [language, {
+        warning,
+        notice: localizedNotice,
+        personalMessage,
+        urgentMessage: user => urgent({ message: personalMessage(user) })
+      }];
+    }));
+    
+    return new Map(entries);
   }
   
   /**
@@ -253,6 +336,7 @@ class DisasterManager {
   async sendActiveDisastersToUser(userId, socketId, options = {}) {
     try {
       const isNewRegistration = options.isNewRegistration !== false;
+      const language = this.userManager.getUserLanguage(userId);
       console.log(`Sending active disasters to user ${userId} (socket: ${socketId}, new: ${isNewRegistration})`);
       
       // Get active disasters from Firestore
@@ -265,7 +349,7 @@ class DisasterManager {
         console.log('No active disasters found to send');
         this.userManager.sendToUser(userId, 'active-disasters', { 
           count: 0,
-          message: 'No active disasters in your area',
+          message: await translationService.translate('No active disasters in your area', language, TRANSLATION_OPTIONS),
           disasters: []
         });
         return;
@@ -295,27 +379,24 @@ class DisasterManager {
       disastersSnapshot.forEach(doc => {
         const disaster = { id: doc.id, ...doc.data() };
         
+        const area = geofence.prepare(disaster, 50000); // Default 50km radius
+        
         // Skip if disaster has no location
-        if (!disaster.location || !disaster.location.latitude || !disaster.location.longitude) {
+        if (!area) {
           return;
         }
         
-        const disasterLocation = {
-          latitude: disaster.location.latitude,
-          longitude: disaster.location.longitude
-        };
-        
-        const radius = disaster.radius || 50000; // Default 50km radius
+        // Check whether the user is inside the disaster area
+        const position = geofence.locate(userLocation, area);
         
-        // Calculate distance between user and disaster
-        const distance = geolib.getDistance(userLocation, disasterLocation);
-        
-        // If user is within disaster radius, add to relevant disasters
-        if (distance <= radius) {
+        // If user is within disaster area, add to relevant disasters
+        if (position && position.inside) {
           const disasterWithDistance = {
             ...disaster,
-            distance: distance,
-            distanceKm: (distance/1000).toFixed(2)
+            geometry: area.geometry || undefined,
+            distance: position.distance,
+            distanceKm: (position.distance/1000).toFixed(2),
+            insidePolygon: position.method === 'polygon'
           };
           
           relevantDisasters.push(disasterWithDistance);
@@ -337,9 +418,10 @@ class DisasterManager {
       console.log(`Found ${relevantDisasters.length} relevant disasters for user ${userId}, ${newDisasters.length} are new`);
       
       // Always send the summary of active disasters
+      const summary = await translationService.template('{count} active disasters in your area', language, TRANSLATION_OPTIONS);
       this.userManager.sendToUser(userId, 'active-disasters', {
         count: relevantDisasters.length,
-        message: `${relevantDisasters.length} active disasters in your area`,
+        message: summary({ count: relevantDisasters.length }),
         disasters: relevantDisasters,
         timestamp: new Date().toISOString()
       });
@@ -350,70 +432,59 @@ class DisasterManager {
         const disastersToProcess = isNewRegistration ? relevantDisasters : newDisasters;
         const batchSize = 2;
         
-        for (let i = 0; i < disastersToProcess.length; i += batchSize) {
-          const batch = disastersToProcess.slice(i, i + batchSize);
+        // Record the socket receipts before sending so client confirmations never race the write
+        await Promise.all(disastersToProcess.map(disaster =>
+          deliveryReceiptService.recordDeliveries(`disaster-${disaster.id}`, 'socket', [userId], { severity: disaster.severity || 'high', type: disaster.type })
+            .catch(error => console.error(`Error recording delivery of disaster ${disaster.id} to user ${userId}:`, error))
+        ));
+        
+        // Prepare disaster warning data in the user's language
+        const prepared = await Promise.all(disastersToProcess.map(async disaster => {
+          const warningData = this.buildWarningData(disaster, geofence.prepare(disaster, 50000));
+          const localized = await this.localizeWarnings(disaster, warningData, [language]);
+          return { disaster, warningData, content: localized.get(language) };
+        }));
+        
+        for (let i = 0; i < prepared.length; i += batchSize) {
+          const batch = prepared.slice(i, i + batchSize);
           
           // Use setTimeout to stagger notifications
           setTimeout(() => {
-            batch.forEach(disaster => {
-              // Prepare disaster warning data
-              const warningData = {
-                id: `disaster-${disaster.id}`,
-                title: disaster.title || 'Disaster Warning',
-                message: disaster.description || 'A disaster has been reported in your area',
-                type: disaster.type || 'unknown',
-                severity: disaster.severity || 'high',
-                location: {
-                  city: disaster.location.city || 'Unknown',
-                  state: disaster.location.state || 'Unknown',
-                  coordinates: {
-                    latitude: disaster.location.latitude,
-                    longitude: disaster.location.longitude
-                  }
-                },
-                timestamp: new Date().toISOString(),
-                instructions: disaster.instructions || 'Stay alert and follow official guidance'
-              };
-              
+            batch.forEach(({ disaster, warningData, content }) => {
               const attributes = {
                 severity: disaster.severity || 'high',
-                region: `${disaster.location.city || ''},${disaster.location.state || ''}`,
+                region: `${(disaster.location || {}).city || ''},${(disaster.location || {}).state || ''}`,
                 source: isNewRegistration ? 'new-registration' : 'new-disaster'
               };
               
               // Create personalized warning with distance information
               const personalizedWarning = {
-                warning: warningData,
+                warning: content.warning,
                 attributes: attributes,
                 distance: disaster.distance,
-                personalMessage: `You are approximately ${disaster.distanceKm} km from this ${disaster.type || 'disaster'}.`
+                personalMessage: content.personalMessage(disaster)
               };
               
               // Send the disaster alert - using the events the frontend is listening for
-              this.userManager.sendToUser(userId, 'disaster-warning', personalizedWarning);
+              this.userManager.deliverAlert(userId, 'disaster-warning', personalizedWarning, warningData.id);
               
               // For severe disasters, also send as emergency alert
               if (disaster.severity === 'high' || disaster.severity === 'critical') {
-                this.userManager.sendToUser(userId, 'emergency-alert', {
-                  alert: warningData,
+                this.userManager.deliverAlert(userId, 'emergency-alert', {
+                  alert: content.warning,
                   attributes: attributes,
                   distance: disaster.distance,
-                  personalMessage: `URGENT: You are approximately ${disaster.distanceKm} km from this ${disaster.type || 'disaster'}.`
-                });
+                  personalMessage: content.urgentMessage(disaster)
+                }, warningData.id);
               }
               
               // If evacuation is recommended, send evacuation notice
               if (disaster.evacuation) {
-                this.userManager.sendToUser(userId, 'evacuation-notice', {
-                  notice: {
-                    ...warningData,
-                    title: `Evacuation: ${warningData.title}`,
-                    evacuationZone: disaster.evacuationZone || 'Affected area',
-                    evacuationRoutes: disaster.evacuationRoutes || ['Follow official guidance']
-                  },
+                this.userManager.deliverAlert(userId, 'evacuation-notice', {
+                  notice: content.notice,
                   attributes: attributes,
                   distance: disaster.distance
-                });
+                }, warningData.id);
               }
             });
           }, Math.floor(i/batchSize) * 500); // Stagger batches by 500ms
@@ -1,3 +1,7 @@
+const geofence = require('../../../utils/geo/geofence');
+const regionRooms = require('../../../utils/geo/regionRooms');
+const deliveryReceiptService = require('../../alerts/deliveryReceiptService');
+
 /**
  * Notification handler component for socket service
  */
@@ -23,8 +27,13 @@ class NotificationHandler {
       attributes: attributes
     });
     
-    // Determine target rooms based on location
-    if (data.location) {
+    // Polygon alerts go to the connected users inside the polygon; rooms would overshoot
+    if (geofence.getGeometry(data)) {
+      this.sendToUsersInArea(data, 'emergency-alert', {
+        alert: data,
+        attributes: attributes
+      });
+    } else if (data.location) {
       const targetRooms = this.getTargetRooms(data.location, attributes.region);
       console.log('Broadcasting to rooms:', targetRooms);
       
@@ -61,7 +70,12 @@ class NotificationHandler {
     });
     
     // Determine target rooms based on location
-    if (data.location) {
+    if (geofence.getGeometry(data)) {
+      this.sendToUsersInArea(data, 'disaster-warning', {
+        warning: data,
+        attributes: attributes
+      });
+    } else if (data.location) {
       const targetRooms = this.getTargetRooms(data.location, attributes.region);
       
       // Broadcast to target rooms
@@ -89,7 +103,12 @@ class NotificationHandler {
     });
     
     // Determine target rooms based on location
-    if (data.area) {
+    if (geofence.getGeometry(data)) {
+      this.sendToUsersInArea(data, 'evacuation-notice', {
+        notice: data,
+        attributes: attributes
+      });
+    } else if (data.area) {
       const targetRooms = this.getTargetRooms(data.area, attributes.region);
       
       // Broadcast to target rooms
@@ -110,6 +129,32 @@ class NotificationHandler {
     }
   }
   
+  /**
+   * Handle alert lifecycle changes (updated, cancelled, superseded, expired)
+   * and forward them as alert-<action> events so clients can replace or clear banners
+   * @param {Object} data - Lifecycle event from alertService.publishLifecycleEvent
+   * @param {Object} attributes - Message attributes
+   */
+  handleAlertLifecycle(data, attributes) {
+    console.log(`Received alert lifecycle event: ${data.alertId} ${data.action}`);
+    
+    const event = `alert-${data.action}`;
+    const payload = {
+      alertId: data.alertId,
+      status: data.status,
+      version: data.version,
+      alert: data.alert,
+      changes: data.changes,
+      reason: data.reason,
+      replacementId: data.replacementId,
+      timestamp: data.timestamp,
+      attributes: attributes
+    };
+    
+    // Every client that may be showing the alert needs to hear about it, not only those in its area
+    this.io.emit(event, payload);
+  }
+  
   /**
    * Handle system notification
    * @param {Object} data - Notification data
@@ -126,39 +171,55 @@ class NotificationHandler {
   }
   
   /**
-   * Get target rooms based on location
+   * Send an event to every connected user whose location is inside the target area,
+   * recording a socket delivery receipt for each of them
+   * @param {Object} target - Alert, warning or notice with a geometry or point and radius
+   * @param {string} event - Event name
+   * @param {Object} payload - Event data
+   * @returns {Promise<number>} Number of users notified
+   */
+  async sendToUsersInArea(target, event, payload) {
+    const area = geofence.prepare(target, 10000);
+    if (!area) return 0;
+    
+    try {
+      const recipients = this.userManager.getUsersInBounds(area.bounds)
+        .filter(([, user]) => {
+          const position = geofence.locate(this.userManager.extractUserLocation(user), area);
+          return position && position.inside;
+        })
+        .map(([userId]) => userId);
+      
+      // Record the receipts before sending so client confirmations never race the write
+      if (target.id) {
+        await deliveryReceiptService.recordDeliveries(target.id, 'socket', recipients, { severity: target.severity, type: target.type })
+          .catch(error => console.error(`Error recording deliveries for ${target.id}:`, error));
+      }
+      
+      recipients.forEach(userId => {
+        if (target.id) {
+          this.userManager.deliverAlert(userId, event, payload, target.id);
+        } else {
+          this.userManager.sendToUser(userId, event, payload);
+        }
+      });
+      
+      console.log(`Sent ${event} to ${recipients.length} users inside the target area`);
+      return recipients.length;
+    } catch (error) {
+      console.error(`Error sending ${event} to users in area:`, error);
+      return 0;
+    }
+  }
+  
+  /**
+   * Get target rooms based on location (the same names are used as FCM topics)
    * @param {Object} location - Location data
    * @param {string} region - Region string
    * @returns {Array} List of room names
    */
   getTargetRooms(location, region) {
-    const rooms = [];
-    
-    // Add country room
-    rooms.push('country-india');
-    
-    // Add state room if available
-    if (location && location.state) {
-      rooms.push(`state-${location.state.toLowerCase()}`);
-    }
-    
-    // Add city room if available
-    if (location && location.city) {
-      rooms.push(`city-${location.city.toLowerCase()}`);
-    }
-    
-    // Add region room if specified
-    if (region && region !== 'all') {
-      const regionParts = region.split(',');
-      if (regionParts.length > 0) {
-        rooms.push(`city-${regionParts[0].toLowerCase()}`);
-      }
-      if (regionParts.length > 1) {
-        rooms.push(`state-${regionParts[1].toLowerCase()}`);
-      }
-    }
-    
-    return rooms;
+    return regionRooms.getTargetRooms(location, region);
   }
   
   /**
@@ -1,4 +1,11 @@
 const admin = require('firebase-admin');
+const GeohashIndex = require('../../../utils/geo/geohashIndex');
+const regionRooms = require('../../../utils/geo/regionRooms');
+const deliveryReceiptService = require('../../alerts/deliveryReceiptService');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../../../config/languages');
+
+// How long a client has to confirm an alert event before it stays "sent"
+const DELIVERY_ACK_TIMEOUT_MS = 10000;
 
 /**
  * User management component for socket service
@@ -7,6 +14,8 @@ class UserManager {
   constructor(io) {
     this.io = io;
     this.connectedUsers = new Map();
+    // Geohash cells of connected users, so disaster targeting only checks nearby users
+    this.locationIndex = new GeohashIndex();
   }
   
   /**
@@ -34,30 +43,13 @@ class UserManager {
       
       // Store user in connected users map with their location
       if (userData.location) {
-        // Handle different location formats
-        let locationCoordinates = null;
-        
-        if (userData.location.coordinates) {
-          // Check if coordinates is an array [longitude, latitude] (GeoJSON format)
-          if (Array.isArray(userData.location.coordinates) && userData.location.coordinates.length === 2) {
-            locationCoordinates = {
-              longitude: userData.location.coordinates[0],
-              latitude: userData.location.coordinates[1]
-            };
-            console.log(`Parsed coordinates from array: ${JSON.stringify(locationCoordinates)}`);
-          } 
-          // Check if coordinates is an object with lat/lng properties
-          else if (typeof userData.location.coordinates === 'object') {
-            locationCoordinates = userData.location.coordinates;
-            console.log(`Using coordinates object: ${JSON.stringify(locationCoordinates)}`);
-          }
-        }
-        
         this.connectedUsers.set(userData.userId, {
           socketId: socket.id,
-          location: locationCoordinates || userData.location,
+          location: this.normalizeLocation(userData.location),
+          language: resolveLanguage(userData.language) || DEFAULT_LANGUAGE,
           userData: userData
         });
+        this.indexUser(userData.userId);
         
         console.log(`Stored user location: ${JSON.stringify(this.connectedUsers.get(userData.userId).location)}`);
       }
@@ -65,24 +57,11 @@ class UserManager {
       // Join user-specific room
       socket.join(`user-${userData.userId}`);
       
-      // Join location-based rooms
-      if (userData.location) {
-        const city = userData.location.city?.toLowerCase();
-        const state = userData.location.state?.toLowerCase();
-        
-        if (city) {
-          socket.join(`city-${city}`);
-          console.log(`User joined room: city-${city}`);
-        }
-        if (state) {
-          socket.join(`state-${state}`);
-          console.log(`User joined room: state-${state}`);
-        }
-        
-        // Join country room
-        socket.join('country-india');
-        console.log(`User joined room: country-india`);
-      }
+      // Join location-based rooms (FCM topics use the same names)
+      regionRooms.getUserRooms(userData.location).forEach(room => {
+        socket.join(room);
+        console.log(`User joined room: ${room}`);
+      });
       
       // Confirm registration - send this immediately and with multiple methods
       console.log(`Sending registration confirmation to user ${userData.userId}`);
@@ -117,6 +96,93 @@ class UserManager {
     }
   }
   
+  /**
+   * Normalize the location formats clients send on register/update
+   * @param {Object} location - Location from the client
+   * @returns {Object} Location to store for the user
+   */
+  normalizeLocation(location) {
+    let locationCoordinates = null;
+    
+    if (location.coordinates) {
+      // Check if coordinates is an array [longitude, latitude] (GeoJSON format)
+      if (Array.isArray(location.coordinates) && location.coordinates.length === 2) {
+        locationCoordinates = {
+          longitude: location.coordinates[0],
+          latitude: location.coordinates[1]
+        };
+        console.log(`Parsed coordinates from array: ${JSON.stringify(locationCoordinates)}`);
+      } 
+      // Check if coordinates is an object with lat/lng properties
+      else if (typeof location.coordinates === 'object') {
+        locationCoordinates = location.coordinates;
+        console.log(`Using coordinates object: ${JSON.stringify(locationCoordinates)}`);
+      }
+    }
+    
+    return locationCoordinates || location;
+  }
+  
+  /**
+   * Update a connected user's location and re-index them
+   * @param {string} userId - User ID
+   * @param {Object} location - New location (same formats as registration)
+   * @returns {boolean} True if the user is connected and was updated
+   */
+  updateUserLocation(userId, location) {
+    const userInfo = this.connectedUsers.get(userId);
+    if (!userInfo || !location) return false;
+    
+    const previous = userInfo.userData?.location || {};
+    // Coordinate-only updates from moving clients keep the last known city/state (and rooms)
+    const current = location.city || location.state ? location : { ...location, city: previous.city, state: previous.state };
+    userInfo.location = this.normalizeLocation(current);
+    userInfo.userData = { ...userInfo.userData, location: current };
+    this.indexUser(userId);
+    
+    // Move the socket to the new city/state rooms
+    const socket = this.io.sockets.sockets.get(userInfo.socketId);
+    if (socket) {
+      const before = regionRooms.getUserRooms(previous);
+      const after = regionRooms.getUserRooms(current);
+      before.filter(room => !after.includes(room)).forEach(room => socket.leave(room));
+      after.filter(room => !before.includes(room)).forEach(room => socket.join(room));
+    }
+    
+    console.log(`Updated location for user ${userId} (cell ${this.locationIndex.getCell(userId)})`);
+    return true;
+  }
+  
+  /**
+   * Language a connected user's alerts are translated into
+   * @param {string} userId - User ID
+   * @returns {string} Language code
+   */
+  getUserLanguage(userId) {
+    const userInfo = this.connectedUsers.get(userId);
+    return (userInfo && userInfo.language) || DEFAULT_LANGUAGE;
+  }
+  
+  /**
+   * Add or move a connected user in the location index
+   * @param {string} userId - User ID
+   */
+  indexUser(userId) {
+    this.locationIndex.update(userId, this.extractUserLocation(this.connectedUsers.get(userId)));
+  }
+  
+  /**
+   * Connected users whose geohash cell overlaps a bounding box. These are
+   * candidates: callers still run the exact polygon/radius check.
+   * @param {Object} bounds - { minLat, maxLat, minLng, maxLng }
+   * @returns {Array} [userId, userInfo] pairs
+   */
+  getUsersInBounds(bounds) {
+    return this.locationIndex.queryBounds(bounds)
+      .filter(userId => this.connectedUsers.has(userId))
+      .map(userId => [userId, this.connectedUsers.get(userId)]);
+  }
+  
   /**
    * Send a direct message to a specific user
    * @param {string} userId - User ID
@@ -158,6 +224,37 @@ class UserManager {
     }
   }
   
+  /**
+   * Send an alert event to a user and mark the socket receipt delivered when
+   * the client calls the Socket.IO acknowledgement callback
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Message data
+   * @param {string} alertId - Alert ID the receipt is stored under
+   * @returns {boolean} Success status
+   */
+  deliverAlert(userId, event, data, alertId) {
+    const userInfo = this.connectedUsers.get(userId);
+    const socket = userInfo && this.io.sockets.sockets.get(userInfo.socketId);
+    
+    // Users connected to another instance can only be reached through their room
+    if (!socket) {
+      return this.sendToUser(userId, event, data);
+    }
+    
+    try {
+      socket.timeout(DELIVERY_ACK_TIMEOUT_MS).emit(event, data, (err) => {
+        if (err) return;
+        deliveryReceiptService.markDelivered(alertId, userId, 'socket')
+          .catch(error => console.error(`Error marking ${alertId} delivered to user ${userId}:`, error));
+      });
+      return true;
+    } catch (error) {
+      console.error(`Error sending ${event} to user ${userId}:`, error);
+      return false;
+    }
+  }
+  
   /**
    * Extract user location from various possible formats
    * @param {Object} user - User object
@@ -245,6 +342,7 @@ class UserManager {
       
       // Remove user from connected users map
       this.connectedUsers.delete(disconnectedUserId);
+      this.locationIndex.remove(disconnectedUserId);
       
       // Emit user disconnected event for other components
       this.io.emit('user-disconnected', { userId: disconnectedUserId });
@@ -5,7 +5,18 @@ const geolib = require('geolib');
 // Import the UserManager component
 const UserManager = require('./components/userManager');
 const NotificationHandler = require('./components/notificationHandler');
-const DisasterManager = require('./components/disastermanager');
+const DisasterManager = require('./components/disasterManager');
+const deliveryReceiptService = require('../alerts/deliveryReceiptService');
+const checkInService = require('../safety/checkInService');
+const sosService = require('../safety/sosService');
+const pushNotificationService = require('../notificationServices/pushNotifications/pushNotification');
+const { socketAuthMiddleware } = require('../../middleware/auth/socketAuth');
+const emergencyChatbot = require('../vertexai/emergencyChatbot');
+const userService = require('../userService');
+const { resolveLanguage } = require('../../config/languages');
+
+// Chatbot answers a single socket may stream at once
+const MAX_CHAT_STREAMS_PER_SOCKET = 3;
 
 /**
  * Socket.IO service for real-time communication
@@ -35,6 +46,9 @@ const socketService = {
     // Store reference to socketService for use in callbacks
     const self = this;
     
+    // Verify the access token in the handshake and bind socket.user to that user
+    this.io.use(socketAuthMiddleware);
+    
     // Set up connection handler
     this.io.on('connection', (socket) => {
       console.log(`Client connected to socketService: ${socket.id}`);
@@ -57,9 +71,9 @@ const socketService = {
           timestamp: new Date().toISOString()
         });
         
-        // If user ID is provided, test room-based messaging
-        if (data && data.userId) {
-          self.userManager.sendToUser(data.userId, 'test-user-message', {
+        // Test room-based messaging on the caller's own room
+        if (socket.user) {
+          self.userManager.sendToUser(socket.user.userId, 'test-user-message', {
             message: 'Room-based message test',
             timestamp: new Date().toISOString()
           });
@@ -101,16 +115,181 @@ const socketService = {
       // Handle user registration - use both 'register' and 'register_user' events for compatibility
       socket.on('register', handleUserRegistration);
       socket.on('register_user', handleUserRegistration);
+
+      // Handle location changes from moving users (keeps the spatial index current)
+      socket.on('update-location', (data) => {
+        const userId = socket.userData && socket.userData.userId;
+        if (!userId || !data || !data.location) {
+          socket.emit('location-updated', { success: false, message: 'Register first and send a location' });
+          return;
+        }
+
+        const updated = self.userManager.updateUserLocation(userId, data.location);
+        socket.emit('location-updated', { success: updated, timestamp: new Date().toISOString() });
+
+        // Only disasters the user has not been told about yet are sent
+        if (updated) {
+          self.disasterManager.sendActiveDisastersToUser(userId, socket.id, { isNewRegistration: false });
+        }
+        
+        // Keep the user's FCM topics in step with the rooms they just moved to
+        // (coordinate-only updates keep the rooms, so the topics stay too)
+        if (updated && (data.location.city || data.location.state)) {
+          pushNotificationService.syncUserTopics(userId, data.location)
+            .catch(error => console.error(`Error updating FCM topics for user ${userId}:`, error));
+        }
+      });
+
+      // Handle alert acknowledgements ("I've seen this") from registered users
+      socket.on('alert-ack', async (data) => {
+        const userId = socket.userData && socket.userData.userId;
+        if (!userId || !data || !data.alertId) {
+          socket.emit('alert-ack-received', { success: false, message: 'Register first and send an alertId' });
+          return;
+        }
+        
+        try {
+          await deliveryReceiptService.acknowledge(data.alertId, userId, 'socket');
+          socket.emit('alert-ack-received', { success: true, alertId: data.alertId, timestamp: new Date().toISOString() });
+        } catch (error) {
+          console.error(`Error acknowledging alert ${data.alertId} for user ${userId}:`, error);
+          socket.emit('alert-ack-received', { success: false, alertId: data.alertId, message: error.message });
+        }
+      });
+      
+      // Handle "I'm safe" / "I need help" check-ins; without a location the live one is used
+      socket.on('safety-check-in', async (data) => {
+        const userId = socket.user && socket.user.userId;
+        if (!userId || !data || !data.status) {
+          socket.emit('safety-check-in-recorded', { success: false, message: 'Sign in first and send a status' });
+          return;
+        }
+        
+        try {
+          const result = await checkInService.checkIn(userId, {
+            status: data.status,
+            channel: 'socket',
+            location: data.location || self.userManager.extractUserLocation(self.connectedUsers.get(userId)),
+            message: data.message,
+            alertId: data.alertId
+          });
+          socket.emit('safety-check-in-recorded', { success: true, ...result });
+        } catch (error) {
+          console.error(`Error recording check-in for user ${userId}:`, error);
+          socket.emit('safety-check-in-recorded', { success: false, message: error.message });
+        }
+      });
+      
+      // SOS beacon: sos-start opens a session and joins its live feed, sos-location streams
+      // the position (also moving the user in the location index), sos-close ends it.
+      // Problems are reported with sos-error.
+      socket.on('sos-start', async (data) => {
+        const userId = socket.user && socket.user.userId;
+        if (!userId) {
+          socket.emit('sos-started', { success: false, message: 'Sign in first' });
+          return;
+        }
+        
+        try {
+          const result = await sosService.start(userId, { location: data && data.location, message: data && data.message, channel: 'socket' });
+          socket.join(`sos-${result.session.id}`);
+          socket.emit('sos-started', { success: true, ...result });
+        } catch (error) {
+          console.error(`Error starting SOS for user ${userId}:`, error);
+          socket.emit('sos-started', { success: false, message: error.message });
+        }
+      });
+      
+      socket.on('sos-location', async (data) => {
+        const userId = socket.user && socket.user.userId;
+        if (!userId || !data || !data.location) {
+          socket.emit('sos-error', { message: 'Sign in first and send a location' });
+          return;
+        }
+        
+        try {
+          await sosService.recordLocation(userId, data.location);
+        } catch (error) {
+          console.error(`Error recording SOS location for user ${userId}:`, error.message);
+          socket.emit('sos-error', { message: error.message });
+        }
+      });
+      
+      // Follow an SOS live: its user and responders by sessionId, anyone else with the link's token
+      socket.on('sos-watch', async (data) => {
+        try {
+          const sessionId = await sosService.authorizeWatch(data || {}, socket.user);
+          socket.join(`sos-${sessionId}`);
+          socket.emit('sos-watching', { success: true, sessionId });
+        } catch (error) {
+          socket.emit('sos-watching', { success: false, message: error.message });
+        }
+      });
+      
+      socket.on('sos-close', async (data) => {
+        if (!socket.user || !data || !data.sessionId) {
+          socket.emit('sos-error', { message: 'Sign in first and send a sessionId' });
+          return;
+        }
+        
+        try {
+          // Everyone following the SOS, this socket included, receives sos-closed
+          await sosService.close(data.sessionId, socket.user, data.reason);
+        } catch (error) {
+          console.error(`Error closing SOS ${data.sessionId}:`, error.message);
+          socket.emit('sos-error', { sessionId: data.sessionId, message: error.message });
+        }
+      });
+      
+      // Stream chatbot answers: 'chat-token' events carry text as it is generated,
+      // then 'chat-done' (or 'chat-error'). 'chat-cancel' or disconnecting stops the model call.
+      const chatStreams = new Map();
+      socket.on('chat-message', async (data) => {
+        const requestId = (data && data.requestId) || `${socket.id}-${Date.now()}`;
+        if (!data || !data.query || !data.location) {
+          socket.emit('chat-error', { requestId, error: 'Query and location are required' });
+          return;
+        }
+        if (chatStreams.has(requestId) || chatStreams.size >= MAX_CHAT_STREAMS_PER_SOCKET) {
+          socket.emit('chat-error', { requestId, error: 'Too many chat requests in progress' });
+          return;
+        }
+        
+        const controller = new AbortController();
+        chatStreams.set(requestId, controller);
+        try {
+          // The registered language breaks ties for scripts shared by several languages
+          const userContext = { language: socket.userData && socket.userData.language, ...data.userContext };
+          const response = await emergencyChatbot.streamEmergencyResponse(data.query, data.location, userContext, {
+            signal: controller.signal,
+            onToken: text => socket.emit('chat-token', { requestId, text })
+          });
+          socket.emit('chat-done', { requestId, ...response });
+        } catch (error) {
+          if (!controller.signal.aborted) {
+            console.error(`Chat stream ${requestId} failed:`, error.message);
+            socket.emit('chat-error', { requestId, error: error.message });
+          }
+        } finally {
+          chatStreams.delete(requestId);
+        }
+      });
+      
+      socket.on('chat-cancel', (data) => {
+        const controller = data && chatStreams.get(data.requestId);
+        if (controller) controller.abort();
+      });
       
       // Handle disconnect
       socket.on('disconnect', () => {
         console.log(`Client disconnected: ${socket.id}`);
+        chatStreams.forEach(controller => controller.abort());
         // Uncomment and fix the disconnect handling
         self.userManager.handleDisconnect(socket);
       });
       
       // Function to handle user registration (used by both register events)
-      function handleUserRegistration(userData) {
+      async function handleUserRegistration(userData) {
         console.log(`Register event received from ${socket.id} with data:`, JSON.stringify(userData));
         
         // Check if userData is a string (from alternative format test)
@@ -128,15 +307,26 @@ const socketService = {
         }
         
         try {
-          // Validate user data
-          if (!userData || !userData.userId) {
-            console.error('Invalid user data received:', userData);
+          // Only a verified user can register, and only as themselves
+          if (!socket.user) {
             socket.emit('registered', {
               success: false,
-              message: 'Invalid user data. userId is required.'
+              message: 'Authentication required to register'
             });
             return;
           }
+          if (userData && userData.userId && userData.userId !== socket.user.userId) {
+            console.warn(`Socket ${socket.id} tried to register as ${userData.userId} but is ${socket.user.userId}`);
+            socket.emit('registered', {
+              success: false,
+              message: 'userId does not match the authenticated user'
+            });
+            return;
+          }
+          userData = { ...userData, userId: socket.user.userId, role: socket.user.role };
+          
+          // Alerts are translated into the language the client asks for, else the profile's
+          userData.language = resolveLanguage(userData.language) || await userService.getPreferredLanguage(userData.userId);
           
           // Check if this is a new registration or reconnection
           const isNewRegistration = !self.userManager.isUserConnected(userData.userId);
@@ -203,6 +393,14 @@ const socketService = {
       subscriptions.SYSTEM_NOTIFICATIONS_SUB,
       (data, attributes) => this.notificationHandler.handleSystemNotification(data, attributes)
     );
+    
+    // Subscribe to alert updates, cancellations, supersessions and expiries on this
+    // instance's own subscription, so clients on every instance hear about them
+    pubSubService.subscribeInstance(
+      pubSubService.getTopics().ALERT_UPDATES,
+      subscriptions.ALERT_UPDATES_SUB,
+      (data, attributes) => this.notificationHandler.handleAlertLifecycle(data, attributes)
+    );
   },
   
   /**
@@ -6,8 +6,11 @@
 const WebSocket = require('ws');
 const voiceService = require('../voice/voiceService');
 const geminiService = require('../ai gemini/geminiService');
+const userService = require('../userService');
+const { resolveLanguage } = require('../../config/languages');
 const logger = require('../../utils/logging/logger');
 const { PassThrough } = require('stream');
+const { verifyWebSocketClient } = require('../../middleware/auth/socketAuth');
 
 /**
  * Initialize WebSocket server for voice streaming
@@ -17,7 +20,9 @@ const { PassThrough } = require('stream');
 function initVoiceWebSocket(server, path = '/voice/stream') {
   const wss = new WebSocket.Server({ 
     server, 
-    path 
+    path,
+    // Same handshake auth as Socket.IO; the verified user is on request.user
+    verifyClient: verifyWebSocketClient
   });
   
   logger.info(`Voice WebSocket server initialized on path: ${path}`);
@@ -33,11 +38,12 @@ function initVoiceWebSocket(server, path = '/voice/stream') {
  * @param {Object} request - HTTP request that initiated the connection
  */
 function handleVoiceConnection(ws, request) {
-  logger.info('New voice streaming connection established');
+  const user = request.user;
+  logger.info(`New voice streaming connection established (${user ? `user ${user.userId}` : 'anonymous'})`);
   
   let audioStream = new PassThrough();
+  // The config message may name a language ("hi"); otherwise the user's preferredLanguage is used
   let streamingConfig = {
-    languageCode: 'en-US',
     encoding: 'LINEAR16',
     sampleRateHertz: 48000, // Default to 48kHz as most browsers record at this rate
     interimResults: true,
@@ -96,7 +102,7 @@ function handleVoiceConnection(ws, request) {
           }
           
           // Process the streaming audio
-          handleStreamingAudio(ws, audioStream, streamingConfig);
+          handleStreamingAudio(ws, audioStream, streamingConfig, user);
         }
         
         // Write audio data to the stream
@@ -144,11 +150,15 @@ function handleVoiceConnection(ws, request) {
  * @param {WebSocket} ws - WebSocket connection to respond on
  * @param {Stream} audioStream - Stream of audio data
  * @param {Object} config - Configuration for speech recognition
+ * @param {Object|null} user - Verified user of the connection, owner of the chat session
  */
-async function handleStreamingAudio(ws, audioStream, config) {
+async function handleStreamingAudio(ws, audioStream, config, user) {
   try {
+    // Audio keeps buffering in the stream while the profile is read
+    const language = resolveLanguage(config.language) || await userService.getPreferredLanguage(user ? user.userId : null);
+    
     // Start streaming recognition
-    voiceService.streamingSpeechToText(audioStream, config)
+    voiceService.streamingSpeechToText(audioStream, { ...config, language })
       .then(async (transcription) => {
         ws.send(JSON.stringify({
           type: 'transcription',
@@ -158,19 +168,20 @@ async function handleStreamingAudio(ws, audioStream, config) {
         // Process with Gemini AI once we have the transcription
         try {
           // Start a new chat session for this streaming request
-          const { sessionId, message } = await geminiService.startChat("voice_stream");
+          const { sessionId, message } = await geminiService.startChat("voice_stream", "unknown", user ? user.userId : null, language);
           
-          // Send the transcribed text to get a response
-          const { response } = await geminiService.sendMessage(sessionId, transcription);
+          // Send the transcribed text to get a response, in the language it was spoken in
+          const { response, language: replyLanguage } = await geminiService.sendMessage(sessionId, transcription, user ? user.userId : null);
           
           ws.send(JSON.stringify({
             type: 'ai_response',
-            text: response
+            text: response,
+            language: replyLanguage
           }));
           
-          // Generate speech from AI response
+          // Generate speech from AI response with a voice for its language
           try {
-            const audioResponse = await voiceService.textToSpeechAudio(response);
+            const audioResponse = await voiceService.textToSpeechAudio(response, { language: replyLanguage });
             
             // Send audio in chunks to handle potentially large responses
             const chunkSize = 16000; // Adjust based on your needs
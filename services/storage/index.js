@@ -0,0 +1,20 @@
+const LocalDiskStorage = require('./localDiskStorage');
+require('dotenv').config();
+
+/*
+ * Media storage backend, chosen with MEDIA_STORAGE_PROVIDER (default "local").
+ * A cloud backend only needs to extend StorageProvider and be added here.
+ */
+const PROVIDER_FACTORIES = {
+  local: () => new LocalDiskStorage({
+    root: process.env.MEDIA_STORAGE_DIR,
+    publicPath: process.env.MEDIA_PUBLIC_PATH
+  })
+};
+
+const providerName = (process.env.MEDIA_STORAGE_PROVIDER || 'local').trim().toLowerCase();
+if (!PROVIDER_FACTORIES[providerName]) {
+  console.warn(`⚠️ Unknown media storage provider "${providerName}"; using local disk`);
+}
+
+module.exports = (PROVIDER_FACTORIES[providerName] || PROVIDER_FACTORIES.local)();
@@ -0,0 +1,63 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const StorageProvider = require('./storageProvider');
+
+/**
+ * Stores files under a directory on the local disk and serves them from
+ * this server (mounted at publicPath in server.js).
+ */
+class LocalDiskStorage extends StorageProvider {
+  /**
+   * @param {Object} options - { root, publicPath }
+   */
+  constructor(options = {}) {
+    super('local');
+    this.root = path.resolve(options.root || path.join(__dirname, '../../uploads'));
+    this.publicPath = (options.publicPath || '/media').replace(/\/+$/, '');
+  }
+
+  /**
+   * Resolve a key to a path inside the storage root
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer, options = {}) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: this.getUrl(key), size: buffer.length };
+  }
+
+  async read(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  getUrl(key) {
+    return `${this.publicPath}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  handler() {
+    // No directory listings, and browsers must not second-guess the stored content type
+    return express.static(this.root, {
+      index: false,
+      dotfiles: 'deny',
+      maxAge: '7d',
+      setHeaders: (res) => res.setHeader('X-Content-Type-Options', 'nosniff')
+    });
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,62 @@
+/**
+ * Base class for media storage backends.
+ *
+ * Files are addressed by a key such as "reports/<reportId>/<mediaId>.jpg".
+ * Backends store the bytes and return the public URL clients use to fetch
+ * them, so callers never deal with paths or buckets directly.
+ */
+class StorageProvider {
+  /**
+   * @param {string} name - Backend name used in logs and stored records
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store a file, replacing any file with the same key
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { contentType }
+   * @returns {Object} { key, url, size }
+   */
+  async save(key, buffer, options = {}) {
+    throw new Error(`${this.name} storage does not implement save()`);
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} key - Storage key
+   * @returns {Buffer} File contents
+   */
+  async read(key) {
+    throw new Error(`${this.name} storage does not implement read()`);
+  }
+
+  /**
+   * Delete a file; missing files are ignored
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    throw new Error(`${this.name} storage does not implement remove()`);
+  }
+
+  /**
+   * Public URL of a stored file
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    throw new Error(`${this.name} storage does not implement getUrl()`);
+  }
+
+  /**
+   * Express handler serving stored files, for backends the server hosts itself
+   * @returns {Function|null} Middleware, or null when files are served elsewhere
+   */
+  handler() {
+    return null;
+  }
+}
+
+module.exports = StorageProvider;
@@ -0,0 +1,214 @@
+const GoogleTranslateProvider = require('./providers/googleTranslateProvider');
+const LlmTranslationProvider = require('./providers/llmTranslationProvider');
+const NoopTranslationProvider = require('./providers/noopTranslationProvider');
+const { DEFAULT_LANGUAGE, resolveLanguage, detectLanguage } = require('../../config/languages');
+require('dotenv').config();
+
+/*
+ * Translation of alerts and assistant text into users' preferred languages.
+ *
+ * The backend is chosen with TRANSLATION_PROVIDER ("llm", the shared LLM
+ * service; "google", Cloud Translation with GOOGLE_TRANSLATE_API_KEY; or
+ * "none"). Translations are cached in memory (TRANSLATION_CACHE_SIZE
+ * entries), so an alert sent to thousands of users is translated once per
+ * language. Translation never fails an alert: when the backend is down the
+ * original text is delivered. Emergency delivery passes { deadlineMs } so a
+ * slow backend cannot hold an alert back either; the original goes out at
+ * the deadline and the late translation is cached for the next recipients.
+ * Set ENABLE_TRANSLATION=false to always send the original text.
+ */
+
+const CACHE_SIZE = parseInt(process.env.TRANSLATION_CACHE_SIZE || '2000', 10);
+
+// How long alert delivery waits for a translation
+const URGENT_DEADLINE_MS = parseInt(process.env.TRANSLATION_URGENT_DEADLINE_MS || '1500', 10);
+
+const PROVIDER_FACTORIES = {
+  llm: () => new LlmTranslationProvider(),
+  google: () => new GoogleTranslateProvider({
+    apiKey: process.env.GOOGLE_TRANSLATE_API_KEY,
+    timeoutMs: parseInt(process.env.TRANSLATION_TIMEOUT_MS || '10000', 10)
+  }),
+  none: () => new NoopTranslationProvider()
+};
+
+/**
+ * Wait for a promise, but no longer than a deadline
+ * @param {Promise} promise - Work to wait for
+ * @param {number} deadlineMs - Deadline in ms (0 or unset waits as long as it takes)
+ * @returns {Promise<boolean>} True if the work finished in time
+ */
+function settleWithin(promise, deadlineMs) {
+  if (!deadlineMs) return promise.then(() => true);
+
+  let timer;
+  const deadline = new Promise(resolve => { timer = setTimeout(resolve, deadlineMs, false); });
+  return Promise.race([promise.then(() => true), deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create the configured backend, falling back to the LLM one when it is unknown or incomplete
+ * @param {string} name - Backend name
+ * @returns {Object} Provider
+ */
+function buildProvider(name) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    console.warn(`⚠️ Unknown translation provider "${name}"; using llm`);
+    return PROVIDER_FACTORIES.llm();
+  }
+
+  const provider = factory();
+  if (!provider.isConfigured()) {
+    console.warn(`⚠️ Translation provider "${name}" is missing settings; using llm`);
+    return PROVIDER_FACTORIES.llm();
+  }
+  return provider;
+}
+
+const translationService = {
+  enabled: process.env.ENABLE_TRANSLATION !== 'false',
+  provider: buildProvider((process.env.TRANSLATION_PROVIDER || 'llm').trim().toLowerCase()),
+  cache: new Map(),
+  failures: 0,
+  urgentDeadlineMs: URGENT_DEADLINE_MS,
+
+  /**
+   * Translate text into a language
+   * @param {string|Array<string>} text - Text or list of texts
+   * @param {string} language - Target language or locale code
+   * @param {Object} options - { deadlineMs } to send the original text when translation is slower
+   * @returns {Promise<string|Array<string>>} Translation(s), in the same shape as text
+   */
+  async translate(text, language, options = {}) {
+    const many = Array.isArray(text);
+    const results = await this.translateMany(many ? text : [text], language, options);
+    return many ? results : results[0];
+  },
+
+  /**
+   * Translate a list of texts into a language. Texts already in that
+   * language, empty strings and non-strings are returned as they are.
+   * @param {Array<string>} texts - Texts
+   * @param {string} language - Target language or locale code
+   * @param {Object} options - { deadlineMs } to send the original text when translation is slower
+   * @returns {Promise<Array<string>>} One translation per text (the original when translation failed)
+   */
+  async translateMany(texts, language, options = {}) {
+    const target = resolveLanguage(language) || DEFAULT_LANGUAGE;
+    const needsTranslation = text => typeof text === 'string' && text.trim() !== '' &&
+      detectLanguage(text, target) !== target;
+
+    if (!this.enabled || !texts.some(needsTranslation)) return [...texts];
+
+    const missing = [...new Set(texts.filter(text => needsTranslation(text) && !this.cache.has(`${target}:${text}`)))];
+    if (missing.length > 0) {
+      const translating = this.provider.translate(missing, target)
+        .then(translated => missing.forEach((text, i) => this.remember(`${target}:${text}`, translated[i])))
+        .catch(error => {
+          this.failures++;
+          console.warn(`⚠️ Translation to ${target} via ${this.provider.name} failed (${error.message}); sending the original text`);
+        });
+
+      if (!(await settleWithin(translating, options.deadlineMs))) {
+        console.warn(`⚠️ Translation to ${target} via ${this.provider.name} took over ${options.deadlineMs} ms; sending the original text`);
+      }
+    }
+
+    // Texts that failed to translate are not cached, so they go out as written
+    return texts.map(text => (needsTranslation(text) && this.cache.get(`${target}:${text}`)) || text);
+  },
+
+  /**
+   * Copy of a record with some of its text fields translated
+   * @param {Object} record - Alert, warning or notice
+   * @param {Array<string>} fields - Fields holding a string or a list of strings
+   * @param {string} language - Target language or locale code
+   * @param {Object} options - { deadlineMs } (see translateMany)
+   * @returns {Promise<Object>} Translated copy with `language` set
+   */
+  async localize(record, fields, language, options = {}) {
+    const target = resolveLanguage(language) || DEFAULT_LANGUAGE;
+    const present = fields.filter(field => typeof record[field] === 'string' || Array.isArray(record[field]));
+
+    // One provider call for every string in the record
+    const texts = present.flatMap(field => (Array.isArray(record[field]) ? record[field] : [record[field]]));
+    const translated = await this.translateMany(texts, target, options);
+
+    const localized = { ...record, language: target };
+    let offset = 0;
+    present.forEach(field => {
+      if (Array.isArray(record[field])) {
+        localized[field] = translated.slice(offset, offset + record[field].length);
+        offset += record[field].length;
+      } else {
+        localized[field] = translated[offset++];
+      }
+    });
+    return localized;
+  },
+
+  /**
+   * Translate a record into each of several languages
+   * @param {Object} record - Alert, warning or notice
+   * @param {Array<string>} fields - Text fields to translate
+   * @param {Iterable<string>} languages - Target language codes (duplicates are fine)
+   * @param {Object} options - { deadlineMs } (see translateMany)
+   * @returns {Promise<Map>} Language code => translated copy
+   */
+  async localizeAll(record, fields, languages, options = {}) {
+    const targets = [...new Set([...languages].map(language => resolveLanguage(language) || DEFAULT_LANGUAGE))];
+    const copies = await Promise.all(targets.map(language => this.localize(record, fields, language, options)));
+    return new Map(targets.map((language, i) => [language, copies[i]]));
+  },
+
+  /**
+   * Translate message templates with {placeholders} once, for filling in
+   * per user. A translation that loses a placeholder is not used; that
+   * template stays in English.
+   * @param {string|Array<string>} template - English template(s), e.g. "About {distance} km away"
+   * @param {string} language - Target language or locale code
+   * @param {Object} options - { deadlineMs } (see translateMany)
+   * @returns {Promise<Function|Array<Function>>} (values) => message, in the same shape as template
+   */
+  async template(template, language, options = {}) {
+    const many = Array.isArray(template);
+    const templates = many ? template : [template];
+    const translated = await this.translateMany(templates, language, options);
+
+    const fillers = templates.map((original, i) => {
+      const placeholders = original.match(/\{\w+\}/g) || [];
+      const text = placeholders.every(placeholder => translated[i].includes(placeholder)) ? translated[i] : original;
+      return (values = {}) => text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+    });
+    return many ? fillers : fillers[0];
+  },
+
+  /**
+   * Cache a translation, dropping the oldest entry when full
+   * @param {string} key - Target language and source text
+   * @param {string} value - Translation
+   */
+  remember(key, value) {
+    if (typeof value !== 'string' || !value.trim()) return;
+    if (this.cache.size >= CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, value);
+  },
+
+  /**
+   * Backend and cache state for diagnostics
+   * @returns {Object} { enabled, provider, cachedTranslations, failures }
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      provider: this.provider.name,
+      cachedTranslations: this.cache.size,
+      failures: this.failures
+    };
+  }
+};
+
+module.exports = translationService;
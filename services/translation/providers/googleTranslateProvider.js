@@ -0,0 +1,51 @@
+const axios = require('axios');
+const TranslationProvider = require('./translationProvider');
+
+const ENDPOINT = 'https://translation.googleapis.com/language/translate/v2';
+// Most strings the v2 API accepts in one request
+const MAX_BATCH = 128;
+
+/**
+ * Google Cloud Translation (v2 REST API with an API key,
+ * GOOGLE_TRANSLATE_API_KEY)
+ */
+class GoogleTranslateProvider extends TranslationProvider {
+  /**
+   * @param {Object} options - { apiKey, timeoutMs }
+   */
+  constructor(options = {}) {
+    super('google');
+    this.apiKey = options.apiKey;
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async translate(texts, language) {
+    const results = [];
+
+    for (let i = 0; i < texts.length; i += MAX_BATCH) {
+      let response;
+      try {
+        response = await axios.post(ENDPOINT, {
+          q: texts.slice(i, i + MAX_BATCH),
+          target: language,
+          format: 'text'
+        }, {
+          params: { key: this.apiKey },
+          timeout: this.timeoutMs
+        });
+      } catch (error) {
+        const detail = error.response && error.response.data && error.response.data.error;
+        throw new Error(`Translation request failed: ${detail ? detail.message : error.message}`);
+      }
+      results.push(...response.data.data.translations.map(entry => entry.translatedText));
+    }
+
+    return results;
+  }
+}
+
+module.exports = GoogleTranslateProvider;
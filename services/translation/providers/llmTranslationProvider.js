@@ -0,0 +1,38 @@
+const llmService = require('../../llm/llmService');
+const TranslationProvider = require('./translationProvider');
+const { LANGUAGES } = require('../../../config/languages');
+
+const SYSTEM_PROMPT = `You translate emergency alerts and safety instructions for SafeEscape,
+an emergency management app in India. Translate each text faithfully into the target language,
+in plain words a frightened reader understands at once. Do not add, drop or soften anything.
+Keep numbers, phone numbers (such as 112), units, place names and placeholders in curly
+braces such as {distance} exactly as they are.`;
+
+/**
+ * Translation through the shared LLM service (services/llm), so it works
+ * with whichever model backend the deployment already uses
+ */
+class LlmTranslationProvider extends TranslationProvider {
+  constructor() {
+    super('llm');
+  }
+
+  async translate(texts, language) {
+    const { name, nativeName } = LANGUAGES[language];
+
+    // No fallback: a failed translation is the translation service's call
+    const result = await llmService.generateStructured({
+      task: 'translation',
+      schema: 'translation',
+      system: SYSTEM_PROMPT,
+      prompt: `Target language: ${name} (${nativeName}).\nTranslate each entry of "texts" and answer ` +
+        `with "translations" in the same order.\n${JSON.stringify({ texts })}`,
+      check: data => data.translations.length === texts.length ||
+        `translations must have exactly ${texts.length} entries`
+    });
+
+    return result.data.translations;
+  }
+}
+
+module.exports = LlmTranslationProvider;
@@ -0,0 +1,17 @@
+const TranslationProvider = require('./translationProvider');
+
+/**
+ * Returns every text unchanged, for deployments that only send the
+ * original wording (TRANSLATION_PROVIDER=none)
+ */
+class NoopTranslationProvider extends TranslationProvider {
+  constructor() {
+    super('none');
+  }
+
+  async translate(texts) {
+    return [...texts];
+  }
+}
+
+module.exports = NoopTranslationProvider;
@@ -0,0 +1,36 @@
+/**
+ * Base class for translation backends.
+ *
+ * Backends translate a batch of plain-text strings into one target
+ * language, detecting the source language themselves, and return the
+ * results in the same order. Failures are thrown; the translation service
+ * decides what to deliver instead.
+ */
+class TranslationProvider {
+  /**
+   * @param {string} name - Backend name used in logs and status
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the backend has the settings it needs
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Translate a batch of texts (implemented by backends)
+   * @param {Array<string>} texts - Texts to translate
+   * @param {string} language - Target language code from config/languages.js
+   * @returns {Promise<Array<string>>} One translation per text
+   */
+  async translate(texts, language) {
+    throw new Error(`${this.name} translation does not implement translate()`);
+  }
+}
+
+module.exports = TranslationProvider;
@@ -1,6 +1,31 @@
 const userModel = require('../models/User');
+const pushNotificationService = require('./notificationServices/pushNotifications/pushNotification');
+const refreshTokenModel = require('../models/RefreshToken');
+const { DEFAULT_ROLE, isValidRole } = require('../config/roles');
+const { DEFAULT_LANGUAGE, resolveLanguage } = require('../config/languages');
 const { fieldValues } = require('../config/firebase-config');
 
+// Statuses a user can report after a disaster
+const SAFETY_STATUSES = ['safe', 'help'];
+
+// Fields a user may change through a profile update. Everything else has its own
+// path: password (changePassword), role (setUserRole), FCM tokens and topics,
+// safety status (check-ins), and email and phone, which identify the user at
+// login and on inbound SMS.
+const PROFILE_FIELDS = ['name', 'location', 'preferredLanguage', 'emergencyContacts'];
+
+/**
+ * Create an error carrying an HTTP status for the controller
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode
+ */
+function userError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
 const userService = {
     /**
      * Registers a new user
@@ -26,9 +51,12 @@ const userService = {
                 { name: 'Ambulance', phone: '108', relationship: 'Emergency', priority: 3 },
             ];
 
+            // Roles are only granted by an admin (setUserRole), never chosen at sign-up
             const newUser = {
                 ...userData,
+                role: DEFAULT_ROLE,
                 password: hashedPassword,
+                preferredLanguage: this.normalizeLanguage(userData.preferredLanguage),
                 emergencyContacts: userData.emergencyContacts || defaultEmergencyContacts,
             };
 
@@ -44,23 +72,86 @@ const userService = {
     /**
      * Updates user profile (including emergency contacts)
      * @param {string} userId - Firestore Document ID
-     * @param {Object} updates - Fields to update
+     * @param {Object} changes - New values for name, location, preferredLanguage or
+     *   emergencyContacts; other fields are ignored
      * @returns {boolean} - Success status
      */
-    async updateUserProfile(userId, updates) {
+    async updateUserProfile(userId, changes) {
         try {
-            if (updates.password) {
-                const bcrypt = require('bcrypt');
-                updates.password = await bcrypt.hash(updates.password, 10);
+            if ('role' in changes) {
+                throw new Error('Roles can only be changed by an admin');
+            }
+
+            const updates = {};
+            PROFILE_FIELDS.filter(field => changes[field] !== undefined).forEach(field => {
+                updates[field] = changes[field];
+            });
+            if (Object.keys(updates).length === 0) {
+                throw new Error(`Nothing to update; allowed fields: ${PROFILE_FIELDS.join(', ')}`);
             }
 
-            return await userModel.updateUser(userId, updates);
+            if ('preferredLanguage' in updates) {
+                updates.preferredLanguage = this.normalizeLanguage(updates.preferredLanguage);
+            }
+
+            const updated = await userModel.updateUser(userId, updates);
+
+            // Move the user's devices to the region topics for the new location
+            if (updates.location) {
+                await this.syncFcmTopics(userId);
+            }
+            return updated;
         } catch (error) {
             console.error('❌ Error updating user profile:', error.message);
             throw new Error(`Failed to update profile: ${error.message}`);
         }
     },
 
+    /**
+     * Changes a user's password and ends their sessions
+     * @param {string} userId - Firestore Document ID
+     * @param {string} currentPassword - Password the user has now
+     * @param {string} newPassword - New password
+     * @returns {number} - Number of sessions ended
+     */
+    async changePassword(userId, currentPassword, newPassword) {
+        if (!currentPassword || !newPassword) {
+            throw userError(400, 'currentPassword and newPassword are required');
+        }
+
+        const bcrypt = require('bcrypt');
+        const user = await userModel.getUserById(userId);
+        if (!user) throw userError(404, 'User not found');
+        if (!user.password || !(await bcrypt.compare(currentPassword, user.password))) {
+            throw userError(401, 'Current password is incorrect');
+        }
+
+        await userModel.updateUser(userId, { password: await bcrypt.hash(newPassword, 10) });
+        return refreshTokenModel.revokeAllForUser(userId);
+    },
+
+    /**
+     * Changes a user's role and ends their sessions so the new role applies at the next login
+     * @param {string} userId - Firestore Document ID
+     * @param {string} role - citizen, responder, dispatcher or admin
+     * @returns {boolean} - Success status
+     */
+    async setUserRole(userId, role) {
+        try {
+            if (!isValidRole(role)) throw new Error(`Unknown role: ${role}`);
+
+            const user = await userModel.getUserById(userId);
+            if (!user) throw new Error('User not found');
+
+            await userModel.updateUser(userId, { role });
+            await refreshTokenModel.revokeAllForUser(userId);
+            return true;
+        } catch (error) {
+            console.error('❌ Error changing user role:', error.message);
+            throw new Error(`Failed to change role: ${error.message}`);
+        }
+    },
+
     /**
      * Adds an FCM token for push notifications
      * @param {string} userId - Firestore Document ID
@@ -68,7 +159,10 @@ const userService = {
      */
     async addFcmToken(userId, fcmToken) {
         try {
+            if (!fcmToken) throw new Error('fcmToken is required');
+
             await userModel.addFcmToken(userId, fcmToken);
+            await this.syncFcmTopics(userId);
         } catch (error) {
             console.error('❌ Error adding FCM token:', error.message);
             throw new Error(`Failed to add FCM token: ${error.message}`);
@@ -82,13 +176,66 @@ const userService = {
      */
     async removeFcmToken(userId, fcmToken) {
         try {
-            await userModel.removeFcmToken(userId, fcmToken);
+            if (!fcmToken) throw new Error('fcmToken is required');
+
+            const user = await userModel.getUserById(userId);
+            if (!user) throw new Error('User not found');
+
+            const removed = await userModel.removeFcmToken(userId, fcmToken);
+            if (removed && user.fcmTopics && user.fcmTopics.length) {
+                await pushNotificationService.unsubscribeTokens([fcmToken], user.fcmTopics);
+            }
         } catch (error) {
             console.error('❌ Error removing FCM token:', error.message);
             throw new Error(`Failed to remove FCM token: ${error.message}`);
         }
     },
 
+    /**
+     * Subscribes a user's FCM tokens to the region topics for their location.
+     * A failed subscription is logged rather than failing the profile change;
+     * the next token or location update retries it.
+     * @param {string} userId - Firestore Document ID
+     */
+    async syncFcmTopics(userId) {
+        try {
+            await pushNotificationService.syncUserTopics(userId);
+        } catch (error) {
+            console.error('❌ Error updating FCM topic subscriptions:', error.message);
+        }
+    },
+
+    /**
+     * Checks a preferred language and turns locale codes ("hi-IN") into language codes
+     * @param {string} language - Language from the client; empty for the default
+     * @returns {string} Supported language code
+     */
+    normalizeLanguage(language) {
+        if (language === undefined || language === null || language === '') return DEFAULT_LANGUAGE;
+
+        const code = resolveLanguage(language);
+        if (!code) throw new Error(`Unsupported language: ${language}`);
+        return code;
+    },
+
+    /**
+     * Gets the language a user's alerts and answers should be in. Falls back
+     * to the default language rather than failing the delivery.
+     * @param {string} userId - Firestore Document ID
+     * @returns {string} Language code
+     */
+    async getPreferredLanguage(userId) {
+        if (!userId) return DEFAULT_LANGUAGE;
+
+        try {
+            const user = await userModel.getUserById(userId);
+            return (user && resolveLanguage(user.preferredLanguage)) || DEFAULT_LANGUAGE;
+        } catch (error) {
+            console.error('❌ Error fetching preferred language:', error.message);
+            return DEFAULT_LANGUAGE;
+        }
+    },
+
     /**
      * Gets user by ID (including embedded emergency contacts)
      * @param {string} userId - Firestore Document ID
@@ -103,6 +250,39 @@ const userService = {
         }
     },
 
+    /**
+     * Finds the user a phone number belongs to (e.g. the sender of an SMS)
+     * @param {Array<string>} phones - Forms of the number (from smsService.parseInboundNumber)
+     * @returns {Object|null} User data
+     */
+    async getUserByPhone(phones) {
+        try {
+            return await userModel.getUserByPhone(phones);
+        } catch (error) {
+            console.error('❌ Error fetching user by phone:', error.message);
+            throw new Error(`Failed to fetch user: ${error.message}`);
+        }
+    },
+
+    /**
+     * Records whether a user is safe or needs help
+     * @param {string} userId - Firestore Document ID
+     * @param {Object} status - { status: 'safe' | 'help', channel, location, message, alertId }
+     * @returns {Object} Stored safety status
+     */
+    async setSafetyStatus(userId, { status, channel, location = null, message = null, alertId = null }) {
+        try {
+            if (!SAFETY_STATUSES.includes(status)) throw new Error(`Unknown safety status: ${status}`);
+
+            const safetyStatus = { status, channel, location, message, alertId, updatedAt: new Date().toISOString() };
+            await userModel.updateUser(userId, { safetyStatus });
+            return safetyStatus;
+        } catch (error) {
+            console.error('❌ Error updating safety status:', error.message);
+            throw new Error(`Failed to update safety status: ${error.message}`);
+        }
+    },
+
     /**
      * Add an emergency contact to a user
      * @param {string} userId - Firestore Document ID
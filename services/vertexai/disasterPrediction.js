@@ -1,53 +1,8 @@
-// Import the Vertex AI client
-const { VertexAI } = require('@google-cloud/vertexai');
+const llmService = require('../llm/llmService');
 const openWeatherService = require('../alertServices/openWeatherService');
 const usgsEarthquakeService = require('../alertServices/usgsEarthquakeService');
-const path = require('path');
 require('dotenv').config();
 
-// Set the path to the Vertex AI service account key file
-const vertexAIKeyPath = path.resolve(__dirname, '../../config/vertexai-service-Account.json');
-
-// Set environment variable for Vertex AI operations
-process.env.GOOGLE_APPLICATION_CREDENTIALS = vertexAIKeyPath;
-
-// Initialize Vertex AI with explicit credentials
-const vertexAI = new VertexAI({
-  project: process.env.GOOGLE_CLOUD_PROJECT_ID || 'safeescape',
-  location: process.env.VERTEX_AI_LOCATION || 'us-central1',
-  keyFilename: vertexAIKeyPath,
-});
-
-// Initialize different models for different disaster prediction tasks
-let geminiPro;
-let imageAnalysisModel;
-
-try {
-  geminiPro = vertexAI.getGenerativeModel({
-    model: 'gemini-1.5-pro',
-    generation_config: {
-      max_output_tokens: 1024,
-      temperature: 0.2,
-      top_p: 0.95,
-      top_k: 40
-    }
-  });
-
-  imageAnalysisModel = vertexAI.getGenerativeModel({
-    model: 'gemini-1.5-pro-vision',
-    generation_config: {
-      max_output_tokens: 1024,
-      temperature: 0.1,
-      top_p: 0.95,
-      top_k: 40
-    }
-  });
-  
-  console.log('Successfully initialized Vertex AI models');
-} catch (error) {
-  console.error('Error initializing Vertex AI models:', error.message);
-}
-
 // Mock historical data by region (in production, this would come from a database)
 const historicalDisasterData = {
   'Delhi': [
@@ -82,12 +37,6 @@ const disasterPredictionService = {
     try {
       console.log('Generating predictive analysis for:', location);
       
-      // Check if we have access to the Gemini model
-      if (!geminiPro) {
-        console.log('Gemini model not available, using fallback');
-        return this.getDefaultRiskAssessment(location);
-      }
-      
       // Get historical disaster data
       const historicalData = this.getHistoricalDisasterData(location);
       
@@ -128,56 +77,23 @@ const disasterPredictionService = {
         }
       `;
       
-      try {
-        // Generate prediction using Gemini 1.5 Pro
-        const result = await geminiPro.generateContent(prompt);
-        
-        // Fix: Access the text content correctly based on the API response structure
-        let responseText;
-        if (result.response && typeof result.response.text === 'function') {
-          responseText = result.response.text();
-        } else if (result.response && result.response.candidates && result.response.candidates[0]) {
-          // Alternative structure
-          responseText = result.response.candidates[0].content.parts[0].text;
-        } else if (result.candidates && result.candidates[0]) {
-          // Another possible structure
-          responseText = result.candidates[0].content.parts[0].text;
-        } else {
-          console.log('Unexpected response structure:', JSON.stringify(result, null, 2));
-          throw new Error('Unable to extract text from AI response');
-        }
-        
-        try {
-          // Clean the response text to handle markdown code blocks
-          let cleanedText = responseText;
-          
-          // Check if the response contains markdown code blocks
-          const jsonBlockMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-          if (jsonBlockMatch && jsonBlockMatch[1]) {
-            cleanedText = jsonBlockMatch[1].trim();
-          }
-          
-          // Parse the JSON response
-          return JSON.parse(cleanedText);
-        } catch (parseError) {
-          console.error('Error parsing model response:', parseError);
-          // Fall back to text extraction if JSON parsing fails
-          return this.extractStructuredData(responseText);
-        }
-      } catch (aiError) {
-        console.error('AI model error:', aiError.message);
-        // Check if it's a permission error
-        if (aiError.message.includes('PERMISSION_DENIED') || 
-            aiError.message.includes('Permission') || 
-            aiError.code === 403) {
-          console.log('Permission denied for AI model, using fallback data');
-        }
-        return this.getDefaultRiskAssessment(location);
-      }
+      // Answers that fail the riskAssessment schema are repaired or replaced by the seasonal default
+      const result = await llmService.generateStructured({
+        task: 'prediction',
+        schema: 'riskAssessment',
+        prompt,
+        fallback: () => this.getDefaultRiskAssessment(location)
+      });
+      return llmService.tagSource(result);
     } catch (error) {
       console.error('Prediction error:', error);
       // Return default risk assessment
-      return this.getDefaultRiskAssessment(location);
+      return {
+        ...this.getDefaultRiskAssessment(location),
+        source: 'fallback',
+        model: null,
+        fallbackReason: 'prediction failed'
+      };
     }
   },
 
@@ -207,15 +123,12 @@ const disasterPredictionService = {
         }
       `;
 
-      const imageContent = {
-        inlineData: {
-          data: Buffer.from(imageUrl).toString('base64'),
-          mimeType: 'image/jpeg',
-        },
-      };
-
-      const result = await imageAnalysisModel.generateContent([prompt, imageContent]);
-      return JSON.parse(result.response.text());
+      const result = await llmService.generateJson({
+        task: 'vision',
+        prompt,
+        images: [{ data: Buffer.from(imageUrl), mimeType: 'image/jpeg' }]
+      });
+      return result.data;
     } catch (error) {
       console.error('Image analysis error:', error);
       return {
@@ -225,24 +138,6 @@ const disasterPredictionService = {
     }
   },
 
-  extractStructuredData(text) {
-    // Fallback method to extract structured data from text if JSON parsing fails
-    // Implementation would depend on the expected format
-    // This is a simple placeholder
-    return {
-      risks: [
-        {
-          disasterType: "Unknown",
-          riskLevel: "Medium",
-          indicators: ["AI response formatting error"],
-          precautions: ["Monitor official emergency channels"]
-        }
-      ],
-      overallRiskLevel: "Medium",
-      validityPeriod: "72 hours from now"
-    };
-  },
-
   getDefaultRiskAssessment(location) {
     // Provide default risk assessment based on location and season
     const currentMonth = new Date().getMonth();
@@ -1,25 +1,11 @@
-const { VertexAI } = require('@google-cloud/vertexai');
+const llmService = require('../llm/llmService');
+const knowledgeBase = require('../knowledge');
+const translationService = require('../translation');
+const { LANGUAGES, DEFAULT_LANGUAGE, detectLanguage } = require('../../config/languages');
 const noaaWeatherService = require('../alertServices/noaaWeatherService');
 const usgsEarthquakeService = require('../alertServices/usgsEarthquakeService');
 const openFemaService = require('../alertServices/openFemaService');
 const openWeatherService = require('../alertServices/openWeatherService');
-require('dotenv').config();
-
-// Initialize Vertex AI
-const vertexAI = new VertexAI({
-  project: process.env.GOOGLE_CLOUD_PROJECT_ID,
-  location: process.env.VERTEX_AI_LOCATION || 'us-central1',
-});
-
-const chatModel = vertexAI.getGenerativeModel({
-  model: 'gemini-pro',
-  generation_config: {
-    max_output_tokens: 2048,
-    temperature: 0.3,
-    top_p: 0.9,
-    top_k: 40
-  }
-});
 
 // Cache for alert data to reduce API calls
 const alertCache = {
@@ -44,37 +30,162 @@ const alertCache = {
 
 const emergencyChatbot = {
   async getEmergencyResponse(userQuery, userLocation, userContext = {}) {
+    // Answers are in the language the user wrote in
+    const language = detectLanguage(userQuery, userContext.language);
+    let englishQuery = userQuery;
+    
     try {
-      console.log('Processing emergency query:', userQuery);
+      console.log(`Processing emergency query (${language}):`, userQuery);
       
-      // Gather contextual information about alerts and conditions
-      let alertData;
+      englishQuery = await this.toEnglish(userQuery, language);
+      const [alertData, references] = await Promise.all([
+        this.getAlertData(userLocation),
+        knowledgeBase.findReferences(englishQuery)
+      ]);
+      const systemPrompt = this.buildPrompt(userQuery, userLocation, userContext, alertData, references, language, `
+        Answer as JSON: "response" is your full reply to the user, "urgency" how urgent their
+        situation is, "actions" the immediate steps as short phrases, "callEmergencyServices"
+        whether they should call 112 now, and "citations" the numbers of the reference passages you used.`);
       
-      if (alertCache.isExpired()) {
-        console.log('Fetching fresh alert data');
-        
-        // Fetch alert data in parallel
-        const [weatherAlerts, earthquakes, disasters, currentWeather] = await Promise.all([
-          this.safeApiCall(() => noaaWeatherService.getWeatherAlerts(userLocation), []),
-          this.safeApiCall(() => usgsEarthquakeService.getRecentEarthquakes(userLocation), []),
-          this.safeApiCall(() => openFemaService.getDisasterDeclarations(), []),
-          this.safeApiCall(() => openWeatherService.getCurrentWeather(userLocation.city || 'Default City'), {})
-        ]);
-        
-        alertData = { weatherAlerts, earthquakes, disasters, currentWeather };
-        alertCache.update(alertData);
-      } else {
-        console.log('Using cached alert data');
-        alertData = {
-          weatherAlerts: alertCache.weatherAlerts,
-          earthquakes: alertCache.earthquakes,
-          disasters: alertCache.disasters,
-          currentWeather: alertCache.currentWeather
-        };
-      }
+      console.log(`Sending query to the LLM service with ${references.length} reference passages`);
+      
+      const result = await llmService.generateStructured({
+        task: 'chat',
+        schema: 'chatbotResponse',
+        prompt: systemPrompt,
+        check: answer => (answer.citations || []).every(ref => ref <= references.length) ||
+          `citations must be reference numbers from 1 to ${references.length}`,
+        fallback: () => this.getFallbackAnswer(englishQuery, language)
+      });
+      console.log(`Received AI response (${result.source})`);
       
-      // Create system prompt with emergency context
-      const systemPrompt = `
+      const { citations, ...answer } = llmService.tagSource(result);
+      return {
+        ...answer,
+        language,
+        actions: result.data.actions || [],
+        citations: result.source === 'model'
+          ? knowledgeBase.citationsFor(references, citations, result.data.response)
+          : [],
+        contextualAlerts: {
+          weather: alertData.weatherAlerts,
+          earthquakes: alertData.earthquakes,
+          disasters: alertData.disasters
+        }
+      };
+    } catch (error) {
+      console.error('Error getting emergency response:', error);
+      
+      // Provide fallback response
+      return {
+        ...await this.getFallbackAnswer(englishQuery, language),
+        language,
+        source: 'fallback',
+        model: null,
+        error: error.message,
+        citations: [],
+        contextualAlerts: {}
+      };
+    }
+  },
+  
+  /**
+   * Stream an answer to an emergency query as plain text. If the model fails
+   * before sending anything, the canned advice is delivered instead.
+   * @param {string} userQuery - User's question
+   * @param {Object} userLocation - { city, state }
+   * @param {Object} userContext - Medical conditions, mobility, family, language (the user's preferred one)
+   * @param {Object} options - { onToken: (text) => void, signal: AbortSignal to cancel }
+   * @returns {Promise<Object>} { response, language, source, model, citations, contextualAlerts }
+   */
+  async streamEmergencyResponse(userQuery, userLocation, userContext = {}, { onToken, signal } = {}) {
+    const language = detectLanguage(userQuery, userContext.language);
+    console.log(`Streaming emergency query (${language}):`, userQuery);
+    
+    const englishQuery = await this.toEnglish(userQuery, language);
+    const [alertData, references] = await Promise.all([
+      this.getAlertData(userLocation),
+      knowledgeBase.findReferences(englishQuery)
+    ]);
+    const contextualAlerts = {
+      weather: alertData.weatherAlerts,
+      earthquakes: alertData.earthquakes,
+      disasters: alertData.disasters
+    };
+    const prompt = this.buildPrompt(userQuery, userLocation, userContext, alertData, references, language, `
+        Answer in plain text, starting with the most urgent action.`);
+    
+    let streamed = false;
+    try {
+      const result = await llmService.stream({ task: 'chat', prompt, signal }, (text) => {
+        streamed = true;
+        onToken(text);
+      });
+      
+      return {
+        response: result.text,
+        language,
+        source: 'model',
+        model: result.model,
+        citations: knowledgeBase.citationsFor(references, [], result.text),
+        contextualAlerts
+      };
+    } catch (error) {
+      // Cancelled, or the user already has part of an answer
+      if (error.code === 'ABORTED' || streamed) throw error;
+      
+      console.error('Error streaming emergency response:', error.message);
+      const fallback = await this.getFallbackAnswer(englishQuery, language);
+      onToken(fallback.response);
+      return { ...fallback, language, source: 'fallback', model: null, fallbackReason: 'model unavailable', citations: [], contextualAlerts };
+    }
+  },
+  
+  // Current alerts and weather for the prompt, cached for a few minutes
+  async getAlertData(userLocation) {
+    if (!alertCache.isExpired()) {
+      console.log('Using cached alert data');
+      return {
+        weatherAlerts: alertCache.weatherAlerts,
+        earthquakes: alertCache.earthquakes,
+        disasters: alertCache.disasters,
+        currentWeather: alertCache.currentWeather
+      };
+    }
+    
+    console.log('Fetching fresh alert data');
+    
+    // Fetch alert data in parallel
+    const [weatherAlerts, earthquakes, disasters, currentWeather] = await Promise.all([
+      this.safeApiCall(() => noaaWeatherService.getWeatherAlerts(userLocation), []),
+      this.safeApiCall(() => usgsEarthquakeService.getRecentEarthquakes(userLocation), []),
+      this.safeApiCall(() => openFemaService.getDisasterDeclarations(), []),
+      this.safeApiCall(() => openWeatherService.getCurrentWeather(userLocation.city || 'Default City'), {})
+    ]);
+    
+    const alertData = { weatherAlerts, earthquakes, disasters, currentWeather };
+    alertCache.update(alertData);
+    return alertData;
+  },
+  
+  // English version of a query, for knowledge base search and the canned answers
+  async toEnglish(userQuery, language) {
+    return language === DEFAULT_LANGUAGE ? userQuery : translationService.translate(userQuery, DEFAULT_LANGUAGE);
+  },
+  
+  // Prompt with the user's conditions, profile and reference passages; answerFormat says how to reply
+  buildPrompt(userQuery, userLocation, userContext, alertData, references, language, answerFormat) {
+    const { name, nativeName } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+    
+    const referenceText = references.length > 0
+      ? `
+        Reference material (vetted guidance; follow it over general knowledge and cite the
+        passages you use inline as [1], [2], ...):
+        ${knowledgeBase.formatReferences(references)}
+        `
+      : '';
+    
+    return `
         You are an emergency response assistant for SafeEscape, an emergency management app in India.
         Your goal is to provide clear, actionable advice during emergencies.
         
@@ -98,38 +209,11 @@ const emergencyChatbot = {
         
         If you don't know something, say so clearly rather than making up information.
         For medical emergencies, always advise contacting emergency services (112 in India).
+        Write your reply in ${name}${name === nativeName ? '' : ` (${nativeName})`}, the language of the user's query.
+        ${referenceText}${answerFormat}
         
         USER QUERY: ${userQuery}
       `;
-      
-      console.log('Sending query to Vertex AI');
-      
-      // Get response from Vertex AI
-      const result = await chatModel.generateContent({
-        contents: [{ role: 'user', parts: [{ text: systemPrompt }] }]
-      });
-      
-      const responseText = result.response.candidates[0].content.parts[0].text;
-      console.log('Received AI response');
-      
-      return {
-        response: responseText,
-        contextualAlerts: {
-          weather: alertData.weatherAlerts,
-          earthquakes: alertData.earthquakes,
-          disasters: alertData.disasters
-        }
-      };
-    } catch (error) {
-      console.error('Error getting emergency response:', error);
-      
-      // Provide fallback response
-      return {
-        response: this.getFallbackResponse(userQuery),
-        error: error.message,
-        contextualAlerts: {}
-      };
-    }
   },
   
   // Helper method to safely call APIs and handle errors
@@ -169,6 +253,16 @@ const emergencyChatbot = {
     ).join('; ');
   },
   
+  // Canned answer in the chatbotResponse shape, translated into the user's language
+  async getFallbackAnswer(query, language = DEFAULT_LANGUAGE) {
+    return {
+      response: await translationService.translate(this.getFallbackResponse(query), language),
+      urgency: 'high',
+      actions: [],
+      callEmergencyServices: true
+    };
+  },
+  
   // Fallback responses for when the AI service fails
   getFallbackResponse(query) {
     const query_lower = query.toLowerCase();
@@ -1,22 +1,5 @@
-const { VertexAI } = require('@google-cloud/vertexai');
+const llmService = require('../llm/llmService');
 const mapService = require('../mapServices/googleMapsClient');
-require('dotenv').config();
-
-// Initialize Vertex AI
-const vertexAI = new VertexAI({
-  project: process.env.GOOGLE_CLOUD_PROJECT_ID,
-  location: process.env.VERTEX_AI_LOCATION || 'us-central1',
-});
-
-const textModel = vertexAI.getGenerativeModel({
-  model: 'gemini-1.5-pro',  // Upgraded from gemini-pro to gemini-1.5-pro
-  generation_config: {
-    max_output_tokens: 1024,
-    temperature: 0.2,     // Keep low temperature for consistency
-    top_p: 0.95,
-    top_k: 40
-  }
-});
 
 const evacuationOptimizer = {
   async optimizeEvacuationRoute(userLocation, disasterData, userProfile) {
@@ -66,7 +49,7 @@ const evacuationOptimizer = {
         };
       });
       
-      console.log('Analyzing routes with Vertex AI');
+      console.log('Analyzing routes with the LLM service');
       
       // Create context for AI decision
       const prompt = `
@@ -88,40 +71,33 @@ const evacuationOptimizer = {
         
         Based on this information, which route is safest and most appropriate? 
         Provide your recommendation and reasoning in JSON format with these fields:
-        1. recommendedRouteIndex (0, 1, or 2)
+        1. recommendedRouteIndex (0 to ${routesData.length - 1})
         2. reasoning
         3. specialInstructions
       `;
       
-      const result = await textModel.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }]
+      // Without a valid recommendation the nearest safe location is used, marked as a fallback
+      const result = await llmService.generateStructured({
+        task: 'evacuation',
+        schema: 'evacuationDecision',
+        prompt,
+        check: (decision) => decision.recommendedRouteIndex < routesData.length ||
+          `recommendedRouteIndex must be below ${routesData.length}`,
+        fallback: () => ({ recommendedRouteIndex: 0, reasoning: "Default selection", specialInstructions: "" })
       });
-      
-      const responseText = result.response.candidates[0].content.parts[0].text;
-      console.log('Received AI recommendation');
-      
-      // Extract JSON from response
-      const jsonMatch = responseText.match(/```json\n([\s\S]*?)\n```/) || 
-                        responseText.match(/{[\s\S]*?}/);
-                        
-      let recommendation;
-      try {
-        recommendation = jsonMatch ? 
-          JSON.parse(jsonMatch[1] || jsonMatch[0]) : 
-          { recommendedRouteIndex: 0, reasoning: "Default selection", specialInstructions: "" };
-      } catch (e) {
-        console.error("Error parsing AI response:", e);
-        recommendation = { recommendedRouteIndex: 0, reasoning: "Default selection", specialInstructions: "" };
-      }
+      console.log(`Received AI recommendation (${result.source})`);
+      const recommendation = result.data;
       
       // Return the optimized route with AI reasoning
-      const selectedIndex = recommendation.recommendedRouteIndex || 0;
+      const selectedIndex = recommendation.recommendedRouteIndex;
       return {
         route: routes[selectedIndex],
         destination: topLocations[selectedIndex],
         reasoning: recommendation.reasoning,
-        specialInstructions: recommendation.specialInstructions,
-        allOptions: routesData
+        specialInstructions: recommendation.specialInstructions || "",
+        allOptions: routesData,
+        source: result.source,
+        model: result.model
       };
     } catch (error) {
       console.error('Error optimizing evacuation route:', error);
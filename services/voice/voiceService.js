@@ -9,6 +9,7 @@ const fs = require('fs');
 const util = require('util');
 const logger = require('../../utils/logging/logger');
 const path = require('path');
+const { DEFAULT_LANGUAGE, detectLanguage, getVoice } = require('../../config/languages');
 
 // Determine key file path
 const keyFilePath = process.env.GOOGLE_APPLICATION_CREDENTIALS 
@@ -30,11 +31,31 @@ const ttsClient = new textToSpeech.TextToSpeechClient({
  */
 const MAX_AUDIO_CHUNK_SIZE = 9 * 1024 * 1024; // ~9MB to be safe
 
+/**
+ * Speech-to-Text language settings. `language` (a code from
+ * config/languages.js such as "hi") picks the matching locale unless an
+ * explicit languageCode is given. Indian English is recognized alongside
+ * other languages, since many users switch between the two mid-sentence.
+ * @param {Object} options - Recognition options, possibly with language
+ * @returns {Object} Options with languageCode and alternativeLanguageCodes instead of language
+ */
+function speechLanguageOptions(options = {}) {
+  const { language, ...rest } = options;
+  const languageCode = rest.languageCode || getVoice(language).languageCode;
+  const englishCode = getVoice(DEFAULT_LANGUAGE).languageCode;
+
+  return {
+    ...rest,
+    languageCode,
+    alternativeLanguageCodes: rest.alternativeLanguageCodes || (languageCode === englishCode ? [] : [englishCode])
+  };
+}
+
 /**
  * Converts speech audio to text using Google Cloud Speech-to-Text
  * Handles large audio files by chunking if necessary
  * @param {Buffer|string} audioContent - Audio buffer or base64 encoded string
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options; `language` picks the locale (see speechLanguageOptions)
  * @returns {Promise<string>} - Transcribed text
  */
 async function speechToText(audioContent, options = {}) {
@@ -48,7 +69,6 @@ async function speechToText(audioContent, options = {}) {
     const isHighSampleRate = options.sampleRateHertz === 48000;
     
     const defaultOptions = {
-      languageCode: 'en-US',
       model: 'default',
       encoding: isWebmOpus ? 'WEBM_OPUS' : 'LINEAR16',
       sampleRateHertz: isWebmOpus || isHighSampleRate ? 48000 : 16000, // Use 48kHz for WEBM_OPUS or when specified
@@ -57,7 +77,7 @@ async function speechToText(audioContent, options = {}) {
 
     const config = {
       ...defaultOptions,
-      ...options
+      ...speechLanguageOptions(options)
     };
 
     let audioBuffer;
@@ -79,7 +99,8 @@ async function speechToText(audioContent, options = {}) {
     logger.info('Processing audio for Speech-to-Text', { 
       audioSizeKB: Math.round(audioBuffer.length / 1024),
       encoding: config.encoding,
-      sampleRate: config.sampleRateHertz 
+      sampleRate: config.sampleRateHertz,
+      languageCode: config.languageCode
     });
 
     // Check if audio needs to be processed in chunks
@@ -191,22 +212,28 @@ async function processLargeAudioFile(audioBuffer, config) {
 }
 
 /**
- * Converts text to speech audio using Google Cloud Text-to-Speech
+ * Converts text to speech audio using Google Cloud Text-to-Speech. The voice
+ * matches `language` (or the language the text is written in) unless a
+ * languageCode or voiceName is given.
  * @param {string} text - Text to convert to speech
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options (language, languageCode, ssmlGender, voiceName, audioEncoding)
  * @returns {Promise<Buffer>} - Audio buffer
  */
 async function textToSpeechAudio(text, options = {}) {  try {
+    const { language, ...voiceOptions } = options;
+    const voice = getVoice(voiceOptions.languageCode || language || detectLanguage(text), voiceOptions.ssmlGender);
+    
+    // Our voice names only fit our locales; for others the API picks a voice by languageCode and gender
     const defaultOptions = {
-      languageCode: 'en-US',
-      ssmlGender: 'FEMALE', 
-      voiceName: 'en-US-Neural2-F', 
+      languageCode: voice.languageCode,
+      ssmlGender: voice.ssmlGender, 
+      voiceName: !voiceOptions.languageCode || voiceOptions.languageCode === voice.languageCode ? voice.voiceName : undefined, 
       audioEncoding: 'MP3'
     };
 
     const config = {
       ...defaultOptions,
-      ...options
+      ...voiceOptions
     };
 
     const request = {
@@ -239,7 +266,7 @@ async function textToSpeechAudio(text, options = {}) {  try {
 /**
  * Handles streaming speech recognition
  * @param {stream.Readable} audioStream - Audio stream from client
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options; `language` picks the locale (see speechLanguageOptions)
  * @returns {Promise<string>} - Transcribed text
  */
 async function streamingSpeechToText(audioStream, options = {}) {
@@ -248,7 +275,6 @@ async function streamingSpeechToText(audioStream, options = {}) {
       const isHighSampleRate = options.sampleRateHertz === 48000 || options.encoding === 'WEBM_OPUS';
       
       const defaultOptions = {
-        languageCode: 'en-US',
         model: 'default',
         encoding: options.encoding || 'LINEAR16',
         sampleRateHertz: isHighSampleRate ? 48000 : 16000,
@@ -258,7 +284,7 @@ async function streamingSpeechToText(audioStream, options = {}) {
 
       const config = {
         ...defaultOptions,
-        ...options
+        ...speechLanguageOptions(options)
       };
       
       const recognizeStream = speechClient
@@ -267,6 +293,7 @@ async function streamingSpeechToText(audioStream, options = {}) {
             encoding: config.encoding,
             sampleRateHertz: config.sampleRateHertz,
             languageCode: config.languageCode,
+            alternativeLanguageCodes: config.alternativeLanguageCodes,
             enableAutomaticPunctuation: config.enableAutomaticPunctuation,
             model: config.model,
             audioChannelCount: config.audioChannelCount,
@@ -6,10 +6,11 @@ const TOPICS = {
   EMERGENCY_ALERTS: 'emergency-alerts',
   DISASTER_WARNINGS: 'disaster-warnings',
   EVACUATION_NOTICES: 'evacuation-notices',
-  SYSTEM_NOTIFICATIONS: 'system-notifications'
+  SYSTEM_NOTIFICATIONS: 'system-notifications',
+  ALERT_UPDATES: 'alert-updates'
 };
 
-// Subscription names
+// Subscription names (alert-updates has one per server instance, created when it starts)
 const SUBSCRIPTIONS = {
   EMERGENCY_ALERTS_SUB: 'emergency-alerts-subscription',
   DISASTER_WARNINGS_SUB: 'disaster-warnings-subscription',
@@ -0,0 +1,179 @@
+/**
+ * Test script for the alert lifecycle: update, cancel, supersede and the
+ * expiry sweep, including changes that land while the sweep is running.
+ * Firestore and Pub/Sub are replaced with in-memory fakes, so it runs fully
+ * offline: node test-alert-lifecycle.js
+ */
+
+process.env.LLM_PROVIDER = 'fake';
+process.env.TRANSLATION_PROVIDER = 'none';
+
+// Stored alerts, as Firestore would return them (plain JSON)
+const alerts = new Map();
+const clone = data => JSON.parse(JSON.stringify(data));
+
+// Runs once after the next query has read its results (a change landing mid-sweep)
+let afterQuery = null;
+
+function docRef(id) {
+  return {
+    id,
+    get: async () => ({ id, exists: alerts.has(id), data: () => clone(alerts.get(id)) }),
+    set: async data => { alerts.set(id, clone(data)); },
+    update: async data => { alerts.set(id, { ...alerts.get(id), ...clone(data) }); }
+  };
+}
+
+const db = {
+  collection: () => ({
+    doc: docRef,
+    where: (field, op, value) => ({
+      get: async () => {
+        const docs = [...alerts]
+          .filter(([, data]) => op === 'array-contains' ? (data[field] || []).includes(value) : data[field] === value)
+          .map(([id, data]) => ({ id, exists: true, data: () => clone(data) }));
+        if (afterQuery) {
+          const change = afterQuery;
+          afterQuery = null;
+          await change();
+        }
+        return { docs, empty: docs.length === 0, forEach: callback => docs.forEach(callback) };
+      }
+    })
+  }),
+  // Writes apply when the callback finishes, as in Firestore
+  runTransaction: async callback => {
+    const writes = [];
+    const result = await callback({
+      get: ref => ref.get(),
+      set: (ref, data) => writes.push(() => alerts.set(ref.id, clone(data)))
+    });
+    writes.forEach(write => write());
+    return result;
+  }
+};
+
+// firebaseAdmin and pubSubService connect with credentials on load
+const published = [];
+require.cache[require.resolve('./services/firebase/firebaseAdmin')] = { exports: { firestore: () => db } };
+require.cache[require.resolve('./services/pubsub/pubSubService')] = {
+  exports: {
+    getTopics: () => ({ EMERGENCY_ALERTS: 'emergency-alerts', ALERT_UPDATES: 'alert-updates' }),
+    publishMessage: async (topic, data) => { published.push({ topic, data }); }
+  }
+};
+require.cache[require.resolve('./services/vertexai/disasterPrediction')] = { exports: {} };
+
+const alertService = require('./services/alerts/alertService');
+
+const PUNE = { lat: 18.52, lng: 73.85, radius: 5000 };
+const HOUR = 3600000;
+
+// Alert IDs come from the clock
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+/**
+ * Create an alert with the given fields
+ * @param {Object} fields - Overrides
+ * @returns {Promise<string>} Alert ID
+ */
+async function createAlert(fields = {}) {
+  await tick();
+  return alertService.createEmergencyAlert({ title: 'Flood warning', message: 'River rising', type: 'flood', severity: 'high', location: PUNE, ...fields });
+}
+
+/**
+ * Lifecycle events published for an alert
+ * @param {string} alertId - Alert ID
+ * @returns {Array<string>} Actions in order
+ */
+function eventsFor(alertId) {
+  return published.filter(p => p.topic === 'alert-updates' && p.data.alertId === alertId).map(p => p.data.action);
+}
+
+async function failureOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing the alert lifecycle...\n');
+  let passed = true;
+
+  try {
+    // 1. Update
+    const alertId = await createAlert();
+    const updated = await alertService.updateAlert(alertId, { message: 'River above danger mark', severity: 'critical', status: 'cancelled' });
+    let stored = alerts.get(alertId);
+    passed = check('Updates an alert in place with a new version and a CAP Update',
+      updated.version === 2 && stored.message === 'River above danger mark' && stored.status === 'active' &&
+      stored.cap.msgType === 'Update' && stored.cap.references.split(',')[1] === alertId, JSON.stringify(stored.cap)) && passed;
+    passed = check('Publishes the changed fields', published.some(p => p.data.action === 'updated' && p.data.changes.join() === 'message,severity')) && passed;
+    let failure = await failureOf(() => alertService.updateAlert(alertId, { status: 'cancelled' }));
+    passed = check('Refuses an update with nothing it may change', failure && failure.statusCode === 400, failure && failure.message) && passed;
+
+    // 2. Cancel
+    await alertService.cancelAlert(alertId, 'Water receding');
+    stored = alerts.get(alertId);
+    passed = check('Cancels an alert', stored.status === 'cancelled' && stored.cancelReason === 'Water receding' && stored.version === 3) && passed;
+    failure = await failureOf(() => alertService.updateAlert(alertId, { message: 'Too late' }));
+    passed = check('A cancelled alert cannot be updated', failure && failure.statusCode === 409 && alerts.get(alertId).message === 'River above danger mark') && passed;
+    failure = await failureOf(() => alertService.cancelAlert('alert-missing'));
+    passed = check('Cancelling an unknown alert is not found', failure && failure.statusCode === 404) && passed;
+
+    // 3. Supersede
+    const oldId = await createAlert({ title: 'Cyclone watch', type: 'cyclone' });
+    await tick();
+    const newId = await alertService.supersedeAlert(oldId, { title: 'Cyclone warning', severity: 'critical' });
+    const replacement = alerts.get(newId);
+    passed = check('Supersedes an alert with a replacement that inherits its area',
+      alerts.get(oldId).status === 'superseded' && alerts.get(oldId).supersededBy === newId && replacement.status === 'active' &&
+      replacement.supersedes === oldId && replacement.type === 'cyclone' && replacement.location.lat === PUNE.lat,
+      JSON.stringify(replacement)) && passed;
+    const count = alerts.size;
+    await tick();
+    failure = await failureOf(() => alertService.supersedeAlert(oldId, { title: 'Second replacement' }));
+    passed = check('A superseded alert cannot be replaced again, and no replacement is stored',
+      failure && failure.statusCode === 409 && alerts.size === count) && passed;
+
+    // 4. Expiry sweep
+    const past = new Date(Date.now() - HOUR).toISOString();
+    const expiringId = await createAlert({ title: 'Heat advisory', expiresAt: past });
+    const extendedId = await createAlert({ title: 'Storm warning', expiresAt: past });
+    const cancelledId = await createAlert({ title: 'Landslide warning', expiresAt: past });
+    const currentId = await createAlert({ title: 'Air quality', expiresAt: new Date(Date.now() + HOUR).toISOString() });
+
+    // An operator extends one alert and cancels another after the sweep has read them
+    const extendedTo = new Date(Date.now() + 2 * HOUR).toISOString();
+    afterQuery = async () => {
+      await alertService.updateAlert(extendedId, { expiresAt: extendedTo });
+      await alertService.cancelAlert(cancelledId, 'All clear');
+    };
+    const expired = await alertService.expireAlerts();
+    passed = check('Expires alerts whose expiry has passed', expired === 1 && alerts.get(expiringId).status === 'expired' &&
+      eventsFor(expiringId).join() === 'expired', `${expired} expired`) && passed;
+    passed = check('Keeps an alert whose expiry was extended during the sweep',
+      alerts.get(extendedId).status === 'active' && alerts.get(extendedId).expiresAt === extendedTo &&
+      !eventsFor(extendedId).includes('expired'), JSON.stringify(alerts.get(extendedId))) && passed;
+    passed = check('Leaves an alert cancelled during the sweep cancelled',
+      alerts.get(cancelledId).status === 'cancelled' && eventsFor(cancelledId).join() === 'cancelled', eventsFor(cancelledId).join()) && passed;
+    passed = check('Leaves alerts that have not expired', alerts.get(currentId).status === 'active') && passed;
+  } catch (error) {
+    console.error('❌ Alert lifecycle test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
@@ -0,0 +1,203 @@
+/**
+ * Test script for offline alert packs: pack contents, signatures, delta
+ * updates by version and shared area builds. Firestore, Google Maps and
+ * user lookups are replaced with canned data, so it runs fully offline:
+ * node test-alert-pack.js
+ */
+
+const crypto = require('crypto');
+
+// Signing key from the environment, as in production ("\n" escaped)
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+Object.assign(process.env, {
+  ALERT_PACK_SIGNING_KEY: privateKey.export({ type: 'pkcs8', format: 'pem' }).replace(/\n/g, '\\n'),
+  LLM_PROVIDER: 'fake',
+  TRANSLATION_PROVIDER: 'none'
+});
+
+// userService loads the Firestore user model, which needs credentials; use canned users instead
+const userService = {
+  getUserById: async userId => ({
+    id: userId,
+    preferredLanguage: 'en',
+    emergencyContacts: [{ name: 'Asha', phone: '+919800000001', relationship: 'Sister', priority: 1, notes: 'private' }]
+  }),
+  getPreferredLanguage: async () => 'en'
+};
+require.cache[require.resolve('./services/userService')] = { exports: userService };
+
+const admin = require('firebase-admin');
+const alertPackService = require('./services/offline/alertPackService');
+const packSigner = require('./services/offline/packSigner');
+const mapService = require('./services/mapServices/googleMapsClient');
+const translationService = require('./services/translation');
+
+const MUMBAI = { lat: 19.076, lng: 72.8777 };
+
+// Active disasters served by the fake Firestore
+const disasters = [
+  { id: 'flood-1', active: true, type: 'Flood', title: 'Flooding in Mumbai', description: 'Low-lying areas under water', severity: 'high', location: { latitude: 19.07, longitude: 72.88 }, radius: 10000, evacuation: true, evacuationZone: 'Kurla', timestamp: '2026-07-01T10:00:00.000Z' },
+  { id: 'fire-1', active: true, type: 'fire', title: 'Fire in Thane', severity: 'medium', location: { latitude: 19.2183, longitude: 72.9781 }, radius: 2000 },
+  { id: 'quake-1', active: true, type: 'earthquake', title: 'Earthquake in Pune', location: { latitude: 18.5204, longitude: 73.8567 }, radius: 20000 }
+];
+Object.defineProperty(admin, 'firestore', {
+  configurable: true,
+  value: () => ({
+    collection: () => ({
+      where: () => ({
+        get: async () => ({ forEach: callback => disasters.forEach(({ id, ...data }) => callback({ id, data: () => data })) })
+      })
+    })
+  })
+});
+
+// Twelve safe zones; directions to the second one fail
+const calls = { safeZones: 0, directions: [] };
+mapService.findSafeZones = async (location, disasterType) => {
+  calls.safeZones++;
+  await new Promise(resolve => setTimeout(resolve, 10));
+  return Array.from({ length: 12 }, (_, i) => ({
+    name: `Shelter ${i + 1}`, placeId: `place-${i + 1}`, type: 'school', address: `Road ${i + 1}`,
+    location: { lat: 19.08 + i / 100, lng: 72.88 }, distance: 0.5 + i, extra: 'dropped'
+  }));
+};
+mapService.getDirections = async (origin, destination, mode) => {
+  calls.directions.push({ origin, destination, mode });
+  if (destination.lat === 19.09) throw new Error('ZERO_RESULTS');
+  return [{
+    summary: 'LBS Marg',
+    overview_polyline: { points: 'abc123' },
+    legs: [{
+      distance: { value: 1800 }, duration: { value: 1500 },
+      steps: [{ html_instructions: 'Head <b>north</b> on <div>LBS Marg</div>', distance: { value: 400 }, end_location: { lat: 19.08, lng: 72.88 } }]
+    }]
+  }];
+};
+
+/**
+ * Apply a delta pack to the sections a client has cached
+ * @param {Object} cached - Sections from the earlier pack
+ * @param {Object} pack - Delta pack
+ * @returns {Object} Current sections
+ */
+function mergeSections(cached, pack) {
+  const merged = { ...pack.sections };
+  pack.unchanged.forEach(name => { merged[name] = cached[name]; });
+  return merged;
+}
+
+/**
+ * Recompute the version a client would expect from its merged sections
+ * @param {Object} sections - Sections
+ * @returns {string} Version
+ */
+function versionOf(sections) {
+  const hashes = alertPackService.SECTIONS.map(name =>
+    crypto.createHash('sha256').update(packSigner.canonicalJson(sections[name])).digest('hex').slice(0, 12));
+  return ['1', ...hashes].join('.');
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+/**
+ * Status code of a rejected getPack call
+ * @param {Object} options - getPack options
+ * @returns {Promise<number|null>} statusCode, or null when it succeeded
+ */
+async function rejection(options) {
+  try {
+    await alertPackService.getPack(options);
+    return null;
+  } catch (error) {
+    return error.statusCode;
+  }
+}
+
+async function runTests() {
+  console.log('Testing offline alert packs...\n');
+  let passed = true;
+
+  try {
+    // 1. Validation
+    passed = check('Rejects missing or out-of-range coordinates',
+      await rejection({ lat: 'abc', lng: 72 }) === 400 && await rejection({ lat: 95, lng: 72 }) === 400) && passed;
+    passed = check('Rejects unsupported languages', await rejection({ ...MUMBAI, language: 'xx' }) === 400) && passed;
+
+    // 2. Full pack
+    const { pack, signature } = await alertPackService.getPack({ ...MUMBAI, userId: 'user-1' });
+    const { sections } = pack;
+    passed = check('Full pack carries every section',
+      !pack.delta && pack.unchanged.length === 0 && alertPackService.SECTIONS.every(name => name in sections),
+      Object.keys(sections).join()) && passed;
+    passed = check('Includes nearby active disasters only, the one the area is in first',
+      sections.disasters.map(disaster => disaster.id).join() === 'flood-1,fire-1' &&
+      sections.disasters[0].inside && sections.disasters[0].type === 'flood' && sections.disasters[0].evacuationZone === 'Kurla',
+      sections.disasters.map(disaster => disaster.id).join()) && passed;
+    passed = check('Plans for the disaster the area is in',
+      pack.disasterType === 'flood' && Object.keys(sections.tips).join() === 'general,flood,fire' &&
+      sections.tips.flood.includes('Move to higher ground immediately'), Object.keys(sections.tips).join()) && passed;
+    passed = check('Keeps the ten nearest safe zones in compact form',
+      sections.safeZones.length === 10 && sections.safeZones[0].placeId === 'place-1' && !('extra' in sections.safeZones[0])) && passed;
+    passed = check('Precomputes routes to the closest safe zones, skipping ones that fail',
+      calls.directions.length === 3 && calls.directions.every(call => call.mode === 'walking') &&
+      sections.routes.map(route => route.safeZoneId).join() === 'place-1,place-3' &&
+      sections.routes[0].steps[0].instruction === 'Head north on LBS Marg' && sections.routes[0].polyline === 'abc123',
+      JSON.stringify(sections.routes.map(route => route.safeZoneId))) && passed;
+    passed = check('Lists helplines and the signed-in user\'s emergency contacts',
+      sections.contacts.helplines.some(line => line.phone === '112') &&
+      sections.contacts.personal[0].phone === '+919800000001' && !('notes' in sections.contacts.personal[0])) && passed;
+
+    // 3. Signatures
+    const publicKey = packSigner.getPublicKey();
+    const clientVerified = crypto.verify(null, Buffer.from(packSigner.canonicalJson(pack)),
+      crypto.createPublicKey(publicKey.publicKey), Buffer.from(signature.value, 'base64'));
+    passed = check('Signs packs with the configured Ed25519 key',
+      clientVerified && signature.keyId === publicKey.keyId &&
+      publicKey.publicKey === crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }) &&
+      Buffer.from(publicKey.x, 'base64url').length === 32) && passed;
+    const tampered = JSON.parse(JSON.stringify(pack));
+    tampered.sections.contacts.helplines[0].phone = '999';
+    passed = check('Signature fails when a pack is altered', !packSigner.verify(tampered, signature)) && passed;
+
+    // 4. Delta updates
+    const anonymous = await alertPackService.getPack(MUMBAI);
+    const upToDate = await alertPackService.getPack({ ...MUMBAI, userId: 'user-1', since: pack.version });
+    passed = check('Sends no sections when the cached version is current',
+      upToDate.pack.delta && upToDate.pack.version === pack.version && Object.keys(upToDate.pack.sections).length === 0 &&
+      upToDate.pack.unchanged.length === 5 && packSigner.verify(upToDate.pack, upToDate.signature)) && passed;
+    passed = check('Shares one area build between nearby users',
+      calls.safeZones === 1 && anonymous.pack.sections.contacts.personal.length === 0 &&
+      anonymous.pack.version.split('.')[3] === pack.version.split('.')[3]) && passed;
+
+    disasters[0] = { ...disasters[0], severity: 'critical' };
+    alertPackService.cache.clear();
+    const changed = await alertPackService.getPack({ ...MUMBAI, userId: 'user-1', since: pack.version });
+    const merged = mergeSections(sections, changed.pack);
+    passed = check('Sends only the sections that changed',
+      Object.keys(changed.pack.sections).join() === 'disasters' && changed.pack.sections.disasters[0].severity === 'critical',
+      Object.keys(changed.pack.sections).join()) && passed;
+    passed = check('Merged sections match the new version', versionOf(merged) === changed.pack.version) && passed;
+
+    const full = await alertPackService.getPack({ ...MUMBAI, since: '0.abc' });
+    passed = check('Sends a full pack for an unknown version',
+      !full.pack.delta && full.pack.since === null && Object.keys(full.pack.sections).length === 5) && passed;
+
+    // 5. Language
+    translationService.provider = { name: 'tagging', translate: async (texts, language) => texts.map(text => `[${language}] ${text}`) };
+    const hindi = await alertPackService.getPack({ ...MUMBAI, language: 'hi-IN' });
+    passed = check('Translates disasters and tips into the requested language',
+      hindi.pack.language === 'hi' && hindi.pack.sections.disasters[0].title === '[hi] Flooding in Mumbai' &&
+      hindi.pack.sections.tips.general[0].startsWith('[hi] ')) && passed;
+  } catch (error) {
+    console.error('❌ Alert pack test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
@@ -0,0 +1,235 @@
+/**
+ * Test script for CAP 1.2: parsing XML and JSON, validation, serializing back
+ * to XML, mapping to alerts, and ingesting an originator's Alert, Update and
+ * Cancel messages (including re-sent copies). Firestore and Pub/Sub are
+ * replaced with in-memory fakes, so it runs fully offline: node test-cap.js
+ */
+
+process.env.LLM_PROVIDER = 'fake';
+process.env.TRANSLATION_PROVIDER = 'none';
+
+// Stored alerts, as Firestore would return them (plain JSON)
+const alerts = new Map();
+const clone = data => JSON.parse(JSON.stringify(data));
+
+/**
+ * Query snapshot over stored alerts
+ * @param {Array} entries - [id, data] pairs
+ * @returns {Object} Snapshot
+ */
+function snapshotOf(entries) {
+  const docs = entries.map(([id, data]) => ({ id, exists: true, data: () => clone(data) }));
+  return { docs, empty: docs.length === 0, forEach: callback => docs.forEach(callback) };
+}
+
+function docRef(id) {
+  return {
+    id,
+    get: async () => ({ id, exists: alerts.has(id), data: () => clone(alerts.get(id)) }),
+    set: async data => { alerts.set(id, clone(data)); },
+    update: async data => { alerts.set(id, { ...alerts.get(id), ...clone(data) }); }
+  };
+}
+
+const db = {
+  collection: () => ({
+    doc: docRef,
+    where: (field, op, value) => ({
+      get: async () => snapshotOf([...alerts].filter(([, data]) => {
+        const actual = field.split('.').reduce((obj, key) => obj && obj[key], data);
+        return op === 'array-contains' ? (actual || []).includes(value) : actual === value;
+      }))
+    })
+  }),
+  // Writes apply when the callback finishes, as in Firestore
+  runTransaction: async callback => {
+    const writes = [];
+    const result = await callback({
+      get: ref => ref.get(),
+      set: (ref, data) => writes.push(() => alerts.set(ref.id, clone(data))),
+      update: (ref, data) => writes.push(() => alerts.set(ref.id, { ...alerts.get(ref.id), ...clone(data) }))
+    });
+    writes.forEach(write => write());
+    return result;
+  }
+};
+
+// firebaseAdmin and pubSubService connect with credentials on load
+const published = [];
+require.cache[require.resolve('./services/firebase/firebaseAdmin')] = { exports: { firestore: () => db } };
+require.cache[require.resolve('./services/pubsub/pubSubService')] = {
+  exports: {
+    getTopics: () => ({ EMERGENCY_ALERTS: 'emergency-alerts', ALERT_UPDATES: 'alert-updates' }),
+    publishMessage: async (topic, data) => { published.push({ topic, data }); }
+  }
+};
+require.cache[require.resolve('./services/vertexai/disasterPrediction')] = { exports: {} };
+
+const capService = require('./services/alerts/capService');
+const alertService = require('./services/alerts/alertService');
+
+const EOC = 'eoc@pune.gov.in';
+const SENT = '2026-07-01T10:00:00+05:30';
+
+/**
+ * CAP XML from a county EOC
+ * @param {Object} fields - identifier, msgType, references, headline
+ * @returns {string} CAP XML
+ */
+function eocXml({ identifier, msgType = 'Alert', references, headline = 'Flood warning for Pune riverside', sender = EOC }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<cap:alert xmlns:cap="urn:oasis:names:tc:emergency:cap:1.2">
+  <cap:identifier>${identifier}</cap:identifier>
+  <cap:sender>${sender}</cap:sender>
+  <cap:sent>${SENT}</cap:sent>
+  <cap:status>Actual</cap:status>
+  <cap:msgType>${msgType}</cap:msgType>
+  <cap:scope>Public</cap:scope>${references ? `
+  <cap:references>${references}</cap:references>` : ''}${msgType === 'Cancel' ? `
+  <cap:note>River back below danger mark</cap:note>` : ''}
+  <cap:info>
+    <cap:category>Met</cap:category>
+    <cap:event>Flood</cap:event>
+    <cap:responseType>Evacuate</cap:responseType>
+    <cap:urgency>Immediate</cap:urgency>
+    <cap:severity>Severe</cap:severity>
+    <cap:certainty>Observed</cap:certainty>
+    <cap:headline>${headline}</cap:headline>
+    <cap:description>Mutha river above danger mark</cap:description>
+    <cap:instruction>Move to higher ground</cap:instruction>
+    <cap:area>
+      <cap:areaDesc>Pune riverside</cap:areaDesc>
+      <cap:polygon>18.50,73.84 18.50,73.87 18.53,73.87 18.53,73.84 18.50,73.84</cap:polygon>
+      <cap:geocode><cap:valueName>PIN</cap:valueName><cap:value>411001</cap:value></cap:geocode>
+    </cap:area>
+  </cap:info>
+</cap:alert>`;
+}
+
+// Alert IDs come from the clock
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+/**
+ * Run a function expected to throw and return the error
+ * @param {Function} fn - Function to run
+ * @returns {Error|null} Thrown error
+ */
+async function failureOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing CAP parsing and ingestion...\n');
+  let passed = true;
+
+  try {
+    // 1. Parsing and validation
+    const cap = capService.parse(eocXml({ identifier: 'EOC-2026-0042' }));
+    const info = cap.info[0];
+    passed = check('Parses namespaced CAP XML into the normalized shape',
+      cap.identifier === 'EOC-2026-0042' && cap.sender === EOC && cap.msgType === 'Alert' &&
+      Array.isArray(info.category) && info.category[0] === 'Met' && info.area[0].polygon.length === 1 &&
+      info.area[0].geocode[0].value === '411001', JSON.stringify(cap)) && passed;
+    passed = check('Parses the JSON form to the same alert',
+      JSON.stringify(capService.parse(JSON.stringify({ alert: cap }))) === JSON.stringify(cap)) && passed;
+    passed = check('Puts fields into schema order',
+      Object.keys(capService.normalize({ scope: 'Public', msgType: 'Alert', status: 'Actual', sent: SENT, sender: EOC, identifier: 7 }))
+        .join() === 'identifier,sender,sent,status,msgType,scope') && passed;
+
+    let failure = await failureOf(() => capService.parse({ identifier: 'x', sender: EOC, sent: SENT, status: 'Real', msgType: 'Update', scope: 'Public' }));
+    passed = check('Rejects bad enumerations and an Update without references',
+      failure && failure.statusCode === 400 && failure.problems.length === 2 &&
+      /alert.status must be one of/.test(failure.problems[0]) && /references is required/.test(failure.problems[1]),
+      failure && failure.message) && passed;
+    failure = await failureOf(() => capService.parse(eocXml({ identifier: 'x' }).replace(' 18.50,73.84</cap:polygon>', '</cap:polygon>')));
+    passed = check('Rejects a polygon that is not a closed ring', failure && /closed ring/.test(failure.message), failure && failure.message) && passed;
+    failure = await failureOf(() => capService.parse('<alert><identifier'));
+    passed = check('Rejects documents that are not XML or JSON', failure && failure.statusCode === 400) && passed;
+
+    // 2. Serializing
+    const xml = capService.toXml(cap);
+    passed = check('Serializes to CAP 1.2 XML that parses back to the same alert',
+      xml.includes('<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">') &&
+      JSON.stringify(capService.parse(xml)) === JSON.stringify(cap), xml) && passed;
+
+    const alertData = capService.toAlert(cap);
+    passed = check('Maps CAP to alert data with the polygon and its centroid',
+      alertData.severity === 'high' && alertData.geometry.type === 'Polygon' && alertData.geometry.coordinates[0][0][0] === 73.84 &&
+      Math.abs(alertData.location.lat - 18.515) < 1e-9 && alertData.title === 'Flood warning for Pune riverside',
+      JSON.stringify(alertData)) && passed;
+
+    // 3. Ingesting an Alert, and re-sent copies of it
+    const alertId = await alertService.ingestCapAlert(eocXml({ identifier: 'EOC-2026-0042' }));
+    let stored = alerts.get(alertId);
+    passed = check('Ingests an Alert as a new active alert',
+      stored && stored.status === 'active' && stored.cap.identifier === 'EOC-2026-0042' &&
+      stored.capIdentifiers.join() === `${EOC},EOC-2026-0042` && published.some(p => p.topic === 'emergency-alerts' && p.data.id === alertId),
+      JSON.stringify(stored)) && passed;
+
+    await tick();
+    let id = await alertService.ingestCapAlert(eocXml({ identifier: 'EOC-2026-0042' }));
+    passed = check('A re-sent Alert returns the existing alert', id === alertId && alerts.size === 1, `${id}, ${alerts.size} alerts`) && passed;
+
+    await alertService.updateAlert(alertId, { message: 'Water rising faster than expected' });
+    stored = alerts.get(alertId);
+    passed = check('An operator update replaces the CAP message but remembers the original',
+      stored.cap.msgType === 'Update' && stored.capIdentifiers.length === 2 && stored.capIdentifiers[0] === `${EOC},EOC-2026-0042`,
+      JSON.stringify(stored.capIdentifiers)) && passed;
+
+    await tick();
+    id = await alertService.ingestCapAlert(eocXml({ identifier: 'EOC-2026-0042' }));
+    passed = check('The original Alert re-sent after an update is still not ingested again',
+      id === alertId && alerts.size === 1 && alerts.get(alertId).message === 'Water rising faster than expected', `${id}, ${alerts.size} alerts`) && passed;
+
+    // 4. Cancel referencing the original message
+    const cancel = eocXml({ identifier: 'EOC-2026-0043', msgType: 'Cancel', references: `${EOC},EOC-2026-0042,${SENT}` });
+    id = await alertService.ingestCapAlert(cancel);
+    stored = alerts.get(alertId);
+    passed = check('A Cancel finds the alert by the original identifier and cancels it',
+      id === alertId && stored.status === 'cancelled' && stored.cancelReason === 'River back below danger mark' &&
+      published.some(p => p.topic === 'alert-updates' && p.data.action === 'cancelled' && p.data.alertId === alertId),
+      JSON.stringify(stored)) && passed;
+    id = await alertService.ingestCapAlert(cancel);
+    passed = check('A re-sent Cancel is not applied again', id === alertId) && passed;
+
+    // 5. Update superseding an alert
+    await tick();
+    const floodId = await alertService.ingestCapAlert(eocXml({ identifier: 'EOC-2026-0050' }));
+    await tick();
+    const update = eocXml({ identifier: 'EOC-2026-0051', msgType: 'Update', references: `${EOC},EOC-2026-0050,${SENT}`, headline: 'Flood warning extended' });
+    const replacementId = await alertService.ingestCapAlert(update);
+    const replacement = alerts.get(replacementId);
+    passed = check('An Update supersedes the referenced alert with a new one',
+      replacementId !== floodId && alerts.get(floodId).status === 'superseded' && alerts.get(floodId).supersededBy === replacementId &&
+      replacement.status === 'active' && replacement.supersedes === floodId && replacement.title === 'Flood warning extended' &&
+      replacement.capIdentifiers.join() === `${EOC},EOC-2026-0051`, JSON.stringify(replacement)) && passed;
+    await tick();
+    id = await alertService.ingestCapAlert(update);
+    passed = check('A re-sent Update returns the replacement', id === replacementId && alerts.size === 3, `${id}, ${alerts.size} alerts`) && passed;
+
+    failure = await failureOf(() => alertService.ingestCapAlert(eocXml({ identifier: 'EOC-2026-0099', msgType: 'Cancel', references: `${EOC},EOC-1999-0001,${SENT}` })));
+    passed = check('A Cancel for an unknown alert is not found', failure && failure.statusCode === 404, failure && failure.message) && passed;
+
+    await tick();
+    id = await alertService.ingestCapAlert(eocXml({ identifier: 'EOC-2026-0042', sender: 'eoc@mumbai.gov.in' }));
+    passed = check('The same identifier from another sender is a different message', id !== alertId && alerts.size === 4) && passed;
+  } catch (error) {
+    console.error('❌ CAP test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
@@ -0,0 +1,219 @@
+/**
+ * Test script for assistant chat sessions stored in Firestore: continuing a
+ * session from another instance, ownership, ordered history under concurrent
+ * turns, trimming long histories, expiry and cleanup. Firestore and the model
+ * are in-memory fakes, so it runs fully offline: node test-chat-sessions.js
+ */
+
+// Keep only the latest four messages in each model request
+process.env.CHAT_HISTORY_LIMIT = '4';
+
+// Stored documents, keyed by path
+const store = new Map();
+let nextId = 0;
+
+/**
+ * Firestore Timestamp for a Date
+ * @param {Date} date - Date
+ * @returns {Object} Timestamp
+ */
+function timestamp(date) {
+  return { toDate: () => new Date(date), toMillis: () => date.getTime() };
+}
+
+const value = field => (field && field.toMillis ? field.toMillis() : field);
+
+function snapshot(ref) {
+  const data = store.get(ref.path);
+  return { id: ref.id, ref, exists: Boolean(data), data: () => (data ? { ...data } : undefined) };
+}
+
+function docRef(path) {
+  const ref = {
+    id: path.split('/').pop(),
+    path,
+    collection: name => collectionRef(`${path}/${name}`),
+    get: async () => snapshot(ref),
+    set: async data => { store.set(path, { ...data }); },
+    update: async data => { store.set(path, { ...store.get(path), ...data }); }
+  };
+  return ref;
+}
+
+/**
+ * Query over the documents directly in a collection
+ * @param {string} path - Collection path
+ * @param {Object} options - { filters, order, limit }
+ * @returns {Object} Query
+ */
+function query(path, options = { filters: [] }) {
+  return {
+    where: (field, op, operand) => query(path, { ...options, filters: [...options.filters, [field, op, operand]] }),
+    orderBy: (field, direction = 'asc') => query(path, { ...options, order: [field, direction] }),
+    limit: limit => query(path, { ...options, limit }),
+    get: async () => {
+      let docs = [...store.keys()]
+        .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .map(key => snapshot(docRef(key)))
+        .filter(doc => options.filters.every(([field, op, operand]) => {
+          const [left, right] = [value(doc.data()[field]), value(operand)];
+          return op === '<=' ? left <= right : left === right;
+        }));
+      if (options.order) {
+        const [field, direction] = options.order;
+        docs.sort((a, b) => (a.data()[field] - b.data()[field]) * (direction === 'desc' ? -1 : 1));
+      }
+      if (options.limit) docs = docs.slice(0, options.limit);
+      return { docs, size: docs.length, empty: docs.length === 0 };
+    }
+  };
+}
+
+function collectionRef(path) {
+  return { ...query(path), doc: id => docRef(`${path}/${id || `doc-${++nextId}`}`) };
+}
+
+// Transactions run one at a time, as Firestore's retries make them appear to
+let transactions = Promise.resolve();
+const db = {
+  collection: name => collectionRef(name),
+  batch: () => {
+    const writes = [];
+    return { set: (ref, data) => writes.push(() => ref.set(data)), commit: async () => { for (const write of writes) await write(); } };
+  },
+  runTransaction: callback => {
+    const run = transactions.then(async () => {
+      const writes = [];
+      const result = await callback({
+        get: ref => ref.get(),
+        set: (ref, data) => writes.push(() => ref.set(data)),
+        update: (ref, data) => writes.push(() => ref.update(data))
+      });
+      for (const write of writes) await write();
+      return result;
+    });
+    transactions = run.catch(() => {});
+    return run;
+  },
+  recursiveDelete: async ref => {
+    [...store.keys()].filter(key => key === ref.path || key.startsWith(`${ref.path}/`)).forEach(key => store.delete(key));
+  }
+};
+
+require.cache[require.resolve('./config/firebase-config')] = {
+  exports: { db, admin: { firestore: { Timestamp: { fromDate: timestamp } } } }
+};
+
+// The model answers with the turn number, after a pause so turns overlap
+const requests = [];
+require.cache[require.resolve('./services/llm/llmService')] = {
+  exports: {
+    generate: async request => {
+      requests.push(request);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return { text: `Reply ${requests.length}` };
+    }
+  }
+};
+require.cache[require.resolve('./services/userService')] = {
+  exports: { getPreferredLanguage: async () => 'en' }
+};
+
+const servicePath = require.resolve('./services/ai gemini/geminiService');
+
+/**
+ * A fresh service instance, as another server would have
+ * @returns {Object} Gemini service
+ */
+function anotherInstance() {
+  delete require.cache[servicePath];
+  return require(servicePath);
+}
+
+const chatSessionModel = require('./models/ChatSession');
+
+async function failureOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing chat sessions...\n');
+  let passed = true;
+
+  try {
+    // 1. Sessions outlive the instance that started them
+    const first = anotherInstance();
+    const started = await first.startChat('flood', 'Kurla', 'asha');
+    const second = anotherInstance();
+    const reply = await second.sendMessage(started.sessionId, 'Water is rising, where do I go?', 'asha');
+    passed = check('Another instance continues the session', reply.response === 'Reply 2' && started.message === 'Reply 1') && passed;
+    let session = await second.getSession(started.sessionId, 'asha');
+    passed = check('Stores the opening prompt, replies and user turns in order',
+      session.history.map(entry => entry.role).join() === 'system,model,user,model' &&
+      session.history[2].content === 'Water is rising, where do I go?' && session.messageCount === 4 && session.userId === 'asha',
+      JSON.stringify(session.history.map(entry => entry.role))) && passed;
+
+    // 2. Only the owner can use a session
+    const failures = await Promise.all([
+      failureOf(() => second.sendMessage(started.sessionId, 'hello', 'vikram')),
+      failureOf(() => second.getSession(started.sessionId, null)),
+      failureOf(() => second.endSession(started.sessionId, 'vikram')),
+      failureOf(() => second.getSession('missing', 'asha'))
+    ]);
+    passed = check('Another user\'s session looks the same as a missing one',
+      failures.every(error => error && error.statusCode === 404 && error.message === 'Chat session not found or expired')) && passed;
+    passed = check('Lists a user\'s own sessions', (await second.listSessions('asha')).map(entry => entry.id).join() === started.sessionId &&
+      (await second.listSessions('vikram')).length === 0) && passed;
+
+    // 3. Concurrent turns and long histories
+    await Promise.all(['One', 'Two', 'Three'].map(message => second.sendMessage(started.sessionId, message, 'asha')));
+    const messages = await chatSessionModel.getMessages(started.sessionId);
+    passed = check('Concurrent turns get distinct, gapless sequence numbers',
+      messages.map(entry => entry.seq).join() === '0,1,2,3,4,5,6,7,8,9' && messages.filter(entry => entry.role === 'user').length === 4,
+      messages.map(entry => entry.seq).join()) && passed;
+    requests.length = 0;
+    await second.sendMessage(started.sessionId, 'Is the bridge open?', 'asha');
+    const sent = requests[0].messages;
+    passed = check('A long history keeps the opening prompt and the latest turns',
+      sent.length === 6 && /Current emergency type: flood/.test(sent[0].text) && sent[5].text === 'Is the bridge open?',
+      JSON.stringify(sent.map(entry => entry.text.slice(0, 20)))) && passed;
+    passed = check('The latest messages come from the session', (await chatSessionModel.getMessages(started.sessionId, 2)).map(entry => entry.seq).join() === '10,11') && passed;
+
+    // 4. Expiry and cleanup
+    const anonymous = await second.startChat('fire', 'Dadar');
+    passed = check('An anonymous session can only be used anonymously',
+      (await second.getSession(anonymous.sessionId)).userId === null &&
+      (await failureOf(() => second.getSession(anonymous.sessionId, 'asha'))).statusCode === 404) && passed;
+
+    const sessionPath = `chatSessions/${anonymous.sessionId}`;
+    store.set(sessionPath, { ...store.get(sessionPath), expiresAt: timestamp(new Date(Date.now() - 1000)) });
+    const expired = await failureOf(() => second.sendMessage(anonymous.sessionId, 'hello'));
+    passed = check('An expired session cannot be continued', expired && expired.statusCode === 404 &&
+      await chatSessionModel.appendMessages(anonymous.sessionId, [{ role: 'user', content: 'hello' }], new Date(Date.now() + 60000)) === false) && passed;
+    const deleted = await chatSessionModel.deleteExpired();
+    passed = check('Cleanup deletes expired sessions with their messages',
+      deleted === 1 && ![...store.keys()].some(key => key.startsWith(sessionPath)) && store.has(`chatSessions/${started.sessionId}`)) && passed;
+
+    await second.endSession(started.sessionId, 'asha');
+    passed = check('Ending a session deletes it and its history', store.size === 0 &&
+      (await failureOf(() => first.sendMessage(started.sessionId, 'hello', 'asha'))).statusCode === 404) && passed;
+  } catch (error) {
+    console.error('❌ Chat session test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
@@ -0,0 +1,232 @@
+/**
+ * Test script for "I'm safe" check-ins, family invites and the family status
+ * board. Users, Firestore, connected sockets, SMS and alert receipts are
+ * replaced with in-memory fakes, so it runs fully offline:
+ * node test-check-in.js
+ */
+
+Object.assign(process.env, {
+  JWT_SECRET: 'test-jwt-secret',
+  TRANSLATION_PROVIDER: 'none',
+  CHECKIN_NOTIFY_COOLDOWN_MINUTES: '30'
+});
+
+// Asha lists Vikram, her brother Rohan (no account) and her friend Meera (an account, not linked yet).
+// Mallory registered Rohan's phone number to try to receive Asha's updates.
+const users = {
+  asha: {
+    id: 'asha', name: 'Asha', phone: '+919876500001', preferredLanguage: 'en',
+    location: { latitude: 19.07, longitude: 72.88 },
+    emergencyContacts: [
+      { name: 'Police', phone: '112', relationship: 'Emergency', priority: 1 },
+      { name: 'Vikram', phone: '9876500002', relationship: 'Spouse', priority: 1 },
+      { name: 'Rohan', phone: '9876500003', relationship: 'Brother', priority: 3 },
+      { name: 'Meera', phone: '+919876500004', relationship: 'Friend', priority: 2 }
+    ]
+  },
+  vikram: {
+    id: 'vikram', name: 'Vikram', phone: '+919876500002', preferredLanguage: 'hi',
+    location: { latitude: 18.52, longitude: 73.85 },
+    emergencyContacts: [{ name: 'Asha', phone: '09876500001', relationship: 'Spouse', priority: 1 }]
+  },
+  meera: {
+    id: 'meera', name: 'Meera', phone: '+919876500004', preferredLanguage: 'en',
+    safetyStatus: { status: 'help', channel: 'app', location: { lat: 19.1, lng: 72.9 }, updatedAt: new Date().toISOString() },
+    emergencyContacts: []
+  },
+  mallory: {
+    id: 'mallory', name: 'Mallory', phone: '+919876500003', preferredLanguage: 'en',
+    emergencyContacts: [{ name: 'Asha', phone: '9876500001', relationship: 'Friend', priority: 1 }]
+  }
+};
+
+// userService loads the Firestore user model, which needs credentials
+require.cache[require.resolve('./services/userService')] = {
+  exports: {
+    getUserById: async userId => users[userId] || null,
+    getUserByPhone: async phones => Object.values(users).find(user => phones.includes(user.phone)) || null,
+    setSafetyStatus: async (userId, status) => {
+      users[userId].safetyStatus = { ...status, updatedAt: new Date().toISOString() };
+      return users[userId].safetyStatus;
+    }
+  }
+};
+
+// Vikram and Mallory are connected over Socket.IO
+const socketMessages = [];
+require.cache[require.resolve('./services/socket/socketService')] = {
+  exports: {
+    userManager: {
+      connectedUsers: new Map([
+        ['vikram', { location: { latitude: 18.53, longitude: 73.84 } }],
+        ['mallory', { location: { latitude: 19.2, longitude: 72.95 } }]
+      ]),
+      isUserConnected(userId) { return this.connectedUsers.has(userId); },
+      extractUserLocation: info => info && info.location,
+      sendToUser(userId, event, data) {
+        if (!this.connectedUsers.has(userId)) return false;
+        socketMessages.push({ userId, event, data });
+        return true;
+      }
+    }
+  }
+};
+
+const axios = require('axios');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const admin = require('firebase-admin');
+const safetyRoutes = require('./routes/safetyRoutes');
+const checkInService = require('./services/safety/checkInService');
+const smsService = require('./services/notificationServices/smsServices/smsService');
+const deliveryReceiptService = require('./services/alerts/deliveryReceiptService');
+
+const texts = [];
+smsService.sendSMS = async (phone, countryCode, message) => {
+  texts.push({ phone, countryCode, message });
+  return { success: true };
+};
+const acknowledgements = [];
+deliveryReceiptService.acknowledge = async (alertId, userId, channel) => {
+  acknowledgements.push({ alertId, userId, channel });
+  return { alertId, userId, acknowledged: true };
+};
+
+// Just enough Firestore for family invites and the familyMembers field of the users above
+const invites = new Map();
+function fakeDoc(collection, id) {
+  const docs = collection === 'users' ? new Map(Object.entries(users)) : invites;
+  return {
+    id,
+    get: async () => ({ id, exists: docs.has(id), data: () => (docs.has(id) ? { ...docs.get(id) } : undefined) }),
+    set: async data => (collection === 'users' ? Object.assign(users[id], data) : invites.set(id, { ...data })),
+    update: async fields => (collection === 'users' ? Object.assign(users[id], fields) : invites.set(id, { ...invites.get(id), ...fields }))
+  };
+}
+Object.defineProperty(admin, 'firestore', {
+  configurable: true,
+  value: () => ({
+    collection: name => ({ doc: id => fakeDoc(name, id) }),
+    // Writes are applied only when the callback succeeds
+    runTransaction: async callback => {
+      const writes = [];
+      const result = await callback({ get: ref => ref.get(), update: (ref, fields) => writes.push(() => ref.update(fields)) });
+      for (const write of writes) await write();
+      return result;
+    }
+  })
+});
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing check-ins and the family status board...\n');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/safety', safetyRoutes);
+  const server = app.listen(0);
+  const as = userId => axios.create({
+    baseURL: `http://localhost:${server.address().port}/api/safety`,
+    headers: { Authorization: `Bearer ${jwt.sign({ sub: userId, role: 'citizen' }, process.env.JWT_SECRET)}` },
+    validateStatus: () => true
+  });
+  const api = as('asha');
+  let passed = true;
+
+  try {
+    // 0. Family invites: Asha invites Vikram
+    let invite = await api.post('/family/invites');
+    const { token } = invite.data.data;
+    let accepted = await api.post(`/family/invites/${token}/accept`);
+    passed = check('Refuses accepting your own invite', invite.status === 201 && accepted.status === 400, accepted.status) && passed;
+    accepted = await as('vikram').post(`/family/invites/${token}/accept`);
+    passed = check('Links both users by ID when an invite is accepted',
+      accepted.status === 200 && accepted.data.data.userId === 'asha' &&
+      users.asha.familyMembers.join() === 'vikram' && users.vikram.familyMembers.join() === 'asha', JSON.stringify(accepted.data)) && passed;
+    accepted = await as('mallory').post(`/family/invites/${token}/accept`);
+    passed = check('An invite can only be used once', accepted.status === 409 && !users.mallory.familyMembers) && passed;
+    passed = check('Does not store invite tokens', invites.size === 1 && !invites.has(token)) && passed;
+
+    // 1. Validation
+    let response = await api.post('/check-in', { status: 'safe' }, { headers: { Authorization: '' } });
+    passed = check('Refuses check-ins without a token', response.status === 401) && passed;
+    response = await api.post('/check-in', { status: 'fine' });
+    passed = check('Refuses unknown statuses', response.status === 400 && /safe.*help/.test(response.data.error)) && passed;
+    response = await api.post('/check-in', { status: 'help', location: { lat: 191, lng: 72 } });
+    passed = check('Refuses invalid locations', response.status === 400) && passed;
+
+    // 2. Check in safe after an alert
+    response = await api.post('/check-in', { status: 'safe', location: { lat: 19.07, lng: 72.88 }, alertId: 'alert-9' });
+    const { checkIn, notified } = response.data.data;
+    passed = check('Stores the check-in on the profile',
+      response.status === 200 && checkIn.status === 'safe' && checkIn.channel === 'app' && users.asha.safetyStatus.location.lat === 19.07,
+      JSON.stringify(response.data)) && passed;
+    passed = check('Tells an online family member over the socket',
+      socketMessages.length === 1 && socketMessages[0].userId === 'vikram' && socketMessages[0].event === 'family-check-in' &&
+      socketMessages[0].data.name === 'Asha' && socketMessages[0].data.status === 'safe') && passed;
+    passed = check('Sends nothing over the socket to an account that only claims a contact\'s number',
+      !socketMessages.some(message => message.userId === 'mallory')) && passed;
+    passed = check('Texts the other personal contacts but not public services',
+      texts.length === 2 && texts.some(text => text.phone === '9876500003') && texts.some(text => text.phone === '+919876500004') &&
+      !texts.some(text => text.phone === '112') && /Asha has checked in SAFE\. Location: https:\/\/maps\.google\.com\/\?q=19\.07,72\.88/.test(texts[0].message),
+      JSON.stringify(texts)) && passed;
+    passed = check('Reports who was told and how',
+      notified.length === 3 && notified.find(contact => contact.name === 'Vikram').via === 'socket' &&
+      notified.filter(contact => contact.via === 'sms').length === 2) && passed;
+    passed = check('Acknowledges the alert the check-in answers',
+      acknowledgements.length === 1 && acknowledgements[0].alertId === 'alert-9' && acknowledgements[0].channel === 'fcm') && passed;
+
+    // 3. Repeats and changes
+    response = await api.post('/check-in', { status: 'safe' });
+    passed = check('Does not notify again for a repeated status', response.data.data.notified.length === 0 && texts.length === 2) && passed;
+    socketMessages.length = 0;
+    const result = await checkInService.checkIn('asha', { status: 'help', channel: 'socket', message: 'Trapped on the roof' });
+    passed = check('A change of status notifies again, with the message',
+      result.notified.length === 3 && texts.length === 4 && /Asha NEEDS HELP: "Trapped on the roof"\. Try to reach them/.test(texts[3].message) &&
+      socketMessages[0].data.status === 'help', texts[3] && texts[3].message) && passed;
+
+    // 4. Family board
+    response = await api.get('/family');
+    const members = response.data.data.members;
+    const [vikram] = members;
+    passed = check('Lists only linked family members',
+      response.status === 200 && members.map(member => member.name).join() === 'Vikram' &&
+      response.data.data.me.status === 'help', members.map(member => member.name).join()) && passed;
+    passed = check('Shows the check-in and live location of a linked member',
+      vikram.userId === 'vikram' && vikram.online && vikram.lastCheckIn === null && vikram.location.source === 'live' && vikram.location.lat === 18.53,
+      JSON.stringify(vikram)) && passed;
+
+    users.vikram.safetyStatus = { status: 'safe', channel: 'sms', location: null, updatedAt: '2026-01-01T10:00:00.000Z' };
+    invite = await as('meera').post('/family/invites');
+    await api.post(`/family/invites/${invite.data.data.token}/accept`);
+    require('./services/socket/socketService').userManager.connectedUsers.clear();
+    response = await api.get('/family');
+    const [linkedVikram, linkedMeera] = response.data.data.members;
+    passed = check('Falls back to the profile location for offline members',
+      linkedVikram.lastCheckIn.status === 'safe' && !linkedVikram.online && linkedVikram.location.source === 'profile' && linkedVikram.location.lat === 18.52,
+      JSON.stringify(linkedVikram)) && passed;
+    passed = check('Uses the check-in location once a member accepts an invite',
+      linkedMeera && linkedMeera.lastCheckIn.status === 'help' && linkedMeera.location.source === 'check-in' && linkedMeera.location.lat === 19.1,
+      JSON.stringify(linkedMeera)) && passed;
+
+    response = await as('meera').delete('/family/asha');
+    const board = await api.get('/family');
+    passed = check('Unlinking removes the link on both sides',
+      response.status === 200 && !users.asha.familyMembers.includes('meera') && users.meera.familyMembers.length === 0 &&
+      board.data.data.members.map(member => member.name).join() === 'Vikram') && passed;
+  } catch (error) {
+    console.error('❌ Check-in test failed:', error);
+    passed = false;
+  } finally {
+    server.close();
+    await smsService.close();
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
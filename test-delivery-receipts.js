@@ -0,0 +1,153 @@
+/**
+ * Test script for alert delivery receipts: recording sends, deliveries and
+ * acknowledgements on each channel, including reports that arrive out of
+ * order, and finding receipts to escalate. Firestore is an in-memory fake,
+ * so it runs fully offline:
+ * node test-delivery-receipts.js
+ */
+
+const admin = require('firebase-admin');
+
+// Stored receipts, keyed by document ID
+const receipts = new Map();
+const clone = data => JSON.parse(JSON.stringify(data));
+
+/**
+ * Merge fields into a document as set(..., { merge: true }) does
+ * @param {Object} target - Stored fields
+ * @param {Object} fields - Fields to merge
+ * @returns {Object} Merged fields
+ */
+function merge(target = {}, fields) {
+  const result = { ...target };
+  Object.entries(fields).forEach(([key, value]) => {
+    result[key] = value && typeof value === 'object' && !Array.isArray(value) ? merge(result[key], value) : value;
+  });
+  return result;
+}
+
+function docRef(id) {
+  return {
+    id,
+    get: async () => ({ id, exists: receipts.has(id), data: () => (receipts.has(id) ? clone(receipts.get(id)) : undefined) }),
+    set: async (data, options = {}) => { receipts.set(id, options.merge ? merge(receipts.get(id), clone(data)) : clone(data)); }
+  };
+}
+
+/**
+ * Query over stored receipts supporting == and >= filters
+ * @param {Array} filters - [field, op, value] triples
+ * @returns {Object} Query
+ */
+function query(filters = []) {
+  return {
+    where: (field, op, value) => query([...filters, [field, op, value]]),
+    get: async () => {
+      const docs = [...receipts]
+        .filter(([, data]) => filters.every(([field, op, value]) => (op === '>=' ? data[field] >= value : data[field] === value)))
+        .map(([id, data]) => ({ id, exists: true, data: () => clone(data) }));
+      return { docs, empty: docs.length === 0, forEach: callback => docs.forEach(callback) };
+    }
+  };
+}
+
+const db = {
+  collection: () => ({ ...query(), doc: docRef }),
+  // Writes apply when the callback finishes, as in Firestore
+  runTransaction: async callback => {
+    const writes = [];
+    const result = await callback({
+      get: ref => ref.get(),
+      getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+      set: (ref, data, options) => writes.push(() => ref.set(data, options))
+    });
+    for (const write of writes) await write();
+    return result;
+  }
+};
+Object.defineProperty(admin, 'firestore', { configurable: true, value: () => db });
+
+const deliveryReceiptService = require('./services/alerts/deliveryReceiptService');
+
+const ALERT = 'alert-1';
+
+/**
+ * A user's receipt for the alert
+ * @param {string} userId - User ID
+ * @returns {Object} Stored receipt
+ */
+function receiptOf(userId) {
+  return receipts.get(deliveryReceiptService.receiptId(ALERT, userId));
+}
+
+async function failureOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing alert delivery receipts...\n');
+  let passed = true;
+
+  try {
+    // 1. Sends, deliveries and acknowledgements in order
+    const written = await deliveryReceiptService.recordDeliveries(ALERT, 'socket', ['asha', 'vikram', { userId: 'meera', state: 'failed', error: 'Offline' }], { severity: 'critical', type: 'flood' });
+    passed = check('Records a receipt per user', written === 3 && receiptOf('asha').channels.socket.state === 'sent' &&
+      receiptOf('asha').critical === true && receiptOf('meera').channels.socket.error === 'Offline', JSON.stringify([...receipts])) && passed;
+    await deliveryReceiptService.markDelivered(ALERT, 'asha', 'socket');
+    passed = check('Marks a delivery', receiptOf('asha').channels.socket.state === 'delivered' && receiptOf('asha').channels.socket.sentAt) && passed;
+    await deliveryReceiptService.acknowledge(ALERT, 'vikram', 'socket');
+    passed = check('Records an acknowledgement', receiptOf('vikram').acknowledged === true && receiptOf('vikram').channels.socket.state === 'acknowledged') && passed;
+
+    // 2. Reports arriving out of order never move a channel back
+    const ackedAt = receiptOf('vikram').channels.socket.acknowledgedAt;
+    await deliveryReceiptService.markDelivered(ALERT, 'vikram', 'socket');
+    passed = check('A late delivery report leaves an acknowledgement in place',
+      receiptOf('vikram').channels.socket.state === 'acknowledged' && receiptOf('vikram').channels.socket.acknowledgedAt === ackedAt,
+      JSON.stringify(receiptOf('vikram'))) && passed;
+
+    const firstSentAt = receiptOf('asha').channels.socket.sentAt;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await deliveryReceiptService.recordDeliveries(ALERT, 'socket', ['asha', 'vikram', 'meera'], { severity: 'critical' });
+    passed = check('Re-sending keeps delivered and acknowledged channels but notes the new send',
+      receiptOf('asha').channels.socket.state === 'delivered' && receiptOf('asha').channels.socket.sentAt > firstSentAt &&
+      receiptOf('vikram').channels.socket.state === 'acknowledged' && receiptOf('vikram').acknowledged === true,
+      JSON.stringify([receiptOf('asha'), receiptOf('vikram')])) && passed;
+    passed = check('Re-sending after a failure records the new send', receiptOf('meera').channels.socket.state === 'sent') && passed;
+
+    await deliveryReceiptService.recordDeliveries(ALERT, 'socket', [{ userId: 'asha', state: 'failed', error: 'Timed out' }]);
+    await deliveryReceiptService.recordDeliveries(ALERT, 'socket', [{ userId: 'meera', state: 'failed', error: 'Timed out' }]);
+    passed = check('A failed re-send replaces an earlier send but not a delivery',
+      receiptOf('asha').channels.socket.state === 'delivered' && !receiptOf('asha').channels.socket.error &&
+      receiptOf('meera').channels.socket.state === 'failed', JSON.stringify([receiptOf('asha'), receiptOf('meera')])) && passed;
+
+    // 3. Escalation candidates
+    const since = new Date(Date.now() - 60000).toISOString();
+    receipts.set(deliveryReceiptService.receiptId('alert-0', 'asha'), { alertId: 'alert-0', userId: 'asha', acknowledged: false, updatedAt: '2026-01-01T00:00:00.000Z' });
+    await deliveryReceiptService.updateEscalation(ALERT, 'meera', { completed: true });
+    const pending = await deliveryReceiptService.getPendingSince(since);
+    passed = check('Only recent receipts the user has not acknowledged are escalation candidates',
+      pending.map(receipt => receipt.userId).sort().join() === 'asha', pending.map(receipt => receipt.id).join()) && passed;
+    passed = check('Receipts start unacknowledged', receiptOf('asha').acknowledged === false && receiptOf('meera').acknowledged === false) && passed;
+
+    const failure = await failureOf(() => deliveryReceiptService.recordDeliveries(ALERT, 'pigeon', ['asha']));
+    passed = check('Rejects unknown channels', failure && failure.statusCode === 400) && passed;
+  } catch (error) {
+    console.error('❌ Delivery receipt test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
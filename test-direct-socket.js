@@ -1,15 +1,20 @@
 require('dotenv').config();
 const socketIO = require('socket.io-client');
 
-// Connect to Socket.IO server
-const socket = socketIO('http://localhost:5000');
+// Connect to Socket.IO server with an access token from POST /api/users/login
+const socket = socketIO('http://localhost:5000', {
+  auth: { token: process.env.TEST_ACCESS_TOKEN }
+});
+
+socket.on('connect_error', (error) => {
+  console.error('Connection refused:', error.message);
+});
 
 socket.on('connect', () => {
   console.log('Connected to server');
   
-  // Register as a test user
+  // Register as the user the token belongs to
   socket.emit('register', {
-    userId: 'test-user',
     location: {
       city: 'Mumbai',
       state: 'Maharashtra'
@@ -0,0 +1,103 @@
+/**
+ * Test script for geofenced targeting: parsing and encoding GeoJSON areas,
+ * and deciding whether a user is inside a polygon (with holes and several
+ * parts) or within a point's radius. Runs fully offline: node test-geofence.js
+ */
+
+const geofence = require('./utils/geo/geofence');
+
+// Mumbai island city, with Sion carved out, as [lng, lat] rings
+const ISLAND_CITY = [[72.80, 18.90], [72.88, 18.90], [72.88, 19.05], [72.80, 19.05]];
+const SION = [[72.855, 19.035], [72.870, 19.035], [72.870, 19.048], [72.855, 19.048], [72.855, 19.035]];
+const THANE = [[72.95, 19.17], [73.02, 19.17], [73.02, 19.24], [72.95, 19.24], [72.95, 19.17]];
+
+const COLABA = { latitude: 18.91, longitude: 72.82 };
+const DADAR = { lat: 19.018, lng: 72.843 };
+const SION_CIRCLE = { coordinates: [72.862, 19.042] };
+const BANDRA = { latitude: 19.06, longitude: 72.84 };
+const THANE_STATION = { latitude: 19.186, longitude: 72.975 };
+
+function failureOf(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+function runTests() {
+  console.log('Testing geofenced targeting...\n');
+  let passed = true;
+
+  try {
+    // 1. Parsing
+    const polygon = geofence.parseGeometry({ type: 'Polygon', coordinates: [ISLAND_CITY, SION] });
+    passed = check('Closes an open ring', polygon.coordinates[0].length === 5 && polygon.coordinates[0][4].join() === '72.8,18.9',
+      JSON.stringify(polygon.coordinates[0])) && passed;
+    const stored = geofence.serializeGeometry(polygon);
+    passed = check('Encodes coordinates for Firestore and reads them back',
+      typeof stored.coordinates === 'string' && JSON.stringify(geofence.parseGeometry(stored)) === JSON.stringify(polygon)) && passed;
+    passed = check('Accepts a Feature and a JSON string',
+      geofence.parseGeometry({ type: 'Feature', geometry: polygon }).type === 'Polygon' &&
+      geofence.parseGeometry(JSON.stringify({ type: 'MultiPolygon', coordinates: [[ISLAND_CITY], [THANE]] })).coordinates.length === 2) && passed;
+    passed = check('Nothing to parse is no geometry', geofence.parseGeometry(undefined) === null && geofence.parseGeometry('') === null) && passed;
+
+    const invalid = [
+      { type: 'Point', coordinates: [72.8, 18.9] },
+      { type: 'Polygon', coordinates: [[[72.8, 18.9], [72.9, 18.9]]] },
+      { type: 'Polygon', coordinates: [[[72.8, 98.9], [72.9, 18.9], [72.9, 19.0]]] },
+      { type: 'Polygon', coordinates: '[[[' },
+      'not json'
+    ];
+    const failures = invalid.map(value => failureOf(() => geofence.parseGeometry(value)));
+    passed = check('Rejects other types, short rings, out-of-range positions and bad JSON with a 400',
+      failures.every(error => error && error.statusCode === 400), failures.map(error => error && error.message).join('; ')) && passed;
+    passed = check('Ignores malformed geometry stored on a target',
+      geofence.getGeometry({ id: 'alert-1', geometry: { type: 'Polygon', coordinates: '[[' } }) === null) && passed;
+
+    // 2. Polygons
+    const alert = { id: 'alert-2', geometry: stored, location: { latitude: 18.97, longitude: 72.83 }, radius: 1 };
+    const area = geofence.prepare(alert);
+    passed = check('Prepares a polygon area with its bounds, keeping the stored centre',
+      area.geometry && area.bounds.minLat === 18.9 && area.bounds.maxLng === 72.88 && area.center.latitude === 18.97) && passed;
+    let result = geofence.locate(COLABA, area);
+    passed = check('A user inside the polygon is inside, however far from the centre', result.inside && result.method === 'polygon' && result.distance > 6000,
+      JSON.stringify(result)) && passed;
+    passed = check('A user in a hole is outside', geofence.locate(SION_CIRCLE, area).inside === false) && passed;
+    passed = check('A user outside the polygon but within its radius is outside', geofence.locate(BANDRA, area).inside === false) && passed;
+    passed = check('Accepts every location shape', geofence.contains(DADAR, alert) && geofence.contains({ type: 'Point', coordinates: [72.82, 18.91] }, alert)) && passed;
+    passed = check('An unusable location is not located', geofence.locate({ lat: 'x' }, area) === null && !geofence.contains(null, alert)) && passed;
+
+    const multi = { geometry: { type: 'MultiPolygon', coordinates: [[ISLAND_CITY], [THANE]] } };
+    passed = check('A MultiPolygon covers each of its parts and not the gap between them',
+      geofence.contains(COLABA, multi) && geofence.contains(THANE_STATION, multi) && !geofence.contains(BANDRA, multi)) && passed;
+    passed = check('Without a centre the middle of the bounds is used',
+      Math.abs(geofence.prepare(multi).center.latitude - 19.07) < 1e-9, JSON.stringify(geofence.prepare(multi).center)) && passed;
+
+    // 3. Radius fallback
+    const disaster = { location: { latitude: 19.02, longitude: 72.84 }, radius: 3000 };
+    result = geofence.locate(DADAR, geofence.prepare(disaster));
+    passed = check('A point target covers its radius', result.inside && result.method === 'radius' && result.distance < 3000, JSON.stringify(result)) && passed;
+    passed = check('And nothing beyond it', !geofence.contains(COLABA, disaster)) && passed;
+    passed = check('Uses the default radius when the target has none',
+      geofence.contains(COLABA, { location: disaster.location }) && !geofence.contains(COLABA, { location: disaster.location }, 5000)) && passed;
+    const bounds = geofence.prepare(disaster).bounds;
+    passed = check('The radius bounds enclose the circle',
+      bounds.minLat < 18.995 && bounds.maxLat > 19.045 && bounds.minLng < 72.815 && bounds.maxLng > 72.865, JSON.stringify(bounds)) && passed;
+    passed = check('A target without a location has no area', geofence.prepare({ title: 'Somewhere' }) === null) && passed;
+  } catch (error) {
+    console.error('❌ Geofence test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
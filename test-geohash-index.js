@@ -0,0 +1,101 @@
+/**
+ * Test script for the geohash index of connected users: encoding, moving and
+ * removing entries, and bounding-box queries that never miss an entry inside
+ * the box. Runs fully offline: node test-geohash-index.js
+ */
+
+const GeohashIndex = require('./utils/geo/geohashIndex');
+
+/**
+ * Repeatable pseudo-random numbers in [0, 1)
+ * @param {number} seed - Seed
+ * @returns {Function} Generator
+ */
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+/**
+ * Whether a point lies in a box
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} bounds - { minLat, maxLat, minLng, maxLng }
+ * @returns {boolean} True if inside
+ */
+function inBounds(point, bounds) {
+  return point.latitude >= bounds.minLat && point.latitude <= bounds.maxLat &&
+    point.longitude >= bounds.minLng && point.longitude <= bounds.maxLng;
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+function runTests() {
+  console.log('Testing the geohash index...\n');
+  let passed = true;
+
+  try {
+    // 1. Encoding
+    passed = check('Encodes a point as a standard geohash',
+      GeohashIndex.encode(57.64911, 10.40744, 11) === 'u4pruydqqvj' && GeohashIndex.encode(19.0653, 72.8794, 6) === 'te7u6q',
+      GeohashIndex.encode(57.64911, 10.40744, 11)) && passed;
+    const cell = GeohashIndex.decodeBounds('te7u6q');
+    passed = check('Decodes a cell to bounds containing its points', inBounds({ latitude: 19.0653, longitude: 72.8794 }, cell), JSON.stringify(cell)) && passed;
+
+    // 2. Entries
+    const index = new GeohashIndex();
+    index.update('asha', { latitude: 19.0653, longitude: 72.8794 });
+    index.update('vikram', { lat: 18.52, lng: 73.85 });
+    index.update('rohan', { coordinates: [72.88, 19.07] });
+    const kurla = GeohashIndex.encode(19.0653, 72.8794, 5);
+    passed = check('Indexes entries in any location shape at precision 5',
+      index.size === 3 && index.getCell('asha') === kurla && index.getCell('rohan') === kurla && index.getCell('vikram') === GeohashIndex.encode(18.52, 73.85, 5),
+      `${index.getCell('asha')} ${index.getCell('vikram')}`) && passed;
+    index.update('asha', { latitude: 28.61, longitude: 77.21 });
+    passed = check('Moves an entry to its new cell',
+      index.getCell('asha') === GeohashIndex.encode(28.61, 77.21, 5) && index.cells.get(kurla).size === 1 && index.cells.get(kurla).has('rohan'),
+      index.getCell('asha')) && passed;
+    index.update('rohan', null);
+    passed = check('A missing location removes the entry, and its emptied cell',
+      index.size === 2 && index.getCell('rohan') === null && !index.cells.has(kurla)) && passed;
+    passed = check('Removing an unknown entry is a no-op', index.remove('nobody') === false && index.remove('vikram') === true && index.size === 1) && passed;
+
+    // 3. Queries return every entry in the box
+    const crowd = new GeohashIndex();
+    const next = random(42);
+    const points = new Map();
+    for (let i = 0; i < 2000; i++) {
+      const point = { latitude: 18.8 + next() * 0.6, longitude: 72.7 + next() * 0.5 };
+      points.set(`user-${i}`, point);
+      crowd.update(`user-${i}`, point);
+    }
+    const boxes = [
+      { minLat: 19.0, maxLat: 19.05, minLng: 72.85, maxLng: 72.9 },
+      { minLat: 18.9, maxLat: 19.3, minLng: 72.75, maxLng: 73.1 },
+      { minLat: 19.0612, maxLat: 19.0613, minLng: 72.8, maxLng: 72.8001 }
+    ];
+    boxes.forEach((bounds, i) => {
+      const candidates = new Set(crowd.queryBounds(bounds));
+      const inside = [...points].filter(([, point]) => inBounds(point, bounds)).map(([id]) => id);
+      passed = check(`Box ${i + 1}: every entry inside is a candidate, and entries well outside are not`,
+        inside.every(id => candidates.has(id)) && candidates.size < points.size, `${inside.length} inside, ${candidates.size} candidates`) && passed;
+    });
+
+    const india = { minLat: 6, maxLat: 36, minLng: 68, maxLng: 98 };
+    passed = check('Very large boxes walk the occupied cells instead',
+      crowd.coverBounds(india) === null && crowd.queryBounds(india).length === points.size) && passed;
+    passed = check('Boxes elsewhere find nothing', crowd.queryBounds({ minLat: 28, maxLat: 29, minLng: 77, maxLng: 78 }).length === 0) && passed;
+  } catch (error) {
+    console.error('❌ Geohash index test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
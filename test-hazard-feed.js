@@ -0,0 +1,121 @@
+/**
+ * Test script for the hazard feed aggregator: NOAA alert states, and which
+ * events from NOAA, USGS, OpenFEMA and OpenWeather merge into one hazard.
+ * Firestore and the upstream feeds are replaced with canned data, so it runs
+ * fully offline: node test-hazard-feed.js
+ */
+
+// firebase-config initializes Firebase from credentials on load; nothing here writes
+require.cache[require.resolve('./config/firebase-config')] = { exports: { db: null, fieldValues: {} } };
+
+const hazardFeedAggregator = require('./services/alertServices/hazardFeedAggregator');
+const noaaWeatherService = require('./services/alertServices/noaaWeatherService');
+
+const NOW = '2026-07-01T10:00:00.000Z';
+const YESTERDAY = '2026-06-30T00:00:00.000Z';
+
+/**
+ * NOAA alert as returned by noaaWeatherService (CAP-normalized)
+ * @param {string} identifier - CAP identifier
+ * @param {Object} area - CAP area
+ * @returns {Object} { id, cap }
+ */
+function noaaAlert(identifier, area) {
+  return {
+    id: `https://api.weather.gov/alerts/${identifier}`,
+    cap: {
+      identifier, sender: 'w-nws.webmaster@noaa.gov', sent: NOW, status: 'Actual', msgType: 'Alert', scope: 'Public',
+      info: [{ event: 'Flood Warning', headline: `Flood Warning for ${area.areaDesc}`, severity: 'Severe', onset: NOW, area: [area] }]
+    }
+  };
+}
+
+/**
+ * Hazard event as produced by the fetchers
+ * @param {string} source - Feed name
+ * @param {string} sourceId - ID within the feed
+ * @param {Object} fields - Overrides
+ * @returns {Object} Hazard event
+ */
+function event(source, sourceId, fields) {
+  return {
+    title: `${source} ${sourceId}`,
+    description: null,
+    type: 'flood',
+    severity: 'high',
+    instructions: null,
+    evacuation: false,
+    radius: 25000,
+    startedAt: NOW,
+    expiresAt: null,
+    ...fields,
+    location: { latitude: null, longitude: null, city: null, state: null, area: null, ...fields.location },
+    sources: [{ source, sourceId, url: null }]
+  };
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing the hazard feed aggregator...\n');
+  let passed = true;
+
+  try {
+    // 1. NOAA alert states
+    noaaWeatherService.getWeatherAlerts = async () => [
+      noaaAlert('harris', { areaDesc: 'Harris, TX', geocode: [{ valueName: 'UGC', value: 'TXC201' }] }),
+      noaaAlert('border', { areaDesc: 'Dona Ana, NM; El Paso, TX', geocode: [] }),
+      noaaAlert('marine', { areaDesc: 'Galveston Bay', geocode: [{ valueName: 'UGC', value: 'GMZ335' }] })
+    ];
+    const noaa = await hazardFeedAggregator.fetchNoaa();
+    passed = check('Takes the state of a NOAA alert from its UGC codes', noaa[0].location.state === 'TX', noaa[0].location.state) && passed;
+    passed = check('Falls back to the first state named in areaDesc', noaa[1].location.state === 'NM', noaa[1].location.state) && passed;
+    passed = check('Marine zones have no state', noaa[2].location.state === null, noaa[2].location.state) && passed;
+
+    // 2. Events from one feed stay separate
+    const harris = event('noaa', 'harris', { location: { state: 'TX', area: 'Harris, TX' } });
+    const elPaso = event('noaa', 'el-paso', { location: { state: 'TX', area: 'El Paso, TX' } });
+    const dallas = event('noaa', 'dallas', { location: { latitude: 32.78, longitude: -96.8, state: 'TX' } });
+    let merged = hazardFeedAggregator.mergeEvents([harris, elPaso, dallas]);
+    passed = check('Different NOAA alerts in one state stay separate hazards', merged.length === 3, merged.length) && passed;
+
+    const quake = event('usgs', 'ci1', { type: 'earthquake', location: { latitude: 34.05, longitude: -118.25 } });
+    const aftershock = event('usgs', 'ci2', { type: 'earthquake', location: { latitude: 34.06, longitude: -118.26 } });
+    merged = hazardFeedAggregator.mergeEvents([quake, aftershock]);
+    passed = check('Nearby events from one feed stay separate hazards', merged.length === 2, merged.length) && passed;
+
+    // 3. Events from different feeds merge
+    const declaration = event('fema', 'DR-4800', { severity: 'critical', startedAt: YESTERDAY, location: { state: 'TX' } });
+    merged = hazardFeedAggregator.mergeEvents([harris, elPaso, dallas, declaration]);
+    const withFema = merged.filter(hazard => hazard.sources.some(s => s.source === 'fema'));
+    passed = check('A FEMA declaration joins one NOAA alert in its state', merged.length === 3 && withFema.length === 1,
+      JSON.stringify(merged.map(hazard => hazard.sources))) && passed;
+    passed = check('The merged hazard keeps NOAA text, the higher severity and the earlier start',
+      withFema[0].title === 'noaa harris' && withFema[0].severity === 'critical' && withFema[0].startedAt === YESTERDAY,
+      JSON.stringify(withFema[0])) && passed;
+
+    const storm = event('noaa', 'storm', { type: 'storm', location: { latitude: 19.07, longitude: 72.88 } });
+    const nearby = event('openweather', 'Mumbai:Storm', { type: 'storm', location: { latitude: 19.08, longitude: 72.87, city: 'Mumbai' } });
+    const farAway = event('openweather', 'Delhi:Storm', { type: 'storm', location: { latitude: 28.61, longitude: 77.21, city: 'Delhi' } });
+    merged = hazardFeedAggregator.mergeEvents([storm, nearby, farAway]);
+    passed = check('Overlapping events from different feeds merge; distant ones do not',
+      merged.length === 2 && merged[0].sources.length === 2 && merged[0].location.city === 'Mumbai',
+      JSON.stringify(merged.map(hazard => hazard.sources))) && passed;
+
+    const later = event('fema', 'DR-4801', { startedAt: '2026-07-05T00:00:00.000Z', location: { state: 'TX' } });
+    const otherType = event('fema', 'DR-4802', { type: 'fire', location: { state: 'TX' } });
+    merged = hazardFeedAggregator.mergeEvents([harris, later, otherType]);
+    passed = check('Events apart in time or of another type do not merge', merged.length === 3, merged.length) && passed;
+  } catch (error) {
+    console.error('❌ Hazard feed test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
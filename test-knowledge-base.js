@@ -0,0 +1,167 @@
+/**
+ * Test script for the chatbot knowledge base: Markdown and PDF ingestion,
+ * the local embedding index, retrieval, and citations in chatbot answers
+ * using the fake LLM backend. Runs fully offline: node test-knowledge-base.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safeescape-knowledge-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'fake',
+  KNOWLEDGE_BASE_DIR: path.join(workDir, 'docs'),
+  KNOWLEDGE_INDEX_PATH: path.join(workDir, 'index.json'),
+  KNOWLEDGE_EMBEDDER: 'hashing'
+});
+
+const knowledgeBase = require('./services/knowledge');
+const documentLoader = require('./services/knowledge/documentLoader');
+const llmService = require('./services/llm/llmService');
+const FakeProvider = require('./services/llm/providers/fakeProvider');
+const emergencyChatbot = require('./services/vertexai/emergencyChatbot');
+
+const FIRST_AID = `# First aid
+
+Call 112 first in any medical emergency.
+
+## Severe bleeding
+
+Press firmly on the wound with a clean cloth and keep pressing. Raise the injured limb.
+
+## Burns
+
+Cool the burn under running water for twenty minutes. Do not apply ice or butter.
+`;
+
+/**
+ * Build a small PDF with one line of text per page
+ * @param {Array<string>} pages - Page texts
+ * @returns {Buffer} PDF file
+ */
+function makePdf(pages) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+  const kids = [];
+  pages.forEach((text) => {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${objects.length} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`);
+    kids.push(`${objects.length} 0 R`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+// Run the tests
+async function runTests() {
+  console.log('=== KNOWLEDGE BASE TEST SCRIPT ===');
+  let passed = true;
+
+  // No live alert feeds offline
+  emergencyChatbot.getAlertData = async () => ({ weatherAlerts: [], earthquakes: [], disasters: [], currentWeather: {} });
+
+  try {
+    const docsDir = process.env.KNOWLEDGE_BASE_DIR;
+    fs.mkdirSync(path.join(docsDir, 'shelters'), { recursive: true });
+    fs.writeFileSync(path.join(docsDir, 'first-aid.md'), FIRST_AID);
+    fs.writeFileSync(path.join(docsDir, 'README.md'), '# About this folder');
+    fs.writeFileSync(path.join(docsDir, 'shelters', 'pune-shelters.pdf'), makePdf([
+      'Pune relief camps list, checked 1 June',
+      'Shelter at Shivajinagar municipal school, capacity 400 people'
+    ]));
+
+    // 1. Markdown sections and chunking
+    const { title, sections } = documentLoader.parseMarkdown(FIRST_AID);
+    passed = check('Splits Markdown at headings',
+      title === 'First aid' && sections.map(section => section.heading).join('|') === 'First aid|Severe bleeding|Burns',
+      sections.map(section => section.heading).join('|')) && passed;
+    const chunks = documentLoader.chunkText('One sentence here. '.repeat(30), 120);
+    passed = check('Cuts long sections into passages at sentence breaks',
+      chunks.length > 1 && chunks.every(chunk => chunk.length <= 120 && chunk.endsWith('.')), `${chunks.length} passages`) && passed;
+
+    // 2. Ingestion of Markdown and PDF
+    const result = await knowledgeBase.ingest();
+    passed = check('Indexes Markdown and PDF documents, skipping the README',
+      result.documents === 2 && result.failed.length === 0 && fs.existsSync(process.env.KNOWLEDGE_INDEX_PATH),
+      `${result.documents} documents, ${result.passages} passages`) && passed;
+
+    // 3. Retrieval
+    let passages = await knowledgeBase.search('my arm is bleeding badly');
+    passed = check('Finds the relevant Markdown section',
+      passages[0] && passages[0].source === 'first-aid.md' && passages[0].section === 'Severe bleeding',
+      passages[0] && `${passages[0].section} ${passages[0].score.toFixed(3)}`) && passed;
+    passages = await knowledgeBase.search('which school shelter has capacity');
+    passed = check('Finds the relevant PDF page',
+      passages[0] && passages[0].source === 'shelters/pune-shelters.pdf' && passages[0].section === 'Page 2',
+      passages[0] && `${passages[0].source} › ${passages[0].section}`) && passed;
+    passages = await knowledgeBase.search('quantum chromodynamics lecture');
+    passed = check('Returns nothing for unrelated questions', passages.length === 0, `${passages.length} passages`) && passed;
+
+    // 4. Saved index is reused until a document changes
+    knowledgeBase.index = null;
+    await knowledgeBase.getIndex();
+    const builtAt = knowledgeBase.index.builtAt;
+    passed = check('Reloads the saved index', builtAt === result.builtAt) && passed;
+    fs.appendFileSync(path.join(docsDir, 'first-aid.md'), '\n## Choking\n\nGive five back blows between the shoulder blades.\n');
+    knowledgeBase.index = null;
+    passages = await knowledgeBase.search('person is choking');
+    passed = check('Rebuilds the index when a document changes',
+      knowledgeBase.index.builtAt !== builtAt && passages[0] && passages[0].section === 'Choking') && passed;
+
+    // 5. Citations in chatbot answers
+    llmService.provider = new FakeProvider({
+      model: 'fake-model',
+      responses: [
+        '{"response":"Press on the wound [3].","urgency":"high","actions":["Press on the wound"],"callEmergencyServices":true,"citations":[9]}',
+        '{"response":"Press firmly on the wound with a clean cloth [1].","urgency":"high","actions":["Press on the wound"],"callEmergencyServices":true,"citations":[1]}'
+      ]
+    });
+    let answer = await emergencyChatbot.getEmergencyResponse('My friend is bleeding badly from a cut', { city: 'Pune' });
+    const prompt = llmService.provider.requests[0].messages[0].text;
+    passed = check('Puts numbered reference passages in the prompt',
+      /\[1\] first-aid\.md › Severe bleeding/.test(prompt) && /Press firmly on the wound/.test(prompt)) && passed;
+    passed = check('Repairs citations that point at no passage',
+      llmService.provider.requests.length === 2 && /citations must be reference numbers/.test(llmService.provider.requests[1].messages[2].text)) && passed;
+    passed = check('Answers cite document sections',
+      answer.source === 'model' && answer.citations.length === 1 &&
+      answer.citations[0].source === 'first-aid.md' && answer.citations[0].section === 'Severe bleeding',
+      JSON.stringify(answer.citations)) && passed;
+
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: ['Cool it under running water [1]. Then cover it [2].'] });
+    const tokens = [];
+    answer = await emergencyChatbot.streamEmergencyResponse('How do I treat a burn?', { city: 'Pune' }, {}, { onToken: text => tokens.push(text) });
+    passed = check('Streamed answers cite the passages marked in the text',
+      tokens.length > 1 && answer.citations.some(citation => citation.section === 'Burns'),
+      JSON.stringify(answer.citations.map(citation => `${citation.ref}:${citation.section}`))) && passed;
+
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: [new Error('400: bad request')] });
+    answer = await emergencyChatbot.getEmergencyResponse('Bleeding from the leg', { city: 'Pune' });
+    passed = check('Fallback answers carry no citations', answer.source === 'fallback' && answer.citations.length === 0) && passed;
+  } catch (error) {
+    console.error('❌ Knowledge base test failed:', error);
+    passed = false;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
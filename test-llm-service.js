@@ -0,0 +1,220 @@
+/**
+ * Test script for the LLM service: retries, timeouts, JSON parsing, schema
+ * validation with repair and fallback, streaming with cancellation, and
+ * token accounting on the fake backend, and the OpenAI-compatible backend
+ * against a local stub server. Runs fully offline: node test-llm-service.js
+ */
+
+Object.assign(process.env, {
+  LLM_PROVIDER: 'fake',
+  LLM_RETRY_BASE_DELAY_MS: '10',
+  LLM_TIMEOUT_MS: '200'
+});
+
+const http = require('http');
+const llmService = require('./services/llm/llmService');
+const FakeProvider = require('./services/llm/providers/fakeProvider');
+const OpenAICompatibleProvider = require('./services/llm/providers/openAICompatibleProvider');
+
+/**
+ * Error the way backends report throttling
+ * @returns {Error} Retryable error
+ */
+function throttled() {
+  const error = new Error('429: rate limited');
+  error.retryable = true;
+  return error;
+}
+
+/**
+ * Start a stub OpenAI-compatible server that answers with fixed JSON, or
+ * with a few server-sent event chunks when streaming is requested
+ * @returns {Promise<Object>} { server, url, requests }
+ */
+function startStubServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      if (requests[requests.length - 1].body.stream) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        ['Move ', 'to high', ' ground.'].forEach(content => {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content }, finish_reason: null }] })}\n\n`);
+        });
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }] })}\n\n`);
+        res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 9, completion_tokens: 4 } })}\n\n`);
+        return res.end('data: [DONE]\n\n');
+      }
+
+      res.setHeader('Content-Type', 'application/json');
+      if (requests.length === 1) {
+        res.statusCode = 503;
+        return res.end(JSON.stringify({ error: { message: 'warming up' } }));
+      }
+      res.end(JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: '{"status":"ok"}' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 5 }
+      }));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, () => {
+    resolve({ server, url: `http://localhost:${server.address().port}/v1`, requests });
+  }));
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+// Run the tests
+async function runTests() {
+  console.log('=== LLM SERVICE TEST SCRIPT ===');
+  let passed = true;
+  let stub;
+
+  try {
+    // 1. Deterministic echo
+    let result = await llmService.generate({ task: 'chat', prompt: 'Where is the nearest shelter?' });
+    passed = check('Fake backend echoes the prompt', result.text === '[fake-model] Where is the nearest shelter?', result.text) && passed;
+
+    // 2. Retry on throttling
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: [throttled(), throttled(), 'recovered'] });
+    result = await llmService.generate({ task: 'prediction', prompt: 'retry me' });
+    passed = check('Retries throttled requests', result.text === 'recovered' && result.attempts === 3, `${result.attempts} attempts`) && passed;
+
+    // 3. Retries give up
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: [throttled(), throttled(), throttled()] });
+    let error = await llmService.generate({ task: 'prediction', prompt: 'fail' }).then(() => null, err => err);
+    passed = check('Gives up after LLM_MAX_RETRIES', Boolean(error) && llmService.provider.requests.length === 3, error && error.message) && passed;
+
+    // 4. Non-retryable errors fail at once
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: [new Error('400: bad request')] });
+    error = await llmService.generate({ prompt: 'bad' }).then(() => null, err => err);
+    passed = check('Does not retry permanent errors', Boolean(error) && llmService.provider.requests.length === 1) && passed;
+
+    // 5. Timeouts
+    llmService.provider = new FakeProvider({ model: 'fake-model', delayMs: 500 });
+    const started = Date.now();
+    error = await llmService.generate({ prompt: 'slow', timeoutMs: 50 }).then(() => null, err => err);
+    const elapsed = Date.now() - started;
+    passed = check('Times out slow requests and retries them', Boolean(error) && /timed out/.test(error.message) &&
+      llmService.provider.requests.length === 3 && elapsed < 450, `${elapsed}ms`) && passed;
+
+    // 6. JSON mode
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: ['Here you go:\n```json\n{"riskLevel":"High"}\n```', 'no json here'] });
+    result = await llmService.generateJson({ task: 'prediction', prompt: 'json please' });
+    passed = check('Parses JSON from a code block', result.data.riskLevel === 'High' && llmService.provider.requests[0].json) && passed;
+    error = await llmService.generateJson({ prompt: 'json please' }).then(() => null, err => err);
+    passed = check('Reports unparseable JSON', Boolean(error) && error.code === 'INVALID_OUTPUT', error && error.message) && passed;
+
+    // 7. Schema validation, repair and fallback
+    const validRisk = '{"risks":[{"disasterType":"Flood","riskLevel":"High","indicators":["Heavy rain"],"precautions":["Move uphill"]}],"overallRiskLevel":"High","confidence":"very"}';
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: ['{"risks":[],"overallRiskLevel":"Catastrophic"}', validRisk] });
+    result = await llmService.generateStructured({ task: 'prediction', schema: 'riskAssessment', prompt: 'risk?' });
+    const repairRequest = llmService.provider.requests[1];
+    passed = check('Repairs an answer that fails the schema',
+      result.source === 'model' && result.repairs === 1 && result.data.overallRiskLevel === 'High' &&
+      repairRequest.messages.length === 3 && /overallRiskLevel/.test(repairRequest.messages[2].text),
+      repairRequest.messages[2].text) && passed;
+    passed = check('Drops properties the schema does not list', !('confidence' in result.data)) && passed;
+
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: ['{"risks":"none"}', 'still wrong'] });
+    result = await llmService.generateStructured({
+      task: 'prediction',
+      schema: 'riskAssessment',
+      prompt: 'risk?',
+      fallback: () => ({ risks: [], overallRiskLevel: 'Low' })
+    });
+    const tagged = llmService.tagSource(result);
+    passed = check('Falls back, marked as such, when repair fails',
+      tagged.source === 'fallback' && tagged.model === null && tagged.fallbackReason === 'invalid model output', JSON.stringify(tagged)) && passed;
+
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: ['{"recommendedRouteIndex":4,"reasoning":"Widest road"}', '{"recommendedRouteIndex":1,"reasoning":"Widest road"}'] });
+    result = await llmService.generateStructured({
+      task: 'evacuation',
+      schema: 'evacuationDecision',
+      prompt: 'route?',
+      check: decision => decision.recommendedRouteIndex < 3 || 'recommendedRouteIndex must be below 3'
+    });
+    passed = check('Applies extra checks beyond the schema', result.source === 'model' && result.data.recommendedRouteIndex === 1) && passed;
+
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: ['nope', 'nope'] });
+    error = await llmService.generateStructured({ task: 'chat', schema: 'chatbotResponse', prompt: 'hi' }).then(() => null, err => err);
+    passed = check('Throws without a fallback', Boolean(error) && error.code === 'INVALID_OUTPUT', error && error.message) && passed;
+
+    // 8. Streaming
+    llmService.provider = new FakeProvider({ model: 'fake-model' });
+    let tokens = [];
+    result = await llmService.stream({ task: 'chat', prompt: 'Is the bridge safe?' }, text => tokens.push(text));
+    passed = check('Streams the answer a piece at a time',
+      tokens.length === 5 && tokens.join('') === result.text && result.text === '[fake-model] Is the bridge safe?', JSON.stringify(tokens)) && passed;
+
+    llmService.provider = new FakeProvider({ model: 'fake-model', tokenDelayMs: 30 });
+    tokens = [];
+    const controller = new AbortController();
+    const streamStarted = Date.now();
+    error = await llmService.stream({ prompt: 'one two three four five six seven eight', signal: controller.signal }, (text) => {
+      tokens.push(text);
+      if (tokens.length === 2) controller.abort();
+    }).then(() => null, err => err);
+    passed = check('Stops streaming when the caller cancels',
+      Boolean(error) && error.code === 'ABORTED' && tokens.length === 2 && Date.now() - streamStarted < 200,
+      `${tokens.length} tokens`) && passed;
+
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: [throttled(), 'after retry'] });
+    result = await llmService.stream({ prompt: 'retry me' }, () => {});
+    passed = check('Retries a stream that failed before any text', result.text === 'after retry' && result.attempts === 2) && passed;
+
+    llmService.provider = new FakeProvider({ model: 'fake-model', tokenDelayMs: 100 });
+    tokens = [];
+    error = await llmService.stream({ prompt: 'slow words', timeoutMs: 50 }, text => tokens.push(text)).then(() => null, err => err);
+    passed = check('Ends a stalled stream', Boolean(error) && /stalled/.test(error.message) && tokens.length === 0,
+      error && error.message) && passed;
+
+    // 9. Token accounting
+    const usage = llmService.getUsage();
+    const prediction = usage.byTask.find(entry => entry.task === 'prediction');
+    passed = check('Totals requests, failures and tokens per task',
+      prediction && prediction.requests === 6 && prediction.failures === 1 && prediction.repairs === 2 &&
+      prediction.fallbacks === 1 && prediction.inputTokens > 0 &&
+      usage.totals.requests === usage.byTask.reduce((sum, entry) => sum + entry.requests, 0),
+      JSON.stringify(usage.totals)) && passed;
+
+    // 10. OpenAI-compatible backend
+    stub = await startStubServer();
+    llmService.provider = new OpenAICompatibleProvider({ model: 'local-llama', baseUrl: stub.url, apiKey: 'test-key' });
+    result = await llmService.generateJson({
+      task: 'vision',
+      system: 'Be brief.',
+      prompt: 'Describe',
+      images: [{ data: Buffer.from('img'), mimeType: 'image/png' }]
+    });
+    const sent = stub.requests[1];
+    passed = check('OpenAI-compatible backend retries a 503 and parses the answer',
+      result.data.status === 'ok' && result.attempts === 2 && result.usage.inputTokens === 12) && passed;
+    passed = check('Sends system prompt, image, JSON mode and API key',
+      sent.url === '/v1/chat/completions' && sent.headers.authorization === 'Bearer test-key' &&
+      sent.body.messages[0].role === 'system' && sent.body.messages[1].content[1].image_url.url.startsWith('data:image/png;base64,') &&
+      sent.body.response_format.type === 'json_object' && sent.body.model === 'local-llama') && passed;
+
+    tokens = [];
+    result = await llmService.stream({ task: 'chat', prompt: 'Flooding nearby' }, text => tokens.push(text));
+    passed = check('OpenAI-compatible backend streams server-sent events',
+      result.text === 'Move to high ground.' && tokens.length === 3 && result.finishReason === 'stop' &&
+      result.usage.outputTokens === 4 && stub.requests[2].body.stream === true, JSON.stringify(tokens)) && passed;
+  } catch (error) {
+    console.error('❌ LLM service test failed:', error);
+    passed = false;
+  } finally {
+    if (stub) stub.server.close();
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
@@ -0,0 +1,151 @@
+/**
+ * Test script for disaster push notifications: finding the users inside a
+ * disaster's polygon or radius a page at a time, sending to their devices in
+ * multicasts of at most 500 tokens, pruning unregistered tokens and recording
+ * receipts. Firestore users and FCM are in-memory fakes, so it runs fully
+ * offline: node test-push-targeting.js
+ */
+
+// 1,200 users: a block of 700 in Kurla (one device each, every tenth also has a dead
+// token) of which the flood polygon covers the western half, 300 in Pune, 100 with
+// no location and 100 in the flood with no devices
+const users = new Map();
+for (let i = 0; i < 1200; i++) {
+  const id = `user-${String(i).padStart(4, '0')}`;
+  if (i < 700) {
+    const fcmTokens = [{ token: `live-${i}` }];
+    if (i % 10 === 0) fcmTokens.push({ token: `dead-${i}` });
+    users.set(id, { location: { latitude: 19.06 + (i % 35) * 0.0002, longitude: 72.87 + Math.floor(i / 35) * 0.0002 }, fcmTokens });
+  } else if (i < 1000) {
+    users.set(id, { location: { latitude: 18.52, longitude: 73.85 }, fcmTokens: [{ token: `live-${i}` }] });
+  } else {
+    users.set(id, i % 2 ? { fcmTokens: [{ token: `live-${i}` }] } : { location: { latitude: 19.062, longitude: 72.871 }, fcmTokens: [] });
+  }
+}
+const disasters = new Map([['kurla-flood', {
+  type: 'flood', severity: 'critical', description: 'Mithi river overflowing',
+  geometry: { type: 'Polygon', coordinates: JSON.stringify([[[72.869, 19.059], [72.8719, 19.059], [72.8719, 19.068], [72.869, 19.068], [72.869, 19.059]]]) }
+}]]);
+
+/**
+ * Users query ordered by ID
+ * @param {number} limit - Page size
+ * @param {string|null} after - ID to start after
+ * @returns {Object} Query
+ */
+function usersQuery(limit = Infinity, after = null) {
+  return {
+    limit: n => usersQuery(n, after),
+    startAfter: doc => usersQuery(limit, doc.id),
+    get: async () => {
+      pagesRead++;
+      const docs = [...users.keys()].sort().filter(id => after === null || id > after).slice(0, limit)
+        .map(id => ({ id, exists: true, data: () => JSON.parse(JSON.stringify(users.get(id))) }));
+      return { docs, empty: docs.length === 0 };
+    }
+  };
+}
+let pagesRead = 0;
+
+// Tokens starting with "dead-" are unregistered; the rest are accepted
+const multicasts = [];
+const messaging = {
+  sendEachForMulticast: async message => {
+    multicasts.push(message);
+    return {
+      responses: message.tokens.map(token => (token.startsWith('dead-')
+        ? { success: false, error: { code: 'messaging/registration-token-not-registered', message: 'Not registered' } }
+        : { success: true }))
+    };
+  }
+};
+
+require.cache[require.resolve('./config/firebase-config')] = {
+  exports: {
+    admin: { messaging: () => messaging, firestore: { FieldPath: { documentId: () => '__name__' } } },
+    collections: {
+      users: { orderBy: () => usersQuery(), doc: id => ({ get: async () => ({ exists: users.has(id), data: () => users.get(id) }) }) },
+      disasters: { doc: id => ({ get: async () => ({ id, exists: disasters.has(id), data: () => disasters.get(id) }) }) }
+    }
+  }
+};
+const pruned = [];
+require.cache[require.resolve('./models/User')] = {
+  exports: {
+    removeFcmTokens: async (userId, tokens) => {
+      pruned.push(...tokens);
+      const user = users.get(userId);
+      user.fcmTokens = user.fcmTokens.filter(tokenObj => !tokens.includes(tokenObj.token));
+      return tokens.length;
+    }
+  }
+};
+const receipts = [];
+require.cache[require.resolve('./services/alerts/deliveryReceiptService')] = {
+  exports: { recordDeliveries: async (alertId, channel, deliveries, details) => receipts.push({ alertId, channel, deliveries, details }) }
+};
+
+const pushNotificationService = require('./services/notificationServices/pushNotifications/pushNotification');
+
+async function failureOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing disaster push targeting...\n');
+  let passed = true;
+
+  try {
+    // 1. A stored disaster with a polygon
+    const report = await pushNotificationService.notifyUsersOfDisaster({ disasterId: 'kurla-flood' });
+    passed = check('Scans every user a page at a time', report.usersScanned === 1200 && pagesRead === 3, `${report.usersScanned} users, ${pagesRead} pages`) && passed;
+    passed = check('Targets only users inside the polygon',
+      report.targeting === 'polygon' && report.usersInArea === 450 && report.usersWithTokens === 350, JSON.stringify(report)) && passed;
+    const tokens = multicasts.flatMap(message => message.tokens);
+    passed = check('Sends to every device in multicasts of at most 500',
+      multicasts.length === report.multicastBatches && multicasts.every(message => message.tokens.length <= 500) &&
+      tokens.length === report.tokensTargeted && new Set(tokens).size === tokens.length && tokens.every(token => Number(token.split('-')[1]) < 350),
+      multicasts.map(message => message.tokens.length).join()) && passed;
+    passed = check('Sends the disaster with the alert ID receipts use',
+      multicasts[0].data.alertId === 'disaster-kurla-flood' && multicasts[0].data.severity === 'critical' && multicasts[0].notification.body === 'Mithi river overflowing') && passed;
+    passed = check('Counts a user as reached when any of their devices accepted',
+      report.usersReached === 350 && report.failuresByCode['messaging/registration-token-not-registered'] === report.prunedTokens,
+      JSON.stringify(report.failuresByCode)) && passed;
+    passed = check('Prunes unregistered tokens',
+      report.prunedTokens > 0 && pruned.every(token => token.startsWith('dead-')) && [...users.values()].every(user => !(user.fcmTokens || []).some(t => pruned.includes(t.token)))) && passed;
+    passed = check('Records an FCM receipt for each reached user',
+      receipts.length === 1 && receipts[0].alertId === 'disaster-kurla-flood' && receipts[0].channel === 'fcm' &&
+      receipts[0].deliveries.length === 350 && receipts[0].deliveries.every(delivery => !delivery.state), JSON.stringify(receipts[0] && receipts[0].details)) && passed;
+
+    // 2. A disaster sent as a payload
+    multicasts.length = 0;
+    const radius = await pushNotificationService.notifyUsersOfDisaster({ disaster: { id: 'pune-fire', type: 'fire', location: { latitude: 18.52, longitude: 73.85 }, radius: 2000 } });
+    passed = check('Targets a payload by point and radius',
+      radius.targeting === 'radius' && radius.usersInArea === 300 && radius.usersReached === 300 && radius.multicastBatches === 1, JSON.stringify(radius)) && passed;
+
+    let failure = await failureOf(() => pushNotificationService.notifyUsersOfDisaster({ disasterId: 'missing' }));
+    passed = check('An unknown disaster is not found', failure && failure.statusCode === 404) && passed;
+    failure = await failureOf(() => pushNotificationService.notifyUsersOfDisaster({ disaster: { type: 'fire' } }));
+    passed = check('A payload without an area is refused', failure && failure.statusCode === 400) && passed;
+    failure = await failureOf(() => pushNotificationService.notifyUsersOfDisaster({ disaster: { type: 'fire', geometry: { type: 'Point', coordinates: [72, 19] } } }));
+    passed = check('A payload with bad geometry is refused', failure && failure.statusCode === 400) && passed;
+  } catch (error) {
+    console.error('❌ Push targeting test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
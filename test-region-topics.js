@@ -0,0 +1,140 @@
+/**
+ * Test script for regional FCM topics: room and topic names, the condition a
+ * regional alert is sent with, and keeping a user's topic subscriptions in
+ * step with their location. Users and FCM are in-memory fakes, so it runs
+ * fully offline: node test-region-topics.js
+ */
+
+const regionRooms = require('./utils/geo/regionRooms');
+
+// Stored users; FCM reports tokens starting with "dead-" as unregistered
+const users = new Map([
+  ['asha', { fcmTokens: [{ token: 'phone-asha' }, { token: 'dead-asha' }], location: { city: 'Mumbai', state: 'Maharashtra' } }],
+  ['vikram', { fcmTokens: [], location: { city: 'Pune', state: 'Maharashtra' } }]
+]);
+const sent = [];
+const subscriptions = [];
+const messaging = {
+  send: async message => {
+    sent.push(message);
+    return `projects/test/messages/${sent.length}`;
+  },
+  subscribeToTopic: async (tokens, topic) => topicResponse('subscribe', tokens, topic),
+  unsubscribeFromTopic: async (tokens, topic) => topicResponse('unsubscribe', tokens, topic)
+};
+
+/**
+ * Record a topic request and fail its unregistered tokens
+ * @param {string} action - 'subscribe' or 'unsubscribe'
+ * @param {Array<string>} tokens - FCM tokens
+ * @param {string} topic - Topic name
+ * @returns {Object} Topic management response
+ */
+function topicResponse(action, tokens, topic) {
+  subscriptions.push({ action, tokens, topic });
+  return {
+    errors: tokens.map((token, index) => ({ token, index }))
+      .filter(({ token }) => token.startsWith('dead-'))
+      .map(({ index }) => ({ index, error: { code: 'messaging/registration-token-not-registered', message: 'Not registered' } }))
+  };
+}
+
+require.cache[require.resolve('./config/firebase-config')] = {
+  exports: { admin: { messaging: () => messaging }, collections: {} }
+};
+require.cache[require.resolve('./models/User')] = {
+  exports: {
+    getUserById: async id => (users.has(id) ? { id, ...users.get(id) } : null),
+    updateUser: async (id, updates) => Object.assign(users.get(id), updates),
+    removeFcmTokens: async (id, tokens) => {
+      const user = users.get(id);
+      user.fcmTokens = user.fcmTokens.filter(tokenObj => !tokens.includes(tokenObj.token));
+      return tokens.length;
+    }
+  }
+};
+require.cache[require.resolve('./services/alerts/deliveryReceiptService')] = { exports: {} };
+
+const pushNotificationService = require('./services/notificationServices/pushNotifications/pushNotification');
+
+async function failureOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing regional FCM topics...\n');
+  let passed = true;
+
+  try {
+    // 1. Names
+    passed = check('Names rooms with characters FCM accepts in topics',
+      regionRooms.regionRoom('city', ' Navi Mumbai ') === 'city-navi_mumbai' && regionRooms.regionRoom('state', 'Tamil Nādu') === 'state-tamil_n_du' &&
+      regionRooms.regionRoom('city', '') === null && regionRooms.regionRoom('city', undefined) === null) && passed;
+    passed = check('A located user is in their city, state and country rooms',
+      regionRooms.getUserRooms({ city: 'Mumbai', state: 'Maharashtra' }).join() === 'city-mumbai,state-maharashtra,country-india' &&
+      regionRooms.getUserRooms({ state: 'Goa' }).join() === 'state-goa,country-india' && regionRooms.getUserRooms(null).length === 0) && passed;
+    passed = check('Targets the location and region rooms once each',
+      regionRooms.getTargetRooms({ city: 'Mumbai', state: 'Maharashtra' }, 'Pune,Maharashtra').join() === 'country-india,state-maharashtra,city-mumbai,city-pune' &&
+      regionRooms.getTargetRooms(null, 'all').join() === 'country-india',
+      regionRooms.getTargetRooms({ city: 'Mumbai', state: 'Maharashtra' }, 'Pune,Maharashtra').join()) && passed;
+    passed = check('Builds a condition over at most five topics',
+      regionRooms.topicCondition(['city-pune', 'state-goa']) === "'city-pune' in topics || 'state-goa' in topics") && passed;
+    const tooMany = await failureOf(() => regionRooms.topicCondition(['a', 'b', 'c', 'd', 'e', 'f']));
+    passed = check('Refuses a condition over six topics or more', tooMany && /at most 5/.test(tooMany.message)) && passed;
+
+    // 2. Regional sends
+    const message = { notification: { title: 'Flood', body: 'Move to higher ground' }, data: { alertId: 'alert-1' } };
+    const result = await pushNotificationService.sendToRegion({ city: 'Mumbai', state: 'Maharashtra' }, null, message);
+    passed = check('Sends one message to the region\'s topics without the country topic',
+      result.condition === "'state-maharashtra' in topics || 'city-mumbai' in topics" && sent.length === 1 &&
+      sent[0].condition === result.condition && sent[0].notification.title === 'Flood' && result.messageId === 'projects/test/messages/1',
+      result.condition) && passed;
+    const country = await pushNotificationService.sendToRegion(null, 'all', message);
+    passed = check('Sends to the whole country only when asked for all', country.topics.join() === 'country-india') && passed;
+    const failure = await failureOf(() => pushNotificationService.sendToRegion({ latitude: 19.07, longitude: 72.88 }, null, message));
+    passed = check('A region without a city or state is refused', failure && failure.statusCode === 400 && sent.length === 2) && passed;
+
+    // 3. Keeping subscriptions in step with the user's location
+    let sync = await pushNotificationService.syncUserTopics('asha');
+    passed = check('Subscribes every token to the user\'s topics',
+      sync.topics.join() === 'city-mumbai,state-maharashtra,country-india' && sync.left.length === 0 &&
+      subscriptions.filter(request => request.action === 'subscribe').length === 3 &&
+      users.get('asha').fcmTopics.join() === sync.topics.join(), JSON.stringify(sync)) && passed;
+    passed = check('Prunes tokens FCM reports as unregistered',
+      sync.prunedTokens === 1 && users.get('asha').fcmTokens.map(tokenObj => tokenObj.token).join() === 'phone-asha', JSON.stringify(users.get('asha').fcmTokens)) && passed;
+
+    subscriptions.length = 0;
+    sync = await pushNotificationService.syncUserTopics('asha', { city: 'Pune', state: 'Maharashtra' });
+    passed = check('Moving city leaves the old city topic and keeps the rest',
+      sync.left.join() === 'city-mumbai' &&
+      subscriptions.some(request => request.action === 'unsubscribe' && request.topic === 'city-mumbai' && request.tokens.join() === 'phone-asha') &&
+      !subscriptions.some(request => request.action === 'unsubscribe' && request.topic !== 'city-mumbai') &&
+      users.get('asha').fcmTopics.join() === 'city-pune,state-maharashtra,country-india', JSON.stringify(subscriptions)) && passed;
+
+    sync = await pushNotificationService.syncUserTopics('asha', null);
+    passed = check('Clearing the location leaves every topic', sync.topics.length === 0 && sync.left.length === 3 && users.get('asha').fcmTopics.length === 0) && passed;
+
+    subscriptions.length = 0;
+    sync = await pushNotificationService.syncUserTopics('vikram');
+    passed = check('A user without tokens makes no FCM requests', sync.tokens === 0 && subscriptions.length === 0) && passed;
+    passed = check('An unknown user is not synced', await pushNotificationService.syncUserTopics('nobody') === null) && passed;
+  } catch (error) {
+    console.error('❌ Region topics test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
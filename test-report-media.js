@@ -0,0 +1,140 @@
+/**
+ * Test script for report evidence uploads: who may attach media, stripping
+ * photo metadata after reading its position, and refusing videos and files
+ * whose bytes are not an image whatever their content type. Reports and
+ * storage are in-memory fakes, so it runs fully offline:
+ * node test-report-media.js
+ */
+
+const sharp = require('sharp');
+const admin = require('firebase-admin');
+
+Object.defineProperty(admin, 'firestore', {
+  configurable: true,
+  value: Object.assign(() => ({}), { FieldValue: { arrayUnion: (...values) => ({ arrayUnion: values }) } })
+});
+
+// Stored reports and files
+const reports = {};
+const files = new Map();
+require.cache[require.resolve('./models/DisasterReport')] = {
+  exports: {
+    getById: async id => (reports[id] ? { id, ...reports[id] } : null),
+    update: async (id, updates) => {
+      const report = reports[id];
+      Object.entries(updates).forEach(([field, value]) => {
+        report[field] = value && value.arrayUnion ? [...(report[field] || []), ...value.arrayUnion] : value;
+      });
+      return { id, ...report };
+    }
+  }
+};
+require.cache[require.resolve('./services/storage')] = {
+  exports: {
+    name: 'memory',
+    save: async (key, buffer) => {
+      files.set(key, buffer);
+      return { key, url: `/media/${key}`, size: buffer.length };
+    },
+    remove: async key => { files.delete(key); }
+  }
+};
+const assessments = [];
+require.cache[require.resolve('./services/reports/damageAssessmentService')] = {
+  exports: { scheduleAssessment: reportId => assessments.push(reportId) }
+};
+
+const reportMediaService = require('./services/reports/reportMediaService');
+
+/**
+ * A photo taken near Kurla, with the phone's make and position in its EXIF
+ * @returns {Promise<Buffer>} JPEG
+ */
+function geotaggedPhoto() {
+  return sharp({ create: { width: 64, height: 48, channels: 3, background: '#1040c0' } })
+    .jpeg()
+    .withExif({
+      IFD0: { Make: 'Reporter Phone' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '19/1 4/1 12/1', GPSLongitudeRef: 'E', GPSLongitude: '72/1 52/1 48/1' }
+    })
+    .toBuffer();
+}
+
+/**
+ * Start of an MP4 file: an ftyp box followed by a moov box
+ * @returns {Buffer} Bytes
+ */
+function mp4Header() {
+  return Buffer.concat([
+    Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom'), Buffer.alloc(12),
+    Buffer.from([0, 0, 0, 0x08]), Buffer.from('moov')
+  ]);
+}
+
+async function failureOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing report media uploads...\n');
+  reports.mine = { reportedBy: 'asha', status: 'pending', location: { type: 'Point', coordinates: [72.8794, 19.0653] } };
+  reports.anonymous = { reportedBy: null, status: 'pending' };
+  const reporter = { userId: 'asha', role: 'citizen' };
+  let passed = true;
+
+  try {
+    // 1. Photos
+    const [record] = await reportMediaService.attachMedia('mine', [{ buffer: await geotaggedPhoto(), mimetype: 'image/jpeg', originalname: '../IMG_0001.jpg' }], reporter);
+    const stored = await sharp(files.get(record.key)).metadata();
+    passed = check('Stores a photo with a thumbnail and queues it for assessment',
+      record.type === 'image' && record.width === 64 && files.has(record.thumbnailKey) && reports.mine.media.length === 1 &&
+      reports.mine.images[0] === record.url && assessments.join() === 'mine' && record.originalName === 'IMG_0001.jpg',
+      JSON.stringify(record)) && passed;
+    passed = check('Keeps the photo position for moderators',
+      Math.abs(record.gps.latitude - 19.07) < 1e-9 && Math.abs(record.gps.longitude - 72.88) < 1e-9 && record.distanceFromReportMeters < 1000,
+      JSON.stringify(record.gps)) && passed;
+    passed = check('Strips the EXIF block from the stored photo', !stored.exif, stored.exif && stored.exif.length) && passed;
+
+    const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'red' } }).png().toBuffer();
+    const [relabelled] = await reportMediaService.attachMedia('mine', [{ buffer: png, mimetype: 'application/octet-stream', originalname: 'photo' }], reporter);
+    passed = check('Takes the format from the bytes, not the content type', relabelled.contentType === 'image/png' && /\.png$/.test(relabelled.key)) && passed;
+
+    // 2. Videos and other files are refused, whatever they claim to be
+    const count = files.size;
+    let failure = await failureOf(() => reportMediaService.attachMedia('mine', [{ buffer: mp4Header(), mimetype: 'video/mp4', originalname: 'clip.mp4' }], reporter));
+    passed = check('Refuses a video', failure && failure.statusCode === 415 && /Video/.test(failure.message), failure && failure.message) && passed;
+    failure = await failureOf(() => reportMediaService.attachMedia('mine', [{ buffer: mp4Header(), mimetype: 'image/jpeg', originalname: 'clip.jpg' }], reporter));
+    passed = check('Refuses an MP4 sent as a JPEG', failure && failure.statusCode === 415 && /Video/.test(failure.message), failure && failure.message) && passed;
+    const webm = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01]);
+    failure = await failureOf(() => reportMediaService.attachMedia('mine', [{ buffer: webm, mimetype: 'image/png', originalname: 'clip.png' }], reporter));
+    passed = check('Refuses a WebM sent as a PNG', failure && failure.statusCode === 415, failure && failure.message) && passed;
+    failure = await failureOf(() => reportMediaService.attachMedia('mine', [{ buffer: Buffer.from('<svg onload="alert(1)"/>'), mimetype: 'image/jpeg', originalname: 'x.jpg' }], reporter));
+    passed = check('Refuses a file that is not an image', failure && failure.statusCode === 415 && files.size === count, failure && failure.message) && passed;
+
+    // 3. Who may attach
+    failure = await failureOf(() => reportMediaService.attachMedia('mine', [{ buffer: png, mimetype: 'image/png' }], null));
+    passed = check('Anonymous users cannot add to a signed-in user\'s report', failure && failure.statusCode === 401) && passed;
+    failure = await failureOf(() => reportMediaService.attachMedia('anonymous', [{ buffer: mp4Header(), mimetype: 'video/quicktime' }], null));
+    passed = check('Anonymous users cannot upload video either', failure && failure.statusCode === 415) && passed;
+    const [anonymousPhoto] = await reportMediaService.attachMedia('anonymous', [{ buffer: png, mimetype: 'image/png' }], null);
+    passed = check('Anonymous users can add photos to a pending anonymous report', anonymousPhoto.uploadedBy === null) && passed;
+  } catch (error) {
+    console.error('❌ Report media test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
@@ -0,0 +1,172 @@
+/**
+ * Test script for crowd-sourced report moderation: clustering nearby reports,
+ * reporter reputation, responders verifying and rejecting (including two at
+ * once) and promoting a corroborated cluster to a disaster. Firestore and
+ * sockets are in-memory fakes, so it runs fully offline:
+ * node test-report-moderation.js
+ */
+
+const admin = require('firebase-admin');
+
+// Just enough Firestore for disasterReports, reportClusters, reporterReputation and disasters
+const store = new Map();
+let nextId = 1;
+const clone = data => JSON.parse(JSON.stringify(data));
+function fakeCollection(path) {
+  const docs = () => [...store.entries()]
+    .filter(([key]) => key.startsWith(`${path}/`))
+    .map(([key, data]) => ({ id: key.slice(path.length + 1), exists: true, data: () => clone(data) }));
+  const query = (filters = []) => ({
+    where: (field, op, value) => query([...filters, [field, op, value]]),
+    orderBy: () => query(filters),
+    get: async () => {
+      const matches = docs().filter(doc => filters.every(([field, op, value]) =>
+        op === 'in' ? value.includes(doc.data()[field]) : doc.data()[field] === value));
+      return { empty: matches.length === 0, docs: matches, forEach: callback => matches.forEach(callback) };
+    }
+  });
+  const fakeDoc = (id = `doc-${nextId++}`) => ({
+    id,
+    get: async () => (store.has(`${path}/${id}`)
+      ? { id, exists: true, data: () => clone(store.get(`${path}/${id}`)) }
+      : { id, exists: false, data: () => undefined }),
+    set: async data => store.set(`${path}/${id}`, clone(data)),
+    update: async fields => store.set(`${path}/${id}`, { ...store.get(`${path}/${id}`), ...clone(fields) })
+  });
+  return { ...query(), doc: fakeDoc };
+}
+
+// Transactions run one at a time and write only when the callback succeeds
+let transactions = Promise.resolve();
+function runTransaction(callback) {
+  const run = transactions.then(async () => {
+    const writes = [];
+    const result = await callback({
+      get: ref => ref.get(),
+      set: (ref, data) => writes.push(() => ref.set(data)),
+      update: (ref, fields) => writes.push(() => ref.update(fields))
+    });
+    for (const write of writes) await write();
+    return result;
+  });
+  transactions = run.catch(() => {});
+  return run;
+}
+const db = { collection: fakeCollection, runTransaction, getAll: (...refs) => Promise.all(refs.map(ref => ref.get())) };
+Object.defineProperty(admin, 'firestore', { configurable: true, value: () => db });
+
+// firebase-config initializes Firebase from credentials on load
+require.cache[require.resolve('./config/firebase-config')] = {
+  exports: { admin, fieldValues: { serverTimestamp: () => new Date().toISOString() } }
+};
+const broadcasts = [];
+require.cache[require.resolve('./services/socket/socketService')] = {
+  exports: { disasterManager: { processDisaster: disaster => broadcasts.push(disaster) } }
+};
+
+const reportModerationService = require('./services/reports/reportModerationService');
+
+// Kurla station and points around it
+const KURLA = { latitude: 19.0653, longitude: 72.8794 };
+const NEARBY = { latitude: 19.0665, longitude: 72.8800 };
+const ACROSS_THE_ROAD = { latitude: 19.0648, longitude: 72.8785 };
+const THANE = { latitude: 19.2183, longitude: 72.9781 };
+
+/**
+ * Submit a flood report
+ * @param {string|null} reporterId - Reporter
+ * @param {Object} location - { latitude, longitude }
+ * @param {Object} fields - Overrides
+ * @returns {Promise<Object>} { report, cluster }
+ */
+function submit(reporterId, location, fields = {}) {
+  return reportModerationService.submitReport({ type: 'flood', severity: 2, description: 'Water on the tracks', location, ...fields }, reporterId);
+}
+
+async function failureOf(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing report moderation...\n');
+  let passed = true;
+
+  try {
+    // 1. Clustering
+    const first = await submit('meera', KURLA);
+    const second = await submit('kabir', NEARBY, { severity: 4 });
+    const elsewhere = await submit('kabir', THANE);
+    const fire = await submit('kabir', KURLA, { type: 'fire' });
+    passed = check('Reports of one type close together share a cluster',
+      second.cluster.id === first.cluster.id && second.cluster.memberCount === 2 && second.cluster.severity === 'critical',
+      JSON.stringify(second.cluster)) && passed;
+    passed = check('Distant reports and other types start their own cluster',
+      elsewhere.cluster.id !== first.cluster.id && fire.cluster.id !== first.cluster.id && fire.cluster.id !== elsewhere.cluster.id) && passed;
+    const centre = second.cluster.center;
+    passed = check('The cluster centre moves to the middle of its reports',
+      Math.abs(centre.latitude - (KURLA.latitude + NEARBY.latitude) / 2) < 1e-9 && Math.abs(centre.longitude - (KURLA.longitude + NEARBY.longitude) / 2) < 1e-9,
+      JSON.stringify(centre)) && passed;
+    passed = check('Each reporter adds their reputation to the score once',
+      second.cluster.reporters === 2 && second.cluster.corroborationScore === 1, JSON.stringify(second.cluster)) && passed;
+    const anonymous = await submit(null, ACROSS_THE_ROAD);
+    passed = check('Anonymous reports count for a quarter',
+      anonymous.cluster.id === first.cluster.id && anonymous.cluster.corroborationScore === 1.25, anonymous.cluster.corroborationScore) && passed;
+
+    // 2. Reputation and moderation
+    let reputation = await reportModerationService.getReputation('meera');
+    passed = check('A new reporter starts at 0.5', reputation.submitted === 1 && reputation.score === 0.5, JSON.stringify(reputation)) && passed;
+
+    const results = await Promise.all([
+      failureOf(() => reportModerationService.verifyReport(first.report.id, 'medic-1', 'Seen on CCTV')),
+      failureOf(() => reportModerationService.rejectReport(first.report.id, 'medic-2', 'Old photo'))
+    ]);
+    const refused = results.filter(Boolean);
+    reputation = await reportModerationService.getReputation('meera');
+    passed = check('Two responders moderating at once: one decision wins, the other is refused',
+      refused.length === 1 && refused[0].statusCode === 409, results.map(error => error && error.message).join()) && passed;
+    passed = check('The reporter\'s reputation moves once',
+      reputation.verified + reputation.rejected === 1 && reputation.verified === 1 && reputation.score === 0.67, JSON.stringify(reputation)) && passed;
+
+    let failure = await failureOf(() => reportModerationService.verifyReport('missing', 'medic-1'));
+    passed = check('Moderating an unknown report is not found', failure && failure.statusCode === 404) && passed;
+
+    // 3. Promotion
+    const third = await submit('farah', KURLA);
+    const cluster = third.cluster;
+    const disaster = store.get(`disasters/cluster-${cluster.id}`);
+    passed = check('A verified cluster with enough corroboration becomes a disaster',
+      cluster.status === 'promoted' && disaster && disaster.active && disaster.type === 'flood' && disaster.verifiedBy.join() === 'medic-1' &&
+      broadcasts.length === 1 && broadcasts[0].id === `cluster-${cluster.id}`, JSON.stringify(cluster)) && passed;
+    const corroborated = ['disasterReports/' + second.report.id, 'disasterReports/' + third.report.id].map(key => store.get(key).status);
+    reputation = await reportModerationService.getReputation('kabir');
+    passed = check('Waiting reports in it are corroborated and their reporters credited',
+      corroborated.join() === 'corroborated,corroborated' && reputation.verified === 1, `${corroborated.join()} ${JSON.stringify(reputation)}`) && passed;
+
+    // 4. Rejection
+    await reportModerationService.rejectReport(elsewhere.report.id, 'medic-1', 'No flooding in Thane');
+    const rejected = await reportModerationService.getCluster(elsewhere.cluster.id);
+    reputation = await reportModerationService.getReputation('kabir');
+    passed = check('Rejecting every report in a cluster rejects the cluster and costs the reporter',
+      rejected.status === 'rejected' && reputation.rejected === 1 && reputation.score === 0.5, JSON.stringify(reputation)) && passed;
+    failure = await failureOf(() => reportModerationService.verifyReport(elsewhere.report.id, 'medic-2'));
+    passed = check('A rejected report cannot be verified afterwards', failure && failure.statusCode === 409) && passed;
+  } catch (error) {
+    console.error('❌ Report moderation test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
@@ -0,0 +1,211 @@
+/**
+ * Test script for the feature-phone interface: SMS commands (SAFE, HELP,
+ * SHELTER, ALERTS) and the USSD menu, driven through the webhook simulator
+ * against a local server. Firestore, Google Maps, the chatbot and user
+ * lookups are replaced with canned data, so it runs fully offline:
+ * node test-sms-commands.js
+ */
+
+Object.assign(process.env, {
+  TWILIO_AUTH_TOKEN: 'test-auth-token',
+  SMS_WEBHOOK_SECRET: 'test-webhook-secret',
+  LLM_PROVIDER: 'fake',
+  TRANSLATION_PROVIDER: 'none',
+  SMS_HELP_LOOKUP_DEADLINE_MS: '300'
+});
+
+// Registered users by stored phone number; userService loads the Firestore user model, which needs credentials
+const users = {
+  '9876543210': { id: 'user-1', name: 'Ravi', phone: '9876543210', preferredLanguage: 'en', location: { latitude: 19.07, longitude: 72.88, city: 'Mumbai' } },
+  '+919812345678': { id: 'user-2', name: 'Sunita', phone: '+919812345678', preferredLanguage: 'hi' }
+};
+const statuses = [];
+require.cache[require.resolve('./services/userService')] = {
+  exports: {
+    getUserByPhone: async phones => phones.map(phone => users[phone]).find(Boolean) || null,
+    setSafetyStatus: async (userId, status) => {
+      statuses.push({ userId, ...status });
+      return status;
+    },
+    getPreferredLanguage: async () => 'en',
+    getUserById: async userId => Object.values(users).find(user => user.id === userId) || null
+  }
+};
+// No Socket.IO server here, so emergency contacts are texted
+require.cache[require.resolve('./services/socket/socketService')] = { exports: { userManager: null } };
+
+const axios = require('axios');
+const express = require('express');
+const admin = require('firebase-admin');
+const { sendSms, sendUssd } = require('./scripts/smsWebhookSimulator');
+const smsRoutes = require('./routes/smsRoutes');
+const smsService = require('./services/notificationServices/smsServices/smsService');
+const mapService = require('./services/mapServices/googleMapsClient');
+const emergencyChatbot = require('./services/vertexai/emergencyChatbot');
+const translationService = require('./services/translation');
+
+// Active disasters and the inbound message log in a fake Firestore
+const inboundLog = [];
+const disasters = [
+  { id: 'flood-1', active: true, type: 'flood', title: 'Flooding in Kurla', severity: 'high', location: { latitude: 19.07, longitude: 72.88 }, radius: 10000 }
+];
+Object.defineProperty(admin, 'firestore', {
+  configurable: true,
+  value: () => ({
+    collection: name => ({
+      add: async entry => {
+        if (name === 'smsInbound') inboundLog.push(entry);
+        return { id: `log-${inboundLog.length}` };
+      },
+      where: () => ({
+        get: async () => ({ forEach: callback => disasters.forEach(({ id, ...data }) => callback({ id, data: () => data })) })
+      })
+    })
+  })
+});
+
+const geocoded = [];
+mapService.geocodeAddress = async address => {
+  geocoded.push(address);
+  if (address.startsWith('Atlantis')) throw new Error('Geocoding API error: ZERO_RESULTS');
+  return { lat: 19.07, lng: 72.88 };
+};
+mapService.findSafeZones = async () => [
+  { name: 'Kurla Municipal School', address: 'LBS Marg', distance: 1.23 },
+  { name: 'Don Bosco High School', address: 'Matunga', distance: 2.5 },
+  { name: 'Shivaji Park', address: 'Dadar', distance: 3.1 },
+  { name: 'Wankhede Stadium', address: 'Churchgate', distance: 9.8 }
+];
+const questions = [];
+emergencyChatbot.getEmergencyResponse = async query => {
+  questions.push(query);
+  if (/Dharavi/.test(query)) await new Promise(resolve => setTimeout(resolve, 2000));
+  if (/Sion/.test(query)) throw new Error('LLM request failed after 2 retries');
+  return { response: 'Move to the upper floor of a sturdy building. Switch off the electricity at the mains. Avoid walking through moving water, even if it looks shallow.' };
+};
+
+const FROM = '+919876543210';
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing SMS and USSD commands...\n');
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json());
+  app.use('/api/sms', smsRoutes);
+  const server = app.listen(0);
+  const url = `http://localhost:${server.address().port}`;
+  let passed = true;
+
+  try {
+    // 1. Webhook verification
+    let result = await sendSms({ url, text: 'SAFE', authToken: 'wrong-token', secret: null });
+    passed = check('Refuses SMS with a bad Twilio signature', result.status === 403) && passed;
+    result = await sendSms({ url, text: 'hello', secret: null });
+    passed = check('Answers signed SMS with TwiML and lists the commands for unknown text',
+      result.status === 200 && /SAFE.*HELP.*SHELTER.*ALERTS/.test(result.reply), result.reply) && passed;
+
+    // 2. SAFE
+    result = await sendSms({ url, text: 'safe' });
+    passed = check('SAFE marks a registered sender safe',
+      /Ravi.*marked SAFE/.test(result.reply) && statuses[0].userId === 'user-1' && statuses[0].status === 'safe' && statuses[0].channel === 'sms',
+      result.reply) && passed;
+    result = await sendSms({ url, from: '+919000000001', text: 'SAFE' });
+    passed = check('SAFE from an unknown number explains nothing was saved',
+      /not linked/.test(result.reply) && statuses.length === 1) && passed;
+
+    // 3. HELP
+    result = await sendSms({ url, text: 'HELP Kurla West near station' });
+    passed = check('HELP answers with chatbot advice, the nearest shelter and 112',
+      /112/.test(result.reply) && /Move to the upper floor/.test(result.reply) && /Kurla Municipal School, LBS Marg \(1\.2 km\)/.test(result.reply) &&
+      result.reply.length <= 459, result.reply) && passed;
+    passed = check('HELP asks the chatbot about the disaster at that place and records the request',
+      /Kurla West near station during a flood/.test(questions[0]) &&
+      statuses[1].status === 'help' && statuses[1].location.lat === 19.07 && statuses[1].message === 'Kurla West near station') && passed;
+    result = await sendSms({ url, from: '+919000000001', text: 'HELP' });
+    passed = check('HELP without a location asks for one', /Reply HELP followed by your location/.test(result.reply), result.reply) && passed;
+    result = await sendSms({ url, text: 'HELP Atlantis' });
+    passed = check('Reports places that cannot be found', /could not find "Atlantis"/.test(result.reply), result.reply) && passed;
+    passed = check('Still records HELP from a registered sender whose place cannot be found',
+      /^Help request received/.test(result.reply) && statuses.length === 3 && statuses[2].status === 'help' && statuses[2].location === null,
+      JSON.stringify(statuses[2])) && passed;
+
+    const started = Date.now();
+    result = await sendSms({ url, text: 'HELP Dharavi' });
+    const elapsed = Date.now() - started;
+    passed = check('A slow chatbot does not hold up the HELP reply or the request',
+      elapsed < 1500 && /Nearest shelter: Kurla Municipal School/.test(result.reply) && !/upper floor/.test(result.reply) &&
+      statuses[3].status === 'help' && statuses[3].message === 'Dharavi', `${elapsed}ms: ${result.reply}`) && passed;
+    result = await sendSms({ url, text: 'HELP Sion' });
+    passed = check('A failing chatbot still gets a HELP reply with the shelter',
+      /^Help request received/.test(result.reply) && /Nearest shelter/.test(result.reply) && statuses[4].message === 'Sion', result.reply) && passed;
+
+    // 4. SHELTER and ALERTS
+    result = await sendSms({ url, text: 'SHELTER 400070' });
+    passed = check('SHELTER lists the three nearest shelters for a pincode',
+      geocoded.includes('400070, India') && /1\. Kurla Municipal School.*3\. Shivaji Park/.test(result.reply) && !/Wankhede/.test(result.reply),
+      result.reply) && passed;
+    result = await sendSms({ url, text: 'ALERTS' });
+    passed = check('ALERTS uses the saved location when none is given',
+      /Alerts near Mumbai: \[HIGH\] Flooding in Kurla \(your area\)/.test(result.reply), result.reply) && passed;
+
+    // 5. Language, JSON callers and the log
+    translationService.provider = { name: 'tagging', translate: async (texts, language) => texts.map(text => `[${language}] ${text}`) };
+    result = await sendSms({ url, from: '+919812345678', text: 'SAFE' });
+    passed = check('Replies in the sender\'s preferred language', result.reply.startsWith('[hi] Thank you, Sunita'), result.reply) && passed;
+    translationService.provider = { name: 'none', translate: async texts => texts };
+
+    const jsonReply = await axios.post(`${url}/api/sms/inbound`, { from: FROM, text: 'ALERTS 400070' }, {
+      headers: { 'X-Webhook-Secret': 'test-webhook-secret' }
+    });
+    passed = check('Answers JSON webhook calls with JSON',
+      jsonReply.data.success && jsonReply.data.data.command === 'alerts' && jsonReply.data.data.userId === 'user-1') && passed;
+
+    await new Promise(resolve => setImmediate(resolve));
+    const helpLog = inboundLog.find(entry => entry.command === 'help' && entry.userId === 'user-1');
+    passed = check('Logs inbound messages for responders',
+      inboundLog.length >= 9 && helpLog && helpLog.from === FROM && helpLog.location.lat === 19.07 && helpLog.reply.length > 0,
+      inboundLog.length) && passed;
+
+    // 6. USSD
+    const sessionId = 'ATUid_test';
+    let screen = await sendUssd({ url, sessionId, text: '', secret: null });
+    passed = check('Refuses USSD calls without the webhook secret', screen.status === 403) && passed;
+    screen = await sendUssd({ url, sessionId, text: '' });
+    passed = check('USSD starts at the menu', !screen.done && /1\. I am safe/.test(screen.screen), screen.screen) && passed;
+    screen = await sendUssd({ url, sessionId, text: '2' });
+    passed = check('USSD asks where the user is before HELP', !screen.done && /Where are you/.test(screen.screen)) && passed;
+    screen = await sendUssd({ url, sessionId, text: '2*Kurla' });
+    passed = check('USSD ends with the HELP reply, shortened for the screen',
+      screen.done && /Help request received/.test(screen.screen) && screen.screen.length <= 182, screen.screen) && passed;
+    screen = await sendUssd({ url, sessionId, text: '9' });
+    passed = check('USSD rejects unknown menu choices', screen.done && /Invalid choice/.test(screen.screen)) && passed;
+
+    // 7. Webhooks with no verification configured
+    const { TWILIO_AUTH_TOKEN, SMS_WEBHOOK_SECRET } = process.env;
+    delete process.env.TWILIO_AUTH_TOKEN;
+    delete process.env.SMS_WEBHOOK_SECRET;
+    result = await sendSms({ url, text: 'ALERTS' });
+    passed = check('Refuses webhooks when no verification is configured', result.status === 403) && passed;
+    process.env.SMS_WEBHOOK_ALLOW_UNVERIFIED = 'true';
+    result = await sendSms({ url, text: 'ALERTS' });
+    passed = check('Accepts unverified webhooks only when explicitly allowed', result.status === 200, result.status) && passed;
+    Object.assign(process.env, { TWILIO_AUTH_TOKEN, SMS_WEBHOOK_SECRET });
+    delete process.env.SMS_WEBHOOK_ALLOW_UNVERIFIED;
+  } catch (error) {
+    console.error('❌ SMS command test failed:', error);
+    passed = false;
+  } finally {
+    server.close();
+    await smsService.close();
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
@@ -0,0 +1,118 @@
+/**
+ * Test script for the SMS provider layer against the local fake gateway
+ * (Twilio-style HTTP and SMPP, failover, retry queue and rate limiting).
+ * Runs fully offline: node test-sms-service.js
+ */
+
+const startFakeSmsGateway = require('./scripts/fakeSmsGateway');
+
+const TEST_PHONE = '9876543210';
+const TEST_COUNTRY = 'IN';
+
+/**
+ * Point SMSService at the fake gateway; must run before smsService is required
+ * @param {Object} gateway - Started fake gateway
+ */
+function configureProviders(gateway) {
+  Object.assign(process.env, {
+    SMS_PROVIDERS: 'twilio,smpp',
+    TWILIO_BASE_URL: `http://localhost:${gateway.httpPort}`,
+    TWILIO_ACCOUNT_SID: 'ACfake',
+    TWILIO_AUTH_TOKEN: 'fake-token',
+    TWILIO_FROM_NUMBER: '+15005550006',
+    TWILIO_RATE_PER_SECOND: '5',
+    SMPP_URL: `smpp://localhost:${gateway.smppPort}`,
+    SMPP_SYSTEM_ID: 'safeescape',
+    SMPP_PASSWORD: 'fake',
+    SMS_RETRY_BASE_DELAY_MS: '200'
+  });
+}
+
+/**
+ * Set the gateway behaviour for each protocol
+ * @param {Object} gateway - Started fake gateway
+ * @param {string} http - Mode for the HTTP API
+ * @param {string} smppMode - Mode for SMPP
+ */
+function setModes(gateway, http, smppMode) {
+  gateway.modes.http = http;
+  gateway.modes.smpp = smppMode;
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+// Run the tests
+async function runTests() {
+  console.log('=== SMS SERVICE TEST SCRIPT ===');
+
+  const gateway = await startFakeSmsGateway({ quiet: true });
+  configureProviders(gateway);
+  const smsService = require('./services/notificationServices/smsServices/smsService');
+  let passed = true;
+
+  try {
+    // 1. Primary provider
+    let result = await smsService.sendSMS(TEST_PHONE, TEST_COUNTRY, 'Test via HTTP');
+    passed = check('Twilio-style HTTP delivers', result.success && result.provider === 'twilio', result.response && result.response.sid) && passed;
+
+    // 2. Failover to SMPP
+    setModes(gateway, 'fail', 'ok');
+    result = await smsService.sendSMS(TEST_PHONE, TEST_COUNTRY, 'Test failover to SMPP');
+    passed = check('Fails over to SMPP when HTTP is down', result.success && result.provider === 'smpp', result.response && result.response.sid) && passed;
+
+    // 3. Long message through SMPP message_payload
+    const longText = `Evacuate now. ${'Follow the marked routes to the nearest shelter. '.repeat(8)}`;
+    result = await smsService.sendSMS(TEST_PHONE, TEST_COUNTRY, longText);
+    const received = gateway.messages[gateway.messages.length - 1];
+    passed = check('Long SMPP message arrives intact', result.success && received.body === longText, `${longText.length} chars`) && passed;
+
+    // Short in UTF-8 bytes, but over 254 octets once encoded as UCS-2
+    const alertText = `🚨 Emergency Alert: flood - ${'Move to higher ground now. '.repeat(7)}`;
+    result = await smsService.sendSMS(TEST_PHONE, TEST_COUNTRY, alertText);
+    const unicode = gateway.messages[gateway.messages.length - 1];
+    passed = check('Long non-GSM SMPP message arrives intact', result.success && result.provider === 'smpp' && unicode.body === alertText,
+      `${Buffer.byteLength(alertText)} bytes`) && passed;
+
+    // 4. Every provider down: queued, then delivered once a gateway recovers
+    setModes(gateway, 'fail', 'throttle');
+    result = await smsService.sendSMS(TEST_PHONE, TEST_COUNTRY, 'Test retry queue');
+    passed = check('Queues a retry when every provider fails', !result.success && result.queued, result.error) && passed;
+    setModes(gateway, 'ok', 'ok');
+    await new Promise(resolve => setTimeout(resolve, 600));
+    passed = check('Retry delivers after recovery',
+      smsService.retryQueue.size === 0 && gateway.messages.some(message => message.body === 'Test retry queue')) && passed;
+
+    // 5. Permanent rejection: no failover, no retry
+    setModes(gateway, 'reject', 'ok');
+    const before = gateway.messages.length;
+    result = await smsService.sendSMS(TEST_PHONE, TEST_COUNTRY, 'Test rejected message');
+    passed = check('Permanent rejection is not retried or failed over',
+      !result.success && !result.queued && gateway.messages.length === before, result.error) && passed;
+    setModes(gateway, 'ok', 'ok');
+
+    // 6. Rate limiting (5/s on the HTTP provider, one second of burst)
+    const started = Date.now();
+    const alertResult = await smsService.sendEmergencyAlerts({
+      type: 'flood',
+      description: 'Rate limit test',
+      affectedUsers: Array.from({ length: 10 }, () => ({ phone: TEST_PHONE, countryCode: TEST_COUNTRY }))
+    });
+    const elapsed = Date.now() - started;
+    passed = check('Emergency alerts respect the provider rate limit',
+      alertResult.successCount === 10 && elapsed >= 900, `10 messages in ${elapsed}ms`) && passed;
+  } catch (error) {
+    console.error('❌ SMS service test failed:', error);
+    passed = false;
+  } finally {
+    await smsService.close();
+    await gateway.close();
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
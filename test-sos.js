@@ -0,0 +1,281 @@
+/**
+ * Test script for the SOS beacon: starting a session, streaming locations,
+ * the public tracking link, responder access and closing. Firestore, users,
+ * sockets and SMS are in-memory fakes, so it runs fully offline:
+ * node test-sos.js
+ */
+
+Object.assign(process.env, {
+  JWT_SECRET: 'test-jwt-secret',
+  TRANSLATION_PROVIDER: 'none',
+  PUBLIC_BASE_URL: 'https://safeescape.example.org/',
+  SOS_RESPONDER_RADIUS_KM: '10',
+  SOS_MIN_POINT_INTERVAL_SECONDS: '0.2'
+});
+
+// Asha lists her husband Vikram (online, linked family) and her brother Rohan (no account)
+const users = {
+  asha: {
+    id: 'asha', name: 'Asha', phone: '+919876500001', preferredLanguage: 'en', familyMembers: ['vikram'],
+    emergencyContacts: [
+      { name: 'Police', phone: '112', relationship: 'Emergency', priority: 1 },
+      { name: 'Vikram', phone: '9876500002', relationship: 'Spouse', priority: 1 },
+      { name: 'Rohan', phone: '9876500003', relationship: 'Brother', priority: 2 }
+    ]
+  },
+  vikram: { id: 'vikram', name: 'Vikram', phone: '+919876500002', familyMembers: ['asha'], emergencyContacts: [] },
+  neighbour: { id: 'neighbour', name: 'Neighbour', phone: '+919876500005', emergencyContacts: [] }
+};
+const statuses = [];
+require.cache[require.resolve('./services/userService')] = {
+  exports: {
+    getUserById: async userId => users[userId] || null,
+    getUserByPhone: async phones => Object.values(users).find(user => phones.includes(user.phone)) || null,
+    setSafetyStatus: async (userId, status) => {
+      statuses.push({ userId, ...status });
+      return status;
+    }
+  }
+};
+
+// Connected sockets: Asha, Vikram, a responder nearby, one 40 km away and a citizen nearby
+const emitted = [];
+const direct = [];
+const connectedUsers = new Map([
+  ['asha', { location: { latitude: 19.07, longitude: 72.88 }, userData: { role: 'citizen' } }],
+  ['vikram', { location: { latitude: 18.52, longitude: 73.85 }, userData: { role: 'citizen' } }],
+  ['medic-1', { location: { latitude: 19.1, longitude: 72.9 }, userData: { role: 'responder' } }],
+  ['medic-2', { location: { latitude: 19.43, longitude: 72.88 }, userData: { role: 'responder' } }],
+  ['neighbour', { location: { latitude: 19.071, longitude: 72.881 }, userData: { role: 'citizen' } }]
+]);
+require.cache[require.resolve('./services/socket/socketService')] = {
+  exports: {
+    io: { to: rooms => ({ emit: (event, data) => emitted.push({ rooms: [].concat(rooms), event, data }) }) },
+    userManager: {
+      connectedUsers,
+      getUsersInBounds: () => [...connectedUsers.entries()],
+      extractUserLocation: info => info && info.location,
+      updateUserLocation: (userId, location) => {
+        connectedUsers.get(userId).location = location;
+        return true;
+      },
+      sendToUser: (userId, event, data) => {
+        if (!connectedUsers.has(userId)) return false;
+        direct.push({ userId, event, data });
+        return true;
+      }
+    }
+  }
+};
+
+const axios = require('axios');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const admin = require('firebase-admin');
+const safetyRoutes = require('./routes/safetyRoutes');
+const sosService = require('./services/safety/sosService');
+const smsService = require('./services/notificationServices/smsServices/smsService');
+
+const texts = [];
+smsService.sendSMS = async (phone, countryCode, message) => {
+  texts.push({ phone, message });
+  return { success: true };
+};
+
+// Just enough Firestore for sosSessions, their track subcollection and sosActive
+const store = new Map();
+let nextId = 1;
+function fakeCollection(path) {
+  const docs = () => [...store.entries()]
+    .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+    .map(([key, data]) => ({ id: key.slice(path.length + 1), data: () => ({ ...data }), exists: true }));
+  const query = (filters = [], order = null, max = Infinity) => ({
+    where: (field, op, value) => query([...filters, [field, value]], order, max),
+    orderBy: (field, direction = 'asc') => query(filters, { field, direction }, max),
+    limit: count => query(filters, order, count),
+    get: async () => {
+      let matches = docs().filter(doc => filters.every(([field, value]) => doc.data()[field] === value));
+      if (order) {
+        matches.sort((a, b) => String(a.data()[order.field]).localeCompare(String(b.data()[order.field])));
+        if (order.direction === 'desc') matches.reverse();
+      }
+      matches = matches.slice(0, max);
+      return { empty: matches.length === 0, docs: matches, forEach: callback => matches.forEach(callback) };
+    }
+  });
+  const fakeDoc = (id = `doc-${nextId++}`) => ({
+    id,
+    get: async () => (store.has(`${path}/${id}`)
+      ? { id, exists: true, data: () => ({ ...store.get(`${path}/${id}`) }) }
+      : { id, exists: false, data: () => undefined }),
+    set: async data => store.set(`${path}/${id}`, JSON.parse(JSON.stringify(data))),
+    update: async fields => store.set(`${path}/${id}`, { ...store.get(`${path}/${id}`), ...fields }),
+    delete: async () => store.delete(`${path}/${id}`),
+    collection: name => fakeCollection(`${path}/${id}/${name}`)
+  });
+  return {
+    ...query(),
+    doc: fakeDoc,
+    add: async data => {
+      const doc = fakeDoc();
+      await doc.set(data);
+      return doc;
+    }
+  };
+}
+
+// Transactions run one at a time and write only when the callback succeeds
+let transactions = Promise.resolve();
+function runTransaction(callback) {
+  const run = transactions.then(async () => {
+    const writes = [];
+    const result = await callback({
+      get: ref => ref.get(),
+      set: (ref, data) => writes.push(() => ref.set(data)),
+      update: (ref, fields) => writes.push(() => ref.update(fields)),
+      delete: ref => writes.push(() => ref.delete())
+    });
+    for (const write of writes) await write();
+    return result;
+  });
+  transactions = run.catch(() => {});
+  return run;
+}
+Object.defineProperty(admin, 'firestore', { configurable: true, value: () => ({ collection: fakeCollection, runTransaction }) });
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing the SOS beacon...\n');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/safety', safetyRoutes);
+  const server = app.listen(0);
+  const baseURL = `http://localhost:${server.address().port}/api/safety`;
+  const as = (userId, role = 'citizen') => axios.create({
+    baseURL,
+    headers: { Authorization: `Bearer ${jwt.sign({ sub: userId, role }, process.env.JWT_SECRET)}` },
+    validateStatus: () => true
+  });
+  const asha = as('asha');
+  const medic = as('medic-1', 'responder');
+  const stranger = as('neighbour');
+  const anonymous = axios.create({ baseURL, validateStatus: () => true });
+  let passed = true;
+
+  try {
+    // 1. Starting
+    let response = await asha.post('/sos', { message: 'Water rising fast', location: { lat: 19.07, lng: 72.88, accuracy: 12 } });
+    const { session, trackingUrl } = response.data.data;
+    const token = new URL(trackingUrl).searchParams.get('token');
+    passed = check('Starts a critical SOS tied to the user',
+      response.status === 201 && session.userId === 'asha' && session.priority === 'critical' && session.status === 'active' &&
+      session.lastLocation.accuracy === 12 && session.trackToken === undefined, JSON.stringify(response.data)) && passed;
+    passed = check('Hands out a tracking link on the public base URL',
+      trackingUrl.startsWith('https://safeescape.example.org/sos-track.html?token=') && token.length >= 32, trackingUrl) && passed;
+    passed = check('Marks the user as needing help',
+      statuses[0].userId === 'asha' && statuses[0].status === 'help' && statuses[0].message === 'Water rising fast') && passed;
+
+    const vikramAlert = direct.find(message => message.userId === 'vikram');
+    passed = check('Sends the link to an online contact over the socket',
+      vikramAlert && vikramAlert.event === 'sos-started' && vikramAlert.data.trackingUrl === trackingUrl) && passed;
+    passed = check('Texts the link to other contacts, but not public services',
+      texts.length === 1 && texts[0].phone === '9876500003' && texts[0].message.includes(trackingUrl), JSON.stringify(texts)) && passed;
+    const responderAlerts = direct.filter(message => message.data.responder);
+    passed = check('Alerts responders within the radius only',
+      responderAlerts.length === 1 && responderAlerts[0].userId === 'medic-1' && responderAlerts[0].data.distanceKm > 3 && responderAlerts[0].data.distanceKm < 4,
+      JSON.stringify(responderAlerts)) && passed;
+
+    response = await asha.post('/sos', {});
+    passed = check('Starting again returns the open session', response.status === 200 && response.data.data.resumed &&
+      response.data.data.session.id === session.id && response.data.data.trackingUrl === trackingUrl) && passed;
+
+    const [first, second] = await Promise.all([sosService.start('vikram'), sosService.start('vikram')]);
+    passed = check('Concurrent starts open a single session',
+      first.session.id === second.session.id && [first, second].filter(result => result.resumed).length === 1 &&
+      [...store.keys()].filter(key => /^sosSessions\/[^/]+$/.test(key) && store.get(key).userId === 'vikram').length === 1) && passed;
+    await as('vikram').post(`/sos/${first.session.id}/close`, { reason: 'test' });
+    emitted.length = 0;
+
+    // 2. Streaming
+    let result = await sosService.recordLocation('asha', { latitude: 19.072, longitude: 72.882 });
+    passed = check('Moves the user and shows points closer than the interval live without storing them',
+      !result.stored && connectedUsers.get('asha').location.latitude === 19.072 &&
+      emitted.some(emit => emit.event === 'sos-location-update' && emit.rooms[0] === `sos-${session.id}`)) && passed;
+    await wait(250);
+    result = await sosService.recordLocation('asha', { lat: 19.075, lng: 72.885, speed: 1.4 });
+    passed = check('Stores points once the interval has passed', result.stored && result.point.speed === 1.4) && passed;
+    // Points buffered while the phone was offline, flushed together on reconnect
+    const offline = [60, 30].map(secondsAgo => ({ lat: 19.074, lng: 72.884, timestamp: new Date(Date.now() - secondsAgo * 1000).toISOString() }));
+    const flushed = [];
+    for (const location of offline) flushed.push(await sosService.recordLocation('asha', location));
+    passed = check('Stores buffered points recorded apart even though they arrive together',
+      flushed.every(point => point.stored) && flushed[0].point.recordedAt < flushed[1].point.recordedAt, JSON.stringify(flushed)) && passed;
+    passed = check('Buffered points do not move the user back to an older position',
+      connectedUsers.get('asha').location.latitude === 19.075, JSON.stringify(connectedUsers.get('asha').location)) && passed;
+    let failure = null;
+    await sosService.recordLocation('vikram', { lat: 18.52, lng: 73.85 }).catch(error => { failure = error; });
+    passed = check('Refuses locations from users without an SOS', failure && failure.statusCode === 404) && passed;
+
+    // 3. Tracking link and access
+    response = await anonymous.get(`/sos/track/${token}`);
+    passed = check('The tracking link shows the latest position without an account',
+      response.status === 200 && response.data.data.lastLocation.lat === 19.075 && response.data.data.track.length === 4 &&
+      response.data.data.name === 'Asha', JSON.stringify(response.data)) && passed;
+    response = await anonymous.get('/sos/track/not-a-token');
+    passed = check('Unknown tracking tokens are not found', response.status === 404) && passed;
+    response = await stranger.get(`/sos/${session.id}`);
+    passed = check('Other users cannot read the session', response.status === 403) && passed;
+    response = await stranger.get('/sos');
+    passed = check('Only responders list open sessions', response.status === 403) && passed;
+    response = await medic.get('/sos');
+    passed = check('Responders see the open session', response.status === 200 && response.data.data.some(open => open.id === session.id)) && passed;
+
+    // 4. Closing
+    response = await stranger.post(`/sos/${session.id}/close`, { reason: 'prank' });
+    passed = check('Other users cannot close the SOS', response.status === 403) && passed;
+    response = await medic.post(`/sos/${session.id}/close`, { reason: 'Rescued by boat team' });
+    const closed = response.data.data;
+    passed = check('A responder closes the SOS',
+      response.status === 200 && closed.status === 'closed' && closed.closedBy.role === 'responder' && closed.closeReason === 'Rescued by boat team',
+      JSON.stringify(response.data)) && passed;
+    const closedEvent = emitted.find(emit => emit.event === 'sos-closed');
+    passed = check('Tells the live feed, the user and the responders it ended',
+      closedEvent && ['sos-' + session.id, 'user-asha', 'user-medic-1'].every(room => closedEvent.rooms.includes(room))) && passed;
+    passed = check('Texts contacts who got the link that it ended',
+      texts.length === 2 && texts[1].phone === '9876500003' && /SOS from Asha has ended \(closed by a responder\)/.test(texts[1].message),
+      texts[1] && texts[1].message) && passed;
+    response = await asha.post(`/sos/${session.id}/close`);
+    passed = check('A closed SOS cannot be closed again', response.status === 409) && passed;
+
+    response = await anonymous.get(`/sos/track/${token}`);
+    passed = check('The tracking link stops showing the location once closed',
+      response.data.data.status === 'closed' && response.data.data.lastLocation === null && response.data.data.track.length === 0) && passed;
+    failure = null;
+    await sosService.recordLocation('asha', { lat: 19.08, lng: 72.89 }).catch(error => { failure = error; });
+    passed = check('Locations are no longer accepted after closing', failure && failure.statusCode === 404) && passed;
+
+    // 5. After-action review
+    response = await asha.get(`/sos/${session.id}`);
+    const review = response.data.data;
+    passed = check('Keeps the full track for review in recorded order',
+      response.status === 200 && review.track.map(point => point.lat).join() === '19.074,19.074,19.07,19.075' &&
+      review.notified.length === 2 && review.responders[0].userId === 'medic-1', JSON.stringify(review)) && passed;
+  } catch (error) {
+    console.error('❌ SOS test failed:', error);
+    passed = false;
+  } finally {
+    server.close();
+    await smsService.close();
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
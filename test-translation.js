@@ -0,0 +1,177 @@
+/**
+ * Test script for the multilingual pipeline: language settings and
+ * detection, the translation service (batching, caching, failures,
+ * templates), the LLM translation backend, translated disaster warnings and
+ * chatbot answers in the user's language. Runs fully offline with the fake
+ * LLM backend: node test-translation.js
+ */
+
+process.env.LLM_PROVIDER = 'fake';
+process.env.TRANSLATION_PROVIDER = 'none';
+process.env.ENABLE_KNOWLEDGE_BASE = 'false';
+
+const languages = require('./config/languages');
+const translationService = require('./services/translation');
+const TranslationProvider = require('./services/translation/providers/translationProvider');
+const LlmTranslationProvider = require('./services/translation/providers/llmTranslationProvider');
+const llmService = require('./services/llm/llmService');
+const FakeProvider = require('./services/llm/providers/fakeProvider');
+const DisasterManager = require('./services/socket/components/disasterManager');
+const emergencyChatbot = require('./services/vertexai/emergencyChatbot');
+
+/**
+ * Translation backend that tags each text with its target language and records its calls
+ */
+class RecordingProvider extends TranslationProvider {
+  constructor(options = {}) {
+    super('recording');
+    this.calls = [];
+    this.fail = options.fail || false;
+    this.dropPlaceholders = options.dropPlaceholders || false;
+    this.delayMs = options.delayMs || 0;
+  }
+
+  async translate(texts, language) {
+    this.calls.push({ texts, language });
+    if (this.delayMs) await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    if (this.fail) throw new Error('backend unavailable');
+    return texts.map(text => `[${language}] ${this.dropPlaceholders ? text.replace(/\{\w+\}/g, '') : text}`);
+  }
+}
+
+/**
+ * Swap in a fresh backend and an empty cache
+ * @param {Object} provider - Translation backend
+ * @returns {Object} The backend
+ */
+function useProvider(provider) {
+  translationService.provider = provider;
+  translationService.cache.clear();
+  return provider;
+}
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing the multilingual pipeline...\n');
+  let passed = true;
+
+  try {
+    // 1. Language settings and detection
+    passed = check('Resolves locale codes to supported languages',
+      languages.resolveLanguage('hi-IN') === 'hi' && languages.resolveLanguage('TA') === 'ta' && languages.resolveLanguage('fr') === null) && passed;
+    const hindiVoice = languages.getVoice('hi', 'MALE');
+    passed = check('Picks a speech locale and voice for each language',
+      hindiVoice.languageCode === 'hi-IN' && hindiVoice.voiceName === 'hi-IN-Neural2-B' &&
+      languages.getVoice('xx').languageCode === 'en-IN', JSON.stringify(hindiVoice)) && passed;
+    passed = check('Detects languages from their script',
+      languages.detectLanguage('मुझे मदद चाहिए') === 'hi' && languages.detectLanguage('வெள்ளம் வருகிறது') === 'ta' &&
+      languages.detectLanguage('বন্যা') === 'bn' && languages.detectLanguage('Help, the water is rising') === 'en') && passed;
+    passed = check('Uses the hint for shared scripts and text without letters',
+      languages.detectLanguage('मला मदत हवी', 'mr') === 'mr' && languages.detectLanguage('112', 'kn') === 'kn') && passed;
+
+    // 2. Translation service
+    let provider = useProvider(new RecordingProvider());
+    let result = await translationService.translateMany(['Flood warning', 'Move to higher ground', 'Flood warning'], 'hi');
+    passed = check('Translates a batch in one backend call without duplicates',
+      provider.calls.length === 1 && provider.calls[0].texts.length === 2 && result[2] === '[hi] Flood warning',
+      JSON.stringify(provider.calls)) && passed;
+    await translationService.translate('Flood warning', 'hi-IN');
+    passed = check('Serves repeated translations from the cache', provider.calls.length === 1) && passed;
+    result = await translationService.translateMany(['Flood warning', 'बाढ़ की चेतावनी', ''], 'en');
+    passed = check('Only sends text that is not in the target language yet',
+      provider.calls.length === 2 && provider.calls[1].texts.join() === 'बाढ़ की चेतावनी' &&
+      result[0] === 'Flood warning' && result[1] === '[en] बाढ़ की चेतावनी' && result[2] === '',
+      JSON.stringify(provider.calls[1])) && passed;
+
+    const alert = { id: 'a1', title: 'Cyclone warning', message: 'Stay indoors', instructions: ['Charge phones', 'Store water'], severity: 'high' };
+    const localized = await translationService.localizeAll(alert, ['title', 'message', 'instructions'], ['ta', 'ta', 'hi', 'en', 'xx']);
+    passed = check('Localizes records once per language, keeping lists as lists',
+      [...localized.keys()].join(',') === 'ta,hi,en' &&
+      localized.get('ta').instructions[1] === '[ta] Store water' && localized.get('ta').severity === 'high' &&
+      localized.get('en').title === 'Cyclone warning' && localized.get('hi').language === 'hi',
+      JSON.stringify([...localized.keys()])) && passed;
+
+    const [nearby] = await translationService.template(['About {distance} km from the {type}'], 'hi');
+    passed = check('Fills placeholders in translated templates',
+      nearby({ distance: '2.50', type: 'flood' }) === '[hi] About 2.50 km from the flood') && passed;
+    useProvider(new RecordingProvider({ dropPlaceholders: true }));
+    const lossy = await translationService.template('About {distance} km away', 'hi');
+    passed = check('Keeps the English template when translation loses a placeholder',
+      lossy({ distance: 3 }) === 'About 3 km away') && passed;
+
+    provider = useProvider(new RecordingProvider({ fail: true }));
+    const failures = translationService.failures;
+    result = await translationService.translate('Evacuate now', 'gu');
+    passed = check('Sends the original text when the backend fails',
+      result === 'Evacuate now' && translationService.failures === failures + 1 && translationService.cache.size === 0) && passed;
+
+    provider = useProvider(new RecordingProvider({ delayMs: 200 }));
+    result = await translationService.translate('Evacuate now', 'ta', { deadlineMs: 20 });
+    const onTime = await translationService.translate('Evacuate now', 'ta', { deadlineMs: 20 });
+    await new Promise(resolve => setTimeout(resolve, 250));
+    const late = await translationService.translate('Evacuate now', 'ta', { deadlineMs: 20 });
+    passed = check('Sends the original text at the deadline and caches the late translation',
+      result === 'Evacuate now' && onTime === 'Evacuate now' && late === '[ta] Evacuate now', late) && passed;
+
+    // 3. LLM translation backend
+    useProvider(new LlmTranslationProvider());
+    llmService.provider = new FakeProvider({
+      model: 'fake-model',
+      responses: ['{"translations":["बाढ़"]}', '{"translations":["बाढ़ की चेतावनी","ऊँचाई पर जाएँ"]}']
+    });
+    result = await translationService.translateMany(['Flood warning', 'Move to higher ground'], 'hi');
+    const requests = llmService.provider.requests;
+    passed = check('LLM backend names the target language and keeps placeholders',
+      /Target language: Hindi \(हिन्दी\)/.test(requests[0].messages[0].text) && /\{distance\}/.test(requests[0].system)) && passed;
+    passed = check('LLM backend repairs answers with the wrong number of translations',
+      requests.length === 2 && /exactly 2 entries/.test(requests[1].messages[2].text) && result[1] === 'ऊँचाई पर जाएँ',
+      JSON.stringify(result)) && passed;
+
+    // 4. Disaster warnings in each user's language
+    useProvider(new RecordingProvider());
+    const manager = new DisasterManager(null, { getUserLanguage: () => 'en' });
+    const disaster = { id: 'd1', type: 'flood', title: 'Flood in Chennai', description: 'River overflowing', evacuation: true };
+    const warningData = { id: 'disaster-d1', title: disaster.title, message: disaster.description, instructions: 'Stay alert', type: 'flood' };
+    const warnings = await manager.localizeWarnings(disaster, warningData, ['ta', 'en', 'ta']);
+    const tamil = warnings.get('ta');
+    passed = check('Translates warnings and evacuation notices per language',
+      warnings.size === 2 && tamil.warning.title === '[ta] Flood in Chennai' &&
+      tamil.notice.title === '[ta] Evacuation: Flood in Chennai' && tamil.notice.evacuationRoutes[0] === '[ta] Follow official guidance' &&
+      warnings.get('en').warning.title === 'Flood in Chennai') && passed;
+    passed = check('Builds personal messages in the user\'s language',
+      tamil.personalMessage({ distance: 3200 }) === '[ta] You are approximately 3.20 km from this flood.' &&
+      tamil.urgentMessage({ insidePolygon: true }) === '[ta] URGENT: [ta] You are inside the area affected by this flood.' &&
+      warnings.get('en').personalMessage({ distance: 1000 }) === 'You are approximately 1.00 km from this flood.',
+      tamil.urgentMessage({ insidePolygon: true })) && passed;
+
+    // 5. Chatbot answers in the language of the question
+    provider = useProvider(new RecordingProvider());
+    llmService.provider = new FakeProvider({
+      model: 'fake-model',
+      responses: ['{"response":"तुरंत ऊँची जगह पर जाएँ और 112 पर कॉल करें।","urgency":"high","actions":[],"callEmergencyServices":true}']
+    });
+    let answer = await emergencyChatbot.getEmergencyResponse('पानी घर में घुस रहा है, क्या करूँ?', { city: 'Patna' });
+    passed = check('Asks the model to reply in the language of the question',
+      /Write your reply in Hindi \(हिन्दी\)/.test(llmService.provider.requests[0].messages[0].text) && answer.language === 'hi') && passed;
+    passed = check('Searches with an English version of the question',
+      provider.calls.some(call => call.language === 'en')) && passed;
+
+    llmService.provider = new FakeProvider({ model: 'fake-model', responses: [new Error('400: bad request')] });
+    const tokens = [];
+    answer = await emergencyChatbot.streamEmergencyResponse('நிலநடுக்கம்!', { city: 'Chennai' }, {}, { onToken: text => tokens.push(text) });
+    passed = check('Translates the fallback advice into the user\'s language',
+      answer.source === 'fallback' && answer.language === 'ta' && tokens[0].startsWith('[ta] '), tokens[0]) && passed;
+  } catch (error) {
+    console.error('❌ Translation test failed:', error);
+    passed = false;
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
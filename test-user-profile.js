@@ -0,0 +1,127 @@
+/**
+ * Test script for the per-user routes: who may read and change a profile,
+ * which profile fields a user may set, and changing a password. The user and
+ * refresh token models are in-memory fakes, so it runs fully offline:
+ * node test-user-profile.js
+ */
+
+Object.assign(process.env, { JWT_SECRET: 'test-jwt-secret' });
+
+const bcrypt = require('bcrypt');
+
+// Stored users, keyed by ID
+const users = {};
+const revoked = [];
+require.cache[require.resolve('./config/firebase-config')] = { exports: { fieldValues: {} } };
+require.cache[require.resolve('./models/User')] = {
+  exports: {
+    getUserById: async userId => (users[userId] ? { id: userId, ...users[userId] } : null),
+    getUserByEmail: async email => Object.entries(users).map(([id, user]) => ({ id, ...user })).find(user => user.email === email) || null,
+    updateUser: async (userId, updates) => {
+      users[userId] = { ...users[userId], ...updates };
+      return true;
+    }
+  }
+};
+require.cache[require.resolve('./models/RefreshToken')] = {
+  exports: {
+    revokeAllForUser: async userId => {
+      revoked.push(userId);
+      return 2;
+    }
+  }
+};
+const topicSyncs = [];
+require.cache[require.resolve('./services/notificationServices/pushNotifications/pushNotification')] = {
+  exports: { syncUserTopics: async userId => { topicSyncs.push(userId); } }
+};
+
+const axios = require('axios');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const userRoutes = require('./routes/userRoutes');
+
+function check(label, condition, detail) {
+  console.log(`${condition ? '✅' : '❌'} ${label}${detail && !condition ? ` (${detail})` : ''}`);
+  return condition;
+}
+
+async function runTests() {
+  console.log('Testing the per-user routes...\n');
+  users.priya = {
+    name: 'Priya', email: 'priya@example.org', phone: '+919800000001', role: 'citizen', password: await bcrypt.hash('old-secret', 4),
+    fcmTokens: ['token-1'], safetyStatus: { status: 'help' }, preferredLanguage: 'en', emergencyContacts: []
+  };
+  users.arjun = { name: 'Arjun', email: 'arjun@example.org', phone: '+919800000002', role: 'citizen', password: 'hash' };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', userRoutes);
+  const server = app.listen(0);
+  const baseURL = `http://localhost:${server.address().port}/api/users`;
+  const as = (userId, role = 'citizen') => axios.create({
+    baseURL,
+    headers: { Authorization: `Bearer ${jwt.sign({ sub: userId, role }, process.env.JWT_SECRET)}` },
+    validateStatus: () => true
+  });
+  const priya = as('priya');
+  const arjun = as('arjun');
+  const admin = as('admin-1', 'admin');
+  const anonymous = axios.create({ baseURL, validateStatus: () => true });
+  let passed = true;
+
+  try {
+    // 1. Who may use a user's routes
+    let response = await priya.get('/priya');
+    passed = check('A user reads their own profile without the password hash',
+      response.status === 200 && response.data.name === 'Priya' && !('password' in response.data), JSON.stringify(response.data)) && passed;
+    response = await arjun.get('/priya');
+    passed = check('Another user cannot read it', response.status === 403) && passed;
+    response = await anonymous.get('/priya');
+    passed = check('Reading it needs a signed-in user', response.status === 401) && passed;
+    response = await admin.get('/priya');
+    passed = check('An admin can read it', response.status === 200) && passed;
+    response = await arjun.put('/priya', { name: 'Not Priya' });
+    passed = check('Another user cannot change it', response.status === 403 && users.priya.name === 'Priya') && passed;
+
+    // 2. Which fields a profile update may change
+    response = await priya.put('/priya', {
+      name: 'Priya S', preferredLanguage: 'hi-IN', location: { latitude: 19.07, longitude: 72.88 },
+      email: 'arjun@example.org', phone: '+919800000002', password: 'no-check', fcmTokens: ['stolen'],
+      fcmTopics: ['region-everywhere'], safetyStatus: { status: 'safe' }
+    });
+    passed = check('Updates the profile fields', response.status === 200 && users.priya.name === 'Priya S' &&
+      users.priya.preferredLanguage === 'hi' && users.priya.location.latitude === 19.07 && topicSyncs.includes('priya'),
+      JSON.stringify(response.data)) && passed;
+    passed = check('Ignores email, phone, password, FCM and safety status in a profile update',
+      users.priya.email === 'priya@example.org' && users.priya.phone === '+919800000001' && await bcrypt.compare('old-secret', users.priya.password) &&
+      users.priya.fcmTokens.join() === 'token-1' && !users.priya.fcmTopics && users.priya.safetyStatus.status === 'help',
+      JSON.stringify(users.priya)) && passed;
+    response = await priya.put('/priya', { email: 'arjun@example.org' });
+    passed = check('An update with no profile fields is refused', response.status === 400 && /allowed fields/.test(response.data.error), JSON.stringify(response.data)) && passed;
+    response = await priya.put('/priya', { name: 'Priya', role: 'admin' });
+    passed = check('Users cannot change their own role', response.status === 400 && users.priya.role === 'citizen') && passed;
+
+    // 3. Changing the password
+    response = await priya.put('/priya/password', { currentPassword: 'wrong', newPassword: 'new-secret' });
+    passed = check('Refuses a wrong current password', response.status === 401 && revoked.length === 0) && passed;
+    response = await priya.put('/priya/password', { newPassword: 'new-secret' });
+    passed = check('Needs the current password', response.status === 400) && passed;
+    response = await priya.put('/priya/password', { currentPassword: 'old-secret', newPassword: 'new-secret' });
+    passed = check('Changes the password and ends every session',
+      response.status === 200 && response.data.sessions === 2 && revoked.join() === 'priya' && await bcrypt.compare('new-secret', users.priya.password),
+      JSON.stringify(response.data)) && passed;
+    response = await arjun.put('/priya/password', { currentPassword: 'new-secret', newPassword: 'mine-now' });
+    passed = check('Another user cannot change it', response.status === 403) && passed;
+  } catch (error) {
+    console.error('❌ User profile test failed:', error);
+    passed = false;
+  } finally {
+    server.close();
+  }
+
+  console.log(`\nTest completed: ${passed ? 'all checks passed' : 'some checks failed'}`);
+  process.exitCode = passed ? 0 : 1;
+}
+
+runTests();
@@ -0,0 +1,296 @@
+const geolib = require('geolib');
+
+/*
+ * Geofence helpers shared by every channel that targets users by location
+ * (sockets, FCM, SMS).
+ *
+ * A target area is either a GeoJSON Polygon/MultiPolygon stored on the
+ * document as `geometry`, or the legacy centre point plus `radius`. Polygons
+ * win when both are present; the radius stays as the fallback for documents
+ * that only have a point.
+ *
+ * Firestore does not allow nested arrays, so geometries are written with
+ * their coordinates JSON-encoded: { type: 'Polygon', coordinates: '[[[...]]]' }.
+ * Everything here accepts both the encoded and the plain GeoJSON form.
+ */
+
+const DEFAULT_RADIUS = 50000; // meters
+
+/**
+ * Create a 400 error for bad geometry input
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+function geometryError(message) {
+  const error = new Error(`Invalid geometry: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Extract latitude/longitude from the location shapes used across SafeEscape
+ * @param {Object} location - Location object
+ * @returns {Object|null} { latitude, longitude } or null
+ */
+function toPoint(location) {
+  if (!location) return null;
+
+  let point = null;
+  if (location.latitude != null && location.longitude != null) {
+    point = { latitude: Number(location.latitude), longitude: Number(location.longitude) };
+  } else if (location.lat != null && location.lng != null) {
+    point = { latitude: Number(location.lat), longitude: Number(location.lng) };
+  } else if (Array.isArray(location.coordinates) && location.coordinates.length === 2) {
+    // GeoJSON Point order is [lng, lat]
+    point = { latitude: Number(location.coordinates[1]), longitude: Number(location.coordinates[0]) };
+  } else if (location.coordinates && typeof location.coordinates === 'object') {
+    return toPoint(location.coordinates);
+  } else if (location.center) {
+    return toPoint(location.center);
+  }
+
+  return point && !isNaN(point.latitude) && !isNaN(point.longitude) ? point : null;
+}
+
+/**
+ * Validate a GeoJSON linear ring and close it if the last position is missing
+ * @param {Array} ring - Array of [lng, lat] positions
+ * @returns {Array} Closed ring
+ */
+function normalizeRing(ring) {
+  if (!Array.isArray(ring)) throw geometryError('ring must be an array of positions');
+
+  const positions = ring.map(position => {
+    if (!Array.isArray(position) || position.length < 2) {
+      throw geometryError('positions must be [longitude, latitude]');
+    }
+    const [lng, lat] = position.map(Number);
+    if (isNaN(lng) || isNaN(lat) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw geometryError(`position [${position}] is out of range`);
+    }
+    return [lng, lat];
+  });
+
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    positions.push([first[0], first[1]]);
+  }
+
+  if (positions.length < 4) throw geometryError('a ring needs at least 3 distinct positions');
+  return positions;
+}
+
+/**
+ * Ray-casting point-in-ring test
+ * @param {number} lng - Point longitude
+ * @param {number} lat - Point latitude
+ * @param {Array} ring - Closed GeoJSON ring
+ * @returns {boolean} True if the point is inside the ring
+ */
+function isInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Point-in-polygon test honouring holes (rings after the first)
+ * @param {number} lng - Point longitude
+ * @param {number} lat - Point latitude
+ * @param {Array} rings - Polygon rings
+ * @returns {boolean} True if the point is inside the polygon
+ */
+function isInPolygon(lng, lat, rings) {
+  if (!isInRing(lng, lat, rings[0])) return false;
+  return !rings.slice(1).some(hole => isInRing(lng, lat, hole));
+}
+
+const geofence = {
+  DEFAULT_RADIUS,
+
+  toPoint,
+
+  /**
+   * Parse and validate a Polygon/MultiPolygon from GeoJSON, a GeoJSON Feature,
+   * a JSON string or the Firestore-encoded form
+   * @param {Object|string} value - Geometry input
+   * @returns {Object|null} { type, coordinates } GeoJSON geometry, or null when value is empty
+   * @throws {Error} 400 error when the geometry is malformed
+   */
+  parseGeometry(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let geometry = value;
+    if (typeof geometry === 'string') {
+      try {
+        geometry = JSON.parse(geometry);
+      } catch (error) {
+        throw geometryError('not valid JSON');
+      }
+    }
+    if (geometry.type === 'Feature') {
+      geometry = geometry.geometry;
+    }
+    if (!geometry || typeof geometry !== 'object') {
+      throw geometryError('expected a GeoJSON geometry');
+    }
+
+    let coordinates = geometry.coordinates;
+    if (typeof coordinates === 'string') {
+      try {
+        coordinates = JSON.parse(coordinates);
+      } catch (error) {
+        throw geometryError('encoded coordinates are not valid JSON');
+      }
+    }
+    if (!Array.isArray(coordinates) || coordinates.length === 0) {
+      throw geometryError('coordinates must be a non-empty array');
+    }
+
+    if (geometry.type === 'Polygon') {
+      return { type: 'Polygon', coordinates: coordinates.map(normalizeRing) };
+    }
+    if (geometry.type === 'MultiPolygon') {
+      return {
+        type: 'MultiPolygon',
+        coordinates: coordinates.map(polygon => {
+          if (!Array.isArray(polygon) || polygon.length === 0) {
+            throw geometryError('each MultiPolygon member must be an array of rings');
+          }
+          return polygon.map(normalizeRing);
+        })
+      };
+    }
+
+    throw geometryError(`type must be Polygon or MultiPolygon, got ${geometry.type}`);
+  },
+
+  /**
+   * Find the geometry attached to a disaster, alert or evacuation notice
+   * @param {Object} target - Document that may carry a geometry
+   * @returns {Object|null} GeoJSON geometry or null (malformed stored geometry is ignored)
+   */
+  getGeometry(target) {
+    if (!target) return null;
+    const raw = target.geometry || (target.area && target.area.geometry) || (target.location && target.location.geometry);
+    if (!raw) return null;
+
+    try {
+      return this.parseGeometry(raw);
+    } catch (error) {
+      console.warn(`Ignoring geometry on ${target.id || 'target'}: ${error.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Encode a geometry for Firestore (nested arrays become a JSON string)
+   * @param {Object|string} geometry - Geometry in any form accepted by parseGeometry
+   * @returns {Object|null} { type, coordinates: string } or null
+   */
+  serializeGeometry(geometry) {
+    const parsed = this.parseGeometry(geometry);
+    return parsed ? { type: parsed.type, coordinates: JSON.stringify(parsed.coordinates) } : null;
+  },
+
+  /**
+   * Bounding box of a geometry
+   * @param {Object} geometry - GeoJSON Polygon/MultiPolygon
+   * @returns {Object} { minLat, maxLat, minLng, maxLng }
+   */
+  getBounds(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+
+    polygons.forEach(rings => rings[0].forEach(([lng, lat]) => {
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+      bounds.minLng = Math.min(bounds.minLng, lng);
+      bounds.maxLng = Math.max(bounds.maxLng, lng);
+    }));
+
+    return bounds;
+  },
+
+  /**
+   * Resolve the target area of a disaster, alert or evacuation notice once so
+   * it can be tested against many users
+   * @param {Object} target - Document with geometry and/or a centre point and radius
+   * @param {number} defaultRadius - Radius in meters when the target has none
+   * @returns {Object|null} Prepared area { geometry, bounds, center, radius }, or null when
+   *   the target has no usable location; bounds cover the polygon or the radius circle
+   */
+  prepare(target, defaultRadius = DEFAULT_RADIUS) {
+    if (!target) return null;
+
+    const geometry = this.getGeometry(target);
+    const location = target.location || target.area || target;
+    const radius = Number(target.radius || (location && location.radius) || defaultRadius);
+
+    if (geometry) {
+      const bounds = this.getBounds(geometry);
+      const center = toPoint(location) || {
+        latitude: (bounds.minLat + bounds.maxLat) / 2,
+        longitude: (bounds.minLng + bounds.maxLng) / 2
+      };
+      return { geometry, bounds, center, radius };
+    }
+
+    const center = toPoint(location);
+    if (!center) return null;
+
+    const [min, max] = geolib.getBoundsOfDistance(center, radius);
+    return {
+      geometry: null,
+      bounds: { minLat: min.latitude, maxLat: max.latitude, minLng: min.longitude, maxLng: max.longitude },
+      center,
+      radius
+    };
+  },
+
+  /**
+   * Locate a user relative to a prepared area
+   * @param {Object} location - User location (any shape accepted by toPoint)
+   * @param {Object} area - Area returned by prepare()
+   * @returns {Object|null} { inside, distance, method } or null when the location is unusable;
+   *   distance is meters to the area centre
+   */
+  locate(location, area) {
+    const point = toPoint(location);
+    if (!point || !area) return null;
+
+    const distance = geolib.getDistance(point, area.center);
+
+    if (area.geometry) {
+      const { bounds } = area;
+      const { latitude: lat, longitude: lng } = point;
+      const inBounds = lat >= bounds.minLat && lat <= bounds.maxLat && lng >= bounds.minLng && lng <= bounds.maxLng;
+      const polygons = area.geometry.type === 'Polygon' ? [area.geometry.coordinates] : area.geometry.coordinates;
+      const inside = inBounds && polygons.some(rings => isInPolygon(lng, lat, rings));
+      return { inside, distance, method: 'polygon' };
+    }
+
+    return { inside: distance <= area.radius, distance, method: 'radius' };
+  },
+
+  /**
+   * Check whether a location falls inside a disaster/alert area
+   * @param {Object} location - User location
+   * @param {Object} target - Disaster, alert or notice
+   * @param {number} defaultRadius - Radius in meters when the target has none
+   * @returns {boolean} True if the location is inside the area
+   */
+  contains(location, target, defaultRadius = DEFAULT_RADIUS) {
+    const result = this.locate(location, this.prepare(target, defaultRadius));
+    return !!(result && result.inside);
+  }
+};
+
+module.exports = geofence;
@@ -0,0 +1,251 @@
+const geofence = require('./geofence');
+
+/*
+ * In-memory geohash index of point locations keyed by an ID (connected users).
+ *
+ * Every entry lives in exactly one cell at the index precision. A query
+ * expands a bounding box to the cells that overlap it and returns the IDs in
+ * those cells, so callers only run exact polygon/radius checks on a small
+ * candidate set instead of every entry.
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Precision 5 cells are roughly 4.9km x 4.9km at the equator
+const DEFAULT_PRECISION = 5;
+
+// Above this many cells a query walks the occupied cells instead
+const MAX_QUERY_CELLS = 4096;
+
+/**
+ * Encode a point as a geohash
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} precision - Number of characters
+ * @returns {string} Geohash
+ */
+function encode(latitude, longitude, precision) {
+  let minLat = -90, maxLat = 90, minLng = -180, maxLng = 180;
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (minLng + maxLng) / 2;
+      if (longitude >= mid) {
+        value = (value << 1) | 1;
+        minLng = mid;
+      } else {
+        value = value << 1;
+        maxLng = mid;
+      }
+    } else {
+      const mid = (minLat + maxLat) / 2;
+      if (latitude >= mid) {
+        value = (value << 1) | 1;
+        minLat = mid;
+      } else {
+        value = value << 1;
+        maxLat = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Bounding box of a geohash cell
+ * @param {string} hash - Geohash
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+function decodeBounds(hash) {
+  let minLat = -90, maxLat = 90, minLng = -180, maxLng = 180;
+  let evenBit = true;
+
+  for (const char of hash) {
+    const value = BASE32.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const set = (value >> bit) & 1;
+      if (evenBit) {
+        const mid = (minLng + maxLng) / 2;
+        if (set) minLng = mid; else maxLng = mid;
+      } else {
+        const mid = (minLat + maxLat) / 2;
+        if (set) minLat = mid; else maxLat = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return { minLat, maxLat, minLng, maxLng };
+}
+
+/**
+ * Cell dimensions in degrees for a precision
+ * @param {number} precision - Number of characters
+ * @returns {Object} { latSpan, lngSpan }
+ */
+function cellSize(precision) {
+  const totalBits = precision * 5;
+  const lngBits = Math.ceil(totalBits / 2);
+  const latBits = Math.floor(totalBits / 2);
+  return { latSpan: 180 / Math.pow(2, latBits), lngSpan: 360 / Math.pow(2, lngBits) };
+}
+
+class GeohashIndex {
+  /**
+   * @param {number} precision - Geohash precision used for cells
+   */
+  constructor(precision = DEFAULT_PRECISION) {
+    this.precision = precision;
+    this.cells = new Map();     // geohash -> Set of IDs
+    this.entries = new Map();   // ID -> { hash, latitude, longitude }
+  }
+
+  /**
+   * Number of indexed entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Insert or move an entry; a missing or invalid location removes it
+   * @param {string} id - Entry ID
+   * @param {Object} location - Location in any shape accepted by geofence.toPoint
+   * @returns {string|null} Cell the entry now lives in
+   */
+  update(id, location) {
+    const point = geofence.toPoint(location);
+    if (!point) {
+      this.remove(id);
+      return null;
+    }
+
+    const hash = encode(point.latitude, point.longitude, this.precision);
+    const previous = this.entries.get(id);
+
+    if (previous && previous.hash !== hash) {
+      this.removeFromCell(previous.hash, id);
+    }
+    if (!previous || previous.hash !== hash) {
+      if (!this.cells.has(hash)) this.cells.set(hash, new Set());
+      this.cells.get(hash).add(id);
+    }
+
+    this.entries.set(id, { hash, latitude: point.latitude, longitude: point.longitude });
+    return hash;
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id - Entry ID
+   * @returns {boolean} True if the entry was indexed
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+
+    this.removeFromCell(entry.hash, id);
+    this.entries.delete(id);
+    return true;
+  }
+
+  /**
+   * Drop an ID from a cell, deleting the cell once it is empty
+   * @param {string} hash - Cell geohash
+   * @param {string} id - Entry ID
+   */
+  removeFromCell(hash, id) {
+    const cell = this.cells.get(hash);
+    if (!cell) return;
+
+    cell.delete(id);
+    if (cell.size === 0) this.cells.delete(hash);
+  }
+
+  /**
+   * Geohashes of all cells overlapping a bounding box
+   * @param {Object} bounds - { minLat, maxLat, minLng, maxLng }
+   * @returns {Array<string>|null} Cell hashes, or null when the box spans too many cells
+   */
+  coverBounds(bounds) {
+    const { latSpan, lngSpan } = cellSize(this.precision);
+    const minLat = Math.max(bounds.minLat, -90);
+    const maxLat = Math.min(bounds.maxLat, 90);
+    const minLng = Math.max(bounds.minLng, -180);
+    const maxLng = Math.min(bounds.maxLng, 180);
+
+    // Snap to the cell grid so every overlapping cell is visited once
+    const startLat = Math.floor((minLat + 90) / latSpan) * latSpan - 90;
+    const startLng = Math.floor((minLng + 180) / lngSpan) * lngSpan - 180;
+    const rows = Math.ceil((maxLat - startLat) / latSpan) || 1;
+    const cols = Math.ceil((maxLng - startLng) / lngSpan) || 1;
+
+    if (rows * cols > MAX_QUERY_CELLS) return null;
+
+    const hashes = [];
+    for (let row = 0; row < rows; row++) {
+      const lat = Math.min(startLat + (row + 0.5) * latSpan, 90);
+      for (let col = 0; col < cols; col++) {
+        const lng = Math.min(startLng + (col + 0.5) * lngSpan, 180);
+        hashes.push(encode(lat, lng, this.precision));
+      }
+    }
+    return hashes;
+  }
+
+  /**
+   * IDs whose cell overlaps a bounding box (candidates, not an exact match)
+   * @param {Object} bounds - { minLat, maxLat, minLng, maxLng }
+   * @returns {Array<string>} Candidate IDs
+   */
+  queryBounds(bounds) {
+    const ids = [];
+    const hashes = this.coverBounds(bounds);
+
+    if (hashes && hashes.length <= this.cells.size) {
+      hashes.forEach(hash => {
+        const cell = this.cells.get(hash);
+        if (cell) cell.forEach(id => ids.push(id));
+      });
+      return ids;
+    }
+
+    // Huge areas (or a sparse index): walk the occupied cells instead
+    this.cells.forEach((cell, hash) => {
+      const cellBounds = decodeBounds(hash);
+      if (cellBounds.minLat <= bounds.maxLat && cellBounds.maxLat >= bounds.minLat &&
+          cellBounds.minLng <= bounds.maxLng && cellBounds.maxLng >= bounds.minLng) {
+        cell.forEach(id => ids.push(id));
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Cell hash an entry is indexed under
+   * @param {string} id - Entry ID
+   * @returns {string|null} Geohash or null
+   */
+  getCell(id) {
+    const entry = this.entries.get(id);
+    return entry ? entry.hash : null;
+  }
+}
+
+GeohashIndex.encode = encode;
+GeohashIndex.decodeBounds = decodeBounds;
+
+module.exports = GeohashIndex;
@@ -0,0 +1,80 @@
+/*
+ * Region names shared by Socket.IO rooms and FCM topics.
+ *
+ * A user located in a city joins the city-<city>, state-<state> and
+ * country-india socket rooms, and their FCM tokens are subscribed to topics
+ * with exactly the same names, so a regional alert reaches the same audience
+ * on both channels. Names only use characters FCM accepts in topic names.
+ */
+
+const COUNTRY_ROOM = 'country-india';
+
+// FCM allows at most five topics in one condition
+const MAX_CONDITION_TOPICS = 5;
+
+/**
+ * Room (and topic) name for a city or state
+ * @param {string} level - 'city' or 'state'
+ * @param {string} name - City or state name
+ * @returns {string|null} Room name, or null without a name
+ */
+function regionRoom(level, name) {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  return `${level}-${name.trim().toLowerCase().replace(/[^a-z0-9\-_.~%]/g, '_')}`;
+}
+
+/**
+ * Rooms a user at a location belongs to
+ * @param {Object} location - User location with city and state
+ * @returns {Array<string>} Room names (empty without a location)
+ */
+function getUserRooms(location) {
+  if (!location) return [];
+
+  return [
+    regionRoom('city', location.city),
+    regionRoom('state', location.state),
+    COUNTRY_ROOM
+  ].filter(Boolean);
+}
+
+/**
+ * Rooms a regional message is sent to
+ * @param {Object} location - Target location with city and state
+ * @param {string} region - "city,state" region string or 'all'
+ * @returns {Array<string>} Unique room names
+ */
+function getTargetRooms(location, region) {
+  const rooms = [COUNTRY_ROOM];
+
+  if (location) {
+    rooms.push(regionRoom('state', location.state), regionRoom('city', location.city));
+  }
+
+  if (region && region !== 'all') {
+    const [city, state] = region.split(',');
+    rooms.push(regionRoom('city', city), regionRoom('state', state));
+  }
+
+  return [...new Set(rooms.filter(Boolean))];
+}
+
+/**
+ * FCM condition reaching devices subscribed to any of the topics
+ * @param {Array<string>} topics - Topic names
+ * @returns {string} Condition expression
+ */
+function topicCondition(topics) {
+  if (topics.length > MAX_CONDITION_TOPICS) {
+    throw new Error(`An FCM condition can combine at most ${MAX_CONDITION_TOPICS} topics`);
+  }
+  return topics.map(topic => `'${topic}' in topics`).join(' || ');
+}
+
+module.exports = {
+  COUNTRY_ROOM,
+  regionRoom,
+  getUserRooms,
+  getTargetRooms,
+  topicCondition
+};